@@ -0,0 +1,139 @@
+/*
+ * Snapping on large plans: the snap list built the way it was before the spatial index, where every alignment line
+ * is intersected with all the others and every query looks at every snap, against the indexed snaps.
+ *
+ *   npm run benchmark-snap -- 2000
+ *
+ * The optional argument is the number of walls, the plans are grids of rooms with their corners a bit off the grid,
+ * like the plans drawn by hand. The list grows with the square of the vertices, past LIST_MAX_WALLS walls it would
+ * take minutes and gigabytes: only the index is measured then. Every query looks at the whole list, only the first
+ * LIST_QUERIES are run on it.
+ */
+import { List } from 'immutable';
+import { Scene } from '../src/models';
+import * as SnapUtils from '../src/utils/snap';
+import * as SnapSceneUtils from '../src/utils/snap-scene';
+import * as GeometryUtils from '../src/utils/geometry';
+
+const QUERIES = 1000;
+const LIST_MAX_WALLS = 200;
+const LIST_QUERIES = 100;
+const ROOM_WIDTH = 400;
+const ROOM_DEPTH = 300;
+
+//the same plans and queries at every run
+function random(seed) {
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function officePlan(walls) {
+  let next = random(42);
+  let rooms = Math.ceil(walls / 4);
+  let columns = Math.ceil(Math.sqrt(rooms));
+  let vertices = {};
+  let lines = {};
+
+  for (let room = 0; room < rooms; room++) {
+    let x = (room % columns) * ROOM_WIDTH;
+    let y = Math.floor(room / columns) * ROOM_DEPTH;
+    let corners = [[x, y], [x + ROOM_WIDTH, y], [x + ROOM_WIDTH, y + ROOM_DEPTH], [x, y + ROOM_DEPTH]]
+      .map(([cx, cy]) => [cx + next() * 10, cy + next() * 10]);
+
+    corners.forEach(([cx, cy], corner) => {
+      let lineID = `l${room}-${corner}`;
+      let v0 = `v${room}-${corner}`;
+      let v1 = `v${room}-${(corner + 1) % 4}`;
+
+      vertices[v0] = {id: v0, x: cx, y: cy, lines: [lineID, `l${room}-${(corner + 3) % 4}`]};
+      lines[lineID] = {id: lineID, type: 'wall', vertices: [v0, v1]};
+    });
+  }
+
+  return new Scene({
+    width: columns * ROOM_WIDTH + 100,
+    height: Math.ceil(rooms / columns) * ROOM_DEPTH + 100,
+    layers: {'layer-1': {id: 'layer-1', vertices, lines}}
+  });
+}
+
+//sceneSnapElements as it was, every snap of the scene in one list
+function listSnapElements(scene, snapMask) {
+  return new List().withMutations(snapElements => {
+    scene.layers.forEach(({vertices, lines}) => {
+      vertices.forEach(({id, x, y}) => {
+        if (snapMask.get(SnapUtils.SNAP_POINT)) SnapUtils.addPointSnap(snapElements, x, y, 10, 10, id);
+
+        if (snapMask.get(SnapUtils.SNAP_LINE)) {
+          let {a, b, c} = GeometryUtils.horizontalLine(y);
+          SnapUtils.addLineSnap(snapElements, a, b, c, 10, 1, id);
+          ({a, b, c} = GeometryUtils.verticalLine(x));
+          SnapUtils.addLineSnap(snapElements, a, b, c, 10, 1, id);
+        }
+      });
+
+      if (snapMask.get(SnapUtils.SNAP_SEGMENT)) {
+        lines.forEach(({id, vertices: [v0, v1]}) => {
+          let {x: x1, y: y1} = vertices.get(v0);
+          let {x: x2, y: y2} = vertices.get(v1);
+          SnapUtils.addLineSegmentSnap(snapElements, x1, y1, x2, y2, 20, 1, id);
+        });
+      }
+    });
+  });
+}
+
+function time(callback) {
+  let start = process.hrtime();
+  let result = callback();
+  let [seconds, nanoseconds] = process.hrtime(start);
+
+  return {result, ms: seconds * 1000 + nanoseconds / 1e6};
+}
+
+function queries(scene) {
+  let next = random(7);
+  let points = [];
+  for (let i = 0; i < QUERIES; i++) points.push({x: next() * scene.width, y: next() * scene.height});
+  return points;
+}
+
+function snapAll(snapElements, points, snapMask) {
+  return points.map(({x, y}) => SnapUtils.nearestSnap(snapElements, x, y, snapMask));
+}
+
+const format = ms => `${ms.toFixed(1)} ms`;
+
+let walls = parseInt(process.argv[2], 10) || 200;
+let snapMask = SnapUtils.SNAP_MASK;
+let scene = officePlan(walls);
+let points = queries(scene);
+
+console.log(`${walls} walls, ${scene.layers.first().vertices.size} vertices, ${QUERIES} snap queries\n`);
+
+let listQueries = null;
+if (walls <= LIST_MAX_WALLS) {
+  let list = time(() => listSnapElements(scene, snapMask));
+  listQueries = time(() => snapAll(list.result, points.slice(0, LIST_QUERIES), snapMask));
+  console.log(`list:  build ${format(list.ms)} (${list.result.size} snaps), ${LIST_QUERIES} queries ${format(listQueries.ms)}`);
+}
+
+let index = time(() => SnapUtils.updateSnapIndex(SnapUtils.createSnapIndex(), scene));
+let indexSnaps = SnapSceneUtils.sceneSnapElements(scene, new List(), snapMask, index.result);
+let indexQueries = time(() => snapAll(indexSnaps, points, snapMask));
+console.log(`index: build ${format(index.ms)}, queries ${format(indexQueries.ms)}`);
+
+//a vertex dragged: only its walls are indexed again
+let vertex = scene.layers.first().vertices.first();
+let moved = scene.setIn(['layers', 'layer-1', 'vertices', vertex.id, 'x'], vertex.x + 50);
+let update = time(() => SnapSceneUtils.sceneSnapElements(moved, new List(), snapMask, index.result));
+console.log(`index: update after moving a vertex ${format(update.ms)}`);
+
+//the snaps as close and with the same priority, between lines that are as close either may be picked
+if (listQueries) {
+  let same = listQueries.result.filter((snap, i) => {
+    let other = indexQueries.result[i];
+    return (!snap && !other) ||
+      (snap && other && snap.point.distance === other.point.distance && snap.snap.priority === other.snap.priority);
+  }).length;
+  console.log(`\nequally good snaps: ${same} of ${LIST_QUERIES}`);
+}
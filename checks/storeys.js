@@ -0,0 +1,51 @@
+/*
+ * The storeys of a scene drawn in another unit than centimetres. The storey heights, the slabs and the altitudes are
+ * in centimetres like the lengths of the walls, whatever the unit of the scene: a plan in metres gets walls 300 cm
+ * high and storeys 300 cm apart.
+ *
+ *   npm run check-storeys
+ */
+import { PlanBuilder } from '../src/headless';
+import { Layer } from '../src/class/export';
+
+const STOREY_HEIGHT = 300;
+
+const length = value => ({ label: 'length', type: 'length-measure', defaultValue: { length: value, unit: 'cm' } });
+
+const catalog = {
+  elements: {
+    wall: { name: 'wall', prototype: 'lines', info: { title: 'wall' }, properties: { height: length(280), thickness: length(20) } },
+    area: { name: 'area', prototype: 'areas', info: { title: 'area' }, properties: {} }
+  }
+};
+
+let failures = 0;
+
+function check(label, actual, expected) {
+  let passed = actual === expected;
+  if (!passed) failures++;
+
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}: ${actual}${passed ? '' : `, expected ${expected}`}`);
+}
+
+let builder = new PlanBuilder(catalog, { unit: 'm' }).addWalls([[0, 0], [5, 0], [5, 4], [0, 4]], { closed: true });
+let ground = builder.scene.layers.get(builder.layerID);
+
+check('ground storey height', ground.height, STOREY_HEIGHT);
+check('ground walls height', ground.lines.first().getIn(['properties', 'height', 'length']), STOREY_HEIGHT);
+
+let state = Layer.createStorey(builder.state, true).updatedState;
+let first = state.scene.layers.get(state.scene.selectedLayer);
+
+check('first storey altitude', first.altitude, ground.altitude + STOREY_HEIGHT);
+check('first storey height', first.height, STOREY_HEIGHT);
+check('first storey walls', first.lines.size, ground.lines.size);
+check('first storey walls height', first.lines.first().getIn(['properties', 'height', 'length']), STOREY_HEIGHT);
+
+state = Layer.create(state, 'overlay', 0).updatedState;
+check('new layer height', state.scene.layers.get(state.scene.selectedLayer).height, STOREY_HEIGHT);
+
+if (failures) {
+  console.log(`\n${failures} failed`);
+  process.exit(1);
+}
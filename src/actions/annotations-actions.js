@@ -0,0 +1,96 @@
+import {
+  SELECT_ANNOTATION,
+  SELECT_TOOL_DRAWING_ANNOTATION,
+  BEGIN_DRAWING_ANNOTATION,
+  UPDATE_DRAWING_ANNOTATION,
+  END_DRAWING_ANNOTATION,
+  BEGIN_DRAGGING_ANNOTATION,
+  UPDATE_DRAGGING_ANNOTATION,
+  END_DRAGGING_ANNOTATION,
+  SET_ANNOTATION_ATTRIBUTES,
+  SET_ANNOTATION_PROPERTIES,
+  REMOVE_ANNOTATION
+} from '../constants';
+
+export function selectAnnotation(layerID, annotationID) {
+  return {
+    type: SELECT_ANNOTATION,
+    layerID,
+    annotationID
+  }
+}
+
+export function selectToolDrawingAnnotation(annotationType) {
+  return {
+    type: SELECT_TOOL_DRAWING_ANNOTATION,
+    annotationType
+  }
+}
+
+export function beginDrawingAnnotation(layerID, x, y, snapMask) {
+  return {
+    type: BEGIN_DRAWING_ANNOTATION,
+    layerID, x, y, snapMask
+  }
+}
+
+export function updateDrawingAnnotation(x, y, snapMask) {
+  return {
+    type: UPDATE_DRAWING_ANNOTATION,
+    x, y, snapMask
+  }
+}
+
+export function endDrawingAnnotation(x, y, snapMask) {
+  return {
+    type: END_DRAWING_ANNOTATION,
+    x, y, snapMask
+  }
+}
+
+export function beginDraggingAnnotation(layerID, annotationID, x, y) {
+  return {
+    type: BEGIN_DRAGGING_ANNOTATION,
+    layerID, annotationID, x, y
+  }
+}
+
+export function updateDraggingAnnotation(x, y) {
+  return {
+    type: UPDATE_DRAGGING_ANNOTATION,
+    x, y
+  }
+}
+
+export function endDraggingAnnotation(x, y) {
+  return {
+    type: END_DRAGGING_ANNOTATION,
+    x, y
+  }
+}
+
+export function setAnnotationAttributes(layerID, annotationID, annotationAttributes) {
+  return {
+    type: SET_ANNOTATION_ATTRIBUTES,
+    layerID,
+    annotationID,
+    annotationAttributes
+  }
+}
+
+export function setAnnotationProperties(layerID, annotationID, properties) {
+  return {
+    type: SET_ANNOTATION_PROPERTIES,
+    layerID,
+    annotationID,
+    properties
+  }
+}
+
+export function removeAnnotation(layerID, annotationID) {
+  return {
+    type: REMOVE_ANNOTATION,
+    layerID,
+    annotationID
+  }
+}
@@ -0,0 +1,72 @@
+import {
+  SELECT_DIMENSION,
+  SELECT_TOOL_DRAWING_DIMENSION,
+  BEGIN_DRAWING_DIMENSION,
+  UPDATE_DRAWING_DIMENSION,
+  END_DRAWING_DIMENSION,
+  SET_DIMENSION_ATTRIBUTES,
+  SET_DIMENSION_PROPERTIES,
+  REMOVE_DIMENSION
+} from '../constants';
+
+export function selectDimension(layerID, dimensionID) {
+  return {
+    type: SELECT_DIMENSION,
+    layerID,
+    dimensionID
+  }
+}
+
+export function selectToolDrawingDimension(dimensionType) {
+  return {
+    type: SELECT_TOOL_DRAWING_DIMENSION,
+    dimensionType
+  }
+}
+
+export function beginDrawingDimension(layerID, x, y, snapMask) {
+  return {
+    type: BEGIN_DRAWING_DIMENSION,
+    layerID, x, y, snapMask
+  }
+}
+
+export function updateDrawingDimension(x, y, snapMask) {
+  return {
+    type: UPDATE_DRAWING_DIMENSION,
+    x, y, snapMask
+  }
+}
+
+export function endDrawingDimension(x, y, snapMask) {
+  return {
+    type: END_DRAWING_DIMENSION,
+    x, y, snapMask
+  }
+}
+
+export function setDimensionAttributes(layerID, dimensionID, dimensionAttributes) {
+  return {
+    type: SET_DIMENSION_ATTRIBUTES,
+    layerID,
+    dimensionID,
+    dimensionAttributes
+  }
+}
+
+export function setDimensionProperties(layerID, dimensionID, properties) {
+  return {
+    type: SET_DIMENSION_PROPERTIES,
+    layerID,
+    dimensionID,
+    properties
+  }
+}
+
+export function removeDimension(layerID, dimensionID) {
+  return {
+    type: REMOVE_DIMENSION,
+    layerID,
+    dimensionID
+  }
+}
@@ -8,6 +8,9 @@ import * as verticesActions from './vertices-actions';
 import * as itemsActions from './items-actions';
 import * as areaActions from './area-actions';
 import * as groupsActions from './groups-actions';
+import * as dimensionsActions from './dimensions-actions';
+import * as annotationsActions from './annotations-actions';
+import * as transformActions from './transform-actions';
 
 export {
   projectActions,
@@ -19,7 +22,10 @@ export {
   verticesActions,
   itemsActions,
   areaActions,
-  groupsActions
+  groupsActions,
+  dimensionsActions,
+  annotationsActions,
+  transformActions
 };
 
 export default {
@@ -32,5 +38,8 @@ export default {
   verticesActions,
   itemsActions,
   areaActions,
-  groupsActions
+  groupsActions,
+  dimensionsActions,
+  annotationsActions,
+  transformActions
 };
@@ -8,7 +8,11 @@ import {
   END_DRAGGING_ITEM,
   BEGIN_ROTATING_ITEM,
   UPDATE_ROTATING_ITEM,
-  END_ROTATING_ITEM
+  END_ROTATING_ITEM,
+  SELECT_TOOL_ITEMS_ARRAY,
+  UPDATE_ITEMS_ARRAY,
+  END_ITEMS_ARRAY,
+  CREATE_ITEMS_ARRAY
 } from '../constants';
 
 export function selectItem(layerID, itemID) {
@@ -81,3 +85,31 @@ export function endRotatingItem(x, y) {
     x, y
   }
 }
+
+export function selectToolItemsArray(arrayType, parameters) {
+  return {
+    type: SELECT_TOOL_ITEMS_ARRAY,
+    arrayType, parameters
+  }
+}
+
+export function updateItemsArray(x, y) {
+  return {
+    type: UPDATE_ITEMS_ARRAY,
+    x, y
+  }
+}
+
+export function endItemsArray(x, y) {
+  return {
+    type: END_ITEMS_ARRAY,
+    x, y
+  }
+}
+
+export function createItemsArray(layerID, arrayType, parameters, x, y) {
+  return {
+    type: CREATE_ITEMS_ARRAY,
+    layerID, arrayType, parameters, x, y
+  }
+}
@@ -4,9 +4,14 @@ import {
   BEGIN_DRAWING_LINE,
   UPDATE_DRAWING_LINE,
   END_DRAWING_LINE,
+  PLACE_DRAWING_LINE_VERTEX,
   BEGIN_DRAGGING_LINE,
   UPDATE_DRAGGING_LINE,
-  END_DRAGGING_LINE
+  END_DRAGGING_LINE,
+  SELECT_TOOL_DRAWING_ROOM,
+  BEGIN_DRAWING_ROOM,
+  UPDATE_DRAWING_ROOM,
+  END_DRAWING_ROOM
 } from '../constants';
 
 export function selectLine(layerID, lineID) {
@@ -45,6 +50,13 @@ export function endDrawingLine(x, y, snapMask) {
   }
 }
 
+export function placeDrawingLineVertex(layerID, x, y) {
+  return {
+    type: PLACE_DRAWING_LINE_VERTEX,
+    layerID, x, y
+  }
+}
+
 export function beginDraggingLine(layerID, lineID, x, y, snapMask) {
   return {
     type: BEGIN_DRAGGING_LINE,
@@ -65,3 +77,31 @@ export function endDraggingLine(x, y, snapMask) {
     x, y, snapMask
   }
 }
+
+export function selectToolDrawingRoom(sceneComponentType, wallsPosition) {
+  return {
+    type: SELECT_TOOL_DRAWING_ROOM,
+    sceneComponentType, wallsPosition
+  }
+}
+
+export function beginDrawingRoom(layerID, x, y, snapMask) {
+  return {
+    type: BEGIN_DRAWING_ROOM,
+    layerID, x, y, snapMask
+  }
+}
+
+export function updateDrawingRoom(x, y, snapMask) {
+  return {
+    type: UPDATE_DRAWING_ROOM,
+    x, y, snapMask
+  }
+}
+
+export function endDrawingRoom(x, y, snapMask) {
+  return {
+    type: END_DRAWING_ROOM,
+    x, y, snapMask
+  }
+}
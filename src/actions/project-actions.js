@@ -9,10 +9,19 @@ import {
   SET_ITEMS_ATTRIBUTES,
   SET_LINES_ATTRIBUTES,
   SET_HOLES_ATTRIBUTES,
+  SET_AREAS_ATTRIBUTES,
   REMOVE,
   UNDO,
+  REDO,
+  JUMP_TO_HISTORY_ENTRY,
+  ADD_HISTORY_CHECKPOINT,
+  RENAME_HISTORY_CHECKPOINT,
+  BEGIN_IMPORTING_DXF,
+  END_IMPORTING_DXF,
   ROLLBACK,
   OPEN_PROJECT_CONFIGURATOR,
+  OPEN_PLAN_EXPORTER,
+  OPEN_REPORT,
   SET_PROJECT_PROPERTIES,
   INIT_CATALOG,
   UPDATE_MOUSE_COORDS,
@@ -32,7 +41,12 @@ import {
   ADD_CIRCULAR_GUIDE,
   REMOVE_HORIZONTAL_GUIDE,
   REMOVE_VERTICAL_GUIDE,
-  REMOVE_CIRCULAR_GUIDE
+  REMOVE_CIRCULAR_GUIDE,
+  SELECT_ELEMENTS,
+  BEGIN_SELECTING_BOX,
+  UPDATE_SELECTING_BOX,
+  END_SELECTING_BOX,
+  PASTE_ELEMENTS
 } from '../constants';
 
 export function loadProject(sceneJSON) {
@@ -130,6 +144,13 @@ export function setHolesAttributes(holesAttributes) {
   };
 }
 
+export function setAreasAttributes(areasAttributes) {
+  return {
+    type: SET_AREAS_ATTRIBUTES,
+    areasAttributes
+  };
+}
+
 export function remove() {
   return {
     type: REMOVE
@@ -142,18 +163,73 @@ export function undo() {
   };
 }
 
+export function redo() {
+  return {
+    type: REDO
+  };
+}
+
+export function jumpToHistoryEntry(index) {
+  return {
+    type: JUMP_TO_HISTORY_ENTRY,
+    index
+  };
+}
+
+export function addHistoryCheckpoint(name) {
+  return {
+    type: ADD_HISTORY_CHECKPOINT,
+    name
+  };
+}
+
+export function renameHistoryCheckpoint(index, name) {
+  return {
+    type: RENAME_HISTORY_CHECKPOINT,
+    index,
+    name
+  };
+}
+
 export function rollback() {
   return {
     type: ROLLBACK
   };
 }
 
+export function beginImportingDXF(dxf) {
+  return {
+    type: BEGIN_IMPORTING_DXF,
+    dxf
+  };
+}
+
+export function endImportingDXF(dxfLayers, options) {
+  return {
+    type: END_IMPORTING_DXF,
+    dxfLayers,
+    options
+  };
+}
+
 export function openProjectConfigurator() {
   return {
     type: OPEN_PROJECT_CONFIGURATOR
   };
 }
 
+export function openPlanExporter() {
+  return {
+    type: OPEN_PLAN_EXPORTER
+  };
+}
+
+export function openReport() {
+  return {
+    type: OPEN_REPORT
+  };
+}
+
 export function setProjectProperties(properties) {
   return {
     type: SET_PROJECT_PROPERTIES,
@@ -277,4 +353,50 @@ export function removeCircularGuide( guideID ) {
     type: REMOVE_CIRCULAR_GUIDE,
     guideID
   };
-}
\ No newline at end of file
+}
+
+export function selectElements( layerID, elements, selection ) {
+  return {
+    type: SELECT_ELEMENTS,
+    layerID,
+    elements,
+    selection
+  };
+}
+
+export function beginSelectingBox( layerID, x, y, selection, element ) {
+  return {
+    type: BEGIN_SELECTING_BOX,
+    layerID,
+    x,
+    y,
+    selection,
+    element
+  };
+}
+
+export function updateSelectingBox( x, y ) {
+  return {
+    type: UPDATE_SELECTING_BOX,
+    x,
+    y
+  };
+}
+
+export function endSelectingBox( x, y ) {
+  return {
+    type: END_SELECTING_BOX,
+    x,
+    y
+  };
+}
+
+export function pasteElements( layerID, clipboard, x, y ) {
+  return {
+    type: PASTE_ELEMENTS,
+    layerID,
+    clipboard,
+    x,
+    y
+  };
+}
@@ -1,4 +1,19 @@
-import {SELECT_LAYER, ADD_LAYER, SET_LAYER_PROPERTIES, REMOVE_LAYER} from '../constants';
+import {
+  SELECT_LAYER,
+  ADD_LAYER,
+  ADD_STOREY,
+  SET_LAYER_PROPERTIES,
+  REMOVE_LAYER,
+  SELECT_TOOL_UPLOAD_IMAGE,
+  BEGIN_UPLOADING_IMAGE,
+  END_UPLOADING_IMAGE,
+  SELECT_TOOL_FIT_IMAGE,
+  BEGIN_FITTING_IMAGE,
+  END_FITTING_IMAGE,
+  SET_BACKGROUND_IMAGE_ATTRIBUTES,
+  REMOVE_BACKGROUND_IMAGE,
+  SET_ROOF_PROPERTIES
+} from '../constants';
 
 export function selectLayer(layerID) {
   return {
@@ -14,6 +29,13 @@ export function addLayer(name, altitude) {
   }
 }
 
+export function addStorey(copyOuterWalls) {
+  return {
+    type: ADD_STOREY,
+    copyOuterWalls
+  }
+}
+
 export function setLayerProperties(layerID, properties) {
   return {
     type: SET_LAYER_PROPERTIES,
@@ -28,3 +50,65 @@ export function removeLayer(layerID) {
     layerID,
   }
 }
+
+export function selectToolUploadImage() {
+  return {
+    type: SELECT_TOOL_UPLOAD_IMAGE
+  }
+}
+
+export function beginUploadingImage() {
+  return {
+    type: BEGIN_UPLOADING_IMAGE
+  }
+}
+
+export function endUploadingImage(src, width, height, name) {
+  return {
+    type: END_UPLOADING_IMAGE,
+    src, width, height, name
+  }
+}
+
+export function selectToolFitImage(layerID) {
+  return {
+    type: SELECT_TOOL_FIT_IMAGE,
+    layerID
+  }
+}
+
+export function beginFittingImage(x, y) {
+  return {
+    type: BEGIN_FITTING_IMAGE,
+    x, y
+  }
+}
+
+export function endFittingImage(x, y, distance) {
+  return {
+    type: END_FITTING_IMAGE,
+    x, y, distance
+  }
+}
+
+export function setBackgroundImageAttributes(layerID, attributes) {
+  return {
+    type: SET_BACKGROUND_IMAGE_ATTRIBUTES,
+    layerID,
+    attributes
+  }
+}
+
+export function removeBackgroundImage(layerID) {
+  return {
+    type: REMOVE_BACKGROUND_IMAGE,
+    layerID
+  }
+}
+
+export function setRoofProperties(properties) {
+  return {
+    type: SET_ROOF_PROPERTIES,
+    properties
+  }
+}
@@ -0,0 +1,67 @@
+import {
+  SELECT_TOOL_TRANSFORM,
+  BEGIN_TRANSFORM,
+  UPDATE_TRANSFORM,
+  END_TRANSFORM,
+  MOVE_SELECTION,
+  ROTATE_SELECTION,
+  MIRROR_SELECTION,
+  SCALE_SELECTION
+} from '../constants';
+
+export function selectToolTransform(transformType, parameters) {
+  return {
+    type: SELECT_TOOL_TRANSFORM,
+    transformType,
+    parameters
+  }
+}
+
+export function beginTransform(x, y, snapMask) {
+  return {
+    type: BEGIN_TRANSFORM,
+    x, y, snapMask
+  }
+}
+
+export function updateTransform(x, y, snapMask) {
+  return {
+    type: UPDATE_TRANSFORM,
+    x, y, snapMask
+  }
+}
+
+export function endTransform(x, y, snapMask) {
+  return {
+    type: END_TRANSFORM,
+    x, y, snapMask
+  }
+}
+
+export function moveSelection(layerID, dx, dy) {
+  return {
+    type: MOVE_SELECTION,
+    layerID, dx, dy
+  }
+}
+
+export function rotateSelection(layerID, x, y, angle) {
+  return {
+    type: ROTATE_SELECTION,
+    layerID, x, y, angle
+  }
+}
+
+export function mirrorSelection(layerID, x1, y1, x2, y2) {
+  return {
+    type: MIRROR_SELECTION,
+    layerID, x1, y1, x2, y2
+  }
+}
+
+export function scaleSelection(layerID, x, y, factor) {
+  return {
+    type: SCALE_SELECTION,
+    layerID, x, y, factor
+  }
+}
@@ -1,4 +1,4 @@
-import {SELECT_TOOL_3D_VIEW, SELECT_TOOL_3D_FIRST_PERSON} from '../constants';
+import {SELECT_TOOL_3D_VIEW, SELECT_TOOL_3D_FIRST_PERSON, TOGGLE_3D_CEILINGS, SHOW_3D_STOREYS} from '../constants';
 
 export function selectTool3DView() {
   return {
@@ -13,4 +13,15 @@ export function selectTool3DFirstPerson() {
   }
 }
 
+export function toggle3DCeilings() {
+  return {
+    type: TOGGLE_3D_CEILINGS
+  }
+}
 
+export function show3DStoreys(layerID) {
+  return {
+    type: SHOW_3D_STOREYS,
+    layerID
+  }
+}
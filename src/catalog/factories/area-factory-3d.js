@@ -14,6 +14,7 @@ import {
   DoubleSide
 } from 'three';
 import * as SharedStyle from '../../shared-style';
+import {verticesOutline} from '../../utils/geometry';
 
 /**
  * Apply a texture to a wall face
@@ -72,11 +73,7 @@ const assignUVs = (geometry) => {
 };
 
 export function createArea(element, layer, scene, textures) {
-  let vertices = [];
-
-  element.vertices.forEach(vertexID => {
-    vertices.push(layer.vertices.get(vertexID));
-  });
+  let vertices = verticesOutline(layer, element.vertices);
 
   let textureName = element.properties.get('texture');
   let color = element.properties.get('patternColor');
@@ -97,11 +94,7 @@ export function createArea(element, layer, scene, textures) {
 
   /* Create holes for the area */
   element.holes.forEach(holeID => {
-    let holeCoords = [];
-    layer.getIn(['areas', holeID, 'vertices']).forEach(vertexID => {
-      let {x, y} = layer.getIn(['vertices', vertexID]);
-      holeCoords.push([x, y]);
-    });
+    let holeCoords = verticesOutline(layer, layer.getIn(['areas', holeID, 'vertices'])).map(({x, y}) => [x, y]);
     holeCoords = holeCoords.reverse();
     let holeShape = createShape(holeCoords);
     shape.holes.push(holeShape);
@@ -119,10 +112,26 @@ export function createArea(element, layer, scene, textures) {
 
   applyTexture(areaMaterial, texture, width, height);
 
-  let area = new Mesh(shapeGeometry, areaMaterial);
+  let floor = new Mesh(shapeGeometry, areaMaterial);
+
+  floor.rotation.x -= Math.PI / 2;
+  floor.name = 'floor';
 
-  area.rotation.x -= Math.PI / 2;
-  area.name = 'floor';
+  let area = new Object3D();
+  area.add(floor);
+
+  //the ceiling is seen only from below, the rooms can still be looked into from above
+  let ceilingHeight = element.properties.getIn(['ceilingHeight', 'length']);
+  if (ceilingHeight) {
+    let ceilingMaterial = new MeshPhongMaterial({side: BackSide, color: element.properties.get('ceilingColor') || SharedStyle.CEILING_MESH_COLOR});
+    applyTexture(ceilingMaterial, textures[element.properties.get('ceilingTexture')], width, height);
+
+    let ceiling = new Mesh(shapeGeometry.clone(), ceilingMaterial);
+    ceiling.rotation.x -= Math.PI / 2;
+    ceiling.position.y = ceilingHeight;
+    ceiling.name = 'ceiling';
+    area.add(ceiling);
+  }
 
   return Promise.resolve(area);
 }
@@ -136,7 +145,7 @@ export function updatedArea( element, layer, scene, textures, mesh, oldElement,
     floor.material.color.set( color );
   }
   else if( differences[0] == 'properties' ){
-    if( differences[1] === 'texture' ) {
+    if( ['texture', 'ceilingHeight', 'ceilingColor', 'ceilingTexture'].includes(differences[1]) ) {
       return noPerf();
     }
   }
@@ -1,10 +1,41 @@
 import React from 'react';
 import { createArea, updatedArea } from './area-factory-3d';
 import * as SharedStyle from '../../shared-style';
+import * as Geometry from '../../utils/geometry';
 import Translator from '../../translator/translator';
 
 let translator = new Translator();
 
+//what the rooms are used for and what their floor is made of, the keys are saved and exported
+const ROOM_FUNCTIONS = {
+  none: 'None',
+  living: 'Living room',
+  bedroom: 'Bedroom',
+  kitchen: 'Kitchen',
+  dining: 'Dining room',
+  bathroom: 'Bathroom',
+  office: 'Office',
+  corridor: 'Corridor',
+  storage: 'Storage',
+  utility: 'Utility room',
+  outdoor: 'Outdoor'
+};
+
+const FLOOR_FINISHES = {
+  none: 'None',
+  wood: 'Wood',
+  tiles: 'Tiles',
+  stone: 'Stone',
+  carpet: 'Carpet',
+  vinyl: 'Vinyl',
+  concrete: 'Concrete'
+};
+
+const translatedValues = values => Object.keys(values).reduce((translated, key) => {
+  translated[key] = translator.t(values[key]);
+  return translated;
+}, {});
+
 export default function AreaFactory(name, info, textures) {
 
   let areaElement = {
@@ -18,6 +49,35 @@ export default function AreaFactory(name, info, textures) {
       }
     },
     properties: {
+      roomNumber: {
+        label: translator.t('number'),
+        type: 'string',
+        defaultValue: ''
+      },
+      roomFunction: {
+        label: translator.t('function'),
+        type: 'enum',
+        defaultValue: 'none',
+        values: translatedValues(ROOM_FUNCTIONS)
+      },
+      floorFinish: {
+        label: translator.t('floor finish'),
+        type: 'enum',
+        defaultValue: 'none',
+        values: translatedValues(FLOOR_FINISHES)
+      },
+      ceilingHeight: {
+        label: translator.t('ceiling height'),
+        type: 'length-measure',
+        defaultValue: {
+          length: 300,
+        }
+      },
+      ceilingColor: {
+        label: translator.t('ceiling color'),
+        type: 'color',
+        defaultValue: SharedStyle.CEILING_MESH_COLOR
+      },
       patternColor: {
         label: translator.t('color'),
         type: 'color',
@@ -35,8 +95,7 @@ export default function AreaFactory(name, info, textures) {
       let path = '';
 
       ///print area path
-      element.vertices.forEach((vertexID, ind) => {
-        let vertex = layer.vertices.get(vertexID);
+      Geometry.verticesOutline(layer, element.vertices).forEach((vertex, ind) => {
         path += (ind ? 'L' : 'M') + vertex.x + ' ' + vertex.y + ' ';
       });
 
@@ -44,8 +103,7 @@ export default function AreaFactory(name, info, textures) {
       element.holes.forEach(areaID => {
         let area = layer.areas.get(areaID);
 
-        area.vertices.reverse().forEach((vertexID, ind) => {
-          let vertex = layer.vertices.get(vertexID);
+        Geometry.verticesOutline(layer, area.vertices).reverse().forEach((vertex, ind) => {
           path += (ind ? 'L' : 'M') + vertex.x + ' ' + vertex.y + ' ';
         });
 
@@ -81,6 +139,13 @@ export default function AreaFactory(name, info, textures) {
       values: textureValues
     };
 
+    areaElement.properties.ceilingTexture = {
+      label: translator.t('ceiling texture'),
+      type: 'enum',
+      defaultValue: 'none',
+      values: textureValues
+    };
+
   }
 
   return areaElement
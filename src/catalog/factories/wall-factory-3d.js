@@ -4,12 +4,14 @@ import {
   RepeatWrapping,
   Vector2,
   BoxGeometry,
+  ExtrudeGeometry,
+  Shape,
   MeshBasicMaterial,
   Group
 } from 'three';
 
 import ThreeBSP from '../../utils/threeCSG.es6';
-import {verticesDistance} from '../../utils/geometry';
+import {verticesDistance, isArc, arcFromBulge, arcLength, arcPoints, pointOnArc} from '../../utils/geometry';
 import * as SharedStyle from '../../shared-style';
 
 const halfPI = Math.PI / 2;
@@ -41,8 +43,121 @@ const applyTexture = (material, texture, length, height) => {
   }
 };
 
+/**
+ * Build the band between two distances from the axis of an arc wall, as tall as the wall
+ * @param arc: The arc of the wall axis, with its end points
+ * @param from: Distance of the first side from the axis, positive towards the outside of the arc
+ * @param to: Distance of the second side from the axis
+ * @param height: The height of the wall
+ * @param material: The material of the band
+ */
+const arcBand = (arc, from, to, height, material) => {
+  let {x1, y1, x2, y2, bulge, circle} = arc;
+  let points = arcPoints(x1, y1, x2, y2, bulge, Math.PI / 36);
+
+  let side = distance => points.map(({x, y}) => {
+    let scale = (circle.radius + distance) / circle.radius;
+    return [circle.x + (x - circle.x) * scale, circle.y + (y - circle.y) * scale];
+  });
+
+  let outline = side(from).concat(side(to).reverse());
+
+  //the plan is drawn in the xy plane, y pointing north, then raised along the z axis
+  let shape = new Shape();
+  outline.forEach(([x, y], index) => index ? shape.lineTo(x, y) : shape.moveTo(x, y));
+
+  let geometry = new ExtrudeGeometry(shape, {depth: height, bevelEnabled: false});
+  geometry.rotateX(-halfPI);
+
+  return new Mesh(geometry, material);
+};
+
+/**
+ * Subtract the holes of an arc wall from one of its bands
+ * @param band: The band to cut
+ * @param element: The wall
+ * @param layer: The layer of the wall
+ * @param arc: The arc of the wall axis, with its end points
+ * @param depth: How deep the cut is
+ */
+const cutArcHoles = (band, element, layer, arc, depth) => {
+  let {x1, y1, x2, y2, bulge, inverted} = arc;
+
+  element.holes.forEach(holeID => {
+    let holeData = layer.holes.get(holeID);
+
+    let holeWidth = holeData.properties.getIn(['width', 'length']);
+    let holeHeight = holeData.properties.getIn(['height', 'length']);
+    let holeAltitude = holeData.properties.getIn(['altitude', 'length']);
+    let offset = inverted ? 1 - holeData.offset : holeData.offset;
+    let {x, y, angle} = pointOnArc(x1, y1, x2, y2, bulge, offset);
+
+    let holeMesh = new Mesh(new BoxGeometry(holeWidth, holeHeight, depth));
+    holeMesh.position.set(x, holeHeight / 2 + holeAltitude, -y);
+    holeMesh.rotation.y = angle;
+
+    band = new ThreeBSP(band).subtract(new ThreeBSP(holeMesh)).toMesh(band.material);
+  });
+
+  return band;
+};
+
+function buildArcWall(element, layer, scene, textures) {
+  let vertex0 = layer.vertices.get(element.vertices.get(0));
+  let vertex1 = layer.vertices.get(element.vertices.get(1));
+  let inverted = vertex0.x > vertex1.x;
+
+  // The wall is built from the vertex with the lower x, where it is placed
+  if (inverted) [vertex0, vertex1] = [vertex1, vertex0];
+
+  let bulge = inverted ? -element.bulge : element.bulge;
+  let x2 = vertex1.x - vertex0.x;
+  let y2 = vertex1.y - vertex0.y;
+  let arc = {x1: 0, y1: 0, x2, y2, bulge, inverted, circle: arcFromBulge(0, 0, x2, y2, bulge)};
+
+  let height = element.properties.getIn(['height', 'length']);
+  let thickness = element.properties.getIn(['thickness', 'length']);
+  let halfThickness = thickness / 2;
+  let faceThickness = 0.2;
+  let faceDistance = 1;
+  let length = arcLength(0, 0, x2, y2, bulge);
+
+  //a straight cut through a curved wall has to cover the bending of the wall along the hole
+  let widestHole = element.holes.reduce((width, holeID) => Math.max(width, layer.holes.getIn([holeID, 'properties', 'width', 'length'])), 0);
+  let innerRadius = Math.max(arc.circle.radius - halfThickness, 1);
+  let cutDepth = thickness + 4 * (faceDistance + faceThickness) + widestHole * widestHole / (4 * innerRadius);
+
+  let soulMaterial = new MeshBasicMaterial( {color: ( element.selected ? SharedStyle.MESH_SELECTED : 0xD3D3D3 )} );
+  let soul = cutArcHoles(arcBand(arc, -halfThickness, halfThickness, height, soulMaterial), element, layer, arc, cutDepth);
+  soul.name = 'soul';
+
+  // Side A is on the left going along the arc from the vertex with the lower x, inside the arc when it turns left
+  let faceA = bulge > 0 ? -1 : 1;
+  let faceNear = halfThickness + faceDistance;
+  let faceFar = faceNear + faceThickness;
+
+  let frontMaterial = new MeshBasicMaterial();
+  let backMaterial = new MeshBasicMaterial();
+
+  applyTexture(frontMaterial, textures[element.properties.get('textureB')], length, height);
+  applyTexture(backMaterial, textures[element.properties.get('textureA')], length, height);
+
+  let frontFace = cutArcHoles(arcBand(arc, -faceA * faceNear, -faceA * faceFar, height, frontMaterial), element, layer, arc, cutDepth);
+  frontFace.name = 'frontFace';
+
+  let backFace = cutArcHoles(arcBand(arc, faceA * faceNear, faceA * faceFar, height, backMaterial), element, layer, arc, cutDepth);
+  backFace.name = 'backFace';
+
+  let merged = new Group();
+  merged.add( soul, frontFace, backFace );
+
+  return Promise.resolve( merged );
+}
+
 export function buildWall(element, layer, scene, textures)
 {
+  if (isArc(element.bulge)) return buildArcWall(element, layer, scene, textures);
+
   // Get the two vertices of the wall
   let vertex0 = layer.vertices.get(element.vertices.get(0));
   let vertex1 = layer.vertices.get(element.vertices.get(1));
@@ -143,6 +258,8 @@ export function updatedWall( element, layer, scene, textures, mesh, oldElement,
   let frontFace = mesh.getObjectByName('frontFace');
   let backFace = mesh.getObjectByName('backFace');
 
+  if( isArc(element.bulge) && differences[0] != 'selected' ) return noPerf();
+
   if( differences[0] == 'selected' ) {
     soul.material = new MeshBasicMaterial( {color: ( element.selected ? SharedStyle.MESH_SELECTED : 0xD3D3D3 )} );
   }
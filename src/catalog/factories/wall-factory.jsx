@@ -12,6 +12,26 @@ const STYLE_RECT_SELECTED = { ...STYLE_RECT, stroke: SharedStyle.LINE_MESH_COLOR
 
 let translator = new Translator();
 
+//outline of an arc wall going from (0, 0) to (length, 0), made of its two sides joined at the ends
+function arcWallPath(length, bulge, halfThickness) {
+  let { x: cx, y: cy, radius, angle } = Geometry.arcFromBulge(0, 0, length, 0, bulge);
+  let largeArc = Math.abs(angle) > Math.PI ? 1 : 0;
+  let sweep = angle > 0 ? 1 : 0;
+
+  let side = (x, y, distance) => {
+    let scale = (radius + distance) / radius;
+    return `${cx + (x - cx) * scale} ${cy + (y - cy) * scale}`;
+  };
+
+  let outer = radius + halfThickness;
+  let inner = Math.max(radius - halfThickness, 0);
+
+  return `M ${side(0, 0, halfThickness)} ` +
+    `A ${outer} ${outer} 0 ${largeArc} ${sweep} ${side(length, 0, halfThickness)} ` +
+    `L ${side(length, 0, -halfThickness)} ` +
+    `A ${inner} ${inner} 0 ${largeArc} ${1 - sweep} ${side(0, 0, -halfThickness)} Z`;
+}
+
 export default function WallFactory(name, info, textures) {
 
   let wallElement = {
@@ -49,6 +69,24 @@ export default function WallFactory(name, info, textures) {
       let extra_epsilon = 5;
       let textDistance = half_thickness + epsilon + extra_epsilon;
 
+      if (Geometry.isArc(element.bulge)) {
+        //the wall is drawn from the vertex with the lower x, as the line is
+        let bulge = x1 > x2 ? -element.bulge : element.bulge;
+        let path = arcWallPath(length, bulge, half_thickness);
+        let marker = Geometry.pointOnArc(0, 0, length, 0, bulge, 0.2);
+
+        return (element.selected) ?
+          <g>
+            <path d={path} style={STYLE_RECT_SELECTED} />
+            <g transform={`translate(${marker.x}, ${marker.y}) rotate(${marker.angle * 180 / Math.PI}, 0, 0)`}>
+              <line x1={0} y1={-half_thickness_eps} x2={0} y2={half_thickness_eps} style={STYLE_LINE} />
+              <text x={0} y={textDistance + char_height} style={STYLE_TEXT}>A</text>
+              <text x={0} y={-textDistance} style={STYLE_TEXT}>B</text>
+            </g>
+          </g> :
+          <path d={path} style={STYLE_RECT} />
+      }
+
       return (element.selected) ?
         <g>
           <rect x="0" y={-half_thickness} width={length} height={thickness} style={STYLE_RECT_SELECTED} />
@@ -0,0 +1,203 @@
+import { Map, List, fromJS } from 'immutable';
+import { Layer, Group } from './export';
+import {
+  IDBroker,
+  NameGenerator,
+  GeometryUtils,
+  SnapUtils,
+  SnapSceneUtils,
+  AnnotationUtils
+} from '../utils/export';
+import { Annotation as AnnotationModel } from '../models';
+import {
+  MODE_IDLE,
+  MODE_WAITING_DRAWING_ANNOTATION,
+  MODE_DRAWING_ANNOTATION,
+  MODE_DRAGGING_ANNOTATION,
+  ANNOTATION_TEXT
+} from '../constants';
+
+function snapPoint(state, x, y) {
+  let snap = null;
+  if (state.snapMask && !state.snapMask.isEmpty()) {
+    snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+    if (snap) ({ x, y } = snap.point);
+  }
+
+  return { x, y, snap };
+}
+
+class Annotation{
+
+  static create( state, layerID, type, points, rotation = 0, properties = {} ) {
+    let annotationID = IDBroker.acquireID();
+
+    let annotation = new AnnotationModel({
+      id: annotationID,
+      type,
+      name: NameGenerator.generateName('annotations', 'annotation'),
+      points: fromJS(points),
+      rotation,
+      properties: fromJS(AnnotationUtils.annotationProperties(type, state.scene.unit)).merge(fromJS(properties))
+    });
+
+    state = state.setIn(['scene', 'layers', layerID, 'annotations', annotationID], annotation);
+
+    return { updatedState: state, annotation };
+  }
+
+  static select( state, layerID, annotationID ){
+    state = Layer.select( state, layerID ).updatedState;
+    state = Layer.selectElement( state, layerID, 'annotations', annotationID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static unselect( state, layerID, annotationID ) {
+    state = Layer.unselect( state, layerID, 'annotations', annotationID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static remove( state, layerID, annotationID ) {
+    state = this.unselect( state, layerID, annotationID ).updatedState;
+    state = Layer.removeElement( state, layerID, 'annotations', annotationID ).updatedState;
+
+    state.getIn(['scene', 'groups']).forEach( group => state = Group.removeElement(state, group.id, layerID, 'annotations', annotationID).updatedState );
+
+    return { updatedState: state };
+  }
+
+  static setAttributes( state, layerID, annotationID, annotationAttributes ) {
+    state = state.mergeIn(['scene', 'layers', layerID, 'annotations', annotationID], annotationAttributes);
+
+    return { updatedState: state };
+  }
+
+  static setProperties( state, layerID, annotationID, properties ) {
+    state = state.mergeIn(['scene', 'layers', layerID, 'annotations', annotationID, 'properties'], properties);
+
+    return { updatedState: state };
+  }
+
+  static selectToolDrawingAnnotation(state, annotationType = ANNOTATION_TEXT) {
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ANNOTATION,
+      drawingSupport: new Map({
+        type: annotationType
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginDrawingAnnotation(state, layerID, x, y) {
+    let type = state.getIn(['drawingSupport', 'type']);
+
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    state = state.set('snapElements', SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex));
+    let { x: snapX, y: snapY, snap } = snapPoint(state, x, y);
+
+    state = Layer.unselectAll( state, layerID ).updatedState;
+
+    //annotations placed with a single click are added at once and selected, so that they can be edited
+    if (AnnotationUtils.annotationClicks(type) === 1) {
+      let { updatedState, annotation } = this.create( state, layerID, type, [{ x: snapX, y: snapY }] );
+      state = this.select( updatedState, layerID, annotation.id ).updatedState;
+      state = state.merge({ snapElements: new List(), activeSnapElement: null });
+
+      return { updatedState: state };
+    }
+
+    state = state.merge({
+      mode: MODE_DRAWING_ANNOTATION,
+      activeSnapElement: snap ? snap.snap : null,
+      drawingSupport: state.drawingSupport.merge({
+        layerID,
+        points: new List([new Map({ x: snapX, y: snapY })]),
+        cursor: new Map({ x: snapX, y: snapY })
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateDrawingAnnotation(state, x, y) {
+    let { x: snapX, y: snapY, snap } = snapPoint(state, x, y);
+
+    state = state.merge({
+      drawingSupport: state.drawingSupport.set('cursor', new Map({ x: snapX, y: snapY })),
+      activeSnapElement: snap ? snap.snap : null
+    });
+
+    return { updatedState: state };
+  }
+
+  static endDrawingAnnotation(state, x, y) {
+    let drawingSupport = state.drawingSupport;
+    let layerID = drawingSupport.get('layerID');
+    let type = drawingSupport.get('type');
+    let first = drawingSupport.getIn(['points', 0]).toJS();
+
+    ({ x, y } = snapPoint(state, x, y));
+    if (GeometryUtils.samePoints(first, { x, y })) return { updatedState: state };
+
+    let points = AnnotationUtils.annotationPoints(type, [first, { x, y }]);
+    if (!points) return { updatedState: state };
+
+    let { updatedState, annotation } = this.create( state, layerID, type, points );
+    state = this.select( updatedState, layerID, annotation.id ).updatedState;
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ANNOTATION,
+      snapElements: new List(),
+      activeSnapElement: null,
+      drawingSupport: new Map({ type })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginDraggingAnnotation(state, layerID, annotationID, x, y) {
+    let annotation = state.getIn(['scene', 'layers', layerID, 'annotations', annotationID]);
+
+    state = state.merge({
+      mode: MODE_DRAGGING_ANNOTATION,
+      draggingSupport: Map({
+        layerID,
+        annotationID,
+        startPointX: x,
+        startPointY: y,
+        originalPoints: annotation.points
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateDraggingAnnotation(state, x, y) {
+    let { draggingSupport } = state;
+
+    let layerID = draggingSupport.get('layerID');
+    let annotationID = draggingSupport.get('annotationID');
+    let diffX = x - draggingSupport.get('startPointX');
+    let diffY = y - draggingSupport.get('startPointY');
+
+    let points = draggingSupport.get('originalPoints')
+      .map(point => point.merge({ x: point.get('x') + diffX, y: point.get('y') + diffY }));
+
+    state = state.setIn(['scene', 'layers', layerID, 'annotations', annotationID, 'points'], points);
+
+    return { updatedState: state };
+  }
+
+  static endDraggingAnnotation(state, x, y) {
+    state = this.updateDraggingAnnotation(state, x, y).updatedState;
+    state = state.merge({ mode: MODE_IDLE });
+
+    return { updatedState: state };
+  }
+
+}
+
+export { Annotation as default };
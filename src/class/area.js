@@ -85,7 +85,12 @@ class Area{
     return this.updateProperties( state, layerID, areaID, fromJS(properties) );
   }
 
-  static setAttributes( state ) {
+  //the shape of the areas comes from the walls, only their name is set
+  static setAttributes( state, layerID, areaID, areaAttributes ) {
+    if (areaAttributes.has('name')) {
+      state = state.setIn(['scene', 'layers', layerID, 'areas', areaID, 'name'], areaAttributes.get('name'));
+    }
+
     return { updatedState: state };
   }
 
@@ -0,0 +1,118 @@
+import { Map } from 'immutable';
+import { GeometryUtils } from '../utils/export';
+import { BackgroundImage as BackgroundImageModel } from '../models';
+import {
+  MODE_IDLE,
+  MODE_UPLOADING_IMAGE,
+  MODE_FITTING_IMAGE
+} from '../constants';
+
+class BackgroundImage {
+
+  static selectToolUpload(state) {
+    state = state.merge({
+      mode: MODE_UPLOADING_IMAGE,
+      drawingSupport: new Map({
+        layerID: state.getIn(['scene', 'selectedLayer'])
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginUploading(state) {
+    state = state.setIn(['drawingSupport', 'loading'], true);
+
+    return { updatedState: state };
+  }
+
+  static endUploading(state, src, width, height, name) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']) || state.getIn(['scene', 'selectedLayer']);
+    let { width: sceneWidth, height: sceneHeight } = state.scene;
+
+    //one pixel for each scene unit, shrunk when the image doesn't fit the scene
+    let scale = Math.min(1, sceneWidth / width, sceneHeight / height);
+
+    let image = new BackgroundImageModel({
+      src,
+      name: name || '',
+      width: width * scale,
+      height: height * scale
+    });
+
+    state = state.setIn(['scene', 'layers', layerID, 'backgroundImage'], image);
+    state = state.merge({
+      mode: MODE_FITTING_IMAGE,
+      drawingSupport: new Map({ layerID })
+    });
+
+    return { updatedState: state };
+  }
+
+  static selectToolFit(state, layerID) {
+    let image = state.getIn(['scene', 'layers', layerID, 'backgroundImage']);
+    if (!image || image.locked) return { updatedState: state };
+
+    state = state.merge({
+      mode: MODE_FITTING_IMAGE,
+      drawingSupport: new Map({ layerID })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginFitting(state, x, y) {
+    state = state.setIn(['drawingSupport', 'fitStart'], new Map({ x, y }));
+
+    return { updatedState: state };
+  }
+
+  static endFitting(state, x, y, distance) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let fitStart = state.getIn(['drawingSupport', 'fitStart']);
+    let image = state.getIn(['scene', 'layers', layerID, 'backgroundImage']);
+
+    if (image && fitStart) {
+      let x0 = fitStart.get('x');
+      let y0 = fitStart.get('y');
+      let measured = GeometryUtils.pointsDistance(x0, y0, x, y);
+
+      if (measured > 0 && distance > 0) {
+        //scale around the first picked point, so it stays where it was clicked
+        let factor = distance / measured;
+
+        image = image.merge({
+          x: x0 + (image.x - x0) * factor,
+          y: y0 + (image.y - y0) * factor,
+          width: image.width * factor,
+          height: image.height * factor
+        });
+
+        state = state.setIn(['scene', 'layers', layerID, 'backgroundImage'], image);
+      }
+    }
+
+    state = state.merge({
+      mode: MODE_IDLE,
+      drawingSupport: new Map()
+    });
+
+    return { updatedState: state };
+  }
+
+  static setAttributes(state, layerID, attributes) {
+    if (!state.getIn(['scene', 'layers', layerID, 'backgroundImage'])) return { updatedState: state };
+
+    state = state.mergeIn(['scene', 'layers', layerID, 'backgroundImage'], attributes);
+
+    return { updatedState: state };
+  }
+
+  static remove(state, layerID) {
+    state = state.setIn(['scene', 'layers', layerID, 'backgroundImage'], null);
+
+    return { updatedState: state };
+  }
+}
+
+export { BackgroundImage as default };
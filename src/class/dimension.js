@@ -0,0 +1,335 @@
+import { Map, List, fromJS } from 'immutable';
+import { Layer, Group } from './export';
+import {
+  IDBroker,
+  NameGenerator,
+  GeometryUtils,
+  SnapUtils,
+  SnapSceneUtils,
+  DimensionUtils
+} from '../utils/export';
+import { Dimension as DimensionModel } from '../models';
+import {
+  MODE_WAITING_DRAWING_DIMENSION,
+  MODE_DRAWING_DIMENSION,
+  DIMENSION_LINEAR,
+  DIMENSION_ANGULAR,
+  DIMENSION_CHAIN
+} from '../constants';
+
+//a click closer than this to a wall picks it for angular and chain dimensions
+const LINE_PICK_DISTANCE = 20;
+
+//a dimension point is bound to the vertex it was placed on, so it follows it when it moves
+function dimensionPoint(layer, x, y) {
+  let vertex = layer.vertices.find(vertex => GeometryUtils.samePoints(vertex, {x, y}));
+  return new Map({ x, y, vertex: vertex ? vertex.id : null });
+}
+
+function vertexPoint(vertex) {
+  return new Map({ x: vertex.x, y: vertex.y, vertex: vertex.id });
+}
+
+function nearestLine(layer, x, y) {
+  let nearest = layer.lines.reduce((best, line) => {
+    let v0 = layer.vertices.get(line.vertices.get(0));
+    let v1 = layer.vertices.get(line.vertices.get(1));
+    let distance = GeometryUtils.distancePointFromArc(v0.x, v0.y, v1.x, v1.y, line.bulge, x, y);
+
+    return !best || distance < best.distance ? { line, distance } : best;
+  }, null);
+
+  return nearest && nearest.distance <= LINE_PICK_DISTANCE ? nearest.line : null;
+}
+
+//center and arms of the angle between two walls, the arms end on the wall ends away from the center
+function anglePoints(layer, lineA, lineB) {
+  if (lineA.id === lineB.id || GeometryUtils.isArc(lineA.bulge) || GeometryUtils.isArc(lineB.bulge)) return null;
+
+  let [a0, a1] = lineA.vertices.map(id => layer.vertices.get(id)).toArray();
+  let [b0, b1] = lineB.vertices.map(id => layer.vertices.get(id)).toArray();
+  let shared = [a0, a1].find(a => [b0, b1].some(b => b.id === a.id));
+
+  if (shared) {
+    return new List([
+      vertexPoint(shared),
+      vertexPoint(a0.id === shared.id ? a1 : a0),
+      vertexPoint(b0.id === shared.id ? b1 : b0)
+    ]);
+  }
+
+  let denominator = (a1.x - a0.x) * (b1.y - b0.y) - (a1.y - a0.y) * (b1.x - b0.x);
+  if (Math.abs(denominator) < 1e-9) return null;
+
+  let t = ((b0.x - a0.x) * (b1.y - b0.y) - (b0.y - a0.y) * (b1.x - b0.x)) / denominator;
+  let center = { x: a0.x + t * (a1.x - a0.x), y: a0.y + t * (a1.y - a0.y) };
+  let farthest = (v0, v1) =>
+    GeometryUtils.verticesDistance(center, v0) > GeometryUtils.verticesDistance(center, v1) ? v0 : v1;
+
+  return new List([
+    dimensionPoint(layer, center.x, center.y),
+    vertexPoint(farthest(a0, a1)),
+    vertexPoint(farthest(b0, b1))
+  ]);
+}
+
+//only the points that change are set, so the layer is untouched when no dimension is involved
+function updateDimensionPoints(state, layerID, update) {
+  state.getIn(['scene', 'layers', layerID, 'dimensions']).forEach(dimension => {
+    dimension.points.forEach((point, index) => {
+      let updated = update(point);
+      if (updated !== point) {
+        state = state.setIn(['scene', 'layers', layerID, 'dimensions', dimension.id, 'points', index], updated);
+      }
+    });
+  });
+
+  return state;
+}
+
+//dimension being drawn, once all its points are known
+function drawnDimension(drawingSupport) {
+  let points = drawingSupport.get('points');
+  let type = drawingSupport.get('type');
+
+  if (!points || points.size < (type === DIMENSION_ANGULAR ? 3 : 2)) return null;
+
+  return new DimensionModel({ type, points });
+}
+
+class Dimension{
+
+  static create( state, layerID, type, points, offset = 0, angle = 0, properties = {} ) {
+    let dimensionID = IDBroker.acquireID();
+    let layer = state.getIn(['scene', 'layers', layerID]);
+
+    //points given only by their coordinates are bound to the vertices found there
+    points = new List(points).map(point => point.has('vertex') ? point : dimensionPoint(layer, point.get('x'), point.get('y')));
+
+    let dimension = new DimensionModel({
+      id: dimensionID,
+      type,
+      name: NameGenerator.generateName('dimensions', 'dimension'),
+      points,
+      offset,
+      angle,
+      properties: fromJS({
+        textSize: DimensionUtils.DEFAULT_TEXT_SIZE,
+        unit: state.scene.unit,
+        precision: DimensionUtils.DEFAULT_PRECISION
+      }).merge(properties)
+    });
+
+    state = state.setIn(['scene', 'layers', layerID, 'dimensions', dimensionID], dimension);
+
+    return { updatedState: state, dimension };
+  }
+
+  static createChain( state, layerID, lineID, offset ) {
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let run = DimensionUtils.wallRun(layer, lineID);
+
+    if (!run) return { updatedState: state, dimension: null };
+
+    let points = run.map(vertexID => vertexPoint(layer.vertices.get(vertexID)));
+
+    //by default the chain stands clear of the wall
+    if (offset === undefined) {
+      let thickness = layer.getIn(['lines', lineID, 'properties', 'thickness', 'length']) || 0;
+      offset = thickness / 2 + DimensionUtils.DEFAULT_TEXT_SIZE * 2;
+    }
+
+    return this.create( state, layerID, DIMENSION_CHAIN, points, offset );
+  }
+
+  static select( state, layerID, dimensionID ){
+    state = Layer.select( state, layerID ).updatedState;
+    state = Layer.selectElement( state, layerID, 'dimensions', dimensionID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static unselect( state, layerID, dimensionID ) {
+    state = Layer.unselect( state, layerID, 'dimensions', dimensionID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static remove( state, layerID, dimensionID ) {
+    state = this.unselect( state, layerID, dimensionID ).updatedState;
+    state = Layer.removeElement( state, layerID, 'dimensions', dimensionID ).updatedState;
+
+    state.getIn(['scene', 'groups']).forEach( group => state = Group.removeElement(state, group.id, layerID, 'dimensions', dimensionID).updatedState );
+
+    return { updatedState: state };
+  }
+
+  static setAttributes( state, layerID, dimensionID, dimensionAttributes ) {
+    state = state.mergeIn(['scene', 'layers', layerID, 'dimensions', dimensionID], dimensionAttributes);
+
+    return { updatedState: state };
+  }
+
+  static setProperties( state, layerID, dimensionID, properties ) {
+    state = state.mergeIn(['scene', 'layers', layerID, 'dimensions', dimensionID, 'properties'], properties);
+
+    return { updatedState: state };
+  }
+
+  /** @description Bind the dimension points left at the position of a new vertex to it */
+  static captureVertex( state, layerID, vertex ) {
+    state = updateDimensionPoints(state, layerID, point =>
+      !point.get('vertex') && GeometryUtils.samePoints(vertex, { x: point.get('x'), y: point.get('y') }) ?
+        vertexPoint(vertex) : point
+    );
+
+    return { updatedState: state };
+  }
+
+  /** @description Bind the dimension points of a vertex merged into another one to the vertex left */
+  static replaceVertex( state, layerID, vertexID, vertex ) {
+    state = updateDimensionPoints(state, layerID, point => point.get('vertex') === vertexID ? vertexPoint(vertex) : point);
+
+    return { updatedState: state };
+  }
+
+  /** @description Move the dimension points bound to a vertex being deleted to the vertex it is merged with,
+   *  or keep them at its last position until a vertex is added there, see removeReleased */
+  static releaseVertex( state, layerID, vertex ) {
+    let twin = state.getIn(['scene', 'layers', layerID, 'vertices'])
+      .find(other => other.id !== vertex.id && GeometryUtils.samePoints(other, vertex));
+    let released = twin ? vertexPoint(twin) : new Map({ x: vertex.x, y: vertex.y, vertex: null, released: true });
+
+    state = updateDimensionPoints(state, layerID, point => point.get('vertex') === vertex.id ? released : point);
+
+    return { updatedState: state };
+  }
+
+  /** @description Remove the dimensions with a point whose vertex was deleted and not added again, they would
+   *  measure where the vertex used to be */
+  static removeReleased( state, layerID ) {
+    state.getIn(['scene', 'layers', layerID, 'dimensions'])
+      .filter(dimension => dimension.points.some(point => point.get('released')))
+      .forEach(dimension => { state = this.remove( state, layerID, dimension.id ).updatedState; });
+
+    return { updatedState: state };
+  }
+
+  static selectToolDrawingDimension(state, dimensionType = DIMENSION_LINEAR) {
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_DIMENSION,
+      drawingSupport: new Map({
+        type: dimensionType
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginDrawingDimension(state, layerID, x, y) {
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let type = state.getIn(['drawingSupport', 'type']);
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex);
+    let drawingSupport = state.drawingSupport.merge({ layerID });
+
+    //angular and chain dimensions start from a wall, the other ones from a point
+    if (type === DIMENSION_ANGULAR || type === DIMENSION_CHAIN) {
+      let line = nearestLine(layer, x, y);
+      if (!line) return { updatedState: state };
+
+      if (type === DIMENSION_CHAIN) {
+        let run = DimensionUtils.wallRun(layer, line.id);
+        if (!run) return { updatedState: state };
+        drawingSupport = drawingSupport.set('points', new List(run.map(vertexID => vertexPoint(layer.vertices.get(vertexID)))));
+      }
+      else {
+        drawingSupport = drawingSupport.set('lineID', line.id);
+      }
+    }
+    else {
+      let snap = null;
+      if (state.snapMask && !state.snapMask.isEmpty()) {
+        snap = SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
+        if (snap) ({ x, y } = snap.point);
+      }
+
+      drawingSupport = drawingSupport.set('points', new List([dimensionPoint(layer, x, y)]));
+      state = state.set('activeSnapElement', snap ? snap.snap : null);
+    }
+
+    state = Layer.unselectAll( state, layerID ).updatedState;
+
+    state = state.merge({
+      mode: MODE_DRAWING_DIMENSION,
+      snapElements,
+      drawingSupport: drawingSupport.set('cursor', new Map({ x, y }))
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateDrawingDimension(state, x, y) {
+    let snap = null;
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      if (snap) ({ x, y } = snap.point);
+    }
+
+    state = state.merge({
+      drawingSupport: state.drawingSupport.set('cursor', new Map({ x, y })),
+      activeSnapElement: snap ? snap.snap : null
+    });
+
+    return { updatedState: state };
+  }
+
+  static endDrawingDimension(state, x, y) {
+    let drawingSupport = state.drawingSupport;
+    let layerID = drawingSupport.get('layerID');
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let type = drawingSupport.get('type');
+
+    //the second wall of an angular dimension is picked where it is clicked, without snapping
+    if (type === DIMENSION_ANGULAR && !drawingSupport.get('points')) {
+      let line = nearestLine(layer, x, y);
+      let points = line ? anglePoints(layer, layer.lines.get(drawingSupport.get('lineID')), line) : null;
+
+      if (points) state = state.set('drawingSupport', drawingSupport.set('points', points).delete('lineID'));
+      return { updatedState: state };
+    }
+
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      let snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      if (snap) ({ x, y } = snap.point);
+    }
+
+    let dimension = drawnDimension(drawingSupport);
+
+    if (!dimension) {
+      let first = drawingSupport.getIn(['points', 0]);
+
+      if (!GeometryUtils.samePoints({ x: first.get('x'), y: first.get('y') }, { x, y })) {
+        drawingSupport = drawingSupport.update('points', points => points.push(dimensionPoint(layer, x, y)));
+      }
+
+      state = state.set('drawingSupport', drawingSupport.set('cursor', new Map({ x, y })));
+      return { updatedState: state };
+    }
+
+    dimension = DimensionUtils.placeDimension(layer, dimension, x, y);
+    state = this.create( state, layerID, type, dimension.points, dimension.offset, dimension.angle ).updatedState;
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_DIMENSION,
+      snapElements: new List(),
+      activeSnapElement: null,
+      drawingSupport: new Map({ type })
+    });
+
+    return { updatedState: state };
+  }
+
+}
+
+export { Dimension as default };
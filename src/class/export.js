@@ -6,7 +6,12 @@ import Hole from './hole';
 import Vertex from './vertex';
 import Area from './area';
 import Item from './item';
+import Dimension from './dimension';
+import Annotation from './annotation';
+import Transform from './transform';
+import BackgroundImage from './background-image';
 import { HorizontalGuide, VerticalGuide } from './guide';
+import PlanBuilder from './plan-builder';
 
 export {
   Project,
@@ -17,8 +22,13 @@ export {
   Vertex,
   Area,
   Item,
+  Dimension,
+  Annotation,
+  Transform,
+  BackgroundImage,
   HorizontalGuide,
-  VerticalGuide
+  VerticalGuide,
+  PlanBuilder
 };
 
 export default {
@@ -30,6 +40,11 @@ export default {
   Vertex,
   Area,
   Item,
+  Dimension,
+  Annotation,
+  Transform,
+  BackgroundImage,
   HorizontalGuide,
-  VerticalGuide
+  VerticalGuide,
+  PlanBuilder
 };
@@ -77,7 +77,7 @@ class Group{
       }
     });
 
-    return {updatedState: state};
+    return {updatedState: state, group: state.getIn(['scene', 'groups', groupID])};
   }
 
   static addElement( state, groupID, layerID, elementPrototype, elementID ){
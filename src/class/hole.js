@@ -3,12 +3,14 @@ import {Layer, Group} from './export';
 
 import {
   IDBroker,
-  NameGenerator
+  NameGenerator,
+  SnapSceneUtils
 } from '../utils/export';
 
 import {
   nearestSnap,
   addLineSegmentSnap,
+  addArcSnap,
 } from '../utils/snap';
 
 import {
@@ -21,6 +23,15 @@ import {
   GeometryUtils
 } from '../utils/export';
 
+//holes on arc lines are placed by their distance along the arc, from the first vertex of the line
+function arcHoleOffset(v0, v1, bulge, width, x, y) {
+  let length = GeometryUtils.arcLength(v0.x, v0.y, v1.x, v1.y, bulge);
+  let {t} = GeometryUtils.closestPointFromArc(v0.x, v0.y, v1.x, v1.y, bulge, x, y);
+  let margin = Math.min(width / 2 / length, 0.5);
+
+  return Math.min(Math.max(t, margin), 1 - margin);
+}
+
 class Hole {
 
   static create(state, layerID, type, lineID, offset, properties) {
@@ -72,16 +83,8 @@ class Hole {
 
   static selectToolDrawingHole(state, sceneComponentType) {
 
-    let snapElements = (new List()).withMutations(snapElements => {
-      let {lines, vertices} = state.getIn(['scene', 'layers', state.scene.selectedLayer]);
-
-      lines.forEach(line => {
-        let {x: x1, y: y1} = vertices.get(line.vertices.get(0));
-        let {x: x2, y: y2} = vertices.get(line.vertices.get(1));
-
-        addLineSegmentSnap(snapElements, x1, y1, x2, y2, 20, 1, line.id);
-      });
-    });
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    let snapElements = SnapSceneUtils.layerSnapElements(state.scene, state.scene.selectedLayer, new List(), new Map({SNAP_SEGMENT: true}), state.snapIndex);
 
     state = state.merge({
       mode: MODE_DRAWING_HOLE,
@@ -107,6 +110,7 @@ class Hole {
     if (snap) {
       let lineID = snap.snap.related.get(0);
 
+      let bulge = state.getIn(['scene', 'layers', layerID, 'lines', lineID, 'bulge']);
       let vertices = state.getIn(['scene', 'layers', layerID, 'lines', lineID, 'vertices']);
       let {x: x1, y: y1} = state.getIn(['scene', 'layers', layerID, 'vertices', vertices.get(0)]);
       let {x: x2, y: y2} = state.getIn(['scene', 'layers', layerID, 'vertices', vertices.get(1)]);
@@ -134,7 +138,9 @@ class Hole {
       };
 
       let offset;
-      if (x < minLeftVertexHole.x) {
+      if (GeometryUtils.isArc(bulge)) {
+        offset = arcHoleOffset({x: x1, y: y1}, {x: x2, y: y2}, bulge, width, x, y);
+      } else if (x < minLeftVertexHole.x) {
         offset = GeometryUtils.pointPositionOnLineSegment(minVertex.x, minVertex.y,
           maxVertex.x, maxVertex.y,
           minLeftVertexHole.x, minLeftVertexHole.y);
@@ -211,7 +217,9 @@ class Hole {
     let v0 = layer.getIn(['vertices', line.vertices.get(0)]);
     let v1 = layer.getIn(['vertices', line.vertices.get(1)]);
 
-    let snapElements = addLineSegmentSnap(List(), v0.x, v0.y, v1.x, v1.y, 9999999, 1, null);
+    let snapElements = GeometryUtils.isArc(line.bulge) ?
+      addArcSnap(List(), v0.x, v0.y, v1.x, v1.y, line.bulge, 9999999, 1, null) :
+      addLineSegmentSnap(List(), v0.x, v0.y, v1.x, v1.y, 9999999, 1, null);
 
     state = state.merge({
       mode: MODE_DRAGGING_HOLE,
@@ -286,7 +294,9 @@ class Hole {
 
     let offset;
 
-    if (x < minLeftVertexHole.x) {
+    if (GeometryUtils.isArc(line.bulge)) {
+      offset = arcHoleOffset(v0, v1, line.bulge, width, x, y);
+    } else if (x < minLeftVertexHole.x) {
       // Snap point is previous the the line
       offset = GeometryUtils.pointPositionOnLineSegment(minVertex.x, minVertex.y,
         maxVertex.x, maxVertex.y,
@@ -1,17 +1,53 @@
 import { Layer, Group } from './export';
 import {
   IDBroker,
-  NameGenerator
+  NameGenerator,
+  SnapUtils,
+  SnapSceneUtils,
+  TransformUtils
 } from '../utils/export';
-import { Map, fromJS } from 'immutable';
+import { Map, List, fromJS } from 'immutable';
 
 import {
   MODE_IDLE,
   MODE_DRAWING_ITEM,
   MODE_DRAGGING_ITEM,
-  MODE_ROTATING_ITEM
+  MODE_ROTATING_ITEM,
+  MODE_ARRAYING_ITEMS,
+  ARRAY_RECTANGULAR
 } from '../constants';
 
+//the spacing of the arrays leaves half an item between the copies, for the items without a size it is this one
+const DEFAULT_ARRAY_SPACING = 100;
+
+//what a new array starts with, the spacings come from the size of the copied items
+function arrayParameters(items) {
+  let first = items.first();
+  let spacing = size => size ? Math.round(size * 1.5) : DEFAULT_ARRAY_SPACING;
+
+  return {
+    rows: 2,
+    columns: 3,
+    columnSpacing: spacing(first && first.getIn(['properties', 'width', 'length'])),
+    rowSpacing: spacing(first && first.getIn(['properties', 'depth', 'length'])),
+    count: 6,
+    angle: 360,
+    rotate: true,
+    group: false
+  };
+}
+
+function selectedItems(layer) {
+  return layer.selected.items.map(itemID => layer.items.get(itemID)).filter(item => item);
+}
+
+function itemsCenter(items) {
+  let xs = items.map(item => item.x).toArray();
+  let ys = items.map(item => item.y).toArray();
+
+  return { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+}
+
 class Item{
 
   static create( state, layerID, type, x, y, width, height, rotation ) {
@@ -165,7 +201,7 @@ class Item{
 
     let deltaX = x - item.x;
     let deltaY = y - item.y;
-    let rotation = Math.atan2(deltaY, deltaX) * 180 / Math.PI - 90;
+    let rotation = SnapUtils.snapAngle(Math.atan2(deltaY, deltaX) * 180 / Math.PI - 90, state.snapMask);
 
     if (-5 < rotation && rotation < 5) rotation = 0;
     if (-95 < rotation && rotation < -85) rotation = -90;
@@ -191,6 +227,92 @@ class Item{
     return { updatedState: state };
   }
 
+  /** @description Copy the selected items of a layer in a rectangular or a polar array. The copies are selected with
+   *  the originals, and put together with them in a new group when asked to
+   *  @param {object} state State
+   *  @param {string} layerID Layer holding the selection
+   *  @param {string} arrayType Array type
+   *  @param {object} parameters Array parameters, see TransformUtils.arrayTransforms, group: make a group
+   *  @param {number} x Cursor x, the center of the polar arrays
+   *  @param {number} y Cursor y
+   */
+  static createArray( state, layerID, arrayType, parameters, x, y ) {
+    let items = selectedItems(state.getIn(['scene', 'layers', layerID]));
+    if (items.isEmpty()) return { updatedState: state };
+
+    parameters = { ...arrayParameters(items), ...parameters };
+    let transforms = TransformUtils.arrayTransforms(arrayType, parameters, itemsCenter(items), { x, y });
+
+    transforms.forEach(transform => items.forEach(item => {
+      let { x: copyX, y: copyY } = TransformUtils.transformPoint(transform, item.x, item.y);
+      let rotation = TransformUtils.transformRotation(transform, item.rotation);
+
+      let { updatedState, item: copy } = this.create( state, layerID, item.type, copyX, copyY, item.width, item.height, rotation );
+      state = this.setProperties( updatedState, layerID, copy.id, item.properties ).updatedState;
+      state = Layer.selectElement( state, layerID, 'items', copy.id ).updatedState;
+    }));
+
+    if (parameters.group && transforms.length) {
+      let { updatedState, group } = Group.createFromSelectedElements( state );
+      state = Group.setAttributes( updatedState, group.id, new Map({ name: NameGenerator.generateName('groups', 'array') }) ).updatedState;
+    }
+
+    return { updatedState: state };
+  }
+
+  static selectToolItemsArray( state, arrayType = ARRAY_RECTANGULAR, parameters = {} ) {
+    let layerID = state.scene.selectedLayer;
+    let items = selectedItems(state.getIn(['scene', 'layers', layerID]));
+    if (items.isEmpty()) return { updatedState: state };
+
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    state = state.merge({
+      mode: MODE_ARRAYING_ITEMS,
+      snapElements: SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex),
+      activeSnapElement: null,
+      drawingSupport: new Map({
+        type: arrayType,
+        layerID,
+        center: new Map(itemsCenter(items)),
+        ...arrayParameters(items),
+        ...parameters
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateItemsArray( state, x, y ) {
+    let snap = null;
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      if (snap) ({ x, y } = snap.point);
+    }
+
+    state = state.merge({
+      drawingSupport: state.drawingSupport.set('cursor', new Map({ x, y })),
+      activeSnapElement: snap ? snap.snap : null
+    });
+
+    return { updatedState: state };
+  }
+
+  static endItemsArray( state, x, y ) {
+    state = this.updateItemsArray( state, x, y ).updatedState;
+
+    let { type, layerID, cursor, center, ...parameters } = state.drawingSupport.toJS();
+
+    state = this.createArray( state, layerID, type, parameters, cursor.x, cursor.y ).updatedState;
+    state = state.merge({
+      mode: MODE_IDLE,
+      snapElements: new List(),
+      activeSnapElement: null,
+      drawingSupport: new Map()
+    });
+
+    return { updatedState: state };
+  }
+
   static setProperties( state, layerID, itemID, properties ) {
     state = state.mergeIn(['scene', 'layers', layerID, 'items', itemID, 'properties'], properties);
 
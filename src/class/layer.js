@@ -1,13 +1,136 @@
-import { List } from 'immutable';
-import { Project, Area, Line, Hole, Item, Vertex } from './export';
+import { List, Map } from 'immutable';
+import polylabel from 'polylabel';
+import { Project, Area, Line, Hole, Item, Vertex, Dimension, Annotation } from './export';
 import {
   GraphInnerCycles,
   GeometryUtils,
+  RoofUtils,
+  StoreyUtils,
   IDBroker
 } from '../utils/export';
 import { Layer as LayerModel } from '../models';
 
-const sameSet = (set1, set2) => set1.size === set2.size && set1.isSuperset(set2) && set1.isSubset(set2);
+//the areas are told apart by their vertices, in whatever order
+const verticesKey = vertices => vertices.sort().join(',');
+
+const sameVertex = (v1, v2) => v1 === v2 || (!!v1 && !!v2 && v1.x === v2.x && v1.y === v2.y);
+const sameLine = (l1, l2) => l1 === l2 || (!!l1 && !!l2 && l1.bulge === l2.bulge && l1.vertices.equals(l2.vertices));
+
+function storeDetectedGraph(state, layerID) {
+  let { vertices, lines } = state.getIn(['scene', 'layers', layerID]);
+  return state.setIn(['detectedGraphs', layerID], new Map({ vertices, lines }));
+}
+
+//the vertices connected to the walls edited since the areas were last detected, all of them the first time. The
+//areas of the other walls cannot have changed
+function touchedComponent(layer, detected) {
+  let { vertices, lines } = layer;
+  let seeds = [];
+
+  if (!detected) {
+    seeds = vertices.keySeq().toArray();
+  } else if (detected.get('vertices') !== vertices || detected.get('lines') !== lines) {
+    let detectedVertices = detected.get('vertices');
+    let detectedLines = detected.get('lines');
+
+    let touchLine = line => line.vertices.forEach(vertexID => seeds.push(vertexID));
+
+    detectedVertices.forEach((vertex, vertexID) => {
+      if (sameVertex(vertex, vertices.get(vertexID))) return;
+
+      seeds.push(vertexID);
+      vertex.lines.forEach(lineID => detectedLines.has(lineID) && touchLine(detectedLines.get(lineID)));
+    });
+    vertices.forEach((vertex, vertexID) => { if (!detectedVertices.has(vertexID)) seeds.push(vertexID); });
+
+    detectedLines.forEach((line, lineID) => { if (!sameLine(line, lines.get(lineID))) touchLine(line); });
+    lines.forEach((line, lineID) => { if (!detectedLines.has(lineID)) touchLine(line); });
+  }
+
+  let neighbours = {};
+  if (seeds.length) {
+    lines.forEach(line => {
+      let [v0, v1] = line.vertices.toArray();
+      (neighbours[v0] = neighbours[v0] || []).push(v1);
+      (neighbours[v1] = neighbours[v1] || []).push(v0);
+    });
+  }
+
+  let component = new Set();
+  seeds = seeds.filter(vertexID => vertices.has(vertexID));
+  while (seeds.length) {
+    let vertexID = seeds.pop();
+    if (component.has(vertexID)) continue;
+
+    component.add(vertexID);
+    (neighbours[vertexID] || []).forEach(neighbour => seeds.push(neighbour));
+  }
+
+  return component;
+}
+
+const areaPoints = (vertices, vertexIDs) => vertexIDs.map(vertexID => vertices.get(vertexID)).filter(vertex => vertex).toArray();
+
+const pointsBox = points => points.reduce((box, {x, y}) => ({
+  minX: Math.min(box.minX, x), minY: Math.min(box.minY, y), maxX: Math.max(box.maxX, x), maxY: Math.max(box.maxY, y)
+}), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+//whether a box lies in another one grown by a margin
+const boxInside = (inner, outer, margin) =>
+  inner.minX >= outer.minX - margin && inner.maxX <= outer.maxX + margin &&
+  inner.minY >= outer.minY - margin && inner.maxY <= outer.maxY + margin;
+
+//the arcs bulge out of the box of their vertices, by less than their bulge times their chord
+function arcsMargin(layer) {
+  return layer.lines.reduce((margin, line) => {
+    if (!GeometryUtils.isArc(line.bulge)) return margin;
+
+    let [v0, v1] = line.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+    return Math.max(margin, Math.abs(line.bulge) * GeometryUtils.verticesDistance(v0, v1));
+  }, 0);
+}
+
+//the areas replaced by an edit hand their room over to the new areas lying in them, the innermost one when they are
+//nested. All of them take the properties, only the largest takes the name and the number: a room split in two is not
+//numbered twice
+function inheritRooms(state, layerID, replaced, added) {
+  let vertices = state.getIn(['scene', 'layers', layerID, 'vertices']);
+  let areas = state.getIn(['scene', 'layers', layerID, 'areas']);
+  let ring = points => points.map(({x, y}) => [x, y]);
+  let heirs = {};
+
+  added.forEach(area => {
+    let points = areaPoints(vertices, area.vertices);
+    let holes = areas.getIn([area.id, 'holes'])
+      .filter(holeID => areas.has(holeID))
+      .map(holeID => ring(areaPoints(vertices, areas.getIn([holeID, 'vertices']))))
+      .toArray();
+    let [x, y] = polylabel([ring(points), ...holes], 1.0);
+
+    let parent = replaced
+      .filter(({polygon}) => GeometryUtils.ContainsPoint(polygon, x, y))
+      .sort((a, b) => a.size - b.size)[0];
+    if (!parent) return;
+
+    state = state.mergeIn(['scene', 'layers', layerID, 'areas', area.id, 'properties'],
+      parent.area.properties.delete('roomNumber'));
+
+    let size = Math.abs(GeometryUtils.polygonSignedArea(points));
+    let heir = heirs[parent.area.id];
+    if (!heir || heir.size < size) heirs[parent.area.id] = { parent: parent.area, areaID: area.id, size };
+  });
+
+  Object.keys(heirs).forEach(parentID => {
+    let { parent, areaID } = heirs[parentID];
+
+    state = state.updateIn(['scene', 'layers', layerID, 'areas', areaID], area => area.merge({
+      name: parent.name,
+      properties: area.properties.set('roomNumber', parent.properties.get('roomNumber'))
+    }));
+  });
+
+  return state;
+}
 
 class Layer{
 
@@ -24,6 +147,28 @@ class Layer{
     return { updatedState: state };
   }
 
+  static createStorey( state, copyOuterWalls ) {
+    let below = StoreyUtils.storeys(state.scene).last();
+
+    state = this.create( state, null, below.altitude + below.height ).updatedState;
+    let layerID = state.scene.selectedLayer;
+    state = this.setProperties( state, layerID, { height: below.height, slabThickness: below.slabThickness } ).updatedState;
+
+    if (copyOuterWalls) {
+      RoofUtils.outerLines(below).forEach(line => {
+        let [v0, v1] = line.vertices.map(vertexID => below.vertices.get(vertexID)).toArray();
+        let properties = line.properties.set('height', new Map({ length: below.height }));
+        let { updatedState, line: copy } = Line.create( state, layerID, line.type, v0.x, v0.y, v1.x, v1.y, properties );
+
+        state = line.bulge ? updatedState.setIn(['scene', 'layers', layerID, 'lines', copy.id, 'bulge'], line.bulge) : updatedState;
+      });
+
+      state = this.detectAndUpdateAreas( state, layerID ).updatedState;
+    }
+
+    return { updatedState: state };
+  }
+
   static select( state, layerID ) {
     if( !state.get('alterate') ) state = Project.unselectAll( state ).updatedState;
     state = state.setIn(['scene', 'selectedLayer'], layerID);
@@ -33,24 +178,26 @@ class Layer{
 
   static selectElement( state, layerID, elementPrototype, elementID ){
     state = state.setIn(['scene', 'layers', layerID, elementPrototype, elementID, 'selected'], true);
-    state = state.updateIn(['scene', 'layers', layerID, 'selected', elementPrototype], elems => elems.push(elementID));
+    state = state.updateIn(['scene', 'layers', layerID, 'selected', elementPrototype], elems => elems.includes(elementID) ? elems : elems.push(elementID));
 
     return { updatedState: state };
   }
 
   static unselect( state, layerID, elementPrototype, elementID ){
     state = state.setIn(['scene', 'layers', layerID, elementPrototype, elementID, 'selected'], false);
-    state = state.updateIn(['scene', 'layers', layerID, 'selected', elementPrototype], elems => elems.filter( el => el.id === elementID ));
+    state = state.updateIn(['scene', 'layers', layerID, 'selected', elementPrototype], elems => elems.filter( el => el !== elementID ));
     return { updatedState: state };
   }
 
   static unselectAll( state, layerID ) {
-    let { lines, holes, items, areas } = state.getIn(['scene', 'layers', layerID]);
+    let { lines, holes, items, areas, dimensions, annotations } = state.getIn(['scene', 'layers', layerID]);
 
     if( lines ) lines.forEach( line => { state = Line.unselect( state, layerID, line.id ).updatedState; });
     if( holes ) holes.forEach( hole => { state = Hole.unselect( state, layerID, hole.id ).updatedState; });
     if( items ) items.forEach( item => { state = Item.unselect( state, layerID, item.id ).updatedState; });
     if( areas ) areas.forEach( area => { state = Area.unselect( state, layerID, area.id ).updatedState; });
+    if( dimensions ) dimensions.forEach( dimension => { state = Dimension.unselect( state, layerID, dimension.id ).updatedState; });
+    if( annotations ) annotations.forEach( annotation => { state = Annotation.unselect( state, layerID, annotation.id ).updatedState; });
 
     return { updatedState: state };
   }
@@ -64,6 +211,7 @@ class Layer{
 
   static remove( state, layerID ) {
     state = state.removeIn(['scene', 'layers', layerID]);
+    state = state.removeIn(['detectedGraphs', layerID]);
 
     state = state.setIn(
       ['scene', 'selectedLayer'],
@@ -81,102 +229,141 @@ class Layer{
 
   static detectAndUpdateAreas( state, layerID ) {
 
-    let verticesArray = [];           //array with vertices coords
-    let linesArray;                   //array with edges
+    //the walls are done changing, the vertices deleted for good take their dimensions with them
+    state = Dimension.removeReleased( state, layerID ).updatedState;
 
-    let vertexID_to_verticesArrayIndex = {};
-    let verticesArrayIndex_to_vertexID = {};
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let detected = state.getIn(['detectedGraphs', layerID]);
+    let component = touchedComponent(layer, detected);
+    let innerCyclesByVerticesID = new List();
 
-    state.getIn(['scene', 'layers', layerID, 'vertices']).forEach(vertex => {
-      let verticesCount = verticesArray.push([vertex.x, vertex.y]);
-      let latestVertexIndex = verticesCount - 1;
-      vertexID_to_verticesArrayIndex[vertex.id] = latestVertexIndex;
-      verticesArrayIndex_to_vertexID[latestVertexIndex] = vertex.id;
-    });
+    if (component.size) {
+      let verticesArray = [];           //array with vertices coords
+      let linesArray;                   //array with edges
 
-    linesArray = state.getIn(['scene', 'layers', layerID, 'lines'])
-      .map(line => line.vertices.map(vertexID => vertexID_to_verticesArrayIndex[vertexID]).toArray());
+      let vertexID_to_verticesArrayIndex = {};
+      let verticesArrayIndex_to_vertexID = {};
 
-    let innerCyclesByVerticesArrayIndex = GraphInnerCycles.calculateInnerCycles(verticesArray, linesArray);
+      component.forEach(vertexID => {
+        let vertex = layer.vertices.get(vertexID);
+        let verticesCount = verticesArray.push([vertex.x, vertex.y]);
+        let latestVertexIndex = verticesCount - 1;
+        vertexID_to_verticesArrayIndex[vertex.id] = latestVertexIndex;
+        verticesArrayIndex_to_vertexID[latestVertexIndex] = vertex.id;
+      });
 
-    let innerCyclesByVerticesID = new List(innerCyclesByVerticesArrayIndex)
-      .map(cycle => new List(cycle.map(vertexIndex => verticesArrayIndex_to_vertexID[vertexIndex])));
+      linesArray = [];
+      layer.lines.forEach(line => {
+        if (!component.has(line.vertices.get(0))) return;
 
-    // All area vertices should be ordered in counterclockwise order
-    innerCyclesByVerticesID = innerCyclesByVerticesID.map( ( area ) =>
-      GraphInnerCycles.isClockWiseOrder( area.map(vertexID => state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]) ) ) ? area.reverse() : area
-    );
+        let lineIndexes = line.vertices.map(vertexID => vertexID_to_verticesArrayIndex[vertexID]).toArray();
 
-    let areaIDs = [];
+        // Arcs are split in segments through extra points, so that the cycles follow their shape
+        if (GeometryUtils.isArc(line.bulge)) {
+          let [{x: x0, y: y0}, {x: x1, y: y1}] = lineIndexes.map(index => ({x: verticesArray[index][0], y: verticesArray[index][1]}));
+          let innerIndexes = GeometryUtils.arcPoints(x0, y0, x1, y1, line.bulge).slice(1, -1)
+            .map(({x, y}) => verticesArray.push([x, y]) - 1);
 
-    //remove areas
-    state.getIn(['scene', 'layers', layerID, 'areas']).forEach(area => {
-      let areaInUse = innerCyclesByVerticesID.some(vertices => sameSet(vertices, area.vertices));
-      if (!areaInUse) {
-        state = Area.remove( state, layerID, area.id ).updatedState;
-      }
-    });
+          lineIndexes = [lineIndexes[0], ...innerIndexes, lineIndexes[1]];
+        }
 
-    //add new areas
-    innerCyclesByVerticesID.forEach((cycle, ind) => {
-      let areaInUse = state.getIn(['scene', 'layers', layerID, 'areas']).find(area => sameSet(area.vertices, cycle));
+        for (let i = 1; i < lineIndexes.length; i++) linesArray.push([lineIndexes[i - 1], lineIndexes[i]]);
+      });
 
-      if (areaInUse) {
-        areaIDs[ind] = areaInUse.id;
-        state = state.setIn(['scene', 'layers', layerID, 'areas', areaIDs[ind], 'holes'], new List());
-      } else {
-        let areaVerticesCoords = cycle.map(vertexID => state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]));
-        let resultAdd = Area.add(state, layerID, 'area', areaVerticesCoords, state.catalog);
+      let innerCyclesByVerticesArrayIndex = GraphInnerCycles.calculateInnerCycles(verticesArray, linesArray);
 
-        areaIDs[ind] = resultAdd.area.id;
-        state = resultAdd.updatedState;
-      }
+      // All area vertices should be ordered in counterclockwise order, the extra points of the arcs are dropped after
+      innerCyclesByVerticesID = new List(innerCyclesByVerticesArrayIndex)
+        .map(cycle => {
+          let coords = new List(cycle.map(vertexIndex => ({x: verticesArray[vertexIndex][0], y: verticesArray[vertexIndex][1]})));
+          return GraphInnerCycles.isClockWiseOrder(coords) ? cycle.slice().reverse() : cycle;
+        })
+        .map(cycle => new List(cycle.map(vertexIndex => verticesArrayIndex_to_vertexID[vertexIndex]).filter(vertexID => vertexID)));
+    }
+
+    let cycleKeys = new Set(innerCyclesByVerticesID.map(verticesKey).toArray());
+
+    //remove the areas of the edited walls, the other areas are left as they are
+    let removedAreas = layer.areas.filter(area =>
+      area.vertices.some(vertexID => component.has(vertexID) || !layer.vertices.has(vertexID)) &&
+      !cycleKeys.has(verticesKey(area.vertices))
+    );
+    removedAreas.forEach(area => { state = Area.remove( state, layerID, area.id ).updatedState; });
+
+    //where the removed areas were before the edit
+    let detectedVertices = detected ? detected.get('vertices') : layer.vertices;
+    let replacedAreas = removedAreas.toArray().map(area => {
+      let points = areaPoints(detectedVertices, area.vertices);
+      return {
+        area,
+        polygon: [].concat(...points.map(({x, y}) => [x, y])),
+        box: pointsBox(points),
+        size: Math.abs(GeometryUtils.polygonSignedArea(points))
+      };
     });
+    let addedAreas = [];
 
-    // Build a relationship between areas and their coordinates
-    let verticesCoordsForArea = areaIDs.map(id => {
-      let vertices = state.getIn(['scene', 'layers', layerID, 'areas', id]).vertices.map(vertexID => {
-        let { x, y } = state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]);
-        return new List([x,y]);
-      });
-      return { id, vertices };
+    //add new areas, the areas already there keep their ID and their properties
+    let areasByVertices = {};
+    state.getIn(['scene', 'layers', layerID, 'areas']).forEach(area => areasByVertices[verticesKey(area.vertices)] = area);
+
+    innerCyclesByVerticesID.forEach(cycle => {
+      if (areasByVertices[verticesKey(cycle)]) return;
+
+      let areaVerticesCoords = cycle.map(vertexID => state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]));
+      let { updatedState, area } = Area.add(state, layerID, 'area', areaVerticesCoords, state.catalog);
+      state = updatedState;
+      addedAreas.push(area);
     });
 
-    // Find all holes for an area
-    let i, j;
-    for (i = 0; i < verticesCoordsForArea.length; i++) {
-      let holesList = new List(); // The holes for this area
-      let areaVerticesList = verticesCoordsForArea[i].vertices.flatten().toArray();
-      for (j = 0; j < verticesCoordsForArea.length; j++) {
-        if (i !== j) {
-          let isHole = GeometryUtils.ContainsPoint(areaVerticesList,
-            verticesCoordsForArea[j].vertices.get(0).get(0),
-            verticesCoordsForArea[j].vertices.get(0).get(1));
-          if (isHole) {
-            holesList = holesList.push(verticesCoordsForArea[j].id);
-          }
-        }
-      }
-      state = state.setIn(['scene', 'layers', layerID, 'areas', verticesCoordsForArea[i].id, 'holes'], holesList);
-    }
+    //nothing moved, the holes of the areas are the same
+    if (!component.size && !removedAreas.size) return { updatedState: storeDetectedGraph(state, layerID) };
 
-    // Remove holes which are already holes for other areas
-    areaIDs.forEach(areaID => {
-      let doubleHoles = new Set();
-      let areaHoles = state.getIn(['scene', 'layers', layerID, 'areas', areaID, 'holes']);
-      areaHoles.forEach((areaHoleID) => {
-        let holesOfholes = state.getIn(['scene', 'layers', layerID, 'areas', areaHoleID, 'holes']);
-        holesOfholes.forEach((holeID) => {
-          if (areaHoles.indexOf(holeID) !== -1) doubleHoles.add(holeID);
-        });
-      });
-      doubleHoles.forEach(doubleHoleID => {
-        areaHoles = areaHoles.remove( areaHoles.indexOf(doubleHoleID) );
-      });
-      state = state.setIn(['scene', 'layers', layerID, 'areas', areaID, 'holes'], areaHoles);
+    layer = state.getIn(['scene', 'layers', layerID]);
+    let { vertices, areas } = layer;
+    let areaIDs = areas.keySeq().toArray();
+    let margin = arcsMargin(layer);
+
+    let boxes = {};
+    areas.forEach(area => { boxes[area.id] = pointsBox(areaPoints(vertices, area.vertices)); });
+
+    //only the holes around the edit can change: the ones of the new and reshaped areas, and of the areas whose box
+    //holds or lies in the box of one of them or of a removed area. The holes of the other areas are left untouched
+    let changedIDs = areaIDs.filter(areaID => areas.getIn([areaID, 'vertices']).some(vertexID => component.has(vertexID)));
+    let changedBoxes = changedIDs.map(areaID => boxes[areaID])
+      .concat(replacedAreas.map(({box}) => box));
+
+    let affectedIDs = areaIDs.filter(areaID => changedIDs.includes(areaID) || changedBoxes.some(box =>
+      boxInside(boxes[areaID], box, margin) || boxInside(box, boxes[areaID], margin)
+    ));
+
+    let outlines = {};
+    let outline = areaID => outlines[areaID] ||
+      (outlines[areaID] = [].concat(...GeometryUtils.verticesOutline(layer, areas.getIn([areaID, 'vertices'])).map(({x, y}) => [x, y])));
+
+    //an area lies in another one when its first vertex does, the boxes rule most of them out
+    let inside = (areaID, outerID) => {
+      if (areaID === outerID || !boxInside(boxes[areaID], boxes[outerID], margin)) return false;
+
+      let { x, y } = vertices.get(areas.getIn([areaID, 'vertices', 0]));
+      return GeometryUtils.ContainsPoint(outline(outerID), x, y);
+    };
+
+    // The holes of an area are the areas in it, but the ones already holes of other areas in it
+    affectedIDs.forEach(areaID => {
+      let contained = areaIDs.filter(holeID => inside(holeID, areaID));
+      let areaHoles = new List(contained.filter(holeID => !contained.some(otherID => inside(holeID, otherID))));
+
+      //the areas left as they were are not changed, so that they are not drawn again
+      if (!areaHoles.equals(areas.getIn([areaID, 'holes']))) {
+        state = state.setIn(['scene', 'layers', layerID, 'areas', areaID, 'holes'], areaHoles);
+      }
     });
 
-    return { updatedState: state };
+    //the rooms are handed over once the holes of the new areas are known, their label point keeps clear of them
+    if (replacedAreas.length && addedAreas.length) state = inheritRooms(state, layerID, replacedAreas, addedAreas);
+
+    return { updatedState: storeDetectedGraph(state, layerID) };
   }
 
   static removeZeroLengthLines( state, layerID ) {
@@ -247,6 +434,7 @@ class Layer{
         reduced
       );
 
+      biReduced = Dimension.replaceVertex( biReduced, layerID, doubleVertex.id, vertex ).updatedState;
       state = Vertex.remove( biReduced, layerID, doubleVertex.id, null, null, true ).updatedState;
     });
 
@@ -281,7 +469,7 @@ class Layer{
     selected.lines.forEach(lineID => state = Line.setAttributes( state, layerID, lineID, attributes ).updatedState);
     selected.holes.forEach(holeID => state = Hole.setAttributes( state, layerID, holeID, attributes ).updatedState);
     selected.items.forEach(itemID => state = Item.setAttributes( state, layerID, itemID, attributes ).updatedState);
-    //selected.areas.forEach(areaID => state = Area.setAttributes( state, layerID, areaID, attributes ).updatedState);
+    selected.areas.forEach(areaID => state = Area.setAttributes( state, layerID, areaID, attributes ).updatedState);
 
     return { updatedState: state };
   }
@@ -16,9 +16,17 @@ import {
   MODE_IDLE,
   MODE_WAITING_DRAWING_LINE,
   MODE_DRAWING_LINE,
-  MODE_DRAGGING_LINE
+  MODE_DRAGGING_LINE,
+  MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM,
+  ROOM_WALLS_CENTERED,
+  ROOM_WALLS_INSIDE,
+  ROOM_WALLS_OUTSIDE
 } from '../constants';
 
+//a release closer than this to the press is a click, a click closer than this to the first point closes the room
+const ROOM_CLICK_DISTANCE = 10;
+
 class Line{
 
   static create( state, layerID, type, x0, y0, x1, y1, properties ) {
@@ -29,6 +37,12 @@ class Line{
     let { updatedState: stateV1, vertex: v1 } = Vertex.add( stateV0, layerID, x1, y1, 'lines', lineID );
     state = stateV1;
 
+    //the walls drawn on a storey are as high as it, unless they come with their own height
+    let storeyHeight = state.getIn(['scene', 'layers', layerID, 'height']);
+    if (storeyHeight && state.catalog.hasIn(['elements', type, 'properties', 'height']) && !(properties && properties.has('height'))) {
+      properties = (properties || new Map()).set('height', new Map({ length: storeyHeight }));
+    }
+
     let line = state.catalog.factoryElement(type, {
       id: lineID,
       name: NameGenerator.generateName('lines', state.catalog.getIn(['elements', type, 'info', 'title'])),
@@ -175,6 +189,9 @@ class Line{
     let points = [{x: x0, y: y0}, {x: x1, y: y1}];
 
     state = state.getIn(['scene', 'layers', layerID, 'lines']).reduce( ( reducedState, line ) => {
+      //arc lines are never split or merged, the intersections are computed between straight segments
+      if (GeometryUtils.isArc(line.bulge)) return reducedState;
+
       let [v0, v1] = line.vertices.map(vertexID => reducedState.getIn(['scene', 'layers', layerID, 'vertices']).get(vertexID)).toArray();
 
       let hasCommonEndpoint = (
@@ -243,12 +260,13 @@ class Line{
     return { updatedState: state };
   }
 
-  static beginDrawingLine(state, layerID, x, y) {
-    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask);
+  static beginDrawingLine(state, layerID, x, y, useSnap = true) {
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex);
     let snap = null;
 
     if (state.snapMask && !state.snapMask.isEmpty()) {
-      snap = SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
+      snap = useSnap ? SnapUtils.nearestSnap(snapElements, x, y, state.snapMask) : null;
       if (snap) ({x, y} = snap.point);
 
       snapElements = snapElements.withMutations(snapElements => {
@@ -278,15 +296,18 @@ class Line{
   }
 
   static updateDrawingLine(state, x, y) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let lineID = layer.selected.lines.first();
+    let v0 = layer.vertices.get(layer.lines.getIn([lineID, 'vertices', 0]));
+
     let snap = null;
     if (state.snapMask && !state.snapMask.isEmpty()) {
-      snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      snap = SnapUtils.nearestAngleSnap(state.snapElements, v0.x, v0.y, x, y, state.snapMask) ||
+        SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
       if (snap) ({x, y} = snap.point);
     }
 
-    let layerID = state.getIn(['drawingSupport', 'layerID']);
-    let lineID = state.getIn(['scene', 'layers', layerID, 'selected', 'lines']).first();
-
     let { updatedState: stateLV, vertex } = Line.replaceVertex( state, layerID, lineID, 1, x, y );
     state = stateLV;
 
@@ -296,13 +317,7 @@ class Line{
     return { updatedState: state };
   }
 
-  static endDrawingLine(state, x, y) {
-
-    if (state.snapMask && !state.snapMask.isEmpty()) {
-      let snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
-      if (snap) ({x, y} = snap.point);
-    }
-
+  static endDrawingLine(state, x, y, useSnap = true) {
     let layerID = state.getIn(['drawingSupport', 'layerID']);
     let layer = state.getIn(['scene','layers', layerID]);
 
@@ -311,6 +326,12 @@ class Line{
 
     let v0 = layer.vertices.get(line.vertices.get(0));
 
+    if (useSnap && state.snapMask && !state.snapMask.isEmpty()) {
+      let snap = SnapUtils.nearestAngleSnap(state.snapElements, v0.x, v0.y, x, y, state.snapMask) ||
+        SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      if (snap) ({x, y} = snap.point);
+    }
+
     state = Line.remove( state, layerID, lineID ).updatedState;
     state = Line.createAvoidingIntersections( state, layerID, line.type, v0.x, v0.y, x, y ).updatedState;
     state = Layer.detectAndUpdateAreas( state, layerID ).updatedState;
@@ -324,9 +345,170 @@ class Line{
     return { updatedState: state };
   }
 
+  static placeDrawingLineVertex(state, layerID, x, y) {
+    //the line being drawn is ended at the typed vertex by the reducer, that records it before the next one begins.
+    //Typed coordinates are exact, they are never moved to the snap points
+    return this.beginDrawingLine(state, layerID, x, y, false);
+  }
+
+  static createRoom( state, layerID, type, points, wallsPosition = ROOM_WALLS_CENTERED, properties ) {
+    let thickness = state.catalog.getIn(['elements', type, 'properties', 'thickness', 'defaultValue', 'length']) || 0;
+
+    let offset = 0;
+    if (wallsPosition === ROOM_WALLS_INSIDE) offset = -thickness / 2;
+    if (wallsPosition === ROOM_WALLS_OUTSIDE) offset = thickness / 2;
+
+    let outline = GeometryUtils.offsetPolygon(points, offset);
+    let lines = new List();
+
+    //the walls are split and merged with the ones already there, as the line tool does, so that a room drawn against
+    //another one shares its wall
+    outline.forEach((point, index) => {
+      let next = outline[(index + 1) % outline.length];
+      let { updatedState, lines: created } = Line.createAvoidingIntersections( state, layerID, type, point.x, point.y, next.x, next.y, properties );
+      state = updatedState;
+      lines = lines.concat(created);
+    });
+
+    //the walls merged by the next sides are gone
+    lines = lines.filter(line => state.hasIn(['scene', 'layers', layerID, 'lines', line.id]));
+    lines.forEach(line => line.vertices.forEach(vertexID => {
+      if (state.hasIn(['scene', 'layers', layerID, 'vertices', vertexID])) {
+        state = Layer.mergeEqualsVertices( state, layerID, vertexID ).updatedState;
+      }
+    }));
+
+    state = Layer.detectAndUpdateAreas( state, layerID ).updatedState;
+    lines = lines.map(line => state.getIn(['scene', 'layers', layerID, 'lines', line.id]));
+
+    return { updatedState: state, lines };
+  }
+
+  static selectToolDrawingRoom(state, sceneComponentType, wallsPosition = ROOM_WALLS_CENTERED) {
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ROOM,
+      drawingSupport: new Map({
+        type: sceneComponentType,
+        wallsPosition
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginDrawingRoom(state, layerID, x, y) {
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex);
+    let snap = null;
+
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      snap = SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
+      if (snap) ({x, y} = snap.point);
+
+      snapElements = snapElements.withMutations(snapElements => {
+        let a, b, c;
+        ({a, b, c} = GeometryUtils.horizontalLine(y));
+        SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+        ({a, b, c} = GeometryUtils.verticalLine(x));
+        SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+        SnapUtils.addPointSnap(snapElements, x, y, 10, 20, null);
+      });
+    }
+
+    let point = new Map({x, y});
+
+    //the room is a rectangle when the pointer is dragged, a polygon when the points are clicked
+    let drawingSupport = state.get('drawingSupport').merge({
+      layerID,
+      points: new List([point]),
+      cursor: point,
+      dragging: true
+    });
+
+    state = Layer.unselectAll( state, layerID ).updatedState;
+
+    state = state.merge({
+      mode: MODE_DRAWING_ROOM,
+      snapElements,
+      activeSnapElement: snap ? snap.snap : null,
+      drawingSupport
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateDrawingRoom(state, x, y) {
+    let snap = null;
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      if (snap) ({x, y} = snap.point);
+    }
+
+    state = state.merge({
+      drawingSupport: state.drawingSupport.set('cursor', new Map({x, y})),
+      activeSnapElement: snap ? snap.snap : null
+    });
+
+    return { updatedState: state };
+  }
+
+  static endDrawingRoom(state, x, y) {
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      let snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      if (snap) ({x, y} = snap.point);
+    }
+
+    let drawingSupport = state.drawingSupport;
+    let layerID = drawingSupport.get('layerID');
+    let points = drawingSupport.get('points').toJS();
+    let first = points[0];
+    let last = points[points.length - 1];
+    let room = null;
+
+    if (drawingSupport.get('dragging')) {
+      if (Math.abs(x - first.x) > ROOM_CLICK_DISTANCE && Math.abs(y - first.y) > ROOM_CLICK_DISTANCE) {
+        room = [first, {x, y: first.y}, {x, y}, {x: first.x, y}];
+      }
+      drawingSupport = drawingSupport.set('dragging', false);
+    }
+    else if (points.length > 2 && GeometryUtils.pointsDistance(first.x, first.y, x, y) <= ROOM_CLICK_DISTANCE) {
+      room = points;
+    }
+    else if (!GeometryUtils.samePoints(last, {x, y})) {
+      drawingSupport = drawingSupport.update('points', points => points.push(new Map({x, y})));
+
+      let snapElements = state.snapElements.withMutations(snapElements => {
+        let a, b, c;
+        ({a, b, c} = GeometryUtils.horizontalLine(y));
+        SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+        ({a, b, c} = GeometryUtils.verticalLine(x));
+        SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+      });
+
+      state = state.set('snapElements', snapElements);
+    }
+
+    if (!room) {
+      state = state.set('drawingSupport', drawingSupport.set('cursor', new Map({x, y})));
+      return { updatedState: state };
+    }
+
+    state = Line.createRoom( state, layerID, drawingSupport.get('type'), room, drawingSupport.get('wallsPosition') ).updatedState;
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ROOM,
+      snapElements: new List(),
+      activeSnapElement: null,
+      drawingSupport: drawingSupport.delete('points').delete('cursor').delete('dragging')
+    });
+
+    return { updatedState: state };
+  }
+
   static beginDraggingLine(state, layerID, lineID, x, y) {
 
-    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask);
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex);
 
     let layer = state.scene.layers.get(layerID);
     let line = layer.lines.get(lineID);
@@ -489,12 +671,18 @@ class Line{
         return lines && lines.contains(lineID);
       });
 
+    //an arc line is just moved, keeping its holes at their offsets
+    let arc = GeometryUtils.isArc(line.bulge);
+    if (arc) {
+      state = Line.setVerticesCoords( state, layerID, lineID, newVertex0X, newVertex0Y, newVertex1X, newVertex1Y ).updatedState;
+    }
+
     state = Layer.mergeEqualsVertices( state, layerID, line.vertices.get(0) ).updatedState;
     state = Layer.mergeEqualsVertices( state, layerID, line.vertices.get(1) ).updatedState;
 
-    state = Line.remove( state, layerID, lineID ).updatedState;
+    if (!arc) state = Line.remove( state, layerID, lineID ).updatedState;
 
-    if(!GeometryUtils.samePoints({newVertex0X, newVertex0Y}, {newVertex1X, newVertex1Y})) {
+    if(!arc && !GeometryUtils.samePoints({newVertex0X, newVertex0Y}, {newVertex1X, newVertex1Y})) {
       let ret = Line.createAvoidingIntersections(
         state,
         layerID,
@@ -555,11 +743,12 @@ class Line{
   static setAttributes( state, layerID, lineID, lineAttributes ) {
 
     let lAttr = lineAttributes.toJS();
-    let {vertexOne, vertexTwo, lineLength} = lAttr;
+    let {vertexOne, vertexTwo, lineLength, lengthAnchor} = lAttr;
 
     delete lAttr['vertexOne'];
     delete lAttr['vertexTwo'];
     delete lAttr['lineLength'];
+    delete lAttr['lengthAnchor'];
 
     state = state
       .mergeIn(['scene', 'layers', layerID, 'lines', lineID], fromJS(lAttr))
@@ -567,6 +756,10 @@ class Line{
       .mergeIn(['scene', 'layers', layerID, 'vertices', vertexTwo.id], {x: vertexTwo.x, y: vertexTwo.y})
       .mergeIn(['scene', 'layers', layerID, 'lines', lineID, 'misc'], new Map({'_unitLength': lineLength._unit}));
 
+    if (lengthAnchor) {
+      state = state.setIn(['scene', 'layers', layerID, 'lines', lineID, 'misc', '_lengthAnchor'], lengthAnchor);
+    }
+
     state = Layer.mergeEqualsVertices( state, layerID, vertexOne.id ).updatedState;
 
     if (vertexOne.x != vertexTwo.x && vertexOne.y != vertexTwo.y) {
@@ -0,0 +1,337 @@
+import { Map, List, fromJS } from 'immutable';
+import Project from './project';
+import Layer from './layer';
+import Line from './line';
+import Hole from './hole';
+import Item from './item';
+import Dimension from './dimension';
+import Annotation from './annotation';
+import { GeometryUtils } from '../utils/export';
+import { State } from '../models';
+
+const DEFAULT_WALL = 'wall';
+const DEFAULT_DOOR = 'door';
+const DEFAULT_WINDOW = 'window';
+
+function nearestWall(layer, x, y) {
+  return layer.lines.reduce((best, line) => {
+    let v0 = layer.vertices.get(line.vertices.get(0));
+    let v1 = layer.vertices.get(line.vertices.get(1));
+    let distance = GeometryUtils.distancePointFromArc(v0.x, v0.y, v1.x, v1.y, line.bulge, x, y);
+
+    return !best || distance < best.distance ? { line, v0, v1, distance } : best;
+  }, null);
+}
+
+/**
+ * Build or edit a plan without the editor. The builder wraps a planner State and updates it with the same class
+ * methods used by the reducers, every call returns the builder so calls can be chained.
+ * It only depends on immutable, so it runs in Node without React or the DOM.
+ *
+ * @example
+ * let json = new PlanBuilder(catalog)
+ *   .addWalls([[0, 0], [500, 0], [500, 400], [0, 400]], {closed: true})
+ *   .addDoor(250, 0)
+ *   .placeItem('sofa', 250, 200)
+ *   .toJSON();
+ */
+class PlanBuilder {
+
+  /** @param {object} catalog Catalog, or any object holding the catalog elements in its `elements` field
+   *  @param {?object} sceneJSON Scene to start from, as saved by the planner
+   */
+  constructor(catalog, sceneJSON = null) {
+    let state = Project.initCatalog(new State(), catalog).updatedState;
+    if (sceneJSON) state = Project.loadProject(state, sceneJSON).updatedState;
+
+    this.state = state;
+    this.last = null;
+
+    //the exporters look the elements up through hasElement and getElement, like a Catalog does
+    this.catalog = typeof catalog.getElement === 'function' ? catalog : {
+      elements: catalog.elements,
+      hasElement: type => catalog.elements.hasOwnProperty(type),
+      getElement: type => catalog.elements[type]
+    };
+  }
+
+  /** @description Current scene */
+  get scene() {
+    return this.state.scene;
+  }
+
+  /** @description ID of the layer the next elements are added to */
+  get layerID() {
+    return this.state.scene.selectedLayer;
+  }
+
+  /** @description Convert plain properties to the catalog format, numbers given to length properties become lengths
+   *  @param {string} type Catalog element type
+   *  @param {object} properties Plain properties
+   *  @return {object} Immutable properties
+   */
+  properties(type, properties = {}) {
+    if (!this.state.catalog.elements.has(type)) throw new Error(`Element ${type} does not exist in catalog`);
+
+    let definitions = this.state.catalog.getIn(['elements', type, 'properties']);
+
+    return new Map(properties).map((value, name) => {
+      let defaultValue = definitions.getIn([name, 'defaultValue']);
+
+      if (typeof value === 'number' && Map.isMap(defaultValue) && defaultValue.has('length')) {
+        return defaultValue.merge({ length: value }).delete('_length').delete('_unit');
+      }
+
+      return fromJS(value);
+    });
+  }
+
+  /** @description Add a layer and make it the one the next elements are added to
+   *  @param {string} name Layer name
+   *  @param {number} altitude Layer altitude
+   *  @return {PlanBuilder}
+   */
+  addLayer(name, altitude = 0) {
+    this.state = Layer.create(this.state, name, altitude).updatedState;
+    this.last = this.layerID;
+
+    return this;
+  }
+
+  /** @description Make a layer the one the next elements are added to
+   *  @param {string} layerID Layer ID
+   *  @return {PlanBuilder}
+   */
+  selectLayer(layerID) {
+    if (!this.state.scene.layers.has(layerID)) throw new Error(`Layer ${layerID} does not exist`);
+
+    this.state = this.state.setIn(['scene', 'selectedLayer'], layerID);
+
+    return this;
+  }
+
+  /** @description Add a wall, splitting the walls it crosses like drawing it in the editor does.
+   *  Arc walls are added as they are, without splitting
+   *  @param {number} x0 Start x
+   *  @param {number} y0 Start y
+   *  @param {number} x1 End x
+   *  @param {number} y1 End y
+   *  @param {object} options type: catalog element, properties, bulge: arc bulge, positive turning counterclockwise
+   *  @return {PlanBuilder}
+   */
+  addWall(x0, y0, x1, y1, { type = DEFAULT_WALL, properties, bulge = 0 } = {}) {
+    let layerID = this.layerID;
+    let wallProperties = this.properties(type, properties);
+    let state, lines;
+
+    if (GeometryUtils.isArc(bulge)) {
+      let { updatedState, line } = Line.create(this.state, layerID, type, x0, y0, x1, y1, wallProperties);
+      state = updatedState.setIn(['scene', 'layers', layerID, 'lines', line.id, 'bulge'], bulge);
+      lines = [line.id];
+    } else {
+      let created = Line.createAvoidingIntersections(this.state, layerID, type, x0, y0, x1, y1, wallProperties);
+      state = created.updatedState;
+      lines = created.lines.map(line => line.id).toArray();
+    }
+
+    this.state = Layer.detectAndUpdateAreas(state, layerID).updatedState;
+    this.last = lines;
+
+    return this;
+  }
+
+  /** @description Add a chain of walls
+   *  @param {Array} points List of [x, y] points
+   *  @param {object} options type: catalog element, properties, closed: join the last point to the first one
+   *  @return {PlanBuilder}
+   */
+  addWalls(points, options = {}) {
+    let last = [];
+
+    let segments = points.slice(1).map((point, index) => [points[index], point]);
+    if (options.closed && points.length > 2) segments.push([points[points.length - 1], points[0]]);
+
+    segments.forEach(([[x0, y0], [x1, y1]]) => {
+      this.addWall(x0, y0, x1, y1, options);
+      last = last.concat(this.last);
+    });
+
+    this.last = last;
+
+    return this;
+  }
+
+  /** @description Add a hole on the wall nearest to a point, centered on the projection of the point
+   *  @param {string} type Catalog element
+   *  @param {number} x Point x
+   *  @param {number} y Point y
+   *  @param {object} options properties
+   *  @return {PlanBuilder}
+   */
+  addHole(type, x, y, { properties } = {}) {
+    let layerID = this.layerID;
+    let layer = this.state.getIn(['scene', 'layers', layerID]);
+
+    let nearest = nearestWall(layer, x, y);
+
+    if (!nearest) throw new Error(`There are no walls to place ${type} on`);
+
+    let { line, v0, v1 } = nearest;
+    let offset = GeometryUtils.lineOffset(v0, v1, line.bulge, x, y);
+
+    let { updatedState, hole } = Hole.create(
+      this.state, layerID, type, line.id, offset, this.properties(type, properties)
+    );
+
+    this.state = updatedState;
+    this.last = hole.id;
+
+    return this;
+  }
+
+  /** @description Add a door on the wall nearest to a point
+   *  @param {number} x Point x
+   *  @param {number} y Point y
+   *  @param {object} options type: catalog element, properties
+   *  @return {PlanBuilder}
+   */
+  addDoor(x, y, options = {}) {
+    return this.addHole(options.type || DEFAULT_DOOR, x, y, options);
+  }
+
+  /** @description Add a window on the wall nearest to a point
+   *  @param {number} x Point x
+   *  @param {number} y Point y
+   *  @param {object} options type: catalog element, properties
+   *  @return {PlanBuilder}
+   */
+  addWindow(x, y, options = {}) {
+    return this.addHole(options.type || DEFAULT_WINDOW, x, y, options);
+  }
+
+  /** @description Place an item
+   *  @param {string} type Catalog element
+   *  @param {number} x Item x
+   *  @param {number} y Item y
+   *  @param {object} options rotation: degrees, properties
+   *  @return {PlanBuilder}
+   */
+  placeItem(type, x, y, { rotation = 0, properties } = {}) {
+    let layerID = this.layerID;
+    let itemProperties = this.properties(type, properties);
+
+    let { updatedState, item } = Item.create(this.state, layerID, type, x, y, 200, 100, rotation);
+    this.state = Item.setProperties(updatedState, layerID, item.id, itemProperties).updatedState;
+    this.last = item.id;
+
+    return this;
+  }
+
+  /** @description Set the name and the properties of the area containing a point
+   *  @param {number} x Point x
+   *  @param {number} y Point y
+   *  @param {object} attributes name, properties
+   *  @return {PlanBuilder}
+   */
+  setArea(x, y, { name, properties } = {}) {
+    let layerID = this.layerID;
+    let layer = this.state.getIn(['scene', 'layers', layerID]);
+
+    //the innermost area wins when areas are nested
+    let area = layer.areas
+      .filter(area => {
+        let polygon = area.vertices.flatMap(vertexID => {
+          let vertex = layer.vertices.get(vertexID);
+          return [vertex.x, vertex.y];
+        }).toArray();
+        return GeometryUtils.ContainsPoint(polygon, x, y);
+      })
+      .minBy(area => area.vertices.size);
+
+    if (!area) throw new Error(`There is no area at ${x}, ${y}`);
+
+    if (name !== undefined) this.state = this.state.setIn(['scene', 'layers', layerID, 'areas', area.id, 'name'], name);
+    if (properties) {
+      this.state = this.state.mergeIn(
+        ['scene', 'layers', layerID, 'areas', area.id, 'properties'], this.properties(area.type, properties)
+      );
+    }
+    this.last = area.id;
+
+    return this;
+  }
+
+  /** @description Add a dimension. Points lying on vertices are bound to them, so the dimension follows the walls
+   *  @param {string} type linear, aligned or angular
+   *  @param {Array} points List of [x, y] points, angular dimensions take the center and a point on each arm
+   *  @param {object} options offset: distance from the points, or radius of angular dimensions,
+   *  angle: 0 for horizontal and 90 for vertical linear dimensions, properties: textSize, unit, precision
+   *  @return {PlanBuilder}
+   */
+  addDimension(type, points, { offset = 0, angle = 0, properties = {} } = {}) {
+    let { updatedState, dimension } = Dimension.create(
+      this.state, this.layerID, type, new List(points.map(([x, y]) => new Map({ x, y }))), offset, angle, properties
+    );
+
+    this.state = updatedState;
+    this.last = dimension.id;
+
+    return this;
+  }
+
+  /** @description Add a chain dimension along the run of collinear walls nearest to a point, cut at their joints and holes
+   *  @param {number} x Point x
+   *  @param {number} y Point y
+   *  @param {object} options offset: signed distance from the wall axis, by default the chain stands clear of the wall
+   *  @return {PlanBuilder}
+   */
+  addChainDimension(x, y, { offset } = {}) {
+    let nearest = nearestWall(this.state.getIn(['scene', 'layers', this.layerID]), x, y);
+    if (!nearest) throw new Error('There are no walls to dimension');
+
+    let { updatedState, dimension } = Dimension.createChain(this.state, this.layerID, nearest.line.id, offset);
+    if (!dimension) throw new Error('Arc walls can not be chain dimensioned');
+
+    this.state = updatedState;
+    this.last = dimension.id;
+
+    return this;
+  }
+
+  /** @description Add an annotation, drawn only on the 2D plan and in its exports
+   *  @param {string} type text, leader, north-arrow, scale-bar or cloud
+   *  @param {Array} points List of [x, y] points: the position of texts, north arrows and scale bars,
+   *  the arrow tip then the text position of leaders, the outline of clouds
+   *  @param {object} options rotation: degrees, properties: text, textSize, size, length, divisions, arcSize
+   *  @return {PlanBuilder}
+   */
+  addAnnotation(type, points, { rotation = 0, properties = {} } = {}) {
+    let { updatedState, annotation } = Annotation.create(
+      this.state, this.layerID, type, points.map(([x, y]) => ({ x, y })), rotation, properties
+    );
+
+    this.state = updatedState;
+    this.last = annotation.id;
+
+    return this;
+  }
+
+  /** @description Set scene attributes such as unit, width, height or meta
+   *  @param {object} attributes Scene attributes
+   *  @return {PlanBuilder}
+   */
+  setSceneAttributes(attributes) {
+    this.state = this.state.mergeIn(['scene'], fromJS(attributes));
+
+    return this;
+  }
+
+  /** @description Return the scene in the format saved and loaded by the planner
+   *  @return {object}
+   */
+  toJSON() {
+    return Project.unselectAll(this.state).updatedState.scene.toJS();
+  }
+}
+
+export { PlanBuilder as default };
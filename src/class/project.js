@@ -1,21 +1,50 @@
-import { Map, List } from 'immutable';
+import { Map, List, fromJS } from 'immutable';
+import convert from 'convert-units';
 import {
   MODE_VIEWING_CATALOG,
   MODE_CONFIGURING_PROJECT,
-  MODE_IDLE
+  MODE_IMPORTING_DXF,
+  MODE_EXPORTING_PLAN,
+  MODE_VIEWING_REPORT,
+  MODE_IDLE,
+  MODE_SELECTING_BOX,
+  SELECTION_REPLACE,
+  SELECTION_TOGGLE
 } from '../constants';
 import { State, Catalog } from '../models';
-import { history } from '../utils/export';
+import { history, GeometryUtils, SelectionUtils } from '../utils/export';
+import { dxfToSegments } from '../importers/dxf';
 import {
   Layer,
   Group,
   Line,
   Hole,
   Item,
+  Area,
+  Dimension,
+  Annotation,
   HorizontalGuide,
   VerticalGuide
 } from '../class/export';
 
+const DXF_IMPORT_MARGIN = 100;
+
+//a selection box smaller than this, in pixels, is a click on the element under the cursor
+const SELECTION_CLICK_TOLERANCE = 3;
+
+//a hole pasted without its wall goes on the nearest wall, when one passes closer than the hole width
+function pasteHoleLine(layer, x, y, maxDistance) {
+  let nearest = layer.lines.reduce((best, line) => {
+    let v0 = layer.vertices.get(line.vertices.get(0));
+    let v1 = layer.vertices.get(line.vertices.get(1));
+    let distance = GeometryUtils.distancePointFromArc(v0.x, v0.y, v1.x, v1.y, line.bulge, x, y);
+
+    return !best || distance < best.distance ? { line, v0, v1, distance } : best;
+  }, null);
+
+  return nearest && nearest.distance <= maxDistance ? nearest : null;
+}
+
 class Project{
 
   static setAlterate( state ){
@@ -29,7 +58,7 @@ class Project{
   }
 
   static newProject(state) {
-    state = new State({'viewer2D': state.get('viewer2D')});
+    state = new State({'viewer2D': state.get('viewer2D'), 'viewer3D': state.get('viewer3D')});
 
     return { updatedState: state };
   }
@@ -73,6 +102,14 @@ class Project{
     return { updatedState: state };
   }
 
+  static setAreasAttributes(state, attributes) {
+    state.getIn(['scene', 'layers']).forEach( layer => {
+      layer.selected.areas.forEach( areaID => { state = Area.setAttributes( state, layer.id, areaID, attributes ).updatedState; } );
+    });
+
+    return { updatedState: state };
+  }
+
   static unselectAll(state) {
     state.getIn(['scene', 'layers']).forEach( ({ id: layerID }) => { state = Layer.unselectAll( state, layerID ).updatedState; });
     state.getIn(['scene', 'groups']).forEach( group => { state = Group.unselect( state, group.get('id') ).updatedState; });
@@ -85,7 +122,9 @@ class Project{
     let {
       lines: selectedLines,
       holes: selectedHoles,
-      items: selectedItems
+      items: selectedItems,
+      dimensions: selectedDimensions,
+      annotations: selectedAnnotations
     } = state.getIn(['scene', 'layers', selectedLayer, 'selected']);
 
     state = Layer.unselectAll( state, selectedLayer ).updatedState;
@@ -93,6 +132,8 @@ class Project{
     selectedLines.forEach(lineID => { state = Line.remove( state, selectedLayer, lineID ).updatedState; });
     selectedHoles.forEach(holeID => { state = Hole.remove( state, selectedLayer, holeID ).updatedState; });
     selectedItems.forEach(itemID => { state = Item.remove( state, selectedLayer, itemID ).updatedState; });
+    selectedDimensions.forEach(dimensionID => { state = Dimension.remove( state, selectedLayer, dimensionID ).updatedState; });
+    selectedAnnotations.forEach(annotationID => { state = Annotation.remove( state, selectedLayer, annotationID ).updatedState; });
 
     state = Layer.detectAndUpdateAreas( state, selectedLayer ).updatedState;
 
@@ -101,19 +142,83 @@ class Project{
 
   static undo(state) {
     let sceneHistory = state.sceneHistory;
-    if (state.scene === sceneHistory.last && sceneHistory.list.size > 1) {
+
+    //the last entry is the scene shown, undoing it goes back to the one before and keeps it for the redo.
+    //An edit still in progress is only dropped
+    let editing = state.mode !== MODE_IDLE && state.scene !== sceneHistory.last;
+
+    if (!editing && sceneHistory.list.size) {
+      let undoneEntry = sceneHistory.list.last();
+      let undoneScene = sceneHistory.last;
+
       sceneHistory = history.historyPop(sceneHistory);
+      sceneHistory = history.historyPushRedo(sceneHistory, undoneScene, undoneEntry);
     }
 
     state = state.merge({
       mode: MODE_IDLE,
       scene: sceneHistory.last,
-      sceneHistory: history.historyPop(sceneHistory)
+      detectedGraphs: new Map(),
+      sceneHistory
+    });
+
+    return { updatedState: state };
+  }
+
+  static redo(state) {
+    let sceneHistory = state.sceneHistory;
+
+    if (sceneHistory.redoList.isEmpty()) {
+      return { updatedState: state };
+    }
+
+    let redoneScene = sceneHistory.redoList.last().get('scene');
+
+    state = state.merge({
+      mode: MODE_IDLE,
+      scene: redoneScene,
+      detectedGraphs: new Map(),
+      sceneHistory: history.historyRedo(sceneHistory, redoneScene)
     });
 
     return { updatedState: state };
   }
 
+  static jumpToHistoryEntry(state, index) {
+    let sceneHistory = state.sceneHistory;
+
+    //index -1 is the scene the history started from, indexes past the end of the list are the undone entries
+    if (index < -1 || index >= sceneHistory.list.size + sceneHistory.redoList.size) {
+      return { updatedState: state };
+    }
+
+    //walking one step at a time keeps every skipped entry on the redo stack
+    while (state.sceneHistory.list.size - 1 > index) {
+      state = this.undo(state).updatedState;
+    }
+
+    while (state.sceneHistory.list.size - 1 < index && state.sceneHistory.redoList.size) {
+      state = this.redo(state).updatedState;
+    }
+
+    return { updatedState: state };
+  }
+
+  static addHistoryCheckpoint(state, name) {
+    let sceneHistory = state.sceneHistory;
+
+    //the checkpoint names the entry of the scene shown, there is none at the start of the history
+    state = state.merge({ sceneHistory: history.historyNameEntry(sceneHistory, sceneHistory.list.size - 1, name) });
+
+    return { updatedState: state };
+  }
+
+  static renameHistoryCheckpoint(state, index, name) {
+    state = state.merge({ sceneHistory: history.historyNameEntry(state.sceneHistory, index, name) });
+
+    return { updatedState: state };
+  }
+
   static rollback(state) {
     let sceneHistory = state.sceneHistory;
 
@@ -126,7 +231,7 @@ class Project{
     state = state.merge({
       mode: MODE_IDLE,
       scene: sceneHistory.last,
-      sceneHistory: history.historyPush(sceneHistory, sceneHistory.last),
+      detectedGraphs: new Map(),
       snapElements: new List(),
       activeSnapElement: null,
       drawingSupport: new Map(),
@@ -147,6 +252,12 @@ class Project{
     return { updatedState: state };
   }
 
+  static setRoofProperties(state, properties) {
+    state = state.mergeIn(['scene', 'roof'], properties);
+
+    return { updatedState: state };
+  }
+
   static openProjectConfigurator(state) {
     state = state.merge({
       mode: MODE_CONFIGURING_PROJECT,
@@ -155,6 +266,73 @@ class Project{
     return { updatedState: state };
   }
 
+  static openPlanExporter(state) {
+    state = state.merge({
+      mode: MODE_EXPORTING_PLAN,
+    });
+
+    return { updatedState: state };
+  }
+
+  static openReport(state) {
+    state = state.merge({
+      mode: MODE_VIEWING_REPORT,
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginImportingDXF(state, dxf) {
+    state = state.merge({
+      mode: MODE_IMPORTING_DXF,
+      drawingSupport: new Map({ dxf })
+    });
+
+    return { updatedState: state };
+  }
+
+  static endImportingDXF(state, dxfLayers, options) {
+    let dxf = state.getIn(['drawingSupport', 'dxf']);
+    let layerID = state.getIn(['scene', 'selectedLayer']);
+    let { lineType, unit, tolerance } = options;
+
+    let segments = dxf ? dxfToSegments(dxf, {
+      layers: dxfLayers,
+      unit,
+      tolerance,
+      sceneUnit: state.getIn(['scene', 'unit']),
+      origin: { x: DXF_IMPORT_MARGIN, y: DXF_IMPORT_MARGIN }
+    }) : [];
+
+    segments.forEach(([x0, y0, x1, y1]) => {
+      state = Line.createAvoidingIntersections(state, layerID, lineType, x0, y0, x1, y1).updatedState;
+    });
+
+    state.getIn(['scene', 'layers', layerID, 'vertices']).keySeq().forEach(vertexID => {
+      if (state.hasIn(['scene', 'layers', layerID, 'vertices', vertexID])) {
+        state = Layer.mergeEqualsVertices(state, layerID, vertexID).updatedState;
+      }
+    });
+
+    state = Layer.removeZeroLengthLines(state, layerID).updatedState;
+    state = Layer.detectAndUpdateAreas(state, layerID).updatedState;
+
+    //grow the scene when the drawing doesn't fit in it
+    let maxX = segments.reduce((max, [x0, y0, x1]) => Math.max(max, x0, x1), 0) + DXF_IMPORT_MARGIN;
+    let maxY = segments.reduce((max, [x0, y0, x1, y1]) => Math.max(max, y0, y1), 0) + DXF_IMPORT_MARGIN;
+
+    state = state.merge({
+      mode: MODE_IDLE,
+      drawingSupport: new Map(),
+      scene: state.scene.merge({
+        width: Math.max(state.scene.width, Math.ceil(maxX)),
+        height: Math.max(state.scene.height, Math.ceil(maxY))
+      })
+    });
+
+    return { updatedState: state };
+  }
+
   static initCatalog(state, catalog) {
     state = state.set('catalog', new Catalog(catalog));
 
@@ -277,6 +455,175 @@ class Project{
     return { updatedState: state };
   }
 
+  /** @description Change the selection with elements of a layer: replace it, add the elements to it, or toggle them
+   *  @param {object} elements IDs of the elements, by prototype
+   */
+  static selectElements( state, layerID, elements, selection = SELECTION_REPLACE ){
+    if( selection === SELECTION_REPLACE ) state = this.unselectAll( state ).updatedState;
+    state = state.setIn(['scene', 'selectedLayer'], layerID);
+
+    SelectionUtils.SELECTABLE_PROTOTYPES.forEach( prototype => {
+      ( elements[prototype] || [] ).forEach( elementID => {
+        let element = state.getIn(['scene', 'layers', layerID, prototype, elementID]);
+
+        if( !element ) return;
+        if( !element.selected ) state = Layer.selectElement( state, layerID, prototype, elementID ).updatedState;
+        else if( selection === SELECTION_TOGGLE ) {
+          state = prototype === 'lines' ?
+            Line.unselect( state, layerID, elementID ).updatedState :
+            Layer.unselect( state, layerID, prototype, elementID ).updatedState;
+        }
+      });
+    });
+
+    //a line unselected by a toggle may have unselected a vertex shared with a line still selected
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    layer.selected.lines.forEach( lineID => {
+      layer.lines.get(lineID).vertices.forEach( vertexID => { state = Layer.selectElement( state, layerID, 'vertices', vertexID ).updatedState; });
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginSelectingBox( state, layerID, x, y, selection = SELECTION_REPLACE, element = null ){
+    state = state.merge({
+      mode: MODE_SELECTING_BOX,
+      draggingSupport: new Map({
+        layerID,
+        startX: x,
+        startY: y,
+        x,
+        y,
+        selection,
+        element: element ? new Map(element) : null
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateSelectingBox( state, x, y ){
+    state = state.set('draggingSupport', state.draggingSupport.merge({ x, y }));
+
+    return { updatedState: state };
+  }
+
+  static endSelectingBox( state, x, y ){
+    let { layerID, startX, startY, selection, element } = state.draggingSupport.toJS();
+    let tolerance = SELECTION_CLICK_TOLERANCE / ( state.zoom || 1 );
+
+    state = state.merge({ mode: MODE_IDLE, draggingSupport: new Map() });
+
+    if( Math.abs( x - startX ) <= tolerance && Math.abs( y - startY ) <= tolerance ) {
+      if( element ) return this.selectElements( state, element.layer, { [element.prototype]: [element.id] }, selection );
+      return selection === SELECTION_REPLACE ? this.unselectAll( state ) : { updatedState: state };
+    }
+
+    let box = SelectionUtils.selectionBox( startX, startY, x, y );
+    let crossing = SelectionUtils.isCrossingBox( startX, x );
+    let elements = SelectionUtils.elementsInBox( state.getIn(['scene', 'layers', layerID]), box, crossing, state.scene.unit );
+
+    return this.selectElements( state, layerID, elements, selection );
+  }
+
+  /** @description Paste elements copied with ClipboardUtils.copyElements, centered on a point. The vertices, lines and
+   *  the other elements are created again with new IDs, the areas are found again from the lines and get back their name
+   *  and properties. The pasted elements are left selected
+   *  @param {object} clipboard Copied elements
+   */
+  static pasteElements( state, layerID, clipboard, x, y ){
+    let sceneUnit = state.getIn(['scene', 'unit']);
+    let scale = clipboard.unit && clipboard.unit !== sceneUnit ? convert(1).from(clipboard.unit).to(sceneUnit) : 1;
+    let at = point => ({ x: x + point.x * scale, y: y + point.y * scale });
+    let known = type => state.catalog.elements.has(type);
+
+    let vertices = {};
+    clipboard.vertices.forEach( vertex => { vertices[vertex.id] = at(vertex); });
+
+    let pasted = { lines: [], holes: [], items: [], areas: [], dimensions: [], annotations: [] };
+    let vertexIDs = {};
+    let lineIDs = {};
+
+    clipboard.lines.filter( line => known(line.type) ).forEach( line => {
+      let [ v0, v1 ] = line.vertices.map( vertexID => vertices[vertexID] );
+      let { updatedState, line: created } = Line.create( state, layerID, line.type, v0.x, v0.y, v1.x, v1.y, fromJS(line.properties) );
+
+      state = updatedState;
+      if( line.bulge ) state = state.setIn(['scene', 'layers', layerID, 'lines', created.id, 'bulge'], line.bulge);
+
+      line.vertices.forEach( ( vertexID, index ) => { vertexIDs[vertexID] = created.vertices.get(index); });
+      lineIDs[line.id] = created.id;
+      pasted.lines.push(created.id);
+    });
+
+    clipboard.holes.filter( hole => known(hole.type) ).forEach( hole => {
+      let lineID = lineIDs[hole.line];
+      let offset = hole.offset;
+
+      if( !hole.line ) {
+        let { x: holeX, y: holeY } = at(hole);
+        let width = ( hole.properties.width && hole.properties.width.length ) || 0;
+        let nearest = pasteHoleLine( state.getIn(['scene', 'layers', layerID]), holeX, holeY, width );
+
+        if( nearest ) {
+          lineID = nearest.line.id;
+          offset = GeometryUtils.lineOffset( nearest.v0, nearest.v1, nearest.line.bulge, holeX, holeY );
+        }
+      }
+
+      if( !lineID ) return;
+
+      let { updatedState, hole: created } = Hole.create( state, layerID, hole.type, lineID, offset, fromJS(hole.properties) );
+      state = updatedState;
+      pasted.holes.push(created.id);
+    });
+
+    clipboard.items.filter( item => known(item.type) ).forEach( item => {
+      let { x: itemX, y: itemY } = at(item);
+      let { updatedState, item: created } = Item.create( state, layerID, item.type, itemX, itemY, item.width, item.height, item.rotation );
+
+      state = Item.setJsProperties( updatedState, layerID, created.id, item.properties ).updatedState;
+      pasted.items.push(created.id);
+    });
+
+    clipboard.dimensions.forEach( dimension => {
+      let points = dimension.points.map( point => new Map(at(point)) );
+      let { updatedState, dimension: created } = Dimension.create(
+        state, layerID, dimension.type, points, dimension.offset * scale, dimension.angle, fromJS(dimension.properties)
+      );
+
+      state = updatedState;
+      pasted.dimensions.push(created.id);
+    });
+
+    clipboard.annotations.forEach( annotation => {
+      let { updatedState, annotation: created } = Annotation.create(
+        state, layerID, annotation.type, annotation.points.map(at), annotation.rotation, annotation.properties
+      );
+
+      state = updatedState;
+      pasted.annotations.push(created.id);
+    });
+
+    state = Layer.detectAndUpdateAreas( state, layerID ).updatedState;
+
+    clipboard.areas.forEach( area => {
+      let areaVertices = area.vertices.map( vertexID => vertexIDs[vertexID] );
+      let found = state.getIn(['scene', 'layers', layerID, 'areas']).find( candidate =>
+        candidate.vertices.size === areaVertices.length && areaVertices.every( vertexID => candidate.vertices.includes(vertexID) )
+      );
+
+      if( !found ) return;
+
+      let { vertices, properties, ...attributes } = area;
+      state = state.mergeIn(['scene', 'layers', layerID, 'areas', found.id], fromJS(attributes));
+      state = Area.setJsProperties( state, layerID, found.id, properties ).updatedState;
+      pasted.areas.push(found.id);
+    });
+
+    return this.selectElements( state, layerID, pasted, SELECTION_REPLACE );
+  }
+
 }
 
 export { Project as default };
@@ -0,0 +1,335 @@
+import { Map, List, Set } from 'immutable';
+import { Layer } from './export';
+import {
+  GeometryUtils,
+  GraphInnerCycles,
+  MathUtils,
+  SnapUtils,
+  SnapSceneUtils,
+  TransformUtils
+} from '../utils/export';
+import {
+  MODE_IDLE,
+  MODE_WAITING_TRANSFORM,
+  MODE_TRANSFORMING,
+  TRANSFORM_MOVE,
+  DIMENSION_ANGULAR
+} from '../constants';
+
+const DEFAULT_ANGLE = 90;
+const DEFAULT_FACTOR = 2;
+
+//the properties turning doors, windows and some items the other way round, a mirror toggles them
+const FLIP_PROPERTIES = ['flip_orizzontal', 'flip_horizontal', 'flip'];
+
+function snapPoint(state, x, y, origin) {
+  let snap = null;
+  if (state.snapMask && !state.snapMask.isEmpty()) {
+    snap = (origin && SnapUtils.nearestAngleSnap(state.snapElements, origin.x, origin.y, x, y, state.snapMask)) ||
+      SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+    if (snap) ({ x, y } = snap.point);
+  }
+
+  return { x, y, snap };
+}
+
+//the lines moved with the selection: the selected ones and the ones around the selected areas
+function movedLines(layer) {
+  let { selected } = layer;
+  let areaLines = selected.areas
+    .map(areaID => layer.areas.get(areaID))
+    .filter(area => area)
+    .flatMap(area =>
+      area.vertices.flatMap(vertexID => layer.vertices.get(vertexID).lines).filter(lineID =>
+        layer.lines.has(lineID) && layer.lines.get(lineID).vertices.every(vertexID => area.vertices.includes(vertexID))
+      )
+    );
+
+  return new Set(selected.lines).union(areaLines).filter(lineID => layer.lines.has(lineID));
+}
+
+//the ends of a line in the order the hole offsets are measured, from the lower vertex on the straight lines
+function lineEnds(layer, line) {
+  let v0 = layer.vertices.get(line.vertices.get(0));
+  let v1 = layer.vertices.get(line.vertices.get(1));
+
+  return GeometryUtils.isArc(line.bulge) ? [v0, v1] : [GeometryUtils.minVertex(v0, v1), GeometryUtils.maxVertex(v0, v1)];
+}
+
+function holeCenter(layer, hole) {
+  let line = layer.lines.get(hole.line);
+  let [v0, v1] = lineEnds(layer, line);
+  let { x, y } = GeometryUtils.pointOnArc(v0.x, v0.y, v1.x, v1.y, line.bulge, hole.offset);
+
+  return { x, y };
+}
+
+//the offset of the point of a line nearest to a position, keeping the whole hole on the line
+function fittingOffset(layer, line, hole, x, y) {
+  let [v0, v1] = lineEnds(layer, line);
+  let length = GeometryUtils.arcLength(v0.x, v0.y, v1.x, v1.y, line.bulge);
+  let width = hole.properties.getIn(['width', 'length']) || 0;
+  let margin = length ? Math.min(width / 2 / length, 0.5) : 0.5;
+  let offset = GeometryUtils.lineOffset(v0, v1, line.bulge, x, y);
+
+  return Math.min(Math.max(offset, margin), 1 - margin);
+}
+
+function toggleFlip(properties) {
+  return FLIP_PROPERTIES.reduce((properties, name) =>
+    typeof properties.get(name) === 'boolean' ? properties.set(name, !properties.get(name)) : properties, properties
+  );
+}
+
+//after a mirror the annotations are turned so that their texts can still be read
+function readableAngle(angle) {
+  angle = ((angle % 360) + 360) % 360;
+  return angle > 90 && angle <= 270 ? angle - 180 : angle;
+}
+
+class Transform{
+
+  /** @description Apply an affine transform to the selected elements of a layer. The walls joined to the selected
+   *  ones stretch to follow them, the holes stay where they were on their walls and the areas are found again
+   *  @param {object} state State
+   *  @param {string} layerID Layer holding the selection
+   *  @param {object} transform Transform, see TransformUtils
+   */
+  static transformSelection( state, layerID, transform ) {
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    if (!layer || !transform) return { updatedState: state };
+
+    let mirror = TransformUtils.isMirroring(transform);
+    let scale = TransformUtils.transformScale(transform);
+    //rounded like the other moves, the rotations would leave the vertices a hair off the ones they should match
+    let apply = ({ x, y }) => {
+      let point = TransformUtils.transformPoint(transform, x, y);
+      return { x: MathUtils.toFixedFloat(point.x), y: MathUtils.toFixedFloat(point.y) };
+    };
+
+    let lineIDs = movedLines(layer);
+    let vertexIDs = new Set(lineIDs.flatMap(lineID => layer.lines.get(lineID).vertices));
+    let { selected } = layer;
+
+    //1. where the holes go, found before the walls move
+    let holes = [];
+    layer.holes.forEach(hole => {
+      let line = layer.lines.get(hole.line);
+      if (!line) return;
+
+      let movedEnds = line.vertices.filter(vertexID => vertexIDs.has(vertexID)).size;
+      let center = holeCenter(layer, hole);
+
+      if (movedEnds === 2 || (movedEnds === 0 && selected.holes.includes(hole.id))) {
+        holes.push({ hole, target: apply(center), flip: mirror });
+      }
+      else if (movedEnds === 1 && !GeometryUtils.isArc(line.bulge)) {
+        //on the stretched walls the holes keep their distance from the end standing still
+        let fixedID = line.vertices.find(vertexID => !vertexIDs.has(vertexID));
+        let fixed = layer.vertices.get(fixedID);
+        holes.push({ hole, fixedID, distance: GeometryUtils.verticesDistance(fixed, center), flip: false });
+      }
+    });
+
+    //2. the vertices, the arcs bulge the other way once mirrored
+    vertexIDs.forEach(vertexID => {
+      let { x, y } = apply(layer.vertices.get(vertexID));
+      state = state.mergeIn(['scene', 'layers', layerID, 'vertices', vertexID], { x, y });
+    });
+
+    if (mirror) lineIDs.forEach(lineID => {
+      state = state.updateIn(['scene', 'layers', layerID, 'lines', lineID, 'bulge'], bulge => bulge ? -bulge : bulge);
+    });
+
+    layer = state.getIn(['scene', 'layers', layerID]);
+
+    holes.forEach(({ hole, target, fixedID, distance, flip }) => {
+      let line = layer.lines.get(hole.line);
+
+      if (fixedID) {
+        let fixed = layer.vertices.get(fixedID);
+        let other = layer.vertices.get(line.vertices.find(vertexID => vertexID !== fixedID));
+        target = GeometryUtils.extendLine(fixed.x, fixed.y, other.x, other.y, distance);
+      }
+
+      state = state.setIn(['scene', 'layers', layerID, 'holes', hole.id, 'offset'], fittingOffset(layer, line, hole, target.x, target.y));
+      if (flip) state = state.updateIn(['scene', 'layers', layerID, 'holes', hole.id, 'properties'], toggleFlip);
+    });
+
+    //3. the items keep facing the same way, the flip properties make up for the mirror
+    selected.items.forEach(itemID => {
+      let item = layer.items.get(itemID);
+      if (!item) return;
+
+      let { x, y } = apply(item);
+      let rotation = TransformUtils.transformRotation(transform, item.rotation);
+
+      state = state.mergeIn(['scene', 'layers', layerID, 'items', itemID], { x, y, rotation });
+      if (mirror) state = state.updateIn(['scene', 'layers', layerID, 'items', itemID, 'properties'], toggleFlip);
+    });
+
+    //4. the dimension points bound to the vertices left behind are set free, so that the dimensions move as a whole
+    selected.dimensions.forEach(dimensionID => {
+      let dimension = layer.dimensions.get(dimensionID);
+      if (!dimension) return;
+
+      let points = dimension.points.map(point => {
+        let vertexID = point.get('vertex');
+        let vertex = vertexID ? layer.vertices.get(vertexID) : null;
+
+        if (vertex && vertexIDs.has(vertexID)) return point.merge({ x: vertex.x, y: vertex.y });
+
+        let { x, y } = apply(vertex || { x: point.get('x'), y: point.get('y') });
+        return point.merge({ x, y, vertex: null });
+      });
+
+      //mirrored angles go the other way round, so the arms are swapped to measure the same angle
+      if (mirror && dimension.type === DIMENSION_ANGULAR) points = points.set(1, points.get(2)).set(2, points.get(1));
+
+      state = state.mergeIn(['scene', 'layers', layerID, 'dimensions', dimensionID], {
+        points,
+        angle: TransformUtils.transformAngle(transform, dimension.angle),
+        offset: dimension.offset * scale * (mirror && dimension.type !== DIMENSION_ANGULAR ? -1 : 1)
+      });
+    });
+
+    selected.annotations.forEach(annotationID => {
+      let annotation = layer.annotations.get(annotationID);
+      if (!annotation) return;
+
+      let points = annotation.points.map(point => {
+        let { x, y } = apply({ x: point.get('x'), y: point.get('y') });
+        return point.merge({ x, y });
+      });
+      let rotation = TransformUtils.transformAngle(transform, annotation.rotation);
+
+      state = state.mergeIn(['scene', 'layers', layerID, 'annotations', annotationID], {
+        points,
+        rotation: mirror ? readableAngle(rotation) : rotation
+      });
+    });
+
+    //5. the walls are joined to the ones they land on, then the areas are found again
+    vertexIDs.forEach(vertexID => {
+      if (state.getIn(['scene', 'layers', layerID, 'vertices', vertexID])) {
+        state = Layer.mergeEqualsVertices(state, layerID, vertexID).updatedState;
+      }
+    });
+
+    state = Layer.removeZeroLengthLines(state, layerID).updatedState;
+    state = Layer.detectAndUpdateAreas(state, layerID).updatedState;
+
+    //the areas found before keep their vertices, which a mirror turned clockwise
+    if (mirror) {
+      layer = state.getIn(['scene', 'layers', layerID]);
+      layer.areas.forEach(area => {
+        let coords = area.vertices.map(vertexID => layer.vertices.get(vertexID));
+        if (GraphInnerCycles.isClockWiseOrder(coords)) {
+          state = state.setIn(['scene', 'layers', layerID, 'areas', area.id, 'vertices'], area.vertices.reverse());
+        }
+      });
+    }
+
+    return { updatedState: state };
+  }
+
+  static move( state, layerID, dx, dy ) {
+    return this.transformSelection( state, layerID, TransformUtils.translation(dx, dy) );
+  }
+
+  static rotate( state, layerID, x, y, angle ) {
+    return this.transformSelection( state, layerID, TransformUtils.rotation(x, y, angle) );
+  }
+
+  static mirror( state, layerID, x1, y1, x2, y2 ) {
+    return this.transformSelection( state, layerID, TransformUtils.mirroring(x1, y1, x2, y2) );
+  }
+
+  static scale( state, layerID, x, y, factor ) {
+    return this.transformSelection( state, layerID, TransformUtils.scaling(x, y, factor) );
+  }
+
+  static selectToolTransform( state, transformType = TRANSFORM_MOVE, parameters = {} ) {
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    state = state.merge({
+      mode: MODE_WAITING_TRANSFORM,
+      snapElements: SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex),
+      activeSnapElement: null,
+      drawingSupport: new Map({
+        type: transformType,
+        layerID: state.scene.selectedLayer,
+        angle: DEFAULT_ANGLE,
+        factor: DEFAULT_FACTOR,
+        ...parameters
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginTransform( state, x, y ) {
+    let type = state.getIn(['drawingSupport', 'type']);
+    let { x: snapX, y: snapY } = snapPoint(state, x, y);
+
+    //rotations and scalings only need their base point, the angle and the factor come from the tool
+    if (TransformUtils.transformClicks(type) === 1) {
+      state = state.setIn(['drawingSupport', 'base'], new Map({ x: snapX, y: snapY }));
+      return this.applyTool( state, null );
+    }
+
+    state = state.merge({
+      mode: MODE_TRANSFORMING,
+      activeSnapElement: null,
+      drawingSupport: state.drawingSupport.merge({
+        base: new Map({ x: snapX, y: snapY }),
+        cursor: new Map({ x: snapX, y: snapY })
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateTransform( state, x, y ) {
+    let base = state.mode === MODE_TRANSFORMING ? state.getIn(['drawingSupport', 'base']).toJS() : null;
+    let { x: snapX, y: snapY, snap } = snapPoint(state, x, y, base);
+
+    state = state.merge({
+      drawingSupport: state.drawingSupport.set('cursor', new Map({ x: snapX, y: snapY })),
+      activeSnapElement: snap ? snap.snap : null
+    });
+
+    return { updatedState: state };
+  }
+
+  static endTransform( state, x, y ) {
+    let base = state.getIn(['drawingSupport', 'base']).toJS();
+    let cursor = snapPoint(state, x, y, base);
+
+    if (GeometryUtils.samePoints(base, cursor)) return { updatedState: state };
+
+    return this.applyTool( state, { x: cursor.x, y: cursor.y } );
+  }
+
+  static applyTool( state, cursor ) {
+    let drawingSupport = state.drawingSupport;
+    let transform = TransformUtils.toolTransform(
+      drawingSupport.get('type'),
+      drawingSupport.get('base').toJS(),
+      cursor,
+      { angle: drawingSupport.get('angle'), factor: drawingSupport.get('factor') }
+    );
+
+    state = this.transformSelection( state, drawingSupport.get('layerID'), transform ).updatedState;
+    state = state.merge({
+      mode: MODE_IDLE,
+      snapElements: new List(),
+      activeSnapElement: null,
+      drawingSupport: new Map()
+    });
+
+    return { updatedState: state };
+  }
+
+}
+
+export { Transform as default };
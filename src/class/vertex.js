@@ -10,7 +10,7 @@ import {
   MODE_DRAGGING_VERTEX,
   MODE_IDLE
 } from '../constants';
-import { Layer, Line, Group } from '../class/export';
+import { Layer, Line, Group, Dimension } from '../class/export';
 
 class Vertex{
 
@@ -31,6 +31,7 @@ class Vertex{
     }
 
     state = state.setIn(['scene', 'layers', layerID, 'vertices', vertex.id], vertex);
+    state = Dimension.captureVertex( state, layerID, vertex ).updatedState;
 
     return { updatedState: state, vertex };
   }
@@ -63,7 +64,7 @@ class Vertex{
 
   static unselect( state, layerID, vertexID ){
     state = state.setIn(['scene', 'layers', layerID, 'vertices', vertexID, 'selected'], false);
-    state = state.updateIn(['scene', 'layers', layerID, 'selected', 'vertices'], elems => elems.filter( el => el.id !== vertexID ));
+    state = state.updateIn(['scene', 'layers', layerID, 'selected', 'vertices'], elems => elems.filter( el => el !== vertexID ));
 
     return { updatedState: state };
   }
@@ -85,6 +86,7 @@ class Vertex{
       }
       else {
         state = state.deleteIn(['scene', 'layers', layerID, 'vertices', vertexID]);
+        state = Dimension.releaseVertex( state, layerID, vertex ).updatedState;
       }
     }
 
@@ -93,7 +95,8 @@ class Vertex{
 
   static beginDraggingVertex(state, layerID, vertexID, x, y) {
 
-    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask);
+    state = SnapSceneUtils.updateStateSnapIndex(state);
+    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask, state.snapIndex);
 
     state = state.merge({
       mode: MODE_DRAGGING_VERTEX,
@@ -111,14 +114,20 @@ class Vertex{
   static updateDraggingVertex(state, x, y) {
     let { draggingSupport, snapElements, scene } = state;
 
+    let layerID = draggingSupport.get('layerID');
+    let vertexID = draggingSupport.get('vertexID');
+
+    //the angle is measured from the other end of the first line joined to the vertex
+    let layer = scene.getIn(['layers', layerID]);
+    let line = layer.lines.get(layer.vertices.getIn([vertexID, 'lines', 0]));
+    let origin = line ? layer.vertices.get(line.vertices.find(id => id !== vertexID)) : null;
+
     let snap = null;
     if (state.snapMask && !state.snapMask.isEmpty()) {
-      snap = SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
+      snap = (origin && SnapUtils.nearestAngleSnap(snapElements, origin.x, origin.y, x, y, state.snapMask)) ||
+        SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
       if (snap) ({ x, y } = snap.point);
     }
-
-    let layerID = draggingSupport.get('layerID');
-    let vertexID = draggingSupport.get('vertexID');
     state =  state.merge({
       activeSnapElement: snap ? snap.snap : null,
       scene: scene.mergeIn(['layers', layerID, 'vertices', vertexID], { x, y })
@@ -139,6 +148,11 @@ class Vertex{
         {
           if( !reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID])) return reducedState;
 
+          //arc lines follow their vertices without being recreated
+          if( GeometryUtils.isArc(reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'bulge'])) ) {
+            return Layer.mergeEqualsVertices( reducedState, layerID, vertexID ).updatedState;
+          }
+
           let v_id0 = reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'vertices', 0]);
           let v_id1 = reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'vertices', 1]);
           let oldVertexID = v_id0 === vertexID ? v_id1 : v_id0;
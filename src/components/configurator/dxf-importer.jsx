@@ -0,0 +1,165 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import {
+  ContentTitle,
+  ContentContainer,
+  FormLabel,
+  FormBlock,
+  FormNumberInput,
+  FormSelect,
+  FormSubmitButton,
+  CancelButton
+} from '../style/export';
+import {UNITS_LENGTH} from '../../constants';
+
+const WALL_LAYER_REGEX = /wall|mur/i;
+
+const tableLayersStyle = {width: '100%', marginBottom: '1em'};
+const checkboxColStyle = {width: '2em'};
+const countColStyle = {width: '6em', textAlign: 'right'};
+
+export default class DXFImporter extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    let dxf = props.state.getIn(['drawingSupport', 'dxf']);
+    let dxfLayers = dxf ? dxf.layers : [];
+
+    //preselect the layers that look like walls, or everything when none does
+    let wallLayers = dxfLayers.filter(({name}) => WALL_LAYER_REGEX.test(name));
+    let selected = (wallLayers.length ? wallLayers : dxfLayers).map(({name}) => name);
+
+    let lineTypes = this.getLineTypes();
+
+    this.state = {
+      selected,
+      lineType: lineTypes.length ? lineTypes[0].name : '',
+      unit: (dxf && dxf.unit) || props.state.getIn(['scene', 'unit']),
+      tolerance: 1
+    };
+  }
+
+  getLineTypes() {
+    let {catalog} = this.context;
+    return Object.values(catalog.elements).filter(element => element.prototype === 'lines');
+  }
+
+  toggleLayer(name) {
+    let {selected} = this.state;
+
+    this.setState({
+      selected: selected.indexOf(name) === -1 ? selected.concat(name) : selected.filter(layer => layer !== name)
+    });
+  }
+
+  onSubmit(event) {
+    event.preventDefault();
+
+    let {projectActions, translator} = this.context;
+    let {selected, lineType, unit, tolerance} = this.state;
+    tolerance = parseFloat(tolerance);
+
+    if (!selected.length) {
+      alert(translator.t('Select at least one layer'));
+    } else if (!lineType) {
+      alert(translator.t('No wall type available in the catalog'));
+    } else {
+      projectActions.endImportingDXF(selected, {lineType, unit, tolerance: tolerance > 0 ? tolerance : 1});
+    }
+  }
+
+  render() {
+    let {width, height, state} = this.props;
+    let {selected, lineType, unit, tolerance} = this.state;
+    let {projectActions, translator} = this.context;
+
+    let dxf = state.getIn(['drawingSupport', 'dxf']);
+    let dxfLayers = dxf ? dxf.layers : [];
+
+    return (
+      <ContentContainer width={width} height={height}>
+        <ContentTitle>{translator.t('Import DXF')}</ContentTitle>
+
+        <form onSubmit={e => this.onSubmit(e)}>
+          <FormBlock>
+            <FormLabel>{translator.t('Layers containing walls')}</FormLabel>
+            <table style={tableLayersStyle}>
+              <tbody>
+              {
+                dxfLayers.map(({name, count}) =>
+                  <tr key={name}>
+                    <td style={checkboxColStyle}>
+                      <input
+                        type='checkbox'
+                        id={`dxf-layer-${name}`}
+                        checked={selected.indexOf(name) !== -1}
+                        onChange={e => this.toggleLayer(name)}
+                      />
+                    </td>
+                    <td><label htmlFor={`dxf-layer-${name}`}>{name}</label></td>
+                    <td style={countColStyle}>{count} {translator.t('entities')}</td>
+                  </tr>
+                )
+              }
+              </tbody>
+            </table>
+          </FormBlock>
+
+          <FormBlock>
+            <FormLabel htmlFor='lineType'>{translator.t('Wall type')}</FormLabel>
+            <FormSelect id='lineType' value={lineType} onChange={e => this.setState({lineType: e.target.value})}>
+              {
+                this.getLineTypes().map(element =>
+                  <option key={element.name} value={element.name}>{element.info.title || element.name}</option>
+                )
+              }
+            </FormSelect>
+          </FormBlock>
+
+          <FormBlock>
+            <FormLabel htmlFor='unit'>{translator.t('Drawing unit')}</FormLabel>
+            <FormSelect id='unit' value={unit} onChange={e => this.setState({unit: e.target.value})}>
+              {UNITS_LENGTH.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+            </FormSelect>
+          </FormBlock>
+
+          <FormBlock>
+            <FormLabel htmlFor='tolerance'>{translator.t('Join tolerance')}</FormLabel>
+            <FormNumberInput
+              id='tolerance'
+              value={tolerance}
+              onChange={e => this.setState({tolerance: e.target.value})}
+            />
+          </FormBlock>
+
+          <table style={{float: 'right'}}>
+            <tbody>
+            <tr>
+              <td>
+                <CancelButton size='large'
+                              onClick={e => projectActions.rollback()}>{translator.t('Cancel')}</CancelButton>
+              </td>
+              <td>
+                <FormSubmitButton size='large'>{translator.t('Import')}</FormSubmitButton>
+              </td>
+            </tr>
+            </tbody>
+          </table>
+        </form>
+      </ContentContainer>
+    )
+  }
+}
+
+DXFImporter.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  state: PropTypes.object.isRequired,
+};
+
+DXFImporter.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+  catalog: PropTypes.object.isRequired,
+};
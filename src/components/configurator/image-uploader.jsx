@@ -0,0 +1,116 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import {
+  ContentTitle,
+  ContentContainer,
+  FormLabel,
+  FormBlock,
+  FormNumberInput,
+  FormSubmitButton,
+  CancelButton
+} from '../style/export';
+import {browserReadImage} from '../../utils/browser';
+
+export default class ImageUploader extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    this.state = {
+      file: null,
+      page: 1
+    };
+  }
+
+  onSubmit(event) {
+    event.preventDefault();
+
+    let {sceneActions, translator} = this.context;
+    let {file, page} = this.state;
+
+    if (!file) {
+      alert(translator.t('Select an image or a PDF file'));
+      return;
+    }
+
+    sceneActions.beginUploadingImage();
+    browserReadImage(file, parseInt(page) || 1)
+      .then(({src, width, height}) => sceneActions.endUploadingImage(src, width, height, file.name))
+      .catch(error => {
+        alert(`${translator.t('Unable to load the image')}: ${error.message}`);
+        sceneActions.selectToolUploadImage();
+      });
+  }
+
+  render() {
+    let {width, height, state} = this.props;
+    let {file, page} = this.state;
+    let {projectActions, translator} = this.context;
+
+    let loading = state.getIn(['drawingSupport', 'loading']);
+    let isPDF = file && (file.type === 'application/pdf' || /\.pdf$/i.test(file.name));
+
+    return (
+      <ContentContainer width={width} height={height}>
+        <ContentTitle>{translator.t('Reference image')}</ContentTitle>
+
+        <form onSubmit={e => this.onSubmit(e)}>
+          <FormBlock>
+            <FormLabel htmlFor='file'>{translator.t('Image or PDF file')}</FormLabel>
+            <input
+              id='file'
+              type='file'
+              accept='image/*,application/pdf'
+              disabled={loading}
+              onChange={e => this.setState({file: e.target.files[0] || null})}
+            />
+          </FormBlock>
+
+          {
+            isPDF ?
+              <FormBlock>
+                <FormLabel htmlFor='page'>{translator.t('PDF page')}</FormLabel>
+                <FormNumberInput
+                  id='page'
+                  min={1}
+                  value={page}
+                  onChange={e => this.setState({page: e.target.value})}
+                />
+              </FormBlock>
+              : null
+          }
+
+          <p>{translator.t('After loading, click two points of the image and type their real distance to set its scale')}</p>
+
+          <table style={{float: 'right'}}>
+            <tbody>
+            <tr>
+              <td>
+                <CancelButton size='large'
+                              onClick={e => projectActions.rollback()}>{translator.t('Cancel')}</CancelButton>
+              </td>
+              <td>
+                <FormSubmitButton size='large' disabled={loading}>
+                  {loading ? translator.t('Loading...') : translator.t('Load')}
+                </FormSubmitButton>
+              </td>
+            </tr>
+            </tbody>
+          </table>
+        </form>
+      </ContentContainer>
+    )
+  }
+}
+
+ImageUploader.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  state: PropTypes.object.isRequired,
+};
+
+ImageUploader.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  sceneActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+};
@@ -0,0 +1,157 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import {
+  ContentTitle,
+  ContentContainer,
+  FormLabel,
+  FormBlock,
+  FormNumberInput,
+  FormSelect,
+  Button,
+  FormSubmitButton,
+  CancelButton
+} from '../style/export';
+import {Project} from '../../class/export';
+import {
+  sceneToSVG,
+  paperSize,
+  PAPER_SIZES,
+  ORIENTATION_LANDSCAPE,
+  ORIENTATION_PORTRAIT
+} from '../../exporters/svg';
+import {browserDownloadFile, browserPrintSVG} from '../../utils/browser';
+
+const previewStyle = {
+  width: '100%',
+  maxHeight: '50vh',
+  objectFit: 'contain',
+  border: '1px solid #ccc',
+  backgroundColor: '#fff',
+  marginBottom: '1em'
+};
+
+const checkboxLabelStyle = {marginRight: '1.5em'};
+
+export default class PlanExporter extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    this.state = {
+      paper: 'A3',
+      orientation: ORIENTATION_LANDSCAPE,
+      scale: 50,
+      titleBlock: true,
+      legend: true,
+      dimensions: true
+    };
+  }
+
+  renderSVG() {
+    let {state} = this.props;
+    let {catalog, translator} = this.context;
+
+    let scene = Project.unselectAll(state).updatedState.scene;
+
+    return sceneToSVG(scene, catalog, {...this.state, translator: phrase => translator.t(phrase)});
+  }
+
+  downloadSVG(event) {
+    event.preventDefault();
+    browserDownloadFile(this.renderSVG(), 'svg', 'image/svg+xml');
+  }
+
+  printPDF(event) {
+    event.preventDefault();
+
+    let [width, height] = paperSize(this.state);
+    if (!browserPrintSVG(this.renderSVG(), width, height)) {
+      alert(this.context.translator.t('Allow pop-ups to print the plan'));
+    }
+  }
+
+  render() {
+    let {width, height} = this.props;
+    let {paper, orientation, scale} = this.state;
+    let {projectActions, translator} = this.context;
+
+    let preview = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.renderSVG())}`;
+
+    let checkbox = (key, label) => (
+      <label style={checkboxLabelStyle}>
+        <input type='checkbox' checked={this.state[key]} onChange={e => this.setState({[key]: e.target.checked})}/>
+        {' '}{translator.t(label)}
+      </label>
+    );
+
+    return (
+      <ContentContainer width={width} height={height}>
+        <ContentTitle>{translator.t('Print / export plan')}</ContentTitle>
+
+        <img src={preview} style={previewStyle}/>
+
+        <form onSubmit={e => this.downloadSVG(e)}>
+          <FormBlock>
+            <FormLabel htmlFor='paper'>{translator.t('Paper size')}</FormLabel>
+            <FormSelect id='paper' value={paper} onChange={e => this.setState({paper: e.target.value})}>
+              {Object.keys(PAPER_SIZES).map(size => <option key={size} value={size}>{size}</option>)}
+            </FormSelect>
+          </FormBlock>
+
+          <FormBlock>
+            <FormLabel htmlFor='orientation'>{translator.t('Orientation')}</FormLabel>
+            <FormSelect id='orientation' value={orientation} onChange={e => this.setState({orientation: e.target.value})}>
+              <option value={ORIENTATION_LANDSCAPE}>{translator.t(ORIENTATION_LANDSCAPE)}</option>
+              <option value={ORIENTATION_PORTRAIT}>{translator.t(ORIENTATION_PORTRAIT)}</option>
+            </FormSelect>
+          </FormBlock>
+
+          <FormBlock>
+            <FormLabel htmlFor='scale'>{translator.t('Scale')} (1:N)</FormLabel>
+            <FormNumberInput
+              id='scale'
+              min={1}
+              value={scale}
+              onChange={e => this.setState({scale: parseFloat(e.target.value) || 1})}
+            />
+          </FormBlock>
+
+          <FormBlock>
+            {checkbox('titleBlock', 'Title block')}
+            {checkbox('legend', 'Legend')}
+            {checkbox('dimensions', 'Wall dimensions')}
+          </FormBlock>
+
+          <table style={{float: 'right'}}>
+            <tbody>
+            <tr>
+              <td>
+                <CancelButton size='large'
+                              onClick={e => projectActions.rollback()}>{translator.t('Cancel')}</CancelButton>
+              </td>
+              <td>
+                <Button size='large' onClick={e => this.printPDF(e)}>{translator.t('Print / PDF')}</Button>
+              </td>
+              <td>
+                <FormSubmitButton size='large'>{translator.t('Download SVG')}</FormSubmitButton>
+              </td>
+            </tr>
+            </tbody>
+          </table>
+        </form>
+      </ContentContainer>
+    )
+  }
+}
+
+PlanExporter.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  state: PropTypes.object.isRequired,
+};
+
+PlanExporter.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+  catalog: PropTypes.object.isRequired,
+};
@@ -0,0 +1,87 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import {
+  ContentTitle,
+  ContentContainer,
+  Button,
+  CancelButton
+} from '../style/export';
+import {sceneReport, reportToCSV, reportToHTML} from '../../exporters/report';
+import {browserDownloadFile} from '../../utils/browser';
+
+const previewStyle = {
+  width: '100%',
+  height: '60vh',
+  border: '1px solid #ccc',
+  backgroundColor: '#fff',
+  marginBottom: '1em'
+};
+
+//lets spreadsheets recognize the CSV as UTF-8
+const BOM = '\ufeff';
+
+export default class ReportViewer extends Component {
+
+  report() {
+    return sceneReport(this.props.state.scene, this.context.catalog);
+  }
+
+  options() {
+    let {translator} = this.context;
+    let title = this.props.state.scene.meta.get('name');
+
+    return {title, translator: phrase => translator.t(phrase)};
+  }
+
+  downloadCSV(event) {
+    event.preventDefault();
+    browserDownloadFile(BOM + reportToCSV(this.report(), this.options()), 'csv', 'text/csv');
+  }
+
+  downloadHTML(event) {
+    event.preventDefault();
+    browserDownloadFile(reportToHTML(this.report(), this.options()), 'html', 'text/html');
+  }
+
+  render() {
+    let {width, height} = this.props;
+    let {projectActions, translator} = this.context;
+
+    return (
+      <ContentContainer width={width} height={height}>
+        <ContentTitle>{translator.t('Report')}</ContentTitle>
+
+        <iframe srcDoc={reportToHTML(this.report(), this.options())} style={previewStyle}/>
+
+        <table style={{float: 'right'}}>
+          <tbody>
+          <tr>
+            <td>
+              <CancelButton size='large'
+                            onClick={e => projectActions.rollback()}>{translator.t('Close')}</CancelButton>
+            </td>
+            <td>
+              <Button size='large' onClick={e => this.downloadCSV(e)}>{translator.t('Download CSV')}</Button>
+            </td>
+            <td>
+              <Button size='large' onClick={e => this.downloadHTML(e)}>{translator.t('Download HTML')}</Button>
+            </td>
+          </tr>
+          </tbody>
+        </table>
+      </ContentContainer>
+    )
+  }
+}
+
+ReportViewer.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  state: PropTypes.object.isRequired,
+};
+
+ReportViewer.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+  catalog: PropTypes.object.isRequired,
+};
@@ -5,6 +5,10 @@ import Viewer3D from './viewer3d/viewer3d';
 import Viewer3DFirstPerson from './viewer3d/viewer3d-first-person';
 import CatalogList from './catalog-view/catalog-list';
 import ProjectConfigurator from './configurator/project-configurator';
+import DXFImporter from './configurator/dxf-importer';
+import ImageUploader from './configurator/image-uploader';
+import PlanExporter from './configurator/plan-exporter';
+import ReportViewer from './configurator/report-viewer';
 
 import * as constants from '../constants';
 
@@ -34,11 +38,35 @@ export default function Content({width, height, state, customContents}) {
     case constants.MODE_DRAWING_ITEM:
     case constants.MODE_DRAGGING_HOLE:
     case constants.MODE_ROTATING_ITEM:
+    case constants.MODE_FITTING_IMAGE:
+    case constants.MODE_WAITING_DRAWING_ROOM:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_WAITING_DRAWING_DIMENSION:
+    case constants.MODE_DRAWING_DIMENSION:
+    case constants.MODE_WAITING_DRAWING_ANNOTATION:
+    case constants.MODE_DRAWING_ANNOTATION:
+    case constants.MODE_DRAGGING_ANNOTATION:
+    case constants.MODE_SELECTING_BOX:
+    case constants.MODE_WAITING_TRANSFORM:
+    case constants.MODE_TRANSFORMING:
+    case constants.MODE_ARRAYING_ITEMS:
       return <Viewer2D state={state} width={width} height={height}/>;
 
     case constants.MODE_CONFIGURING_PROJECT:
       return <ProjectConfigurator width={width} height={height} state={state}/>;
 
+    case constants.MODE_IMPORTING_DXF:
+      return <DXFImporter width={width} height={height} state={state}/>;
+
+    case constants.MODE_UPLOADING_IMAGE:
+      return <ImageUploader width={width} height={height} state={state}/>;
+
+    case constants.MODE_EXPORTING_PLAN:
+      return <PlanExporter width={width} height={height} state={state}/>;
+
+    case constants.MODE_VIEWING_REPORT:
+      return <ReportViewer width={width} height={height} state={state}/>;
+
     default:
       if (customContents.hasOwnProperty(mode)) {
         let CustomContent = customContents[mode];
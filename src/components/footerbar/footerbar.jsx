@@ -3,7 +3,7 @@ import PropTypes from 'prop-types';
 import If from '../../utils/react-if';
 import FooterToggleButton from './footer-toggle-button';
 import FooterContentButton from './footer-content-button';
-import { SNAP_POINT, SNAP_LINE, SNAP_SEGMENT, SNAP_GRID, SNAP_GUIDE } from '../../utils/snap';
+import { SNAP_POINT, SNAP_LINE, SNAP_SEGMENT, SNAP_GRID, SNAP_GUIDE, SNAP_ANGLE, SNAP_ANGLE_STEP } from '../../utils/snap';
 import { MODE_SNAPPING } from '../../constants';
 import * as SharedStyle from '../../shared-style';
 import { MdAddCircle, MdWarning } from 'react-icons/md';
@@ -47,6 +47,16 @@ const coordStyle = {
   padding: 0
 };
 
+const angleStepStyle = {
+  width: '3.5em',
+  height: '14px',
+  padding: '0 2px',
+  fontSize: '11px',
+  border: 'none',
+  borderRadius: '2px',
+  verticalAlign: 'top'
+};
+
 const appMessageStyle = { borderBottom: '1px solid #555', lineHeight: '1.5em' };
 
 export default class FooterBar extends Component {
@@ -130,6 +140,25 @@ export default class FooterBar extends Component {
               toggleState={globalState.snapMask.get(SNAP_GUIDE)}
               title={translator.t('Snap to Guide')}
             />
+            <FooterToggleButton
+              state={this.state}
+              toggleOn={() => { updateSnapMask({ SNAP_ANGLE: true }); }}
+              toggleOff={() => { updateSnapMask({ SNAP_ANGLE: false }); }}
+              text="Snap ANG"
+              toggleState={globalState.snapMask.get(SNAP_ANGLE)}
+              title={translator.t('Snap to Angle (hold Shift)')}
+            />
+            <input
+              type="number"
+              min="1"
+              max="180"
+              style={angleStepStyle}
+              value={globalState.snapMask.get(SNAP_ANGLE_STEP)}
+              onChange={event => { updateSnapMask({ SNAP_ANGLE_STEP: event.target.value }); }}
+              onKeyDown={event => event.stopPropagation()}
+              onKeyUp={event => event.stopPropagation()}
+              title={translator.t('Angle step in degrees')}
+            />
           </div>
         </If>
 
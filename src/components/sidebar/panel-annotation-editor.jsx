@@ -0,0 +1,143 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Map } from 'immutable';
+import Panel from './panel';
+import { FormNumberInput, FormTextArea } from '../style/export';
+import { AnnotationUtils } from '../../utils/export';
+import {
+  MODE_IDLE,
+  MODE_2D_ZOOM_IN,
+  MODE_2D_ZOOM_OUT,
+  MODE_2D_PAN,
+  MODE_WAITING_DRAWING_ANNOTATION,
+  ANNOTATION_TEXT,
+  ANNOTATION_LEADER,
+  ANNOTATION_NORTH_ARROW,
+  ANNOTATION_SCALE_BAR,
+  ANNOTATION_CLOUD
+} from '../../constants';
+
+//the annotations just placed with the tool stay selected, so that their text can be typed at once
+const VISIBILITY_MODE = { MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_WAITING_DRAWING_ANNOTATION };
+
+//properties edited for each kind of annotation, besides the text
+const FIELDS = {
+  [ANNOTATION_TEXT]: ['textSize', 'rotation'],
+  [ANNOTATION_LEADER]: ['textSize'],
+  [ANNOTATION_NORTH_ARROW]: ['size', 'textSize', 'rotation'],
+  [ANNOTATION_SCALE_BAR]: ['length', 'divisions', 'textSize', 'rotation'],
+  [ANNOTATION_CLOUD]: ['arcSize']
+};
+
+const LABELS = {
+  textSize: 'Text size',
+  rotation: 'Rotation',
+  size: 'Size',
+  length: 'Length',
+  divisions: 'Divisions',
+  arcSize: 'Arc size'
+};
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+
+//the text is set when the field is left, not at every key
+class AnnotationText extends Component {
+
+  constructor(props) {
+    super(props);
+    this.state = { text: props.value };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.value !== this.props.value) this.setState({ text: nextProps.value });
+  }
+
+  render() {
+    let { value, onChange } = this.props;
+
+    return (
+      <FormTextArea
+        value={this.state.text}
+        onChange={e => this.setState({ text: e.target.value })}
+        onBlur={e => { if (this.state.text !== value) onChange(this.state.text); }}
+      />
+    );
+  }
+}
+
+AnnotationText.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default function PanelAnnotationEditor({ state }, { annotationsActions, translator }) {
+  if (!VISIBILITY_MODE[state.mode]) return null;
+
+  let renderAnnotation = (layer, annotation) => {
+    let { properties } = annotation;
+    let defaults = AnnotationUtils.annotationProperties(annotation.type, state.scene.unit);
+
+    let setProperty = (name, value) =>
+      annotationsActions.setAnnotationProperties(layer.id, annotation.id, new Map({ [name]: value }));
+
+    let field = name => {
+      let input = name === 'rotation' ?
+        <FormNumberInput
+          value={annotation.rotation}
+          onChange={e => annotationsActions.setAnnotationAttributes(layer.id, annotation.id, new Map({ rotation: e.target.value }))}
+        /> :
+        <FormNumberInput
+          value={properties.has(name) ? properties.get(name) : defaults[name]}
+          min={name === 'divisions' ? 1 : 0}
+          precision={name === 'divisions' ? 0 : undefined}
+          onChange={e => setProperty(name, e.target.value)}
+        />;
+
+      return (
+        <tr key={name}>
+          <td style={firstTdStyle}>{translator.t(LABELS[name])}:</td>
+          <td>{input}</td>
+        </tr>
+      );
+    };
+
+    return (
+      <Panel key={annotation.id} name={translator.t('Properties: [{0}] {1}', translator.t('Annotation'), annotation.id)} opened={true}>
+        <table style={tableStyle}>
+          <tbody>
+            {
+              annotation.type === ANNOTATION_TEXT || annotation.type === ANNOTATION_LEADER ?
+                <tr>
+                  <td style={firstTdStyle}>{translator.t('Text')}:</td>
+                  <td>
+                    <AnnotationText value={properties.get('text') || ''} onChange={text => setProperty('text', text)}/>
+                  </td>
+                </tr> : null
+            }
+            {(FIELDS[annotation.type] || []).map(field)}
+          </tbody>
+        </table>
+      </Panel>
+    );
+  };
+
+  return (
+    <div>
+      {
+        state.scene.layers.valueSeq().map(layer =>
+          layer.annotations.valueSeq().filter(annotation => annotation.selected).map(annotation => renderAnnotation(layer, annotation))
+        )
+      }
+    </div>
+  );
+}
+
+PanelAnnotationEditor.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelAnnotationEditor.contextTypes = {
+  annotationsActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
@@ -0,0 +1,64 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import { FormSelect } from '../style/export';
+import {
+  MODE_WAITING_DRAWING_ANNOTATION,
+  MODE_DRAWING_ANNOTATION,
+  ANNOTATION_TEXT,
+  ANNOTATION_LEADER,
+  ANNOTATION_NORTH_ARROW,
+  ANNOTATION_SCALE_BAR,
+  ANNOTATION_CLOUD
+} from '../../constants';
+
+const VISIBILITY_MODE = { MODE_WAITING_DRAWING_ANNOTATION, MODE_DRAWING_ANNOTATION };
+
+const HINTS = {
+  [ANNOTATION_TEXT]: 'Click where the text goes',
+  [ANNOTATION_LEADER]: 'Click the point to show, then where the text goes',
+  [ANNOTATION_NORTH_ARROW]: 'Click where the north arrow goes',
+  [ANNOTATION_SCALE_BAR]: 'Click where the scale bar starts',
+  [ANNOTATION_CLOUD]: 'Click two opposite corners of the cloud'
+};
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+const hintStyle = { padding: '0 15px 8px 15px', margin: 0 };
+
+export default function PanelAnnotationTool({ state }, { annotationsActions, translator }) {
+  if (!VISIBILITY_MODE[state.mode]) return null;
+
+  let type = state.getIn(['drawingSupport', 'type']);
+
+  return (
+    <Panel name={translator.t('Annotation tool')} opened={true}>
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Annotation')}:</td>
+            <td>
+              <FormSelect value={type} onChange={e => annotationsActions.selectToolDrawingAnnotation(e.target.value)}>
+                <option value={ANNOTATION_TEXT}>{translator.t('Text')}</option>
+                <option value={ANNOTATION_LEADER}>{translator.t('Leader')}</option>
+                <option value={ANNOTATION_NORTH_ARROW}>{translator.t('North arrow')}</option>
+                <option value={ANNOTATION_SCALE_BAR}>{translator.t('Scale bar')}</option>
+                <option value={ANNOTATION_CLOUD}>{translator.t('Revision cloud')}</option>
+              </FormSelect>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <p style={hintStyle}>{translator.t(HINTS[type])}</p>
+    </Panel>
+  );
+}
+
+PanelAnnotationTool.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelAnnotationTool.contextTypes = {
+  annotationsActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
@@ -0,0 +1,249 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import {FaImage, FaLock, FaLockOpen, FaEye, FaTrash, FaRulerHorizontal} from 'react-icons/fa';
+import {
+  FormNumberInput,
+  FormSubmitButton,
+  FormSlider,
+  CancelButton
+} from '../style/export';
+
+import {
+  MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN,
+  MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM, MODE_DRAGGING_LINE,
+  MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE, MODE_ROTATING_ITEM
+} from '../../constants';
+import * as SharedStyle from '../../shared-style';
+
+const VISIBILITY_MODE = {
+  MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN,
+  MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM,
+  MODE_DRAGGING_LINE, MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE,
+  MODE_ROTATING_ITEM, MODE_FITTING_IMAGE
+};
+
+const ATTRIBUTES = ['x', 'y', 'width', 'height', 'rotation', 'opacity'];
+
+const styleEditButton = {
+  cursor: 'pointer',
+  marginLeft: '5px',
+  border: '0px',
+  background: 'none',
+  color: SharedStyle.COLORS.white,
+  fontSize: '14px',
+  outline: '0px'
+};
+
+const styleHoverColor = {color: SharedStyle.SECONDARY_COLOR.main};
+const styleEditButtonHover = {...styleEditButton, ...styleHoverColor};
+const styleEyeVisible = {...styleEditButton, fontSize: '1.25em'};
+const styleEyeHidden = {...styleEyeVisible, color: '#a5a1a1'};
+const styleAddLabel = {fontSize: '10px', marginLeft: '5px'};
+const toolbarStyle = {padding: '0.5em 15px', display: 'flex', alignItems: 'center'};
+const imageNameStyle = {flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'};
+const uploadLabelStyle = {margin: '0.5em 0', fontSize: '1.3em', cursor: 'pointer', textAlign: 'center'};
+const uploadLabelHoverStyle = {...uploadLabelStyle, ...styleHoverColor};
+const firstTdStyle = {width: '6em'};
+const imageInputTableStyle = {width: '100%', borderSpacing: '2px 0', padding: '5px 15px'};
+const inputTableButtonStyle = {float: 'right', marginTop: '0.5em', borderSpacing: '0'};
+
+const imageAttributes = image => image ? ATTRIBUTES.reduce((attributes, key) => ({...attributes, [key]: image.get(key)}), {}) : {};
+
+export default class PanelBackgroundImage extends Component {
+  constructor(props, context) {
+    super(props, context);
+
+    this.state = {
+      headHovered: false,
+      attributes: imageAttributes(this.getImage(props))
+    };
+  }
+
+  getImage(props) {
+    let {scene} = props.state;
+    return scene.getIn(['layers', scene.selectedLayer, 'backgroundImage']);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (this.getImage(this.props) !== this.getImage(nextProps)) {
+      this.setState({attributes: imageAttributes(this.getImage(nextProps))});
+    }
+  }
+
+  shouldComponentUpdate(nextProps, nextState) {
+    if(
+      this.props.state.mode !== nextProps.state.mode ||
+      this.props.state.scene.selectedLayer !== nextProps.state.scene.selectedLayer ||
+      this.getImage(this.props) !== this.getImage(nextProps) ||
+      this.state.headHovered !== nextState.headHovered ||
+      this.state.attributes !== nextState.attributes
+    ) return true;
+
+    return false;
+  }
+
+  updateAttribute(key, value) {
+    this.setState({attributes: {...this.state.attributes, [key]: value}});
+  }
+
+  //width and height are bound, an image is only stretched by the calibration
+  updateSize(key, value) {
+    let image = this.getImage(this.props);
+    let ratio = image.height / image.width;
+    let size = parseFloat(value);
+
+    this.setState({
+      attributes: {
+        ...this.state.attributes,
+        [key]: value,
+        [key === 'width' ? 'height' : 'width']: isNaN(size) ? '' : key === 'width' ? size * ratio : size / ratio
+      }
+    });
+  }
+
+  saveAttributes(e) {
+    e.stopPropagation();
+
+    let layerID = this.props.state.scene.selectedLayer;
+    let attributes = ATTRIBUTES.reduce((result, key) => {
+      let value = parseFloat(this.state.attributes[key]);
+      if (!isNaN(value)) result[key] = value;
+      return result;
+    }, {});
+
+    if (attributes.width <= 0 || attributes.height <= 0) {
+      alert(this.context.translator.t('Image size must be positive'));
+      return;
+    }
+
+    this.context.sceneActions.setBackgroundImageAttributes(layerID, attributes);
+  }
+
+  resetAttributes(e) {
+    e.stopPropagation();
+    this.setState({attributes: imageAttributes(this.getImage(this.props))});
+  }
+
+  render() {
+    if (!VISIBILITY_MODE[this.props.state.mode]) return null;
+
+    let {sceneActions, translator} = this.context;
+    let layerID = this.props.state.scene.selectedLayer;
+    let image = this.getImage(this.props);
+    let {attributes} = this.state;
+
+    if (!image) {
+      return (
+        <Panel name={translator.t('Reference image')}>
+          <p
+            style={!this.state.headHovered ? uploadLabelStyle : uploadLabelHoverStyle}
+            onMouseOver={() => this.setState({headHovered: true})}
+            onMouseOut={() => this.setState({headHovered: false})}
+            onClick={() => sceneActions.selectToolUploadImage()}
+          >
+            <FaImage/>
+            <b style={styleAddLabel}>{translator.t('Load reference image')}</b>
+          </p>
+        </Panel>
+      );
+    }
+
+    let {locked, visible} = image;
+    let setAttributes = changes => sceneActions.setBackgroundImageAttributes(layerID, changes);
+
+    return (
+      <Panel name={translator.t('Reference image')}>
+        <div style={toolbarStyle}>
+          <span style={imageNameStyle} title={image.name}>{image.name}</span>
+          <FaEye
+            onClick={() => setAttributes({visible: !visible})}
+            style={visible ? styleEyeVisible : styleEyeHidden}
+            title={translator.t('Show/hide')}
+          />
+          {
+            locked ?
+              <FaLock
+                onClick={() => setAttributes({locked: false})}
+                style={styleEditButtonHover}
+                title={translator.t('Unlock')}
+              /> :
+              <FaLockOpen
+                onClick={() => setAttributes({locked: true})}
+                style={styleEditButton}
+                title={translator.t('Lock')}
+              />
+          }
+          {
+            !locked ?
+              <FaRulerHorizontal
+                onClick={() => sceneActions.selectToolFitImage(layerID)}
+                style={this.props.state.mode === MODE_FITTING_IMAGE ? styleEditButtonHover : styleEditButton}
+                title={translator.t('Calibrate scale')}
+              />
+              : null
+          }
+          <FaTrash
+            onClick={() => sceneActions.removeBackgroundImage(layerID)}
+            style={styleEditButton}
+            title={translator.t('Remove reference image')}
+          />
+        </div>
+
+        <table style={imageInputTableStyle}>
+          <tbody>
+            <tr>
+              <td style={firstTdStyle}>{translator.t('opacity')}:</td>
+              <td>
+                <FormSlider
+                  min={0}
+                  max={100}
+                  value={Math.round(attributes.opacity * 100)}
+                  onChange={e => this.updateAttribute('opacity', e.target.value / 100)}
+                />
+              </td>
+            </tr>
+            {
+              ['x', 'y', 'width', 'height', 'rotation'].map(key =>
+                <tr key={key}>
+                  <td style={firstTdStyle}>{translator.t(key)}:</td>
+                  <td>
+                    {
+                      locked ?
+                        parseFloat(image.get(key).toFixed(2)) :
+                        <FormNumberInput
+                          value={attributes[key]}
+                          onChange={e => key === 'width' || key === 'height' ? this.updateSize(key, e.target.value) : this.updateAttribute(key, e.target.value)}
+                        />
+                    }
+                  </td>
+                </tr>
+              )
+            }
+            <tr>
+              <td colSpan="2">
+                <table style={inputTableButtonStyle}>
+                  <tbody>
+                    <tr>
+                      <td><CancelButton size="small" onClick={e => this.resetAttributes(e)}>{translator.t('Reset')}</CancelButton></td>
+                      <td><FormSubmitButton size="small" onClick={e => this.saveAttributes(e)}>{translator.t('Save')}</FormSubmitButton></td>
+                    </tr>
+                  </tbody>
+                </table>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </Panel>
+    );
+  }
+}
+
+PanelBackgroundImage.propTypes = {
+  state: PropTypes.object.isRequired,
+};
+
+PanelBackgroundImage.contextTypes = {
+  sceneActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+};
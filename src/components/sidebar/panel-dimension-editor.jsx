@@ -0,0 +1,99 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Map } from 'immutable';
+import Panel from './panel';
+import { FormNumberInput, FormSelect } from '../style/export';
+import { DimensionUtils } from '../../utils/export';
+import {
+  MODE_IDLE,
+  MODE_2D_ZOOM_IN,
+  MODE_2D_ZOOM_OUT,
+  MODE_2D_PAN,
+  DIMENSION_ANGULAR,
+  UNITS_LENGTH
+} from '../../constants';
+
+const VISIBILITY_MODE = { MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN };
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+
+export default function PanelDimensionEditor({ state }, { dimensionsActions, translator }) {
+  if (!VISIBILITY_MODE[state.mode]) return null;
+
+  let renderDimension = (layer, dimension) => {
+    let { properties } = dimension;
+    let setProperty = (name, value) =>
+      dimensionsActions.setDimensionProperties(layer.id, dimension.id, new Map({ [name]: value }));
+
+    return (
+      <Panel key={dimension.id} name={translator.t('Properties: [{0}] {1}', translator.t('Dimension'), dimension.id)} opened={true}>
+        <table style={tableStyle}>
+          <tbody>
+            <tr>
+              <td style={firstTdStyle}>{translator.t('Text size')}:</td>
+              <td>
+                <FormNumberInput
+                  value={properties.get('textSize') || DimensionUtils.DEFAULT_TEXT_SIZE}
+                  min={1}
+                  onChange={e => setProperty('textSize', e.target.value)}
+                />
+              </td>
+            </tr>
+            {
+              dimension.type !== DIMENSION_ANGULAR ?
+                <tr>
+                  <td style={firstTdStyle}>{translator.t('Unit')}:</td>
+                  <td>
+                    <FormSelect value={properties.get('unit') || state.scene.unit} onChange={e => setProperty('unit', e.target.value)}>
+                      {UNITS_LENGTH.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </FormSelect>
+                  </td>
+                </tr> : null
+            }
+            <tr>
+              <td style={firstTdStyle}>{translator.t('Precision')}:</td>
+              <td>
+                <FormNumberInput
+                  value={properties.has('precision') ? properties.get('precision') : DimensionUtils.DEFAULT_PRECISION}
+                  min={0}
+                  max={6}
+                  precision={0}
+                  onChange={e => setProperty('precision', e.target.value)}
+                />
+              </td>
+            </tr>
+            <tr>
+              <td style={firstTdStyle}>{translator.t('Offset')}:</td>
+              <td>
+                <FormNumberInput
+                  value={dimension.offset}
+                  onChange={e => dimensionsActions.setDimensionAttributes(layer.id, dimension.id, new Map({ offset: e.target.value }))}
+                />
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </Panel>
+    );
+  };
+
+  return (
+    <div>
+      {
+        state.scene.layers.valueSeq().map(layer =>
+          layer.dimensions.valueSeq().filter(dimension => dimension.selected).map(dimension => renderDimension(layer, dimension))
+        )
+      }
+    </div>
+  );
+}
+
+PanelDimensionEditor.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelDimensionEditor.contextTypes = {
+  dimensionsActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
@@ -0,0 +1,61 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import { FormSelect } from '../style/export';
+import {
+  MODE_WAITING_DRAWING_DIMENSION,
+  MODE_DRAWING_DIMENSION,
+  DIMENSION_LINEAR,
+  DIMENSION_ALIGNED,
+  DIMENSION_ANGULAR,
+  DIMENSION_CHAIN
+} from '../../constants';
+
+const VISIBILITY_MODE = { MODE_WAITING_DRAWING_DIMENSION, MODE_DRAWING_DIMENSION };
+
+const HINTS = {
+  [DIMENSION_LINEAR]: 'Click two points, then where the dimension goes. It is horizontal or vertical depending on that side',
+  [DIMENSION_ALIGNED]: 'Click two points, then where the dimension goes',
+  [DIMENSION_ANGULAR]: 'Click two walls, then inside the angle to measure',
+  [DIMENSION_CHAIN]: 'Click a wall, then on the side where its chain dimension goes'
+};
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+const hintStyle = { padding: '0 15px 8px 15px', margin: 0 };
+
+export default function PanelDimensionTool({ state }, { dimensionsActions, translator }) {
+  if (!VISIBILITY_MODE[state.mode]) return null;
+
+  let type = state.getIn(['drawingSupport', 'type']);
+
+  return (
+    <Panel name={translator.t('Dimension tool')} opened={true}>
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Dimension')}:</td>
+            <td>
+              <FormSelect value={type} onChange={e => dimensionsActions.selectToolDrawingDimension(e.target.value)}>
+                <option value={DIMENSION_LINEAR}>{translator.t('Linear')}</option>
+                <option value={DIMENSION_ALIGNED}>{translator.t('Aligned')}</option>
+                <option value={DIMENSION_ANGULAR}>{translator.t('Angular')}</option>
+                <option value={DIMENSION_CHAIN}>{translator.t('Chain along a wall')}</option>
+              </FormSelect>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <p style={hintStyle}>{translator.t(HINTS[type])}</p>
+    </Panel>
+  );
+}
+
+PanelDimensionTool.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelDimensionTool.contextTypes = {
+  dimensionsActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
@@ -1,6 +1,6 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
-import { FormNumberInput, FormTextInput } from '../../../style/export';
+import { FormNumberInput, FormTextInput, FormSelect } from '../../../style/export';
 import { PropertyLengthMeasure } from '../../../../catalog/properties/export';
 
 const tableStyle = { width: '100%' };
@@ -13,6 +13,12 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
   let vertexOne = attributeFormData.has('vertexOne') ? attributeFormData.get('vertexOne') : null;
   let vertexTwo = attributeFormData.has('vertexTwo') ? attributeFormData.get('vertexTwo') : null;
   let lineLength = attributeFormData.has('lineLength') ? attributeFormData.get('lineLength') : null;
+  let lengthAnchor = attributeFormData.has('lengthAnchor') ? attributeFormData.get('lengthAnchor') : 'vertexOne';
+  let bulge = attributeFormData.has('bulge') ? attributeFormData.get('bulge') : element.bulge;
+
+  //the arc is edited through its height over the chord, which is half the chord times the bulge
+  let chord = lineLength ? lineLength.get('length') : 0;
+  let arcHeight = bulge * chord / 2;
 
   return (
     <div>
@@ -88,6 +94,32 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
         configs={{label: translator.t('Length'), min: 0, max: Infinity, precision: 2}}
         state={state}
       />
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Fixed end')}</td>
+            <td>
+              <FormSelect value={lengthAnchor} onChange={event => onUpdate('lengthAnchor', event.target.value)}>
+                <option value='vertexOne'>X1, Y1</option>
+                <option value='vertexTwo'>X2, Y2</option>
+              </FormSelect>
+            </td>
+          </tr>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Arc height')}</td>
+            <td>
+              <FormNumberInput
+                value={arcHeight}
+                onChange={event => onUpdate('bulge', chord ? 2 * event.target.value / chord : 0)}
+                style={inputStyle}
+                state={state}
+                precision={2}
+                {...rest}
+              />
+            </td>
+          </tr>
+        </tbody>
+      </table>
     </div>
   );
 }
@@ -78,21 +78,24 @@ export default class ElementEditor extends Component {
         let v_a = layer.vertices.get(element.vertices.get(0));
         let v_b = layer.vertices.get(element.vertices.get(1));
 
+        //the vertices are in the scene unit, the length is shown in the unit last chosen for the line
         let distance = GeometryUtils.pointsDistance(v_a.x, v_a.y, v_b.x, v_b.y);
-        let _unit = element.misc.get('_unitLength') || this.context.catalog.unit;
-        let _length = convert(distance).from(this.context.catalog.unit).to(_unit);
+        let _unit = element.misc.get('_unitLength') || state.scene.unit;
+        let _length = convert(distance).from(state.scene.unit).to(_unit);
 
         return new Map({
           vertexOne: v_a,
           vertexTwo: v_b,
           lineLength: new Map({length: distance, _length, _unit}),
+          lengthAnchor: element.misc.get('_lengthAnchor') || (GeometryUtils.compareVertices(v_a, v_b) <= 0 ? 'vertexOne' : 'vertexTwo'),
+          bulge: element.bulge
         });
       }
       case 'holes': {
         let line = layer.lines.get(element.line);
         let {x: x0, y: y0} = layer.vertices.get(line.vertices.get(0));
         let {x: x1, y: y1} = layer.vertices.get(line.vertices.get(1));
-        let lineLength = GeometryUtils.pointsDistance(x0, y0, x1, y1);
+        let lineLength = GeometryUtils.arcLength(x0, y0, x1, y1, line.bulge);
         let startAt = lineLength * element.offset - element.properties.get('width').get('length') / 2;
 
         let _unitA = element.misc.get('_unitA') || this.context.catalog.unit;
@@ -117,7 +120,7 @@ export default class ElementEditor extends Component {
         });
       }
       case 'areas': {
-        return new Map({});
+        return new Map({ name: element.name });
       }
       default:
         return null;
@@ -155,16 +158,18 @@ export default class ElementEditor extends Component {
         {
           case 'lineLength':
           {
-            let v_0 = attributesFormData.get('vertexOne');
-            let v_1 = attributesFormData.get('vertexTwo');
+            //the anchor vertex stays where it is, the other one moves along the line
+            let anchor = attributesFormData.get('lengthAnchor');
+            let moving = anchor === 'vertexOne' ? 'vertexTwo' : 'vertexOne';
+            let v_a = attributesFormData.get(anchor);
+            let v_b = attributesFormData.get(moving);
 
-            let [v_a, v_b] = GeometryUtils.orderVertices([v_0, v_1]);
-
-            let v_b_new = GeometryUtils.extendLine(v_a.x, v_a.y, v_b.x, v_b.y, value.get('length'), PRECISION);
+            let length = convert(parseFloat(value.get('_length')) || 0).from(value.get('_unit')).to(this.props.state.scene.unit);
+            let v_b_new = GeometryUtils.extendLine(v_a.x, v_a.y, v_b.x, v_b.y, length, PRECISION);
 
             attributesFormData = attributesFormData.withMutations(attr => {
-              attr.set(v_0 === v_a ? 'vertexTwo' : 'vertexOne', v_b.merge(v_b_new));
-              attr.set('lineLength', value);
+              attr.set(moving, v_b.merge(v_b_new));
+              attr.set('lineLength', value.set('length', length));
             });
             break;
           }
@@ -178,7 +183,7 @@ export default class ElementEditor extends Component {
 
               attr.mergeIn(['lineLength'], attr.get('lineLength').merge({
                 'length': newDistance,
-                '_length': convert(newDistance).from(this.context.catalog.unit).to(attr.get('lineLength').get('_unit'))
+                '_length': convert(newDistance).from(this.props.state.scene.unit).to(attr.get('lineLength').get('_unit'))
               }));
             });
             break;
@@ -206,7 +211,7 @@ export default class ElementEditor extends Component {
             let [ {x: x0, y: y0}, {x: x1, y: y1} ] = orderedVertices;
 
             let alpha = GeometryUtils.angleBetweenTwoPoints(x0, y0, x1, y1);
-            let lineLength = GeometryUtils.pointsDistance(x0, y0, x1, y1);
+            let lineLength = GeometryUtils.arcLength(x0, y0, x1, y1, line.bulge);
             let widthLength = this.props.element.properties.get('width').get('length');
             let halfWidthLength = widthLength / 2;
 
@@ -218,6 +223,7 @@ export default class ElementEditor extends Component {
             let yp = (lengthValue + halfWidthLength) * Math.sin(alpha) + y0;
 
             let offset = GeometryUtils.pointPositionOnLineSegment(x0, y0, x1, y1, xp, yp);
+            if (GeometryUtils.isArc(line.bulge)) offset = (lengthValue + halfWidthLength) / lineLength;
 
             let endAt = MathUtils.toFixedFloat(lineLength - (lineLength * offset) - halfWidthLength, PRECISION);
             let offsetUnit = attributesFormData.getIn(['offsetB', '_unit']);
@@ -252,7 +258,7 @@ export default class ElementEditor extends Component {
             let [ {x: x0, y: y0}, {x: x1, y: y1} ] = orderedVertices;
 
             let alpha = GeometryUtils.angleBetweenTwoPoints(x0, y0, x1, y1);
-            let lineLength = GeometryUtils.pointsDistance(x0, y0, x1, y1);
+            let lineLength = GeometryUtils.arcLength(x0, y0, x1, y1, line.bulge);
             let widthLength = this.props.element.properties.get('width').get('length');
             let halfWidthLength = widthLength / 2;
 
@@ -264,6 +270,7 @@ export default class ElementEditor extends Component {
             let yp = y1 - (lengthValue + halfWidthLength) * Math.sin(alpha);
 
             let offset = GeometryUtils.pointPositionOnLineSegment(x0, y0, x1, y1, xp, yp);
+            if (GeometryUtils.isArc(line.bulge)) offset = 1 - (lengthValue + halfWidthLength) / lineLength;
 
             let startAt = MathUtils.toFixedFloat((lineLength * offset) - halfWidthLength, PRECISION);
             let offsetUnit = attributesFormData.getIn(['offsetA', '_unit']);
@@ -294,6 +301,10 @@ export default class ElementEditor extends Component {
         };
         break;
       }
+      case 'areas': {
+        attributesFormData = attributesFormData.set(attributeName, value);
+        break;
+      }
       default:
         break;
     }
@@ -337,6 +348,10 @@ export default class ElementEditor extends Component {
           this.context.projectActions.setHolesAttributes(attributesFormData);
           break;
         }
+        case 'areas': {
+          this.context.projectActions.setAreasAttributes(attributesFormData);
+          break;
+        }
       }
     }
   }
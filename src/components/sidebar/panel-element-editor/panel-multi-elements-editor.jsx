@@ -1,21 +1,30 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
 import Panel from '../panel';
-import {Seq} from 'immutable';
 import {
   MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM, MODE_DRAGGING_LINE,
   MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE, MODE_UPLOADING_IMAGE,
-  MODE_ROTATING_ITEM
+  MODE_ROTATING_ITEM, MODE_SELECTING_BOX
 } from '../../../constants';
 import { FormSelect } from '../../../components/style/export';
-import { Group } from '../../../class/export';
 
 const tableStyle = { width: '100%' };
 const firstTdStyle = { width: '6em' };
 
+//the elements a group can hold
+const GROUP_PROTOTYPES = ['lines', 'holes', 'items', 'areas'];
+
+const SELECTED_LABELS = {
+  lines: 'Lines',
+  holes: 'Holes',
+  items: 'Items',
+  areas: 'Areas',
+  dimensions: 'Dimensions',
+  annotations: 'Annotations'
+};
+
 export default class PanelMultiElementsEditor extends Component {
-//export default function PanelMultiElementsEditor({state}, {projectActions, translator}) {
   constructor(props, context) {
     super(props, context);
 
@@ -24,26 +33,24 @@ export default class PanelMultiElementsEditor extends Component {
     };
   }
 
-  addSelectToGroup( state, groupID, layerID, selecteds ) {
-    if( !groupID || groupID === '' || !selecteds || !selecteds.size ) return;
-
-    console.log('need to be added to group', groupID, 'elements', selecteds );
-
-    /*let selectedJs = selecteds.toJS();
-
-    for( let lineID in selectedJs.lines ) Group.addElement( state, groupID, layerID, 'lines', lineID );*/
+  addSelectedToGroup( groupID, layerID, selecteds ) {
+    if( !groupID || !selecteds ) return;
 
+    GROUP_PROTOTYPES.forEach( prototype =>
+      selecteds.get(prototype).forEach( elementID => this.context.groupsActions.addToGroup( groupID, layerID, prototype, elementID ) )
+    );
   }
 
   render() {
 
     let { mode } = this.props.state;
+    let { translator } = this.context;
 
     if (![MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN,
       MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
       MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM,
       MODE_DRAGGING_LINE, MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE,
-      MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE].includes(mode)) return null;
+      MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE, MODE_SELECTING_BOX].includes(mode)) return null;
 
     let groups = this.props.state.getIn(['scene', 'groups']);
 
@@ -52,13 +59,22 @@ export default class PanelMultiElementsEditor extends Component {
     let selecteds = this.props.state.getIn(['scene', 'layers', selectedLayer, 'selected']);
 
     return (
-      <Panel name={'Multiselected'} opened={true}>
+      <Panel name={translator.t('Multiselected')} opened={true}>
         <div style={{padding: '5px 15px'}}>
-          <p>Multiselection tab</p>
           <table style={tableStyle}>
             <tbody>
+              {
+                Object.keys(SELECTED_LABELS)
+                  .filter( prototype => selecteds.get(prototype).size )
+                  .map( prototype =>
+                    <tr key={prototype}>
+                      <td style={firstTdStyle}>{translator.t(SELECTED_LABELS[prototype])}</td>
+                      <td colSpan="2">{selecteds.get(prototype).size}</td>
+                    </tr>
+                  )
+              }
               <tr>
-                <td style={firstTdStyle}>Add to Group</td>
+                <td style={firstTdStyle}>{translator.t('Add to Group')}</td>
                 <td>
                   <FormSelect value={this.state.selectedGroupID} onChange={ e => this.setState({'selectedGroupID': e.target.value}) }>
                     <option key={0} value={''}></option>
@@ -67,15 +83,10 @@ export default class PanelMultiElementsEditor extends Component {
                     }
                   </FormSelect>
                 </td>
-                <td style={{cursor:'pointer', padding:'0.5em 0', textAlign:'center'}} onClick={ e => {
-                  if( !this.state.selectedGroupID || this.state.selectedGroupID === '' || !selecteds || !selecteds.size ) return;
-
-                  let selectedJs = selecteds.toJS();
-
-                  for( let x = 0; x < selectedJs.lines.length; x++ )
-                    this.context.groupsActions.addToGroup( this.state.selectedGroupID, selectedLayer, 'lines', selectedJs.lines[x] );
-
-                }}>+</td>
+                <td
+                  style={{cursor:'pointer', padding:'0.5em 0', textAlign:'center'}}
+                  onClick={ e => this.addSelectedToGroup( this.state.selectedGroupID, selectedLayer, selecteds ) }
+                >+</td>
               </tr>
             </tbody>
           </table>
@@ -0,0 +1,321 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import {TiPlus, TiDelete} from 'react-icons/ti';
+import {FaPencilAlt, FaUndo} from 'react-icons/fa';
+import {
+  FormTextInput,
+  FormSubmitButton,
+  CancelButton
+} from '../style/export';
+
+import {
+  MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
+  END_DRAWING_LINE, END_DRAGGING_LINE, END_DRAWING_ROOM, END_DRAGGING_VERTEX, END_DRAWING_HOLE, END_DRAGGING_HOLE,
+  END_DRAWING_ITEM, END_DRAGGING_ITEM, END_ROTATING_ITEM, END_ITEMS_ARRAY, CREATE_ITEMS_ARRAY,
+  END_DRAWING_DIMENSION, SET_DIMENSION_ATTRIBUTES, SET_DIMENSION_PROPERTIES, REMOVE_DIMENSION,
+  END_DRAWING_ANNOTATION, END_DRAGGING_ANNOTATION, SET_ANNOTATION_ATTRIBUTES, SET_ANNOTATION_PROPERTIES, REMOVE_ANNOTATION,
+  END_TRANSFORM, MOVE_SELECTION, ROTATE_SELECTION, MIRROR_SELECTION, SCALE_SELECTION,
+  SET_PROPERTIES, SET_ITEMS_ATTRIBUTES, SET_LINES_ATTRIBUTES, SET_HOLES_ATTRIBUTES, SET_AREAS_ATTRIBUTES, REMOVE,
+  END_IMPORTING_DXF, SET_PROJECT_PROPERTIES, PASTE_PROPERTIES, PASTE_ELEMENTS,
+  ADD_HORIZONTAL_GUIDE, ADD_VERTICAL_GUIDE, ADD_CIRCULAR_GUIDE, REMOVE_HORIZONTAL_GUIDE, REMOVE_VERTICAL_GUIDE, REMOVE_CIRCULAR_GUIDE,
+  ADD_LAYER, ADD_STOREY, SET_LAYER_PROPERTIES, REMOVE_LAYER, SET_ROOF_PROPERTIES,
+  END_UPLOADING_IMAGE, END_FITTING_IMAGE, SET_BACKGROUND_IMAGE_ATTRIBUTES, REMOVE_BACKGROUND_IMAGE,
+  ADD_GROUP, ADD_GROUP_FROM_SELECTED, REMOVE_GROUP, REMOVE_GROUP_AND_DELETE_ELEMENTS
+} from '../../constants';
+import * as SharedStyle from '../../shared-style';
+
+const VISIBILITY_MODE = {
+  MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON
+};
+
+const styleEditButton = {
+  cursor: 'pointer',
+  marginLeft: '5px',
+  border: '0px',
+  background: 'none',
+  color: SharedStyle.COLORS.white,
+  fontSize: '14px',
+  outline: '0px'
+};
+
+const tableHistoryStyle = {
+  width: '100%',
+  cursor: 'pointer',
+  overflowY: 'auto',
+  maxHeight: '20em',
+  display: 'block',
+  padding: '0 1em',
+  marginLeft: '1px'
+};
+
+const iconColStyle = {width: '2em'};
+const timeColStyle = {width: '6em', textAlign: 'center'};
+const styleHoverColor = {color: SharedStyle.SECONDARY_COLOR.main};
+const styleEditButtonHover = {...styleEditButton, ...styleHoverColor};
+const styleAddLabel = {fontSize: '10px', marginLeft: '5px'};
+const styleCheckpointName = {fontWeight: 'bold', color: SharedStyle.SECONDARY_COLOR.main};
+const styleUndoneEntry = {opacity: 0.5};
+const firstTdStyle = {width: '6em'};
+const newCheckpointLableStyle = {margin: '0.5em 0', fontSize: '1.3em', cursor: 'pointer', textAlign: 'center'};
+const newCheckpointLableHoverStyle = {...newCheckpointLableStyle, ...styleHoverColor};
+const checkpointInputTableStyle = {width: '100%', borderSpacing: '2px 0', padding: '5px 15px'};
+const inputTableButtonStyle = {float: 'right', marginTop: '0.5em', borderSpacing: '0'};
+
+const formatTime = time => time ? new Date(time).toLocaleTimeString() : '';
+
+//the entries are labelled with the action that finished the edit
+const HISTORY_LABELS = {
+  [END_DRAWING_LINE]: 'Draw wall',
+  [END_DRAGGING_LINE]: 'Move wall',
+  [END_DRAWING_ROOM]: 'Draw room',
+  [END_DRAGGING_VERTEX]: 'Move vertex',
+  [END_DRAWING_HOLE]: 'Add hole',
+  [END_DRAGGING_HOLE]: 'Move hole',
+  [END_DRAWING_ITEM]: 'Add item',
+  [END_DRAGGING_ITEM]: 'Move item',
+  [END_ROTATING_ITEM]: 'Rotate item',
+  [END_ITEMS_ARRAY]: 'Array items',
+  [CREATE_ITEMS_ARRAY]: 'Array items',
+  [END_DRAWING_DIMENSION]: 'Add dimension',
+  [SET_DIMENSION_ATTRIBUTES]: 'Edit dimension',
+  [SET_DIMENSION_PROPERTIES]: 'Edit dimension',
+  [REMOVE_DIMENSION]: 'Remove dimension',
+  [END_DRAWING_ANNOTATION]: 'Add annotation',
+  [END_DRAGGING_ANNOTATION]: 'Move annotation',
+  [SET_ANNOTATION_ATTRIBUTES]: 'Edit annotation',
+  [SET_ANNOTATION_PROPERTIES]: 'Edit annotation',
+  [REMOVE_ANNOTATION]: 'Remove annotation',
+  [END_TRANSFORM]: 'Transform selection',
+  [MOVE_SELECTION]: 'Move selection',
+  [ROTATE_SELECTION]: 'Rotate selection',
+  [MIRROR_SELECTION]: 'Mirror selection',
+  [SCALE_SELECTION]: 'Scale selection',
+  [SET_PROPERTIES]: 'Edit properties',
+  [SET_ITEMS_ATTRIBUTES]: 'Edit item',
+  [SET_LINES_ATTRIBUTES]: 'Edit wall',
+  [SET_HOLES_ATTRIBUTES]: 'Edit hole',
+  [SET_AREAS_ATTRIBUTES]: 'Edit area',
+  [REMOVE]: 'Delete selection',
+  [END_IMPORTING_DXF]: 'Import DXF',
+  [SET_PROJECT_PROPERTIES]: 'Edit project',
+  [PASTE_PROPERTIES]: 'Paste properties',
+  [PASTE_ELEMENTS]: 'Paste elements',
+  [ADD_HORIZONTAL_GUIDE]: 'Add guide',
+  [ADD_VERTICAL_GUIDE]: 'Add guide',
+  [ADD_CIRCULAR_GUIDE]: 'Add guide',
+  [REMOVE_HORIZONTAL_GUIDE]: 'Remove guide',
+  [REMOVE_VERTICAL_GUIDE]: 'Remove guide',
+  [REMOVE_CIRCULAR_GUIDE]: 'Remove guide',
+  [ADD_LAYER]: 'Add layer',
+  [ADD_STOREY]: 'Add storey',
+  [SET_LAYER_PROPERTIES]: 'Edit layer',
+  [REMOVE_LAYER]: 'Remove layer',
+  [SET_ROOF_PROPERTIES]: 'Edit roof',
+  [END_UPLOADING_IMAGE]: 'Add reference image',
+  [END_FITTING_IMAGE]: 'Calibrate reference image',
+  [SET_BACKGROUND_IMAGE_ATTRIBUTES]: 'Edit reference image',
+  [REMOVE_BACKGROUND_IMAGE]: 'Remove reference image',
+  [ADD_GROUP]: 'Add group',
+  [ADD_GROUP_FROM_SELECTED]: 'Add group',
+  [REMOVE_GROUP]: 'Remove group',
+  [REMOVE_GROUP_AND_DELETE_ELEMENTS]: 'Remove group'
+};
+
+const formatAction = (actionType, translator) => {
+  if (!actionType) return '';
+  if (HISTORY_LABELS[actionType]) return translator.t(HISTORY_LABELS[actionType]);
+
+  let label = actionType.toLowerCase().replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+export default class PanelHistory extends Component {
+  constructor(props, context) {
+    super(props, context);
+
+    this.state = {
+      headHovered: false,
+      checkpointUIVisible: false,
+      editingIndex: null,
+      editingName: ''
+    };
+  }
+
+  shouldComponentUpdate(nextProps, nextState) {
+    if(
+      this.props.state.mode !== nextProps.state.mode ||
+      this.state.headHovered !== nextState.headHovered ||
+      this.state.checkpointUIVisible !== nextState.checkpointUIVisible ||
+      this.state.editingIndex !== nextState.editingIndex ||
+      this.state.editingName !== nextState.editingName ||
+      this.props.state.sceneHistory.list.hashCode() !== nextProps.state.sceneHistory.list.hashCode() ||
+      this.props.state.sceneHistory.redoList.hashCode() !== nextProps.state.sceneHistory.redoList.hashCode()
+    ) return true;
+
+    return false;
+  }
+
+  toggleCheckpointUI(e) {
+    e.stopPropagation();
+    this.setState({
+      checkpointUIVisible: !this.state.checkpointUIVisible,
+      editingIndex: null,
+      editingName: ''
+    });
+  }
+
+  editCheckpoint(e, index, entry) {
+    e.stopPropagation();
+    this.setState({
+      checkpointUIVisible: true,
+      editingIndex: index,
+      editingName: entry.get('name') || ''
+    });
+  }
+
+  resetCheckpointMod(e) {
+    e.stopPropagation();
+    this.setState({checkpointUIVisible: false, editingIndex: null, editingName: ''});
+  }
+
+  saveCheckpoint(e) {
+    e.stopPropagation();
+    let {editingIndex, editingName} = this.state;
+
+    if (editingIndex === null) this.context.projectActions.addHistoryCheckpoint(editingName);
+    else this.context.projectActions.renameHistoryCheckpoint(editingIndex, editingName);
+
+    this.setState({checkpointUIVisible: false, editingIndex: null, editingName: ''});
+  }
+
+  render() {
+    if (!VISIBILITY_MODE[this.props.state.mode]) return null;
+
+    let {projectActions, translator} = this.context;
+    let {list, redoList} = this.props.state.sceneHistory;
+
+    //undone entries come back in the same index space, right after the list, the nearest first
+    let undoneEntries = redoList.reverse().map((redo, offset) => [list.size + offset, redo.get('entry')]);
+    let entries = list.entrySeq().concat(undoneEntries).reverse();
+
+    return (
+      <Panel name={translator.t('History')}>
+        <table style={tableHistoryStyle}>
+          <thead>
+            <tr>
+              <th colSpan='2'></th>
+              <th>{translator.t('Time')}</th>
+              <th>{translator.t('Action')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {
+              entries.map(([index, entry]) => {
+
+                let jumpClick = e => projectActions.jumpToHistoryEntry(index);
+                let name = entry.get('name');
+                let isEditing = index === this.state.editingIndex;
+                let isUndone = index >= list.size;
+                let rowStyle = isEditing ? styleHoverColor : isUndone ? styleUndoneEntry : null;
+
+                return (
+                  <tr
+                    key={index}
+                    onClick={jumpClick}
+                    onDoubleClick={e => this.editCheckpoint(e, index, entry)}
+                    style={rowStyle}
+                  >
+                    <td style={iconColStyle}>
+                      <FaUndo
+                        style={!isEditing ? styleEditButton : styleEditButtonHover}
+                        title={translator.t('Jump to this point')}
+                      />
+                    </td>
+                    <td style={iconColStyle}>
+                      <FaPencilAlt
+                        onClick={e => this.editCheckpoint(e, index, entry)}
+                        style={!isEditing ? styleEditButton : styleEditButtonHover}
+                        title={translator.t('Rename checkpoint')}
+                      />
+                    </td>
+                    <td style={timeColStyle}>
+                      {formatTime(entry.get('time'))}
+                    </td>
+                    <td>
+                      {name ? <span style={styleCheckpointName}>{name} </span> : null}
+                      {formatAction(entry.get('action'), translator)}
+                    </td>
+                  </tr>
+                );
+
+              })
+            }
+            <tr onClick={e => projectActions.jumpToHistoryEntry(-1)}>
+              <td style={iconColStyle}>
+                <FaUndo style={styleEditButton} title={translator.t('Jump to this point')}/>
+              </td>
+              <td style={iconColStyle}></td>
+              <td style={timeColStyle}></td>
+              <td>{translator.t('Project start')}</td>
+            </tr>
+          </tbody>
+        </table>
+        <p
+          style={ !this.state.headHovered ? newCheckpointLableStyle : newCheckpointLableHoverStyle }
+          onMouseOver={ () => this.setState({headHovered: true}) }
+          onMouseOut={ () => this.setState({headHovered: false}) }
+          onClick={ (e) => this.toggleCheckpointUI(e) }
+        >
+          { !this.state.checkpointUIVisible ? <TiPlus /> : <TiDelete /> }
+          <b style={styleAddLabel}>{translator.t('New checkpoint')}</b>
+        </p>
+
+        {
+          this.state.checkpointUIVisible ?
+            <table style={checkpointInputTableStyle}>
+              <tbody>
+                <tr style={{marginTop: '1em'}}>
+                  <td style={firstTdStyle}>{translator.t('Name')}:</td>
+                  <td>
+                    <FormTextInput
+                      value={this.state.editingName}
+                      onChange={e => this.setState({editingName: e.target.value})}
+                    />
+                  </td>
+                </tr>
+                <tr>
+                  <td colSpan="2">
+                    <table style={inputTableButtonStyle}>
+                      <tbody>
+                        <tr>
+                          <td><CancelButton size="small" onClick={ e => {
+                            this.resetCheckpointMod(e);
+                          } }>{translator.t('Reset')}</CancelButton></td>
+                          <td><FormSubmitButton size="small" onClick={ e => {
+                            this.saveCheckpoint(e);
+                          } }>{translator.t('Save')}</FormSubmitButton></td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+            : null
+        }
+
+      </Panel>
+    )
+  }
+
+}
+
+PanelHistory.propTypes = {
+  state: PropTypes.object.isRequired,
+};
+
+PanelHistory.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+};
@@ -0,0 +1,91 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import { FormSelect, FormNumberInput } from '../style/export';
+import {
+  MODE_ARRAYING_ITEMS,
+  ARRAY_RECTANGULAR,
+  ARRAY_POLAR
+} from '../../constants';
+
+const HINTS = {
+  [ARRAY_RECTANGULAR]: 'Click on the side the array goes to',
+  [ARRAY_POLAR]: 'Click the center of the array'
+};
+
+//the parameters the tool keeps when changing them, the others are the ones of the tool
+const PARAMETERS = ['rows', 'columns', 'rowSpacing', 'columnSpacing', 'count', 'angle', 'rotate', 'group'];
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+const hintStyle = { padding: '0 15px 8px 15px', margin: 0 };
+
+export default function PanelItemsArrayTool({ state }, { itemsActions, translator }) {
+  if (state.mode !== MODE_ARRAYING_ITEMS) return null;
+
+  let drawingSupport = state.drawingSupport;
+  let type = drawingSupport.get('type');
+  let parameters = {};
+  PARAMETERS.forEach(key => parameters[key] = drawingSupport.get(key));
+
+  let select = (type, changed) => itemsActions.selectToolItemsArray(type, { ...parameters, ...changed });
+
+  let numberRow = (label, key, props) => (
+    <tr key={key}>
+      <td style={firstTdStyle}>{translator.t(label)}:</td>
+      <td>
+        <FormNumberInput value={parameters[key]} {...props} onChange={e => select(type, { [key]: e.target.value })}/>
+      </td>
+    </tr>
+  );
+
+  let checkboxRow = (label, key) => (
+    <tr key={key}>
+      <td style={firstTdStyle}>{translator.t(label)}:</td>
+      <td>
+        <input type='checkbox' checked={!!parameters[key]} onChange={e => select(type, { [key]: e.target.checked })}/>
+      </td>
+    </tr>
+  );
+
+  return (
+    <Panel name={translator.t('Array tool')} opened={true}>
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Array')}:</td>
+            <td>
+              <FormSelect value={type} onChange={e => select(e.target.value)}>
+                <option value={ARRAY_RECTANGULAR}>{translator.t('Rectangular')}</option>
+                <option value={ARRAY_POLAR}>{translator.t('Polar')}</option>
+              </FormSelect>
+            </td>
+          </tr>
+          {
+            type === ARRAY_RECTANGULAR ? [
+              numberRow('Rows', 'rows', { min: 1, precision: 0 }),
+              numberRow('Columns', 'columns', { min: 1, precision: 0 }),
+              numberRow('Row spacing', 'rowSpacing', { min: 0, precision: 2 }),
+              numberRow('Column spacing', 'columnSpacing', { min: 0, precision: 2 })
+            ] : [
+              numberRow('Count', 'count', { min: 2, precision: 0 }),
+              numberRow('Angle', 'angle', { precision: 2 }),
+              checkboxRow('Rotate copies', 'rotate')
+            ]
+          }
+          {checkboxRow('Make a group', 'group')}
+        </tbody>
+      </table>
+      <p style={hintStyle}>{translator.t(HINTS[type])}</p>
+    </Panel>
+  );
+}
+
+PanelItemsArrayTool.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelItemsArrayTool.contextTypes = {
+  itemsActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
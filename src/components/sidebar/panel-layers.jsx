@@ -1,6 +1,7 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
 import { Map } from 'immutable';
+import convert from 'convert-units';
 import Panel from './panel';
 import {TiPlus, TiDelete} from 'react-icons/ti';
 import {FaPencilAlt, FaTrash, FaEye} from 'react-icons/fa';
@@ -16,8 +17,10 @@ import {
   MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM, MODE_DRAGGING_LINE,
   MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE, MODE_UPLOADING_IMAGE,
-  MODE_ROTATING_ITEM
+  MODE_ROTATING_ITEM,
+  UNIT_CENTIMETER
 } from '../../constants';
+import { MathUtils } from '../../utils/export';
 import * as SharedStyle from '../../shared-style';
 
 const VISIBILITY_MODE = {
@@ -59,6 +62,19 @@ const newLayerLableStyle = {margin: '0.5em 0', fontSize: '1.3em', cursor: 'point
 const newLayerLableHoverStyle = {...newLayerLableStyle, ...styleHoverColor};
 const layerInputTableStyle = {width: '100%', borderSpacing: '2px 0', padding: '5px 15px'};
 const inputTableButtonStyle = {float: 'right', marginTop: '0.5em', borderSpacing: '0'};
+const copyWallsStyle = {margin: '0 0 0.5em 0', textAlign: 'center'};
+
+const PRECISION = 2;
+const STOREY_LENGTHS = ['altitude', 'height', 'slabThickness'];
+
+//the storeys are measured in centimetres like the walls, they are shown and edited in the unit of the scene
+const convertLength = (length, from, to) =>
+  from === to ? parseFloat(length) : convert(parseFloat(length)).from(from).to(to);
+
+const storeyInUnit = (layer, unit) =>
+  layer.withMutations(layer => STOREY_LENGTHS.forEach(key =>
+    layer.set(key, MathUtils.toFixedFloat(convertLength(layer.get(key), UNIT_CENTIMETER, unit), PRECISION))
+  ));
 
 export default class PanelLayers extends Component {
   constructor(props) {
@@ -66,6 +82,8 @@ export default class PanelLayers extends Component {
 
     this.state = {
       headHovered: false,
+      storeyHovered: false,
+      copyOuterWalls: true,
       layerAddUIVisible: false,
       editingLayer: new Map()
     };
@@ -75,6 +93,8 @@ export default class PanelLayers extends Component {
     if(
       this.props.state.scene.layers.size !== nextProps.state.scene.layers.size ||
       nextState.layerAddUIVisible != this.state.layerAddUIVisible ||
+      nextState.storeyHovered !== this.state.storeyHovered ||
+      nextState.copyOuterWalls !== this.state.copyOuterWalls ||
       this.state.editingLayer.hashCode() !== nextState.editingLayer.hashCode() ||
       this.props.state.sceneHistory.hashCode() !== nextProps.state.sceneHistory.hashCode()
     ) return true;
@@ -91,6 +111,12 @@ export default class PanelLayers extends Component {
     else this.setState({layerAddUIVisible: !this.state.layerAddUIVisible});
   }
 
+  addStorey(e) {
+    e.stopPropagation();
+    this.context.sceneActions.addStorey(this.state.copyOuterWalls);
+    this.setState({layerAddUIVisible: false, editingLayer: new Map()});
+  }
+
   resetLayerMod(e) {
     e.stopPropagation();
     this.setState({layerAddUIVisible: false, editingLayer: new Map()});
@@ -98,11 +124,17 @@ export default class PanelLayers extends Component {
 
   updateLayer(e, layerData) {
     e.stopPropagation();
-    let {id, name, opacity, altitude, order} = layerData.toJS();
+    let {id, name, opacity, order} = layerData.toJS();
+    let unit = this.props.state.scene.unit;
+    let layer = this.props.state.scene.layers.get(id);
+    let shown = storeyInUnit(layer, unit);
 
-    altitude = parseInt(altitude);
+    //the lengths left as shown keep their value, they are not rounded through the unit of the scene
+    let [altitude, height, slabThickness] = STOREY_LENGTHS.map(key =>
+      parseFloat(layerData.get(key)) === shown.get(key) ? layer.get(key) : convertLength(layerData.get(key), unit, UNIT_CENTIMETER)
+    );
 
-    this.context.sceneActions.setLayerProperties(id, {name, opacity, altitude, order});
+    this.context.sceneActions.setLayerProperties(id, {name, opacity, altitude, height, slabThickness, order});
     this.setState({layerAddUIVisible: false, editingLayer: new Map()});
   }
 
@@ -133,7 +165,7 @@ export default class PanelLayers extends Component {
               scene.layers.entrySeq().map(([layerID, layer]) => {
 
                 let selectClick = e => this.context.sceneActions.selectLayer(layerID);
-                let configureClick = e => this.setState({editingLayer: layer, layerAddUIVisible: true});
+                let configureClick = e => this.setState({editingLayer: storeyInUnit(layer, scene.unit), layerAddUIVisible: true});
 
                 let swapVisibility = e => {
                   e.stopPropagation();
@@ -178,7 +210,7 @@ export default class PanelLayers extends Component {
                       }
                     </td>
                     <td style={{width: '6em', textAlign: 'center'}}>
-                      [ h : {layer.altitude} ]
+                      [ h : {MathUtils.toFixedFloat(convertLength(layer.altitude, UNIT_CENTIMETER, scene.unit), PRECISION)} ]
                     </td>
                     <td>
                       {layer.name}
@@ -199,6 +231,23 @@ export default class PanelLayers extends Component {
           { !this.state.layerAddUIVisible ? <TiPlus /> : <TiDelete /> }
           <b style={styleAddLabel}>{this.context.translator.t('New layer')}</b>
         </p>
+        <p
+          style={ !this.state.storeyHovered ? newLayerLableStyle : newLayerLableHoverStyle }
+          onMouseOver={ () => this.setState({storeyHovered: true}) }
+          onMouseOut={ () => this.setState({storeyHovered: false}) }
+          onClick={ (e) => this.addStorey(e) }
+        >
+          <TiPlus />
+          <b style={styleAddLabel}>{this.context.translator.t('New storey')}</b>
+        </p>
+        <p style={copyWallsStyle}>
+          <input
+            type='checkbox'
+            checked={this.state.copyOuterWalls}
+            onChange={e => this.setState({copyOuterWalls: e.target.checked})}
+          />
+          {this.context.translator.t('with the outer walls of the storey below')}
+        </p>
 
         {
           this.state.layerAddUIVisible && this.state.editingLayer ?
@@ -233,6 +282,24 @@ export default class PanelLayers extends Component {
                     />
                   </td>
                 </tr>
+                <tr>
+                  <td style={firstTdStyle}>{this.context.translator.t('floor height')}:</td>
+                  <td>
+                    <FormNumberInput
+                      value={this.state.editingLayer.get('height')}
+                      onChange={e => this.setState({editingLayer: this.state.editingLayer.merge({height: e.target.value})})}
+                    />
+                  </td>
+                </tr>
+                <tr>
+                  <td style={firstTdStyle}>{this.context.translator.t('slab thickness')}:</td>
+                  <td>
+                    <FormNumberInput
+                      value={this.state.editingLayer.get('slabThickness')}
+                      onChange={e => this.setState({editingLayer: this.state.editingLayer.merge({slabThickness: e.target.value})})}
+                    />
+                  </td>
+                </tr>
                 <tr>
                   <td style={firstTdStyle}>{this.context.translator.t('order')}:</td>
                   <td>
@@ -0,0 +1,71 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import { FormSelect, FormNumberInput, FormColorInput } from '../style/export';
+import {
+  ROOF_NONE,
+  ROOF_FLAT,
+  ROOF_GABLE,
+  ROOF_HIP
+} from '../../constants';
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+const hintStyle = { padding: '0 15px 8px 15px', margin: 0 };
+
+export default function PanelRoof({ state }, { sceneActions, translator }) {
+  let roof = state.scene.roof;
+  let pitched = [ROOF_GABLE, ROOF_HIP].includes(roof.type);
+
+  let numberRow = (label, key, props) => (
+    <tr key={key}>
+      <td style={firstTdStyle}>{translator.t(label)}:</td>
+      <td>
+        <FormNumberInput value={roof[key]} {...props} onChange={e => sceneActions.setRoofProperties({ [key]: e.target.value })}/>
+      </td>
+    </tr>
+  );
+
+  return (
+    <Panel name={translator.t('Roof')}>
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Roof')}:</td>
+            <td>
+              <FormSelect value={roof.type} onChange={e => sceneActions.setRoofProperties({ type: e.target.value })}>
+                <option value={ROOF_NONE}>{translator.t('None')}</option>
+                <option value={ROOF_FLAT}>{translator.t('Flat')}</option>
+                <option value={ROOF_GABLE}>{translator.t('Gable')}</option>
+                <option value={ROOF_HIP}>{translator.t('Hip')}</option>
+              </FormSelect>
+            </td>
+          </tr>
+          {pitched ? numberRow('Pitch', 'pitch', { min: 5, max: 60 }) : null}
+          {roof.type !== ROOF_NONE ? numberRow('Overhang', 'overhang', { min: 0 }) : null}
+          {roof.type === ROOF_FLAT ? numberRow('Thickness', 'thickness', { min: 1 }) : null}
+          {roof.type !== ROOF_NONE ?
+            <tr>
+              <td style={firstTdStyle}>{translator.t('Color')}:</td>
+              <td>
+                <FormColorInput value={roof.color} onChange={e => sceneActions.setRoofProperties({ color: e.target.value })}/>
+              </td>
+            </tr> : null
+          }
+        </tbody>
+      </table>
+      {roof.type !== ROOF_NONE ?
+        <p style={hintStyle}>{translator.t('The roof covers the outer walls of the top layer')}</p> : null
+      }
+    </Panel>
+  );
+}
+
+PanelRoof.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelRoof.contextTypes = {
+  sceneActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
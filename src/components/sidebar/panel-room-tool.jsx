@@ -0,0 +1,64 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import { FormSelect } from '../style/export';
+import {
+  MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM,
+  ROOM_WALLS_CENTERED,
+  ROOM_WALLS_INSIDE,
+  ROOM_WALLS_OUTSIDE
+} from '../../constants';
+
+const VISIBILITY_MODE = { MODE_WAITING_DRAWING_ROOM, MODE_DRAWING_ROOM };
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+const hintStyle = { padding: '0 15px 8px 15px', margin: 0 };
+
+export default function PanelRoomTool({ state }, { linesActions, translator }) {
+  if (!VISIBILITY_MODE[state.mode]) return null;
+
+  let type = state.getIn(['drawingSupport', 'type']);
+  let wallsPosition = state.getIn(['drawingSupport', 'wallsPosition']);
+  let walls = state.catalog.elements.filter(element => element.prototype === 'lines');
+
+  return (
+    <Panel name={translator.t('Room tool')} opened={true}>
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Wall')}:</td>
+            <td>
+              <FormSelect value={type} onChange={e => linesActions.selectToolDrawingRoom(e.target.value, wallsPosition)}>
+                {walls.valueSeq().map(wall =>
+                  <option key={wall.name} value={wall.name}>{wall.info.get('title') || wall.name}</option>
+                )}
+              </FormSelect>
+            </td>
+          </tr>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Walls position')}:</td>
+            <td>
+              <FormSelect value={wallsPosition} onChange={e => linesActions.selectToolDrawingRoom(type, e.target.value)}>
+                <option value={ROOM_WALLS_CENTERED}>{translator.t('Centered on the outline')}</option>
+                <option value={ROOM_WALLS_INSIDE}>{translator.t('Inside the outline')}</option>
+                <option value={ROOM_WALLS_OUTSIDE}>{translator.t('Outside the outline')}</option>
+              </FormSelect>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <p style={hintStyle}>{translator.t('Drag to draw a rectangle, or click the corners and close the room on the first one')}</p>
+    </Panel>
+  );
+}
+
+PanelRoomTool.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelRoomTool.contextTypes = {
+  linesActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
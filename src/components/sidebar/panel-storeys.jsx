@@ -0,0 +1,43 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import { FormSelect } from '../style/export';
+import { StoreyUtils } from '../../utils/export';
+import { MODE_3D_VIEW } from '../../constants';
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+
+export default function PanelStoreys({ state }, { viewer3DActions, translator }) {
+  if (state.mode !== MODE_3D_VIEW) return null;
+
+  let storeys = StoreyUtils.storeys(state.scene).reverse();
+  let shown = state.scene.layers.has(state.viewer3D.get('storeysShown')) ? state.viewer3D.get('storeysShown') : '';
+
+  return (
+    <Panel name={translator.t('Storeys')} opened={true}>
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Show up to')}:</td>
+            <td>
+              <FormSelect value={shown} onChange={e => viewer3DActions.show3DStoreys(e.target.value)}>
+                <option value=''>{translator.t('All the storeys')}</option>
+                {storeys.map(layer => <option key={layer.id} value={layer.id}>{layer.name}</option>)}
+              </FormSelect>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </Panel>
+  );
+}
+
+PanelStoreys.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelStoreys.contextTypes = {
+  viewer3DActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
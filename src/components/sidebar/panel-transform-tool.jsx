@@ -0,0 +1,83 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import { FormSelect, FormNumberInput } from '../style/export';
+import {
+  MODE_WAITING_TRANSFORM,
+  MODE_TRANSFORMING,
+  TRANSFORM_MOVE,
+  TRANSFORM_ROTATE,
+  TRANSFORM_MIRROR,
+  TRANSFORM_SCALE
+} from '../../constants';
+
+const VISIBILITY_MODE = { MODE_WAITING_TRANSFORM, MODE_TRANSFORMING };
+
+const HINTS = {
+  [TRANSFORM_MOVE]: 'Click the base point, then where it goes',
+  [TRANSFORM_ROTATE]: 'Click the point to rotate about',
+  [TRANSFORM_MIRROR]: 'Click two points of the mirror axis',
+  [TRANSFORM_SCALE]: 'Click the base point of the scaling'
+};
+
+const tableStyle = { width: '100%', borderSpacing: '2px 4px', padding: '5px 15px' };
+const firstTdStyle = { width: '6em' };
+const hintStyle = { padding: '0 15px 8px 15px', margin: 0 };
+
+export default function PanelTransformTool({ state }, { transformActions, translator }) {
+  if (!VISIBILITY_MODE[state.mode]) return null;
+
+  let type = state.getIn(['drawingSupport', 'type']);
+  let angle = state.getIn(['drawingSupport', 'angle']);
+  let factor = state.getIn(['drawingSupport', 'factor']);
+
+  let select = (type, parameters) => transformActions.selectToolTransform(type, { angle, factor, ...parameters });
+
+  return (
+    <Panel name={translator.t('Transform tool')} opened={true}>
+      <table style={tableStyle}>
+        <tbody>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Transform')}:</td>
+            <td>
+              <FormSelect value={type} onChange={e => select(e.target.value)}>
+                <option value={TRANSFORM_MOVE}>{translator.t('Move')}</option>
+                <option value={TRANSFORM_ROTATE}>{translator.t('Rotate')}</option>
+                <option value={TRANSFORM_MIRROR}>{translator.t('Mirror')}</option>
+                <option value={TRANSFORM_SCALE}>{translator.t('Scale')}</option>
+              </FormSelect>
+            </td>
+          </tr>
+          {
+            type === TRANSFORM_ROTATE ?
+              <tr>
+                <td style={firstTdStyle}>{translator.t('Angle')}:</td>
+                <td>
+                  <FormNumberInput value={angle} precision={2} onChange={e => select(type, { angle: e.target.value })}/>
+                </td>
+              </tr> : null
+          }
+          {
+            type === TRANSFORM_SCALE ?
+              <tr>
+                <td style={firstTdStyle}>{translator.t('Factor')}:</td>
+                <td>
+                  <FormNumberInput value={factor} min={0.01} precision={3} onChange={e => select(type, { factor: e.target.value })}/>
+                </td>
+              </tr> : null
+          }
+        </tbody>
+      </table>
+      <p style={hintStyle}>{translator.t(HINTS[type])}</p>
+    </Panel>
+  );
+}
+
+PanelTransformTool.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelTransformTool.contextTypes = {
+  transformActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
@@ -4,9 +4,20 @@ import PanelElementEditor from './panel-element-editor/panel-element-editor';
 import PanelGroupEditor from './panel-group-editor';
 import PanelMultiElementsEditor from './panel-element-editor/panel-multi-elements-editor';
 import PanelLayers from './panel-layers';
+import PanelHistory from './panel-history';
+import PanelBackgroundImage from './panel-background-image';
 import PanelGuides from './panel-guides';
 import PanelGroups from './panel-groups';
 import PanelLayerElements from './panel-layer-elements';
+import PanelRoomTool from './panel-room-tool';
+import PanelDimensionTool from './panel-dimension-tool';
+import PanelDimensionEditor from './panel-dimension-editor';
+import PanelAnnotationTool from './panel-annotation-tool';
+import PanelAnnotationEditor from './panel-annotation-editor';
+import PanelTransformTool from './panel-transform-tool';
+import PanelItemsArrayTool from './panel-items-array-tool';
+import PanelRoof from './panel-roof';
+import PanelStoreys from './panel-storeys';
 import * as SharedStyle from '../../shared-style';
 import If from '../../utils/react-if';
 
@@ -44,7 +55,10 @@ export default function Sidebar({ state, width, height, sidebarComponents }) {
     selected.items.size > 1 ||
     selected.holes.size > 1 ||
     selected.areas.size > 1 ||
-    selected.lines.size + selected.items.size + selected.holes.size + selected.areas.size > 1;
+    selected.dimensions.size > 1 ||
+    selected.annotations.size > 1 ||
+    selected.lines.size + selected.items.size + selected.holes.size + selected.areas.size +
+    selected.dimensions.size + selected.annotations.size > 1;
 
   let selectedGroup = state.getIn(['scene', 'groups']).findEntry( g => g.get('selected') );
 
@@ -54,8 +68,19 @@ export default function Sidebar({ state, width, height, sidebarComponents }) {
     { index: 2, condition: true, dom: <PanelLayerElements mode={state.mode} layers={state.scene.layers} selectedLayer={state.scene.selectedLayer} /> },
     { index: 3, condition: true, dom: <PanelGroups mode={state.mode} groups={state.scene.groups} layers={state.scene.layers} /> },
     { index: 4, condition: !multiselected, dom: <PanelElementEditor state={state} /> },
-    //{ index: 5, condition: multiselected, dom: <PanelMultiElementsEditor state={state} /> },
-    { index: 6, condition: !!selectedGroup, dom: <PanelGroupEditor state={state} groupID={selectedGroup ? selectedGroup[0] : null} /> }
+    { index: 5, condition: multiselected, dom: <PanelMultiElementsEditor state={state} /> },
+    { index: 6, condition: !!selectedGroup, dom: <PanelGroupEditor state={state} groupID={selectedGroup ? selectedGroup[0] : null} /> },
+    { index: 7, condition: true, dom: <PanelHistory state={state} /> },
+    { index: 8, condition: true, dom: <PanelBackgroundImage state={state} /> },
+    { index: 9, condition: true, dom: <PanelRoomTool state={state} /> },
+    { index: 10, condition: true, dom: <PanelDimensionTool state={state} /> },
+    { index: 11, condition: true, dom: <PanelDimensionEditor state={state} /> },
+    { index: 12, condition: true, dom: <PanelAnnotationTool state={state} /> },
+    { index: 13, condition: true, dom: <PanelAnnotationEditor state={state} /> },
+    { index: 14, condition: true, dom: <PanelTransformTool state={state} /> },
+    { index: 15, condition: true, dom: <PanelItemsArrayTool state={state} /> },
+    { index: 16, condition: true, dom: <PanelRoof state={state} /> },
+    { index: 17, condition: true, dom: <PanelStoreys state={state} /> }
   ];
 
   sorter = sorter.concat(sidebarComponents.map((Component, key) => {
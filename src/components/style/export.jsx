@@ -11,6 +11,7 @@ import FormSelect from './form-select';
 import FormSlider from './form-slider';
 import FormSubmitButton from './form-submit-button';
 import FormTextInput from './form-text-input';
+import FormTextArea from './form-text-area';
 
 export {
   Button,
@@ -25,7 +26,8 @@ export {
   FormSelect,
   FormSlider,
   FormSubmitButton,
-  FormTextInput
+  FormTextInput,
+  FormTextArea
 };
 
 export default {
@@ -41,5 +43,6 @@ export default {
   FormSelect,
   FormSlider,
   FormSubmitButton,
-  FormTextInput
+  FormTextInput,
+  FormTextArea
 };
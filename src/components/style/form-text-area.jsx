@@ -0,0 +1,44 @@
+import React, { Component } from 'react';
+import * as SharedStyle from '../../shared-style';
+
+const STYLE_TEXT_AREA = {
+  display: 'block',
+  width: '100%',
+  padding: '2px',
+  fontSize: '13px',
+  lineHeight: '1.25',
+  color: SharedStyle.PRIMARY_COLOR.input,
+  backgroundColor: SharedStyle.COLORS.white,
+  backgroundImage: 'none',
+  border: '1px solid rgba(0,0,0,.15)',
+  outline: 'none',
+  resize: 'vertical'
+};
+
+
+export default class FormTextArea extends Component {
+
+  constructor(props) {
+    super(props);
+    this.state = { focus: false };
+  }
+
+  render() {
+    let { style, onFocus, onBlur, ...rest } = this.props;
+
+    let textAreaStyle = { ...STYLE_TEXT_AREA, ...style };
+    if (this.state.focus) textAreaStyle.border = `1px solid ${SharedStyle.SECONDARY_COLOR.main}`;
+
+    return <textarea
+      onFocus={e => { this.setState({ focus: true }); if (onFocus) onFocus(e); }}
+      onBlur={e => { this.setState({ focus: false }); if (onBlur) onBlur(e); }}
+      style={textAreaStyle}
+      rows={3}
+      {...rest}
+    />
+  }
+}
+
+FormTextArea.defaultProps = {
+  style: {}
+};
@@ -1,12 +1,20 @@
 import ToolbarButton from './toolbar-button';
 import ToolbarSaveButton from './toolbar-save-button';
 import ToolbarLoadButton from './toolbar-load-button';
+import ToolbarExportDXFButton from './toolbar-export-dxf-button';
+import ToolbarImportDXFButton from './toolbar-import-dxf-button';
+import ToolbarExportGLTFButton from './toolbar-export-gltf-button';
+import ToolbarExportIFCButton from './toolbar-export-ifc-button';
 import Toolbar from './toolbar';
 
 export {
   ToolbarButton,
   ToolbarSaveButton,
   ToolbarLoadButton,
+  ToolbarExportDXFButton,
+  ToolbarImportDXFButton,
+  ToolbarExportGLTFButton,
+  ToolbarExportIFCButton,
   Toolbar
 };
 
@@ -14,5 +22,9 @@ export default {
   ToolbarButton,
   ToolbarSaveButton,
   ToolbarLoadButton,
+  ToolbarExportDXFButton,
+  ToolbarImportDXFButton,
+  ToolbarExportGLTFButton,
+  ToolbarExportIFCButton,
   Toolbar
 };
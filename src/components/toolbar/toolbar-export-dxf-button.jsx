@@ -0,0 +1,31 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {FaDraftingCompass as IconDXF} from 'react-icons/fa';
+import ToolbarButton from './toolbar-button';
+import {browserDownloadFile}  from '../../utils/browser';
+import { Project } from '../../class/export';
+import { sceneToDXF } from '../../exporters/dxf';
+
+export default function ToolbarExportDXFButton({state}, {translator, catalog}) {
+
+  let exportProjectToDXF = e => {
+    e.preventDefault();
+    state = Project.unselectAll( state ).updatedState;
+    browserDownloadFile(sceneToDXF(state.get('scene'), catalog), 'dxf', 'application/dxf');
+  };
+
+  return (
+    <ToolbarButton active={false} tooltip={translator.t('Export to DXF')} onClick={exportProjectToDXF}>
+      <IconDXF />
+    </ToolbarButton>
+  );
+}
+
+ToolbarExportDXFButton.propTypes = {
+  state: PropTypes.object.isRequired,
+};
+
+ToolbarExportDXFButton.contextTypes = {
+  translator: PropTypes.object.isRequired,
+  catalog: PropTypes.object.isRequired,
+};
@@ -0,0 +1,33 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {FaCubes as IconGLTF} from 'react-icons/fa';
+import ToolbarButton from './toolbar-button';
+import {browserDownloadFile}  from '../../utils/browser';
+import { Project } from '../../class/export';
+import { sceneToGLTF } from '../../exporters/gltf';
+
+export default function ToolbarExportGLTFButton({state}, {translator, catalog}) {
+
+  let exportProjectToGLTF = e => {
+    e.preventDefault();
+    state = Project.unselectAll( state ).updatedState;
+    sceneToGLTF(state.get('scene'), catalog, {binary: true})
+      .then(glb => browserDownloadFile(new Blob([glb], {type: 'model/gltf-binary'}), 'glb'))
+      .catch(error => alert(`${translator.t('Unable to export the 3D model')}: ${error.message}`));
+  };
+
+  return (
+    <ToolbarButton active={false} tooltip={translator.t('Export 3D model (glTF)')} onClick={exportProjectToGLTF}>
+      <IconGLTF />
+    </ToolbarButton>
+  );
+}
+
+ToolbarExportGLTFButton.propTypes = {
+  state: PropTypes.object.isRequired,
+};
+
+ToolbarExportGLTFButton.contextTypes = {
+  translator: PropTypes.object.isRequired,
+  catalog: PropTypes.object.isRequired,
+};
@@ -0,0 +1,32 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {FaBuilding as IconIFC} from 'react-icons/fa';
+import ToolbarButton from './toolbar-button';
+import {browserDownloadFile}  from '../../utils/browser';
+import { Project } from '../../class/export';
+import { sceneToIFC } from '../../exporters/ifc';
+
+export default function ToolbarExportIFCButton({state}, {translator, catalog}) {
+
+  let exportProjectToIFC = e => {
+    e.preventDefault();
+    state = Project.unselectAll( state ).updatedState;
+    let name = state.getIn(['scene', 'meta', 'name']);
+    browserDownloadFile(sceneToIFC(state.get('scene'), catalog, name ? {name} : {}), 'ifc', 'application/x-step');
+  };
+
+  return (
+    <ToolbarButton active={false} tooltip={translator.t('Export to IFC')} onClick={exportProjectToIFC}>
+      <IconIFC />
+    </ToolbarButton>
+  );
+}
+
+ToolbarExportIFCButton.propTypes = {
+  state: PropTypes.object.isRequired,
+};
+
+ToolbarExportIFCButton.contextTypes = {
+  translator: PropTypes.object.isRequired,
+  catalog: PropTypes.object.isRequired,
+};
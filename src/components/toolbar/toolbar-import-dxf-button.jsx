@@ -0,0 +1,39 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {FaFileImport as IconImportDXF} from 'react-icons/fa';
+import ToolbarButton from './toolbar-button';
+import {browserUpload}  from '../../utils/browser';
+import { parseDXF } from '../../importers/dxf';
+
+export default function ToolbarImportDXFButton({state}, {translator, projectActions}) {
+
+  let importDXFFromFile = event => {
+    event.preventDefault();
+    browserUpload().then((data) => {
+      let dxf;
+      try {
+        dxf = parseDXF(data);
+      }
+      catch (error) {
+        alert(translator.t('Unable to read the DXF file'));
+        return;
+      }
+      projectActions.beginImportingDXF(dxf);
+    });
+  };
+
+  return (
+    <ToolbarButton active={false} tooltip={translator.t('Import from DXF')} onClick={importDXFFromFile}>
+      <IconImportDXF />
+    </ToolbarButton>
+  );
+}
+
+ToolbarImportDXFButton.propTypes = {
+  state: PropTypes.object.isRequired,
+};
+
+ToolbarImportDXFButton.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+};
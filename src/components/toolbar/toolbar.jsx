@@ -1,17 +1,33 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
-import { MdSettings, MdUndo, MdDirectionsRun } from 'react-icons/md';
-import { FaFile, FaMousePointer, FaPlus } from 'react-icons/fa';
+import { MdSettings, MdUndo, MdRedo, MdDirectionsRun, MdPrint, MdAssignment } from 'react-icons/md';
+import { FaFile, FaMousePointer, FaPlus, FaDrawPolygon, FaRulerHorizontal, FaFont, FaArrowsAlt, FaTh, FaHome } from 'react-icons/fa';
 import ToolbarButton from './toolbar-button';
 import ToolbarSaveButton from './toolbar-save-button';
 import ToolbarLoadButton from './toolbar-load-button';
+import ToolbarExportDXFButton from './toolbar-export-dxf-button';
+import ToolbarImportDXFButton from './toolbar-import-dxf-button';
+import ToolbarExportGLTFButton from './toolbar-export-gltf-button';
+import ToolbarExportIFCButton from './toolbar-export-ifc-button';
 import If from '../../utils/react-if';
+import { SelectionUtils } from '../../utils/export';
 import {
   MODE_IDLE,
   MODE_3D_VIEW,
   MODE_3D_FIRST_PERSON,
   MODE_VIEWING_CATALOG,
-  MODE_CONFIGURING_PROJECT
+  MODE_CONFIGURING_PROJECT,
+  MODE_EXPORTING_PLAN,
+  MODE_VIEWING_REPORT,
+  MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM,
+  MODE_WAITING_DRAWING_DIMENSION,
+  MODE_DRAWING_DIMENSION,
+  MODE_WAITING_DRAWING_ANNOTATION,
+  MODE_DRAWING_ANNOTATION,
+  MODE_WAITING_TRANSFORM,
+  MODE_TRANSFORMING,
+  MODE_ARRAYING_ITEMS
 } from '../../constants';
 import * as SharedStyle from '../../shared-style';
 
@@ -31,6 +47,28 @@ const ASIDE_STYLE = {
   padding: '10px'
 };
 
+//the room tool draws with the last wall picked from the catalog, or with the first one it finds
+const roomWallType = state => {
+  let lastWall = state.selectedElementsHistory.find(element => element.prototype === 'lines');
+  if (lastWall) return lastWall.name;
+
+  let wall = state.catalog.elements.find(element => element.prototype === 'lines');
+  return wall ? wall.name : null;
+};
+
+//the transform tool works on the selection of the selected layer
+const selectedElements = state => state.getIn(['scene', 'layers', state.scene.selectedLayer, 'selected']);
+
+const hasSelection = state => {
+  let selected = selectedElements(state);
+  return !!selected && SelectionUtils.SELECTABLE_PROTOTYPES.some(prototype => selected.get(prototype).size);
+};
+
+const hasSelectedItems = state => {
+  let selected = selectedElements(state);
+  return !!selected && selected.items.size > 0;
+};
+
 const sortButtonsCb = (a, b) => {
   if (a.index === undefined || a.index === null) {
     a.index = Number.MAX_SAFE_INTEGER;
@@ -66,14 +104,16 @@ export default class Toolbar extends Component {
     return this.props.state.mode !== nextProps.state.mode ||
       this.props.height !== nextProps.height ||
       this.props.width !== nextProps.width ||
-      this.props.state.alterate !== nextProps.state.alterate;
+      this.props.state.alterate !== nextProps.state.alterate ||
+      this.props.state.viewer3D !== nextProps.state.viewer3D ||
+      selectedElements(this.props.state) !== selectedElements(nextProps.state);
   }
 
   render() {
 
     let {
       props: { state, width, height, toolbarButtons, allowProjectFileSupport },
-      context: { projectActions, viewer3DActions, translator }
+      context: { projectActions, viewer3DActions, linesActions, dimensionsActions, annotationsActions, transformActions, itemsActions, translator }
     } = this;
 
     let mode = state.get('mode');
@@ -140,11 +180,99 @@ export default class Toolbar extends Component {
       },
       {
         index: 8, condition: true, dom: <ToolbarButton
+          active={false}
+          tooltip={translator.t('Redo (CTRL-Y)')}
+          onClick={event => projectActions.redo()}>
+          <MdRedo />
+        </ToolbarButton>
+      },
+      {
+        index: 9, condition: true, dom: <ToolbarButton
           active={[MODE_CONFIGURING_PROJECT].includes(mode)}
           tooltip={translator.t('Configure project')}
           onClick={event => projectActions.openProjectConfigurator()}>
           <MdSettings />
         </ToolbarButton>
+      },
+      {
+        index: 10, condition: allowProjectFileSupport,
+        dom: <ToolbarExportDXFButton state={state} />
+      },
+      {
+        index: 11, condition: allowProjectFileSupport,
+        dom: <ToolbarImportDXFButton state={state} />
+      },
+      {
+        index: 12, condition: true, dom: <ToolbarButton
+          active={[MODE_EXPORTING_PLAN].includes(mode)}
+          tooltip={translator.t('Print / export plan')}
+          onClick={event => projectActions.openPlanExporter()}>
+          <MdPrint />
+        </ToolbarButton>
+      },
+      {
+        index: 13, condition: allowProjectFileSupport,
+        dom: <ToolbarExportGLTFButton state={state} />
+      },
+      {
+        index: 14, condition: allowProjectFileSupport,
+        dom: <ToolbarExportIFCButton state={state} />
+      },
+      {
+        index: 15, condition: true, dom: <ToolbarButton
+          active={[MODE_VIEWING_REPORT].includes(mode)}
+          tooltip={translator.t('Report')}
+          onClick={event => projectActions.openReport()}>
+          <MdAssignment />
+        </ToolbarButton>
+      },
+      {
+        index: 16, condition: !!roomWallType(state), dom: <ToolbarButton
+          active={[MODE_WAITING_DRAWING_ROOM, MODE_DRAWING_ROOM].includes(mode)}
+          tooltip={translator.t('Draw room')}
+          onClick={event => linesActions.selectToolDrawingRoom(roomWallType(state))}>
+          <FaDrawPolygon />
+        </ToolbarButton>
+      },
+      {
+        index: 17, condition: true, dom: <ToolbarButton
+          active={[MODE_WAITING_DRAWING_DIMENSION, MODE_DRAWING_DIMENSION].includes(mode)}
+          tooltip={translator.t('Draw dimension')}
+          onClick={event => dimensionsActions.selectToolDrawingDimension()}>
+          <FaRulerHorizontal />
+        </ToolbarButton>
+      },
+      {
+        index: 18, condition: true, dom: <ToolbarButton
+          active={[MODE_WAITING_DRAWING_ANNOTATION, MODE_DRAWING_ANNOTATION].includes(mode)}
+          tooltip={translator.t('Add annotation')}
+          onClick={event => annotationsActions.selectToolDrawingAnnotation()}>
+          <FaFont />
+        </ToolbarButton>
+      },
+      {
+        index: 19, condition: hasSelection(state) || [MODE_WAITING_TRANSFORM, MODE_TRANSFORMING].includes(mode), dom: <ToolbarButton
+          active={[MODE_WAITING_TRANSFORM, MODE_TRANSFORMING].includes(mode)}
+          tooltip={translator.t('Transform selection')}
+          onClick={event => transformActions.selectToolTransform()}>
+          <FaArrowsAlt />
+        </ToolbarButton>
+      },
+      {
+        index: 20, condition: hasSelectedItems(state) || mode === MODE_ARRAYING_ITEMS, dom: <ToolbarButton
+          active={mode === MODE_ARRAYING_ITEMS}
+          tooltip={translator.t('Array of items')}
+          onClick={event => itemsActions.selectToolItemsArray()}>
+          <FaTh />
+        </ToolbarButton>
+      },
+      {
+        index: 21, condition: mode === MODE_3D_VIEW, dom: <ToolbarButton
+          active={state.viewer3D.get('ceilingsHidden')}
+          tooltip={translator.t(state.viewer3D.get('ceilingsHidden') ? 'Show ceilings and roof' : 'Hide ceilings and roof')}
+          onClick={event => viewer3DActions.toggle3DCeilings()}>
+          <FaHome />
+        </ToolbarButton>
       }
     ];
 
@@ -184,5 +312,8 @@ Toolbar.contextTypes = {
   linesActions: PropTypes.object.isRequired,
   holesActions: PropTypes.object.isRequired,
   itemsActions: PropTypes.object.isRequired,
+  dimensionsActions: PropTypes.object.isRequired,
+  annotationsActions: PropTypes.object.isRequired,
+  transformActions: PropTypes.object.isRequired,
   translator: PropTypes.object.isRequired,
 };
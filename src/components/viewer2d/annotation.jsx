@@ -0,0 +1,79 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {AnnotationUtils} from '../../utils/export';
+import {arcPath} from './dimension';
+import * as SharedStyle from '../../shared-style';
+
+const STYLE_TEXT = {
+  textAnchor: 'middle',
+  fontFamily: '"Courier New", Courier, monospace',
+  pointerEvents: 'none',
+  whiteSpace: 'pre',
+
+  //http://stackoverflow.com/questions/826782/how-to-disable-text-selection-highlighting-using-css
+  WebkitTouchCallout: 'none', /* iOS Safari */
+  WebkitUserSelect: 'none', /* Chrome/Safari/Opera */
+  MozUserSelect: 'none', /* Firefox */
+  MsUserSelect: 'none', /* Internet Explorer/Edge */
+  userSelect: 'none'
+};
+
+const COLOR = '#000';
+
+export default function Annotation({layer, annotation, scene}) {
+
+  let geometry = AnnotationUtils.annotationGeometry(annotation, scene.unit);
+  if (!geometry) return null;
+
+  let color = annotation.selected ? SharedStyle.SECONDARY_COLOR.main : COLOR;
+
+  let lines = geometry.lines.map(([x1, y1, x2, y2], index) => <line key={index} x1={x1} y1={y1} x2={x2} y2={y2}/>);
+  let arcs = geometry.arcs.map((arc, index) => <path key={index} d={arcPath(arc)} fill="none"/>);
+  let polygons = geometry.polygons.map((polygon, index) =>
+    <polygon key={index} points={polygon.map(point => point.join(',')).join(' ')} fill={color}/>);
+
+  return (
+    <g
+      data-element-root
+      data-prototype={annotation.prototype}
+      data-id={annotation.id}
+      data-selected={annotation.selected}
+      data-layer={layer.id}
+      stroke={color}
+      strokeWidth="1"
+    >
+      {/* a wider transparent stroke makes the thin lines easier to pick */}
+      <g strokeWidth="8" strokeOpacity="0">
+        {lines}
+        {arcs}
+      </g>
+      {lines}
+      {arcs}
+      {polygons}
+      {
+        geometry.texts.map(({x, y, angle, size, value}, index) =>
+          <g key={index} transform={`translate(${x}, ${y}) rotate(${angle}) scale(1, -1)`}>
+            {/* texts are picked on a box as large as them */}
+            <rect
+              x={-value.length * size * 0.3}
+              y={-size / 2}
+              width={value.length * size * 0.6}
+              height={size}
+              fill="transparent"
+              stroke="none"
+            />
+            <text dy="0.35em" fontSize={size} stroke="none" fill={color} style={STYLE_TEXT}>
+              {value}
+            </text>
+          </g>
+        )
+      }
+    </g>
+  );
+}
+
+Annotation.propTypes = {
+  annotation: PropTypes.object.isRequired,
+  layer: PropTypes.object.isRequired,
+  scene: PropTypes.object.isRequired
+};
@@ -1,7 +1,6 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import polylabel from 'polylabel';
-import areapolygon from 'area-polygon';
+import {areaLabelPoint, areaSize} from '../../exporters/plan-geometry';
 
 const STYLE_TEXT = {
   textAnchor: 'middle',
@@ -19,49 +18,28 @@ const STYLE_TEXT = {
 };
 
 
+const LINE_HEIGHT = 14;
+
 export default function Area({layer, area, catalog}) {
 
   let rendered = catalog.getElement(area.type).render2D(area, layer);
 
-  let renderedAreaSize = null;
-
-  if (area.selected) {
-    let polygon = area.vertices.toArray().map(vertexID => {
-      let {x, y} = layer.vertices.get(vertexID);
-      return [x, y];
-    });
-
-    let polygonWithHoles = polygon;
-
-    area.holes.forEach(holeID => {
+  let center = areaLabelPoint(layer, area);
 
-      let polygonHole = layer.areas.get(holeID).vertices.toArray().map(vertexID => {
-        let {x, y} = layer.vertices.get(vertexID);
-        return [x, y];
-      });
+  //the room label is always shown, centered on the point farthest from the walls
+  let labelLines = [
+    area.name,
+    area.properties.get('roomNumber'),
+    `${(areaSize(layer, area) / 10000).toFixed(2)} m${String.fromCharCode(0xb2)}`
+  ].filter(text => text);
 
-      polygonWithHoles = polygonWithHoles.concat(polygonHole.reverse());
-    });
-
-    let center = polylabel([polygonWithHoles], 1.0);
-    let areaSize = areapolygon(polygon, false);
-
-    //subtract holes area
-    area.holes.forEach(areaID => {
-      let hole = layer.areas.get(areaID);
-      let holePolygon = hole.vertices.toArray().map(vertexID => {
-        let {x, y} = layer.vertices.get(vertexID);
-        return [x, y];
-      });
-      areaSize -= areapolygon(holePolygon, false);
-    });
-
-    renderedAreaSize = (
-      <text x="0" y="0" transform={`translate(${center[0]} ${center[1]}) scale(1, -1)`} style={STYLE_TEXT}>
-        {(areaSize / 10000).toFixed(2)} m{String.fromCharCode(0xb2)}
-      </text>
-    )
-  }
+  let renderedLabel = (
+    <g transform={`translate(${center[0]} ${center[1]}) scale(1, -1)`}>
+      {labelLines.map((text, index) =>
+        <text key={index} x="0" y={(index - (labelLines.length - 1) / 2) * LINE_HEIGHT} style={STYLE_TEXT}>{text}</text>
+      )}
+    </g>
+  );
 
   return (
     <g
@@ -72,7 +50,7 @@ export default function Area({layer, area, catalog}) {
       data-layer={layer.id}
     >
       {rendered}
-      {renderedAreaSize}
+      {renderedLabel}
     </g>
   )
 
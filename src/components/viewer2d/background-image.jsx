@@ -0,0 +1,17 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default function BackgroundImage({image}) {
+  let {src, x, y, width, height, rotation, opacity} = image;
+
+  //the drawing paper has the y axis pointing up, the image has to be flipped back
+  return (
+    <g transform={`translate(${x}, ${y}) rotate(${rotation}) translate(0, ${height}) scale(1, -1)`} opacity={opacity}>
+      <image xlinkHref={src} x="0" y="0" width={width} height={height} preserveAspectRatio="none"/>
+    </g>
+  );
+}
+
+BackgroundImage.propTypes = {
+  image: PropTypes.object.isRequired
+};
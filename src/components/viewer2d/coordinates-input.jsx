@@ -0,0 +1,137 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import * as SharedStyle from '../../shared-style';
+import { CoordinatesInputUtils } from '../../utils/export';
+import {
+  MODE_WAITING_DRAWING_LINE,
+  MODE_DRAWING_LINE,
+  KEYBOARD_BUTTON_CODE
+} from '../../constants';
+
+const STYLE = {
+  position: 'absolute',
+  left: '25px',
+  bottom: '10px',
+  padding: '4px 8px',
+  fontSize: '12px',
+  fontFamily: 'monospace',
+  color: SharedStyle.COLORS.white,
+  backgroundColor: SharedStyle.PRIMARY_COLOR.main,
+  border: `1px solid ${SharedStyle.SECONDARY_COLOR.main}`,
+  borderRadius: '2px',
+  pointerEvents: 'none',
+  userSelect: 'none'
+};
+
+const STYLE_INVALID = { ...STYLE, borderColor: SharedStyle.MATERIAL_COLORS[500].red };
+const STYLE_HINT = { opacity: 0.6 };
+
+const ALLOWED_CHARACTERS = /^[0-9a-z.,;<@+\- ]$/i;
+
+export default class CoordinatesInput extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    this.state = { text: '', invalid: false };
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onKeyDown);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onKeyDown);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.state.mode !== this.props.state.mode && this.state.text) {
+      this.setState({ text: '', invalid: false });
+    }
+  }
+
+  lastVertex() {
+    let { state } = this.props;
+    if (state.mode !== MODE_DRAWING_LINE) return null;
+
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let line = layer.lines.get(layer.selected.lines.first());
+
+    return line ? layer.vertices.get(line.vertices.get(0)) : null;
+  }
+
+  apply() {
+    let { state } = this.props;
+    let input = CoordinatesInputUtils.parseCoordinatesInput(this.state.text, state.scene.unit);
+    let point = CoordinatesInputUtils.coordinatesInputPoint(input, this.lastVertex(), state.mouse.toJS());
+
+    if (!point) {
+      this.setState({ invalid: true });
+      return;
+    }
+
+    this.setState({ text: '', invalid: false });
+    this.context.linesActions.placeDrawingLineVertex(state.scene.selectedLayer, point.x, point.y);
+  }
+
+  onKeyDown(event) {
+    let { mode } = this.props.state;
+    let tagName = event.target.tagName;
+
+    if (![MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE].includes(mode)) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tagName) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    let { text } = this.state;
+
+    switch (event.keyCode) {
+      case KEYBOARD_BUTTON_CODE.ENTER:
+        if (!text) return;
+        this.apply();
+        break;
+
+      case KEYBOARD_BUTTON_CODE.BACKSPACE:
+        if (!text) return;
+        this.setState({ text: text.slice(0, -1), invalid: false });
+        break;
+
+      case KEYBOARD_BUTTON_CODE.ESC:
+        //the first escape clears the typed text, the next one leaves the tool
+        if (!text) return;
+        this.setState({ text: '', invalid: false });
+        break;
+
+      default:
+        if (!ALLOWED_CHARACTERS.test(event.key) || (!text && event.key === ' ')) return;
+        this.setState({ text: text + event.key, invalid: false });
+        break;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  render() {
+    let { mode } = this.props.state;
+    let { translator } = this.context;
+    let { text, invalid } = this.state;
+
+    if (![MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE].includes(mode)) return null;
+
+    return (
+      <div style={invalid ? STYLE_INVALID : STYLE}>
+        {text || <span style={STYLE_HINT}>{translator.t('Type a length, length<angle, x,y or @dx,dy')}</span>}
+      </div>
+    );
+  }
+}
+
+CoordinatesInput.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+CoordinatesInput.contextTypes = {
+  linesActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
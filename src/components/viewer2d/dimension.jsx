@@ -0,0 +1,81 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {DimensionUtils} from '../../utils/export';
+import * as SharedStyle from '../../shared-style';
+
+const STYLE_TEXT = {
+  textAnchor: 'middle',
+  fontFamily: '"Courier New", Courier, monospace',
+  pointerEvents: 'none',
+
+  //http://stackoverflow.com/questions/826782/how-to-disable-text-selection-highlighting-using-css
+  WebkitTouchCallout: 'none', /* iOS Safari */
+  WebkitUserSelect: 'none', /* Chrome/Safari/Opera */
+  MozUserSelect: 'none', /* Firefox */
+  MsUserSelect: 'none', /* Internet Explorer/Edge */
+  userSelect: 'none'
+};
+
+const COLOR = '#000';
+
+//svg arcs with the angles of the scene, which has the y axis pointing up like the drawing paper
+export const arcPath = ({x, y, radius, start, end}) => {
+  let toPoint = angle => [x + radius * Math.cos(angle * Math.PI / 180), y + radius * Math.sin(angle * Math.PI / 180)];
+  let [x1, y1] = toPoint(start);
+  let [x2, y2] = toPoint(end);
+
+  return `M ${x1} ${y1} A ${radius} ${radius} 0 ${end - start > 180 ? 1 : 0} 1 ${x2} ${y2}`;
+};
+
+export default function Dimension({layer, dimension, scene}) {
+
+  let geometry = DimensionUtils.dimensionGeometry(layer, dimension, scene.unit);
+  if (!geometry) return null;
+
+  let color = dimension.selected ? SharedStyle.SECONDARY_COLOR.main : COLOR;
+  let size = dimension.getIn(['properties', 'textSize']) || DimensionUtils.DEFAULT_TEXT_SIZE;
+
+  let lines = geometry.lines.map(([x1, y1, x2, y2], index) => <line key={index} x1={x1} y1={y1} x2={x2} y2={y2}/>);
+  let arcs = geometry.arcs.map((arc, index) => <path key={index} d={arcPath(arc)} fill="none"/>);
+
+  return (
+    <g
+      data-element-root
+      data-prototype={dimension.prototype}
+      data-id={dimension.id}
+      data-selected={dimension.selected}
+      data-layer={layer.id}
+      stroke={color}
+      strokeWidth="1"
+    >
+      {/* a wider transparent stroke makes the thin lines easier to pick */}
+      <g strokeWidth={size * 0.6} strokeOpacity="0">
+        {lines}
+        {arcs}
+      </g>
+      {lines}
+      {arcs}
+      {
+        geometry.texts.map(({x, y, angle, size, value}, index) =>
+          <text
+            key={index}
+            transform={`translate(${x}, ${y}) rotate(${angle}) scale(1, -1)`}
+            dy="0.35em"
+            fontSize={size}
+            stroke="none"
+            fill={color}
+            style={STYLE_TEXT}
+          >
+            {value}
+          </text>
+        )
+      }
+    </g>
+  );
+}
+
+Dimension.propTypes = {
+  dimension: PropTypes.object.isRequired,
+  layer: PropTypes.object.isRequired,
+  scene: PropTypes.object.isRequired
+};
@@ -8,10 +8,13 @@ import Line from './line';
 import Layer from './layer';
 import Item from './item';
 import Area from './area';
+import Dimension from './dimension';
+import Annotation from './annotation';
 import Grids from './grids/grids';
 import Group from './group';
 import RulerX from './rulerX';
 import RulerY from './rulerY';
+import BackgroundImage from './background-image';
 
 export {
   Viewer2D,
@@ -24,10 +27,13 @@ export {
   Layer,
   Item,
   Area,
+  Dimension,
+  Annotation,
   Grids,
   Group,
   RulerX,
-  RulerY
+  RulerY,
+  BackgroundImage
 };
 
 export default {
@@ -41,8 +47,11 @@ export default {
   Layer,
   Item,
   Area,
+  Dimension,
+  Annotation,
   Grids,
   Group,
   RulerX,
-  RulerY
+  RulerY,
+  BackgroundImage
 };
@@ -5,13 +5,15 @@ import {
   Area,
   Vertex,
   Item,
-  Group
+  Group,
+  Dimension,
+  Annotation
 } from './export';
 
 export default function Layer({ layer, scene, catalog }) {
 
   let { unit, groups } = scene;
-  let { lines, areas, vertices, holes, id: layerID, items, opacity } = layer;
+  let { lines, areas, vertices, holes, id: layerID, items, dimensions, annotations, opacity } = layer;
 
   return (
     <g opacity={opacity}>
@@ -27,6 +29,14 @@ export default function Layer({ layer, scene, catalog }) {
         items.valueSeq().map(item =>
           <Item key={item.id} layer={layer} item={item} scene={scene} catalog={catalog} />)
       }
+      {
+        dimensions.valueSeq().map(dimension =>
+          <Dimension key={dimension.id} layer={layer} dimension={dimension} scene={scene} />)
+      }
+      {
+        annotations.valueSeq().map(annotation =>
+          <Annotation key={annotation.id} layer={layer} annotation={annotation} scene={scene} />)
+      }
       {
         vertices
           .valueSeq()
@@ -12,24 +12,36 @@ export default function Line({line, layer, scene, catalog}) {
 
   let {x: x1, y: y1} = vertex0;
   let {x: x2, y: y2} = vertex1;
+  let inverted = false;
 
   if (x1 > x2) {
     ({x: x1, y: y1} = vertex1);
     ({x: x2, y: y2} = vertex0);
+    inverted = true;
   }
 
   let length = GeometryUtils.pointsDistance(x1, y1, x2, y2);
   let angle = GeometryUtils.angleBetweenTwoPointsAndOrigin(x1, y1, x2, y2);
+  let arc = GeometryUtils.isArc(line.bulge);
 
   let renderedHoles = line.holes.map(holeID => {
     let hole = layer.holes.get(holeID);
     let startAt = length * hole.offset;
     let renderedHole = catalog.getElement(hole.type).render2D(hole, layer, scene);
 
+    //on arcs the offset runs from the first vertex of the line, the hole follows the tangent
+    let transform = `translate(${startAt}, 0)`;
+    if (arc) {
+      let bulge = inverted ? -line.bulge : line.bulge;
+      let offset = inverted ? 1 - hole.offset : hole.offset;
+      let point = GeometryUtils.pointOnArc(0, 0, length, 0, bulge, offset);
+      transform = `translate(${point.x}, ${point.y}) rotate(${point.angle * 180 / Math.PI}, 0, 0)`;
+    }
+
     return (
       <g
         key={holeID}
-        transform={`translate(${startAt}, 0)`}
+        transform={transform}
         data-element-root
         data-prototype={hole.prototype}
         data-id={hole.id}
@@ -45,7 +57,7 @@ export default function Line({line, layer, scene, catalog}) {
   let half_thickness = thickness / 2;
 
   let renderedLine = catalog.getElement(line.type).render2D(line, layer);
-  let renderedRuler = line.selected ?
+  let renderedRuler = line.selected && !arc ?
     <Ruler unit={scene.unit} length={length} transform={`translate(0, ${half_thickness + 10} )`}/> : null;
 
   return (
@@ -1,6 +1,10 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
-import { Layer, Grids } from './export';
+import { Layer, Grids, BackgroundImage } from './export';
+import { StoreyUtils } from '../../utils/export';
+
+//the storey under the selected layer is drawn faded, the walls can be drawn over its own
+const STOREY_BELOW_OPACITY = 0.25;
 
 export default class Scene extends Component {
 
@@ -12,6 +16,7 @@ export default class Scene extends Component {
     let {scene, catalog} = this.props;
     let {height, layers} = scene;
     let selectedLayer = layers.get(scene.selectedLayer);
+    let storeyBelow = StoreyUtils.storeyBelow(scene, scene.selectedLayer);
 
     return (
       <g>
@@ -21,7 +26,23 @@ export default class Scene extends Component {
           {
             layers
             .entrySeq()
-            .filter(([layerID, layer]) => layerID !== scene.selectedLayer && layer.visible)
+            .filter(([layerID, layer]) => (layerID === scene.selectedLayer || layer.visible) && layer.backgroundImage && layer.backgroundImage.visible)
+            .map(([layerID, layer]) => <BackgroundImage key={layerID} image={layer.backgroundImage}/>)
+          }
+        </g>
+
+        {
+          storeyBelow ?
+            <g style={{pointerEvents: 'none'}} opacity={STOREY_BELOW_OPACITY}>
+              <Layer layer={storeyBelow} scene={scene} catalog={catalog}/>
+            </g> : null
+        }
+
+        <g style={{pointerEvents: 'none'}}>
+          {
+            layers
+            .entrySeq()
+            .filter(([layerID, layer]) => layerID !== scene.selectedLayer && layer.visible && layer !== storeyBelow)
             .map(([layerID, layer]) => <Layer key={layerID} layer={layer} scene={scene} catalog={catalog}/>)
           }
         </g>
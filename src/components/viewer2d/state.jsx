@@ -2,7 +2,168 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import Scene from './scene';
 import Snap from './snap';
+import Dimension from './dimension';
+import Annotation from './annotation';
 import * as SharedStyle from '../../shared-style';
+import {DimensionUtils, AnnotationUtils, SelectionUtils, TransformUtils} from '../../utils/export';
+import {Dimension as DimensionModel, Annotation as AnnotationModel} from '../../models';
+import {
+  MODE_FITTING_IMAGE,
+  MODE_DRAWING_ROOM,
+  MODE_DRAWING_DIMENSION,
+  MODE_DRAWING_ANNOTATION,
+  MODE_SELECTING_BOX,
+  MODE_WAITING_TRANSFORM,
+  MODE_TRANSFORMING,
+  MODE_ARRAYING_ITEMS,
+  DIMENSION_ALIGNED,
+  DIMENSION_ANGULAR
+} from '../../constants';
+
+const fittingStyle = {
+  stroke: SharedStyle.SECONDARY_COLOR.main,
+  strokeWidth: '2px',
+  strokeDasharray: '8 4'
+};
+
+const roomStyle = {
+  fill: 'none',
+  stroke: SharedStyle.SECONDARY_COLOR.main,
+  strokeWidth: '2px',
+  strokeDasharray: '8 4'
+};
+
+function roomOutline(drawingSupport) {
+  let points = drawingSupport.get('points');
+  let cursor = drawingSupport.get('cursor');
+
+  if (drawingSupport.get('dragging')) {
+    let first = points.first();
+    points = points.push(
+      first.set('x', cursor.get('x')),
+      cursor,
+      first.set('y', cursor.get('y')),
+      first
+    );
+  } else {
+    points = points.push(cursor);
+  }
+
+  return points.map(point => `${point.get('x')},${point.get('y')}`).join(' ');
+}
+
+//a window box is drawn solid, a crossing box dashed like in most CAD programs
+const windowBoxStyle = {
+  fill: SharedStyle.SECONDARY_COLOR.main,
+  fillOpacity: 0.1,
+  stroke: SharedStyle.SECONDARY_COLOR.main,
+  strokeWidth: '1px'
+};
+
+const crossingBoxStyle = {
+  ...windowBoxStyle,
+  fill: SharedStyle.MATERIAL_COLORS[500].green,
+  stroke: SharedStyle.MATERIAL_COLORS[500].green,
+  strokeDasharray: '6 3'
+};
+
+//the dimension being drawn placed at the cursor, a single point is shown as an aligned dimension to the cursor
+function dimensionPreview(drawingSupport, layer) {
+  let type = drawingSupport.get('type');
+  let points = drawingSupport.get('points');
+  let cursor = drawingSupport.get('cursor');
+
+  if (!points || !cursor) return null;
+
+  if (points.size === 1) {
+    return new DimensionModel({type: DIMENSION_ALIGNED, points: points.push(cursor.set('vertex', null))});
+  }
+
+  if (points.size < (type === DIMENSION_ANGULAR ? 3 : 2)) return null;
+
+  return DimensionUtils.placeDimension(layer, new DimensionModel({type, points}), cursor.get('x'), cursor.get('y'));
+}
+
+//the annotation being drawn, from its first point to the cursor
+function annotationPreview(drawingSupport, unit) {
+  let type = drawingSupport.get('type');
+  let points = drawingSupport.get('points');
+  let cursor = drawingSupport.get('cursor');
+
+  if (!points || !cursor) return null;
+
+  points = AnnotationUtils.annotationPoints(type, [points.first().toJS(), cursor.toJS()]);
+
+  return points ? new AnnotationModel({type, points, properties: AnnotationUtils.annotationProperties(type, unit)}) : null;
+}
+
+const transformStyle = {
+  fill: 'none',
+  stroke: SharedStyle.SECONDARY_COLOR.main,
+  strokeWidth: '1px',
+  strokeDasharray: '6 3'
+};
+
+//the selected elements where the transform tool would put them, the rotations and the scalings are about the cursor
+//until their base point is clicked
+function transformPreview(drawingSupport, layer, unit) {
+  let type = drawingSupport.get('type');
+  let cursor = drawingSupport.get('cursor');
+  if (!layer || !cursor) return null;
+
+  cursor = cursor.toJS();
+  let base = drawingSupport.get('base') ? drawingSupport.get('base').toJS() : null;
+  if (!base && TransformUtils.transformClicks(type) === 1) base = cursor;
+  if (!base) return null;
+
+  let transform = TransformUtils.toolTransform(type, base, cursor,
+    {angle: drawingSupport.get('angle'), factor: drawingSupport.get('factor')});
+  if (!transform) return null;
+
+  let outlines = [];
+  SelectionUtils.SELECTABLE_PROTOTYPES.forEach(prototype =>
+    layer.selected.get(prototype).forEach(elementID => {
+      let element = layer.getIn([prototype, elementID]);
+      if (element) outlines.push(SelectionUtils.elementOutline(layer, prototype, element, unit));
+    })
+  );
+
+  let polylines = [];
+  outlines.forEach(({polylines: elementPolylines}) => elementPolylines.forEach(polyline => polylines.push(
+    polyline.map(({x, y}) => TransformUtils.transformPoint(transform, x, y)).map(({x, y}) => `${x},${y}`).join(' ')
+  )));
+
+  return (
+    <g style={transformStyle}>
+      {polylines.map((points, index) => <polyline key={index} points={points}/>)}
+      {base !== cursor ? <line x1={base.x} y1={base.y} x2={cursor.x} y2={cursor.y}/> : null}
+    </g>
+  );
+}
+
+//the copies the array tool would make of the selected items, following the cursor
+function arrayPreview(drawingSupport, layer, unit) {
+  if (!layer || !drawingSupport.get('cursor')) return null;
+
+  let {type, center, cursor, ...parameters} = drawingSupport.toJS();
+  let transforms = TransformUtils.arrayTransforms(type, parameters, center, cursor);
+
+  let polylines = [];
+  layer.selected.items.forEach(itemID => {
+    let item = layer.items.get(itemID);
+    if (!item) return;
+
+    SelectionUtils.elementOutline(layer, 'items', item, unit).polylines.forEach(polyline => transforms.forEach(transform =>
+      polylines.push(polyline.map(({x, y}) => TransformUtils.transformPoint(transform, x, y)).map(({x, y}) => `${x},${y}`).join(' '))
+    ));
+  });
+
+  return (
+    <g style={transformStyle}>
+      {polylines.map((points, index) => <polyline key={index} points={points}/>)}
+    </g>
+  );
+}
 
 const guideStyle = {
   stroke: SharedStyle.SECONDARY_COLOR.main,
@@ -11,7 +172,7 @@ const guideStyle = {
 
 export default function State({state, catalog}) {
 
-  let {activeSnapElement, snapElements, scene} = state;
+  let {activeSnapElement, snapElements, scene, mode, mouse} = state;
   let {width, height} = scene;
 
   activeSnapElement = activeSnapElement ?
@@ -19,6 +180,39 @@ export default function State({state, catalog}) {
 // snapElements = snapElements.map((snap,id) => <Snap key={id} snap={snap} width={scene.width} height={scene.height}/>);
   snapElements = null; //only for debug purpose
 
+  let fitStart = mode === MODE_FITTING_IMAGE ? state.getIn(['drawingSupport', 'fitStart']) : null;
+  let fittingLine = fitStart ?
+    <line x1={fitStart.get('x')} y1={fitStart.get('y')} x2={mouse.get('x')} y2={mouse.get('y')} style={fittingStyle}/> : null;
+
+  let roomLine = mode === MODE_DRAWING_ROOM ?
+    <polyline points={roomOutline(state.drawingSupport)} style={roomStyle}/> : null;
+
+  let dimensionLayer = mode === MODE_DRAWING_DIMENSION ? scene.getIn(['layers', state.getIn(['drawingSupport', 'layerID'])]) : null;
+  let dimension = dimensionLayer ? dimensionPreview(state.drawingSupport, dimensionLayer) : null;
+  let dimensionLine = dimension ?
+    <g opacity="0.6"><Dimension layer={dimensionLayer} dimension={dimension} scene={scene}/></g> : null;
+
+  let annotation = mode === MODE_DRAWING_ANNOTATION ? annotationPreview(state.drawingSupport, scene.unit) : null;
+  let annotationLine = annotation ?
+    <g opacity="0.6">
+      <Annotation layer={scene.getIn(['layers', state.getIn(['drawingSupport', 'layerID'])])} annotation={annotation} scene={scene}/>
+    </g> : null;
+
+  let selectionBox = null;
+  if (mode === MODE_SELECTING_BOX) {
+    let {startX, startY, x, y} = state.draggingSupport.toJS();
+    let {x1, y1, x2, y2} = SelectionUtils.selectionBox(startX, startY, x, y);
+    let style = SelectionUtils.isCrossingBox(startX, x) ? crossingBoxStyle : windowBoxStyle;
+
+    selectionBox = <rect x={x1} y={y1} width={x2 - x1} height={y2 - y1} style={style}/>;
+  }
+
+  let transform = [MODE_WAITING_TRANSFORM, MODE_TRANSFORMING].includes(mode) ?
+    transformPreview(state.drawingSupport, scene.getIn(['layers', state.getIn(['drawingSupport', 'layerID'])]), scene.unit) : null;
+
+  let array = mode === MODE_ARRAYING_ITEMS ?
+    arrayPreview(state.drawingSupport, scene.getIn(['layers', state.getIn(['drawingSupport', 'layerID'])]), scene.unit) : null;
+
   return (
     <g>
       <rect x="0" y="0" width={width} height={height} fill={SharedStyle.COLORS.white}/>
@@ -27,6 +221,13 @@ export default function State({state, catalog}) {
         <Scene scene={scene} catalog={catalog}/>
         {scene.getIn(['guides','horizontal']).entrySeq().map( ([ hgKey, hgVal ]) => <line id={'hGuide' + hgKey} key={hgKey} x1={0} y1={hgVal} x2={width} y2={hgVal} style={guideStyle}/> )}
         {scene.getIn(['guides','vertical']).entrySeq().map( ([ vgKey, vgVal ]) => <line key={vgKey} x1={vgVal} y1={0} x2={vgVal} y2={height} style={guideStyle}/> )}
+        {fittingLine}
+        {roomLine}
+        {dimensionLine}
+        {annotationLine}
+        {selectionBox}
+        {transform}
+        {array}
         {activeSnapElement}
         {snapElements}
 
@@ -6,6 +6,7 @@ import * as constants from '../../constants';
 import State from './state';
 import * as SharedStyle from '../../shared-style';
 import { RulerX, RulerY } from './export';
+import CoordinatesInput from './coordinates-input';
 
 function mode2Tool(mode) {
   switch (mode) {
@@ -25,12 +26,20 @@ function mode2Tool(mode) {
 function mode2PointerEvents(mode) {
   switch (mode) {
     case constants.MODE_DRAWING_LINE:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_DRAWING_DIMENSION:
+    case constants.MODE_DRAWING_ANNOTATION:
     case constants.MODE_DRAWING_HOLE:
     case constants.MODE_DRAWING_ITEM:
     case constants.MODE_DRAGGING_HOLE:
     case constants.MODE_DRAGGING_ITEM:
+    case constants.MODE_DRAGGING_ANNOTATION:
     case constants.MODE_DRAGGING_LINE:
     case constants.MODE_DRAGGING_VERTEX:
+    case constants.MODE_SELECTING_BOX:
+    case constants.MODE_WAITING_TRANSFORM:
+    case constants.MODE_TRANSFORMING:
+    case constants.MODE_ARRAYING_ITEMS:
       return { pointerEvents: 'none' };
 
     default:
@@ -44,6 +53,7 @@ function mode2Cursor(mode) {
     case constants.MODE_DRAGGING_LINE:
     case constants.MODE_DRAGGING_VERTEX:
     case constants.MODE_DRAGGING_ITEM:
+    case constants.MODE_DRAGGING_ANNOTATION:
       return { cursor: 'move' };
 
     case constants.MODE_ROTATING_ITEM:
@@ -51,6 +61,17 @@ function mode2Cursor(mode) {
 
     case constants.MODE_WAITING_DRAWING_LINE:
     case constants.MODE_DRAWING_LINE:
+    case constants.MODE_WAITING_DRAWING_ROOM:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_WAITING_DRAWING_DIMENSION:
+    case constants.MODE_DRAWING_DIMENSION:
+    case constants.MODE_WAITING_DRAWING_ANNOTATION:
+    case constants.MODE_DRAWING_ANNOTATION:
+    case constants.MODE_FITTING_IMAGE:
+    case constants.MODE_SELECTING_BOX:
+    case constants.MODE_WAITING_TRANSFORM:
+    case constants.MODE_TRANSFORMING:
+    case constants.MODE_ARRAYING_ITEMS:
       return { cursor: 'crosshair' };
     default:
       return { cursor: 'default' };
@@ -60,12 +81,19 @@ function mode2Cursor(mode) {
 function mode2DetectAutopan(mode) {
   switch (mode) {
     case constants.MODE_DRAWING_LINE:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_DRAWING_DIMENSION:
+    case constants.MODE_DRAWING_ANNOTATION:
     case constants.MODE_DRAGGING_LINE:
     case constants.MODE_DRAGGING_VERTEX:
     case constants.MODE_DRAGGING_HOLE:
     case constants.MODE_DRAGGING_ITEM:
     case constants.MODE_DRAWING_HOLE:
     case constants.MODE_DRAWING_ITEM:
+    case constants.MODE_DRAGGING_ANNOTATION:
+    case constants.MODE_SELECTING_BOX:
+    case constants.MODE_TRANSFORMING:
+    case constants.MODE_ARRAYING_ITEMS:
       return true;
 
     default:
@@ -73,6 +101,13 @@ function mode2DetectAutopan(mode) {
   }
 }
 
+//shift adds to the selection, ctrl (cmd on mac) toggles elements in and out of it
+function selectionFromEvent(event) {
+  if (event.shiftKey) return constants.SELECTION_ADD;
+  if (event.ctrlKey || event.metaKey) return constants.SELECTION_TOGGLE;
+  return constants.SELECTION_REPLACE;
+}
+
 function extractElementData(node) {
   while (!node.attributes.getNamedItem('data-element-root') && node.tagName !== 'svg') {
     node = node.parentNode;
@@ -90,7 +125,7 @@ function extractElementData(node) {
 
 export default function Viewer2D(
   { state, width, height },
-  { viewer2DActions, linesActions, holesActions, verticesActions, itemsActions, areaActions, projectActions, catalog }) {
+  { viewer2DActions, linesActions, holesActions, verticesActions, itemsActions, areaActions, dimensionsActions, annotationsActions, transformActions, projectActions, sceneActions, translator, catalog }) {
 
 
   let { viewer2D, mode, scene } = state;
@@ -117,6 +152,18 @@ export default function Viewer2D(
         linesActions.updateDrawingLine(x, y, state.snapMask);
         break;
 
+      case constants.MODE_DRAWING_ROOM:
+        linesActions.updateDrawingRoom(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_DRAWING_DIMENSION:
+        dimensionsActions.updateDrawingDimension(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_DRAWING_ANNOTATION:
+        annotationsActions.updateDrawingAnnotation(x, y, state.snapMask);
+        break;
+
       case constants.MODE_DRAWING_HOLE:
         holesActions.updateDrawingHole(layerID, x, y);
         break;
@@ -141,9 +188,26 @@ export default function Viewer2D(
         itemsActions.updateDraggingItem(x, y);
         break;
 
+      case constants.MODE_DRAGGING_ANNOTATION:
+        annotationsActions.updateDraggingAnnotation(x, y);
+        break;
+
       case constants.MODE_ROTATING_ITEM:
         itemsActions.updateRotatingItem(x, y);
         break;
+
+      case constants.MODE_SELECTING_BOX:
+        projectActions.updateSelectingBox(x, y);
+        break;
+
+      case constants.MODE_WAITING_TRANSFORM:
+      case constants.MODE_TRANSFORMING:
+        transformActions.updateTransform(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_ARRAYING_ITEMS:
+        itemsActions.updateItemsArray(x, y);
+        break;
     }
 
     viewerEvent.originalEvent.stopPropagation();
@@ -161,7 +225,16 @@ export default function Viewer2D(
 
     if (mode === constants.MODE_IDLE) {
       let elementData = extractElementData(event.target);
-      if (!elementData || !elementData.selected) return;
+      let selection = selectionFromEvent(event);
+
+      //a drag from the canvas or from an element not dragged draws a selection box, a click selects the element
+      if (!elementData || !elementData.selected || selection !== constants.SELECTION_REPLACE) {
+        if (event.button !== 0) return;
+
+        let element = elementData ? { layer: elementData.layer, prototype: elementData.prototype, id: elementData.id } : null;
+        projectActions.beginSelectingBox(layerID, x, y, selection, element);
+        return;
+      }
 
       switch (elementData.prototype) {
         case 'lines':
@@ -183,9 +256,16 @@ export default function Viewer2D(
           holesActions.beginDraggingHole(elementData.layer, elementData.id, x, y);
           break;
 
+        case 'annotations':
+          annotationsActions.beginDraggingAnnotation(elementData.layer, elementData.id, x, y);
+          break;
+
         default: break;
       }
     }
+    else if (mode === constants.MODE_WAITING_DRAWING_ROOM) {
+      linesActions.beginDrawingRoom(layerID, x, y, state.snapMask);
+    }
     event.stopPropagation();
   };
 
@@ -222,6 +302,14 @@ export default function Viewer2D(
             itemsActions.selectItem(elementData.layer, elementData.id);
             break;
 
+          case 'dimensions':
+            dimensionsActions.selectDimension(elementData.layer, elementData.id);
+            break;
+
+          case 'annotations':
+            annotationsActions.selectAnnotation(elementData.layer, elementData.id);
+            break;
+
           case 'none':
             projectActions.unselectAll();
             break;
@@ -237,6 +325,26 @@ export default function Viewer2D(
         linesActions.beginDrawingLine(layerID, x, y, state.snapMask);
         break;
 
+      case constants.MODE_DRAWING_ROOM:
+        linesActions.endDrawingRoom(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_WAITING_DRAWING_DIMENSION:
+        dimensionsActions.beginDrawingDimension(layerID, x, y, state.snapMask);
+        break;
+
+      case constants.MODE_DRAWING_DIMENSION:
+        dimensionsActions.endDrawingDimension(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_WAITING_DRAWING_ANNOTATION:
+        annotationsActions.beginDrawingAnnotation(layerID, x, y, state.snapMask);
+        break;
+
+      case constants.MODE_DRAWING_ANNOTATION:
+        annotationsActions.endDrawingAnnotation(x, y, state.snapMask);
+        break;
+
       case constants.MODE_DRAWING_HOLE:
         holesActions.endDrawingHole(layerID, x, y);
         break;
@@ -257,6 +365,10 @@ export default function Viewer2D(
         itemsActions.endDraggingItem(x, y);
         break;
 
+      case constants.MODE_DRAGGING_ANNOTATION:
+        annotationsActions.endDraggingAnnotation(x, y);
+        break;
+
       case constants.MODE_DRAGGING_HOLE:
         holesActions.endDraggingHole(x, y);
         break;
@@ -264,6 +376,32 @@ export default function Viewer2D(
       case constants.MODE_ROTATING_ITEM:
         itemsActions.endRotatingItem(x, y);
         break;
+
+      case constants.MODE_SELECTING_BOX:
+        projectActions.endSelectingBox(x, y);
+        break;
+
+      case constants.MODE_WAITING_TRANSFORM:
+        transformActions.beginTransform(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_TRANSFORMING:
+        transformActions.endTransform(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_ARRAYING_ITEMS:
+        itemsActions.endItemsArray(x, y);
+        break;
+
+      case constants.MODE_FITTING_IMAGE:
+        if (!state.getIn(['drawingSupport', 'fitStart'])) {
+          sceneActions.beginFittingImage(x, y);
+        }
+        else {
+          let distance = prompt(`${translator.t('Real distance between the two points')} (${scene.unit})`);
+          sceneActions.endFittingImage(x, y, parseFloat(distance));
+        }
+        break;
     }
 
     event.stopPropagation();
@@ -376,6 +514,7 @@ export default function Viewer2D(
         </svg>
 
       </ReactSVGPanZoom>
+      <CoordinatesInput state={state} />
     </div>
   );
 }
@@ -394,6 +533,11 @@ Viewer2D.contextTypes = {
   verticesActions: PropTypes.object.isRequired,
   itemsActions: PropTypes.object.isRequired,
   areaActions: PropTypes.object.isRequired,
+  dimensionsActions: PropTypes.object.isRequired,
+  annotationsActions: PropTypes.object.isRequired,
+  transformActions: PropTypes.object.isRequired,
   projectActions: PropTypes.object.isRequired,
+  sceneActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
   catalog: PropTypes.object.isRequired,
 };
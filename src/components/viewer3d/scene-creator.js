@@ -1,6 +1,9 @@
 import * as Three from 'three';
 import createGrid from './grid-creator';
 import { disposeObject } from './three-memory-cleaner';
+import * as SharedStyle from '../../shared-style';
+import { GeometryUtils, RoofUtils, StoreyUtils } from '../../utils/export';
+import { ROOF_NONE } from '../../constants';
 
 export function parseData(sceneData, actions, catalog) {
 
@@ -34,7 +37,10 @@ export function parseData(sceneData, actions, catalog) {
     }
   });
 
-  Promise.all(promises).then(value => updateBoundingBox(planData));
+  updateRoof(planData, sceneData);
+
+  //resolved once every element has been rendered
+  planData.loaded = Promise.all(promises).then(value => updateBoundingBox(planData));
 
   return planData;
 }
@@ -79,6 +85,8 @@ function createLayerObjects(layer, planData, sceneData, actions, catalog) {
     promises.push(addItem(sceneData, planData, layer, item.id, catalog, actions.itemsActions));
   });
 
+  updateSlab(planData, sceneData, layer);
+
   return promises;
 }
 
@@ -136,9 +144,62 @@ export function updateScene(planData, sceneData, oldSceneData, diffArray, action
       }
     }
   });
+
+  if (roofChanged(sceneData, oldSceneData)) updateRoof(planData, sceneData);
+
+  for (let layerID in planData.sceneGraph.layers) {
+    let layer = sceneData.getIn(['layers', layerID]);
+    if (layer && slabChanged(layerID, sceneData, oldSceneData)) updateSlab(planData, sceneData, layer);
+  }
+
   return planData;
 }
 
+/**
+ * Show or hide the ceilings of the rooms and the roof, the areas rendered later follow the same setting
+ * @param planData
+ * @param visible
+ */
+export function setCeilingsVisible(planData, visible) {
+  planData.ceilingsHidden = !visible;
+  updateVisibility(planData);
+}
+
+/**
+ * Show the storeys up to a layer and cut away the ones above it, the elements rendered later follow the same setting
+ * @param planData
+ * @param sceneData
+ * @param layerID highest layer shown, null to show every storey
+ */
+export function setStoreysShown(planData, sceneData, layerID) {
+  planData.layersCut = {};
+  StoreyUtils.storeysAbove(sceneData, layerID).forEach(id => planData.layersCut[id] = true);
+  updateVisibility(planData);
+}
+
+function layerVisible(planData, layerID) {
+  return !(planData.layersCut && planData.layersCut[layerID]);
+}
+
+function updateVisibility(planData) {
+  for (let layerID in planData.sceneGraph.layers) {
+    let layerGraph = planData.sceneGraph.layers[layerID];
+    let visible = layerVisible(planData, layerID);
+
+    ['lines', 'holes', 'areas', 'items'].forEach(prototype => {
+      for (let elementID in layerGraph[prototype]) layerGraph[prototype][elementID].visible = visible;
+    });
+    if (layerGraph.slab) layerGraph.slab.visible = visible;
+  }
+
+  planData.plan.traverse(object => {
+    if (object.name === 'ceiling') object.visible = !planData.ceilingsHidden;
+  });
+
+  let roof3D = planData.sceneGraph.roof;
+  if (roof3D) roof3D.visible = !planData.ceilingsHidden && layerVisible(planData, roof3D.userData.layer);
+}
+
 function replaceObject(modifiedPath, layer, planData, actions, sceneData, oldSceneData, catalog) {
 
   let promises = [];
@@ -224,6 +285,14 @@ function replaceObject(modifiedPath, layer, planData, actions, sceneData, oldSce
         removeLine(planData, layer.id, modifiedPath[4]);
         promises.push(addLine(sceneData, planData, layer, modifiedPath[4], catalog, actions.linesActions));
       }
+
+      // Bending a line moves its holes and reshapes the areas it closes
+      if (modifiedPath[5] === 'bulge') {
+        line.holes.forEach(holeID => replaceObject([0, 0, 0, 'holes', holeID, 'selected'], layer, planData, actions, sceneData, oldSceneData, catalog));
+        layer.areas
+          .filter(area => line.vertices.every(vertexID => area.vertices.includes(vertexID)))
+          .forEach(area => replaceObject([0, 0, 0, 'areas', area.id], layer, planData, actions, sceneData, oldSceneData, catalog));
+      }
       break;
     case 'areas':
       let area = layer.getIn(['areas', modifiedPath[4]]);
@@ -349,6 +418,8 @@ function removeLayer(layerId, planData) {
   for (let itemID in layerGraph.items) removeItem(planData, layerId, itemID);
   for (let holeID in layerGraph.holes) removeHole(planData, layerId, holeID);
 
+  removeSlab(planData, layerId);
+
   delete planData.sceneGraph.layers[layerId];
 }
 
@@ -500,11 +571,21 @@ function addHole(sceneData, planData, layer, holeID, catalog, holesActions) {
     let holeAltitude = holeData.properties.getIn(['altitude', 'length']);
     let holeHeight = holeData.properties.getIn(['height', 'length']);
 
+    let x = vertex0.x + distance * offset * Math.cos(alpha);
+    let y = vertex0.y + distance * offset * Math.sin(alpha);
+
+    // On arcs the hole sits on the arc, turned along its tangent
+    if (GeometryUtils.isArc(line.bulge)) {
+      let bulge = vertex0.id === line.vertices.get(0) ? line.bulge : -line.bulge;
+      ({x, y, angle: alpha} = GeometryUtils.pointOnArc(vertex0.x, vertex0.y, vertex1.x, vertex1.y, bulge, offset));
+    }
+
     pivot.rotation.y = alpha;
-    pivot.position.x = vertex0.x + distance * offset * Math.cos(alpha) - center[2] * Math.sin(alpha);
+    pivot.position.x = x - center[2] * Math.sin(alpha);
     pivot.position.y = holeAltitude + holeHeight / 2 - center[1] + layer.altitude;
-    pivot.position.z = -vertex0.y - distance * offset * Math.sin(alpha) - center[2] * Math.cos(alpha);
+    pivot.position.z = -y - center[2] * Math.cos(alpha);
 
+    pivot.visible = layerVisible(planData, layer.id);
     planData.plan.add(pivot);
     planData.sceneGraph.layers[layer.id].holes[holeData.id] = pivot;
 
@@ -566,6 +647,7 @@ function addLine(sceneData, planData, layer, lineID, catalog, linesActions) {
     pivot.position.y = layer.altitude;
     pivot.position.z = -vertex0.y;
 
+    pivot.visible = layerVisible(planData, layer.id);
     planData.plan.add(pivot);
     planData.sceneGraph.layers[layer.id].lines[lineID] = pivot;
 
@@ -614,9 +696,13 @@ function addArea(sceneData, planData, layer, areaID, catalog, areaActions) {
     pivot.name = 'pivot';
     pivot.add(area3D);
     pivot.position.y = layer.altitude;
+    pivot.visible = layerVisible(planData, layer.id);
     planData.plan.add(pivot);
     planData.sceneGraph.layers[layer.id].areas[areaID] = pivot;
 
+    let ceiling = pivot.getObjectByName('ceiling');
+    if (ceiling) ceiling.visible = !planData.ceilingsHidden;
+
     applyInteract(pivot, interactFunction);
 
     let opacity = layer.opacity;
@@ -670,6 +756,7 @@ function addItem(sceneData, planData, layer, itemID, catalog, itemsActions) {
 
     applyOpacity(pivot, opacity);
 
+    pivot.visible = layerVisible(planData, layer.id);
     planData.plan.add(pivot);
     planData.sceneGraph.layers[layer.id].items[item.id] = pivot;
   });
@@ -686,6 +773,117 @@ function updateItem(sceneData, oldSceneData, planData, layer, itemID, difference
   return catalog.getElement(item.type).updateRender3D(item, layer, sceneData, mesh, oldItem, differences, selfDestroy, selfBuild);
 }
 
+// The roof is built again when its settings change or the walls and the rooms of the top layer do
+function roofChanged(sceneData, oldSceneData) {
+  let layer = RoofUtils.topLayer(sceneData);
+  let oldLayer = RoofUtils.topLayer(oldSceneData);
+
+  if (sceneData.roof !== oldSceneData.roof || !layer || !oldLayer || layer.id !== oldLayer.id) return true;
+
+  return ['altitude', 'visible', 'vertices', 'lines', 'areas'].some(key => layer.get(key) !== oldLayer.get(key)) ||
+    (layer.id === sceneData.selectedLayer) !== (oldLayer.id === oldSceneData.selectedLayer);
+}
+
+// A slab from its outline, with its bottom at an altitude
+function createSlabMesh({points, holes}, altitude, thickness, material) {
+  let shape = new Three.Shape(points.map(({x, y}) => new Three.Vector2(x, y)));
+  holes.forEach(hole => shape.holes.push(new Three.Path(hole.map(({x, y}) => new Three.Vector2(x, y)))));
+
+  let slab = new Three.Mesh(new Three.ExtrudeGeometry(shape, {depth: thickness, bevelEnabled: false}), material);
+  slab.rotation.x -= Math.PI / 2;
+  slab.position.y = altitude;
+
+  return slab;
+}
+
+function createRoof(geometry, roof) {
+  let material = new Three.MeshPhongMaterial({side: Three.DoubleSide, color: roof.color});
+  let roof3D = new Three.Object3D();
+
+  geometry.slabs.forEach(slab => roof3D.add(createSlabMesh(slab, geometry.altitude, roof.thickness, material)));
+
+  if (geometry.faces.length) {
+    let faces = new Three.Geometry();
+
+    geometry.faces.forEach(face => {
+      let first = faces.vertices.length;
+      face.forEach(({x, y, z}) => faces.vertices.push(new Three.Vector3(x, geometry.altitude + z, -y)));
+      for (let i = 1; i < face.length - 1; i++) faces.faces.push(new Three.Face3(first, first + i, first + i + 1));
+    });
+
+    faces.computeFaceNormals();
+    roof3D.add(new Three.Mesh(faces, material));
+  }
+
+  return roof3D;
+}
+
+function updateRoof(planData, sceneData) {
+  let roof3D = planData.sceneGraph.roof;
+
+  if (roof3D) {
+    planData.plan.remove(roof3D);
+    disposeObject(roof3D);
+    delete planData.sceneGraph.roof;
+  }
+
+  let layer = RoofUtils.topLayer(sceneData);
+  if (sceneData.roof.type === ROOF_NONE || !layer || !(layer.id === sceneData.selectedLayer || layer.visible)) return;
+
+  roof3D = createRoof(RoofUtils.roofGeometry(layer, sceneData.roof), sceneData.roof);
+  roof3D.name = 'roof';
+  roof3D.userData.layer = layer.id;
+  roof3D.visible = !planData.ceilingsHidden && layerVisible(planData, layer.id);
+
+  planData.plan.add(roof3D);
+  planData.sceneGraph.roof = roof3D;
+}
+
+// The slab under a storey is built again when the storey is moved or its walls and rooms change, or when the storey
+// below it appears or goes away
+function slabChanged(layerID, sceneData, oldSceneData) {
+  let layer = sceneData.getIn(['layers', layerID]);
+  let oldLayer = oldSceneData.getIn(['layers', layerID]);
+
+  if (!oldLayer || sceneData.selectedLayer !== oldSceneData.selectedLayer) return true;
+
+  return ['altitude', 'slabThickness', 'visible', 'vertices', 'lines', 'areas'].some(key => layer.get(key) !== oldLayer.get(key)) ||
+    !StoreyUtils.storeyBelow(sceneData, layerID) !== !StoreyUtils.storeyBelow(oldSceneData, layerID);
+}
+
+function removeSlab(planData, layerID) {
+  let layerGraph = planData.sceneGraph.layers[layerID];
+
+  if (layerGraph && layerGraph.slab) {
+    planData.plan.remove(layerGraph.slab);
+    disposeObject(layerGraph.slab);
+    delete layerGraph.slab;
+  }
+}
+
+function updateSlab(planData, sceneData, layer) {
+  removeSlab(planData, layer.id);
+
+  let geometry = StoreyUtils.slabGeometry(sceneData, layer);
+  if (!geometry || !geometry.slabs.length || !(layer.id === sceneData.selectedLayer || layer.visible)) return;
+
+  //pushed back in depth, the floors lying on it and the ceilings under it are drawn over its faces
+  let material = new Three.MeshPhongMaterial({
+    color: SharedStyle.SLAB_MESH_COLOR,
+    polygonOffset: true,
+    polygonOffsetFactor: 1,
+    polygonOffsetUnits: 1
+  });
+
+  let slab3D = new Three.Object3D();
+  geometry.slabs.forEach(slab => slab3D.add(createSlabMesh(slab, geometry.altitude - geometry.thickness, geometry.thickness, material)));
+  slab3D.name = 'slab';
+  slab3D.visible = layerVisible(planData, layer.id);
+
+  planData.plan.add(slab3D);
+  planData.sceneGraph.layers[layer.id].slab = slab3D;
+}
+
 // Apply interact function to children of an Object3D
 function applyInteract(object, interactFunction) {
   object.traverse((child) => {
@@ -4,7 +4,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import ReactDOM from 'react-dom';
 import * as Three from 'three';
-import { parseData, updateScene } from './scene-creator';
+import { parseData, updateScene, setCeilingsVisible, setStoreysShown } from './scene-creator';
 import { disposeScene } from './three-memory-cleaner';
 import OrbitControls from './libs/orbit-controls';
 import diff from 'immutablediff';
@@ -46,6 +46,8 @@ export default class Scene3DViewer extends React.Component {
 
     // LOAD DATA
     let planData = parseData(data, actions, this.context.catalog);
+    setCeilingsVisible(planData, !state.viewer3D.get('ceilingsHidden'));
+    setStoreysShown(planData, data, state.viewer3D.get('storeysShown'));
 
     scene3D.add(planData.plan);
     scene3D.add(planData.grid);
@@ -186,6 +188,14 @@ export default class Scene3DViewer extends React.Component {
       updateScene(this.planData, nextProps.state.scene, this.props.state.scene, changedValues.toJS(), actions, this.context.catalog);
     }
 
+    if (nextProps.state.viewer3D !== this.props.state.viewer3D) {
+      setCeilingsVisible(this.planData, !nextProps.state.viewer3D.get('ceilingsHidden'));
+    }
+
+    if (nextProps.state.viewer3D !== this.props.state.viewer3D || nextProps.state.scene.layers !== this.props.state.scene.layers) {
+      setStoreysShown(this.planData, nextProps.state.scene, nextProps.state.viewer3D.get('storeysShown'));
+    }
+
     this.renderer.setSize(width, height);
   }
 
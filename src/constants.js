@@ -9,11 +9,20 @@ export const SET_PROPERTIES = 'SET_PROPERTIES';
 export const SET_ITEMS_ATTRIBUTES = 'SET_ITEMS_ATTRIBUTES';
 export const SET_LINES_ATTRIBUTES = 'SET_LINES_ATTRIBUTES';
 export const SET_HOLES_ATTRIBUTES = 'SET_HOLES_ATTRIBUTES';
+export const SET_AREAS_ATTRIBUTES = 'SET_AREAS_ATTRIBUTES';
 export const REMOVE = 'REMOVE';
 export const UNDO = 'UNDO';
+export const REDO = 'REDO';
+export const JUMP_TO_HISTORY_ENTRY = 'JUMP_TO_HISTORY_ENTRY';
+export const ADD_HISTORY_CHECKPOINT = 'ADD_HISTORY_CHECKPOINT';
+export const RENAME_HISTORY_CHECKPOINT = 'RENAME_HISTORY_CHECKPOINT';
 export const ROLLBACK = 'ROLLBACK';
+export const BEGIN_IMPORTING_DXF = 'BEGIN_IMPORTING_DXF';
+export const END_IMPORTING_DXF = 'END_IMPORTING_DXF';
 export const SET_PROJECT_PROPERTIES = 'SET_PROJECT_PROPERTIES';
 export const OPEN_PROJECT_CONFIGURATOR = 'OPEN_PROJECT_CONFIGURATOR';
+export const OPEN_PLAN_EXPORTER = 'OPEN_PLAN_EXPORTER';
+export const OPEN_REPORT = 'OPEN_REPORT';
 export const INIT_CATALOG = 'INIT_CATALOG';
 export const UPDATE_MOUSE_COORDS = 'UPDATE_MOUSE_COORDS';
 export const UPDATE_ZOOM_SCALE = 'UPDATE_ZOOM_SCALE';
@@ -33,6 +42,11 @@ export const ADD_CIRCULAR_GUIDE = 'ADD_CIRCULAR_GUIDE';
 export const REMOVE_HORIZONTAL_GUIDE = 'REMOVE_HORIZONTAL_GUIDE';
 export const REMOVE_VERTICAL_GUIDE = 'REMOVE_VERTICAL_GUIDE';
 export const REMOVE_CIRCULAR_GUIDE = 'REMOVE_CIRCULAR_GUIDE';
+export const SELECT_ELEMENTS = 'SELECT_ELEMENTS';
+export const BEGIN_SELECTING_BOX = 'BEGIN_SELECTING_BOX';
+export const UPDATE_SELECTING_BOX = 'UPDATE_SELECTING_BOX';
+export const END_SELECTING_BOX = 'END_SELECTING_BOX';
+export const PASTE_ELEMENTS = 'PASTE_ELEMENTS';
 
 // ACTIONS viewer2D
 export const SELECT_TOOL_ZOOM_IN = 'SELECT_TOOL_ZOOM_IN';
@@ -43,6 +57,8 @@ export const UPDATE_2D_CAMERA = 'UPDATE_2D_CAMERA';
 //ACTIONS viewer3D
 export const SELECT_TOOL_3D_VIEW = 'SELECT_TOOL_3D_VIEW';
 export const SELECT_TOOL_3D_FIRST_PERSON = 'SELECT_TOOL_3D_FIRST_PERSON';
+export const TOGGLE_3D_CEILINGS = 'TOGGLE_3D_CEILINGS';
+export const SHOW_3D_STOREYS = 'SHOW_3D_STOREYS';
 
 //ACTIONS items
 export const SELECT_TOOL_DRAWING_ITEM = 'SELECT_TOOL_DRAWING_ITEM';
@@ -54,6 +70,10 @@ export const END_DRAGGING_ITEM = 'END_DRAGGING_ITEM';
 export const BEGIN_ROTATING_ITEM = 'BEGIN_ROTATING_ITEM';
 export const UPDATE_ROTATING_ITEM = 'UPDATE_ROTATING_ITEM';
 export const END_ROTATING_ITEM = 'END_ROTATING_ITEM';
+export const SELECT_TOOL_ITEMS_ARRAY = 'SELECT_TOOL_ITEMS_ARRAY';
+export const UPDATE_ITEMS_ARRAY = 'UPDATE_ITEMS_ARRAY';
+export const END_ITEMS_ARRAY = 'END_ITEMS_ARRAY';
+export const CREATE_ITEMS_ARRAY = 'CREATE_ITEMS_ARRAY';
 
 //ACTIONS groups
 export const ADD_GROUP = 'ADD_GROUP';
@@ -79,6 +99,11 @@ export const SELECT_TOOL_DRAWING_LINE = 'SELECT_TOOL_DRAWING_LINE';
 export const BEGIN_DRAWING_LINE = 'BEGIN_DRAWING_LINE';
 export const UPDATE_DRAWING_LINE = 'UPDATE_DRAWING_LINE';
 export const END_DRAWING_LINE = 'END_DRAWING_LINE';
+export const PLACE_DRAWING_LINE_VERTEX = 'PLACE_DRAWING_LINE_VERTEX';
+export const SELECT_TOOL_DRAWING_ROOM = 'SELECT_TOOL_DRAWING_ROOM';
+export const BEGIN_DRAWING_ROOM = 'BEGIN_DRAWING_ROOM';
+export const UPDATE_DRAWING_ROOM = 'UPDATE_DRAWING_ROOM';
+export const END_DRAWING_ROOM = 'END_DRAWING_ROOM';
 export const SELECT_TOOL_DRAWING_HOLE = 'SELECT_TOOL_DRAWING_HOLE';
 export const UPDATE_DRAWING_HOLE = 'UPDATE_DRAWING_HOLE'; //SHOULD BE SLPITTED IN BEGIN_DRAWING_HOLE AND UPDATE_DRAWING_HOLE
 export const END_DRAWING_HOLE = 'END_DRAWING_HOLE';
@@ -90,6 +115,10 @@ export const BEGIN_UPLOADING_IMAGE = 'BEGIN_UPLOADING_IMAGE';
 export const END_UPLOADING_IMAGE = 'END_UPLOADING_IMAGE';
 export const BEGIN_FITTING_IMAGE = 'BEGIN_FITTING_IMAGE';
 export const END_FITTING_IMAGE = 'END_FITTING_IMAGE';
+export const SELECT_TOOL_FIT_IMAGE = 'SELECT_TOOL_FIT_IMAGE';
+export const SET_BACKGROUND_IMAGE_ATTRIBUTES = 'SET_BACKGROUND_IMAGE_ATTRIBUTES';
+export const REMOVE_BACKGROUND_IMAGE = 'REMOVE_BACKGROUND_IMAGE';
+export const SET_ROOF_PROPERTIES = 'SET_ROOF_PROPERTIES';
 export const BEGIN_DRAGGING_HOLE = 'BEGIN_DRAGGING_HOLE';
 export const UPDATE_DRAGGING_HOLE = 'UPDATE_DRAGGING_HOLE';
 export const END_DRAGGING_HOLE = 'END_DRAGGING_HOLE';
@@ -101,7 +130,35 @@ export const END_DRAGGING_VERTEX = 'END_DRAGGING_VERTEX';
 
 //ACTIONS scene
 export const SET_LAYER_PROPERTIES = 'SET_LAYER_PROPERTIES';
+export const SELECT_DIMENSION = 'SELECT_DIMENSION';
+export const SELECT_TOOL_DRAWING_DIMENSION = 'SELECT_TOOL_DRAWING_DIMENSION';
+export const BEGIN_DRAWING_DIMENSION = 'BEGIN_DRAWING_DIMENSION';
+export const UPDATE_DRAWING_DIMENSION = 'UPDATE_DRAWING_DIMENSION';
+export const END_DRAWING_DIMENSION = 'END_DRAWING_DIMENSION';
+export const SET_DIMENSION_ATTRIBUTES = 'SET_DIMENSION_ATTRIBUTES';
+export const SET_DIMENSION_PROPERTIES = 'SET_DIMENSION_PROPERTIES';
+export const REMOVE_DIMENSION = 'REMOVE_DIMENSION';
+export const SELECT_ANNOTATION = 'SELECT_ANNOTATION';
+export const SELECT_TOOL_DRAWING_ANNOTATION = 'SELECT_TOOL_DRAWING_ANNOTATION';
+export const BEGIN_DRAWING_ANNOTATION = 'BEGIN_DRAWING_ANNOTATION';
+export const UPDATE_DRAWING_ANNOTATION = 'UPDATE_DRAWING_ANNOTATION';
+export const END_DRAWING_ANNOTATION = 'END_DRAWING_ANNOTATION';
+export const BEGIN_DRAGGING_ANNOTATION = 'BEGIN_DRAGGING_ANNOTATION';
+export const UPDATE_DRAGGING_ANNOTATION = 'UPDATE_DRAGGING_ANNOTATION';
+export const END_DRAGGING_ANNOTATION = 'END_DRAGGING_ANNOTATION';
+export const SET_ANNOTATION_ATTRIBUTES = 'SET_ANNOTATION_ATTRIBUTES';
+export const SET_ANNOTATION_PROPERTIES = 'SET_ANNOTATION_PROPERTIES';
+export const REMOVE_ANNOTATION = 'REMOVE_ANNOTATION';
+export const SELECT_TOOL_TRANSFORM = 'SELECT_TOOL_TRANSFORM';
+export const BEGIN_TRANSFORM = 'BEGIN_TRANSFORM';
+export const UPDATE_TRANSFORM = 'UPDATE_TRANSFORM';
+export const END_TRANSFORM = 'END_TRANSFORM';
+export const MOVE_SELECTION = 'MOVE_SELECTION';
+export const ROTATE_SELECTION = 'ROTATE_SELECTION';
+export const MIRROR_SELECTION = 'MIRROR_SELECTION';
+export const SCALE_SELECTION = 'SCALE_SELECTION';
 export const ADD_LAYER = 'ADD_LAYER';
+export const ADD_STOREY = 'ADD_STOREY';
 export const SELECT_LAYER = 'SELECT_LAYER';
 export const REMOVE_LAYER = 'REMOVE_LAYER';
 
@@ -117,11 +174,20 @@ export const PROJECT_ACTIONS = {
   SET_ITEMS_ATTRIBUTES,
   SET_LINES_ATTRIBUTES,
   SET_HOLES_ATTRIBUTES,
+  SET_AREAS_ATTRIBUTES,
   REMOVE,
   UNDO,
+  REDO,
+  JUMP_TO_HISTORY_ENTRY,
+  ADD_HISTORY_CHECKPOINT,
+  RENAME_HISTORY_CHECKPOINT,
   ROLLBACK,
+  BEGIN_IMPORTING_DXF,
+  END_IMPORTING_DXF,
   SET_PROJECT_PROPERTIES,
   OPEN_PROJECT_CONFIGURATOR,
+  OPEN_PLAN_EXPORTER,
+  OPEN_REPORT,
   INIT_CATALOG,
   UPDATE_MOUSE_COORDS,
   UPDATE_ZOOM_SCALE,
@@ -140,7 +206,12 @@ export const PROJECT_ACTIONS = {
   ADD_CIRCULAR_GUIDE,
   REMOVE_HORIZONTAL_GUIDE,
   REMOVE_VERTICAL_GUIDE,
-  REMOVE_CIRCULAR_GUIDE
+  REMOVE_CIRCULAR_GUIDE,
+  SELECT_ELEMENTS,
+  BEGIN_SELECTING_BOX,
+  UPDATE_SELECTING_BOX,
+  END_SELECTING_BOX,
+  PASTE_ELEMENTS
 };
 
 export const VIEWER2D_ACTIONS = {
@@ -152,7 +223,9 @@ export const VIEWER2D_ACTIONS = {
 
 export const VIEWER3D_ACTIONS = {
   SELECT_TOOL_3D_VIEW,
-  SELECT_TOOL_3D_FIRST_PERSON
+  SELECT_TOOL_3D_FIRST_PERSON,
+  TOGGLE_3D_CEILINGS,
+  SHOW_3D_STOREYS
 };
 
 export const ITEMS_ACTIONS = {
@@ -165,7 +238,11 @@ export const ITEMS_ACTIONS = {
   END_DRAGGING_ITEM,
   BEGIN_ROTATING_ITEM,
   UPDATE_ROTATING_ITEM,
-  END_ROTATING_ITEM
+  END_ROTATING_ITEM,
+  SELECT_TOOL_ITEMS_ARRAY,
+  UPDATE_ITEMS_ARRAY,
+  END_ITEMS_ARRAY,
+  CREATE_ITEMS_ARRAY
 };
 
 export const HOLE_ACTIONS = {
@@ -184,9 +261,14 @@ export const LINE_ACTIONS = {
   BEGIN_DRAWING_LINE,
   UPDATE_DRAWING_LINE,
   END_DRAWING_LINE,
+  PLACE_DRAWING_LINE_VERTEX,
   BEGIN_DRAGGING_LINE,
   UPDATE_DRAGGING_LINE,
-  END_DRAGGING_LINE
+  END_DRAGGING_LINE,
+  SELECT_TOOL_DRAWING_ROOM,
+  BEGIN_DRAWING_ROOM,
+  UPDATE_DRAWING_ROOM,
+  END_DRAWING_ROOM
 };
 
 export const AREA_ACTIONS = {
@@ -211,9 +293,55 @@ export const GROUP_ACTIONS = {
 
 export const SCENE_ACTIONS = {
   ADD_LAYER,
+  ADD_STOREY,
   SET_LAYER_PROPERTIES,
   SELECT_LAYER,
-  REMOVE_LAYER
+  REMOVE_LAYER,
+  SELECT_TOOL_UPLOAD_IMAGE,
+  BEGIN_UPLOADING_IMAGE,
+  END_UPLOADING_IMAGE,
+  SELECT_TOOL_FIT_IMAGE,
+  BEGIN_FITTING_IMAGE,
+  END_FITTING_IMAGE,
+  SET_BACKGROUND_IMAGE_ATTRIBUTES,
+  REMOVE_BACKGROUND_IMAGE,
+  SET_ROOF_PROPERTIES
+};
+
+export const DIMENSION_ACTIONS = {
+  SELECT_DIMENSION,
+  SELECT_TOOL_DRAWING_DIMENSION,
+  BEGIN_DRAWING_DIMENSION,
+  UPDATE_DRAWING_DIMENSION,
+  END_DRAWING_DIMENSION,
+  SET_DIMENSION_ATTRIBUTES,
+  SET_DIMENSION_PROPERTIES,
+  REMOVE_DIMENSION
+};
+
+export const ANNOTATION_ACTIONS = {
+  SELECT_ANNOTATION,
+  SELECT_TOOL_DRAWING_ANNOTATION,
+  BEGIN_DRAWING_ANNOTATION,
+  UPDATE_DRAWING_ANNOTATION,
+  END_DRAWING_ANNOTATION,
+  BEGIN_DRAGGING_ANNOTATION,
+  UPDATE_DRAGGING_ANNOTATION,
+  END_DRAGGING_ANNOTATION,
+  SET_ANNOTATION_ATTRIBUTES,
+  SET_ANNOTATION_PROPERTIES,
+  REMOVE_ANNOTATION
+};
+
+export const TRANSFORM_ACTIONS = {
+  SELECT_TOOL_TRANSFORM,
+  BEGIN_TRANSFORM,
+  UPDATE_TRANSFORM,
+  END_TRANSFORM,
+  MOVE_SELECTION,
+  ROTATE_SELECTION,
+  MIRROR_SELECTION,
+  SCALE_SELECTION
 };
 
 export const VERTEX_ACTIONS = {
@@ -242,6 +370,20 @@ export const MODE_UPLOADING_IMAGE = 'MODE_UPLOADING_IMAGE';
 export const MODE_FITTING_IMAGE = 'MODE_FITTING_IMAGE';
 export const MODE_VIEWING_CATALOG = 'MODE_VIEWING_CATALOG';
 export const MODE_CONFIGURING_PROJECT = 'MODE_CONFIGURING_PROJECT';
+export const MODE_IMPORTING_DXF = 'MODE_IMPORTING_DXF';
+export const MODE_EXPORTING_PLAN = 'MODE_EXPORTING_PLAN';
+export const MODE_VIEWING_REPORT = 'MODE_VIEWING_REPORT';
+export const MODE_WAITING_DRAWING_ROOM = 'MODE_WAITING_DRAWING_ROOM';
+export const MODE_DRAWING_ROOM = 'MODE_DRAWING_ROOM';
+export const MODE_WAITING_DRAWING_DIMENSION = 'MODE_WAITING_DRAWING_DIMENSION';
+export const MODE_DRAWING_DIMENSION = 'MODE_DRAWING_DIMENSION';
+export const MODE_WAITING_DRAWING_ANNOTATION = 'MODE_WAITING_DRAWING_ANNOTATION';
+export const MODE_DRAWING_ANNOTATION = 'MODE_DRAWING_ANNOTATION';
+export const MODE_DRAGGING_ANNOTATION = 'MODE_DRAGGING_ANNOTATION';
+export const MODE_SELECTING_BOX = 'MODE_SELECTING_BOX';
+export const MODE_WAITING_TRANSFORM = 'MODE_WAITING_TRANSFORM';
+export const MODE_TRANSFORMING = 'MODE_TRANSFORMING';
+export const MODE_ARRAYING_ITEMS = 'MODE_ARRAYING_ITEMS';
 
 //Thinking about it...
 //https://developer.mozilla.org/it/docs/Web/JavaScript/Reference/Global_Objects/Proxy
@@ -276,9 +418,51 @@ export const MODE_SNAPPING = [
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE,
   MODE_DRAWING_ITEM, MODE_DRAGGING_LINE, MODE_DRAGGING_VERTEX,
   MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE,
-  MODE_UPLOADING_IMAGE, MODE_ROTATING_ITEM
+  MODE_UPLOADING_IMAGE, MODE_ROTATING_ITEM, MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM, MODE_WAITING_DRAWING_DIMENSION, MODE_DRAWING_DIMENSION,
+  MODE_WAITING_DRAWING_ANNOTATION, MODE_DRAWING_ANNOTATION, MODE_SELECTING_BOX,
+  MODE_WAITING_TRANSFORM, MODE_TRANSFORMING, MODE_ARRAYING_ITEMS
 ];
 
+//ROOM TOOL, where the walls go with respect to the drawn outline
+export const ROOM_WALLS_CENTERED = 'centered';
+export const ROOM_WALLS_INSIDE = 'inside';
+export const ROOM_WALLS_OUTSIDE = 'outside';
+
+//DIMENSIONS, what a dimension measures
+export const DIMENSION_LINEAR = 'linear';
+export const DIMENSION_ALIGNED = 'aligned';
+export const DIMENSION_ANGULAR = 'angular';
+export const DIMENSION_CHAIN = 'chain';
+
+//ANNOTATIONS, what an annotation draws on the 2D plan
+export const ANNOTATION_TEXT = 'text';
+export const ANNOTATION_LEADER = 'leader';
+export const ANNOTATION_NORTH_ARROW = 'north-arrow';
+export const ANNOTATION_SCALE_BAR = 'scale-bar';
+export const ANNOTATION_CLOUD = 'cloud';
+
+//SELECTION, how a click or a selection box changes the selected elements
+export const SELECTION_REPLACE = 'replace';
+export const SELECTION_ADD = 'add';
+export const SELECTION_TOGGLE = 'toggle';
+
+//TRANSFORMS, what the transform tool does to the selected elements
+export const TRANSFORM_MOVE = 'move';
+export const TRANSFORM_ROTATE = 'rotate';
+export const TRANSFORM_MIRROR = 'mirror';
+export const TRANSFORM_SCALE = 'scale';
+
+//ARRAYS, how the copies of the items are laid out
+export const ARRAY_RECTANGULAR = 'rectangular';
+export const ARRAY_POLAR = 'polar';
+
+//ROOFS, the shape of the roof over the top layer
+export const ROOF_NONE = 'none';
+export const ROOF_FLAT = 'flat';
+export const ROOF_GABLE = 'gable';
+export const ROOF_HIP = 'hip';
+
 //UNITS
 export const UNIT_MILLIMETER = 'mm';
 export const UNIT_CENTIMETER = 'cm';
@@ -303,10 +487,12 @@ export const KEYBOARD_BUTTON_CODE = {
   BACKSPACE: 8,
   ESC: 27,
   Z: 90,
+  Y: 89,
   ALT: 18,
   C: 67,
   V: 86,
   CTRL: 17,
   ENTER: 13,
-  TAB: 9
+  TAB: 9,
+  SHIFT: 16
 };
\ No newline at end of file
@@ -0,0 +1,343 @@
+import convert from 'convert-units';
+import {
+  lineFrame,
+  holeSpan,
+  wallSegments,
+  holeCategory,
+  areaPolygon,
+  areaSize,
+  areaLabelPoint,
+  itemFootprint,
+  itemMarker
+} from './plan-geometry';
+import { DimensionUtils, AnnotationUtils } from '../utils/export';
+import {
+  UNIT_MILLIMETER,
+  UNIT_CENTIMETER,
+  UNIT_METER,
+  UNIT_INCH,
+  UNIT_FOOT,
+  UNIT_MILE
+} from '../constants';
+
+//DXF $INSUNITS codes
+const DXF_UNITS = {
+  [UNIT_INCH]: 1,
+  [UNIT_FOOT]: 2,
+  [UNIT_MILE]: 3,
+  [UNIT_MILLIMETER]: 4,
+  [UNIT_CENTIMETER]: 5,
+  [UNIT_METER]: 6
+};
+
+//AutoCAD color index used for each kind of element
+const COLORS = {
+  layer: 7,
+  walls: 7,
+  holes: 4,
+  areas: 3,
+  labels: 2,
+  items: 5,
+  dimensions: 1,
+  annotations: 6
+};
+
+const DEFAULT_OPTIONS = {
+  unit: null,
+  textHeight: 15,
+  areaLabels: true
+};
+
+const formatNumber = value => {
+  let fixed = (Math.abs(value) < 1e-9 ? 0 : value).toFixed(6);
+  return fixed.replace(/\.?0+$/, '');
+};
+
+const sanitizeLayerName = name => String(name).replace(/[<>\/\\":;?*|=',]/g, '_').trim() || 'layer';
+
+class DXFWriter {
+
+  constructor(scale) {
+    this.scale = scale;
+    this.codes = [];
+  }
+
+  push(code, value) {
+    this.codes.push(code, typeof value === 'number' ? formatNumber(value) : value);
+  }
+
+  point(x, y, code = 10) {
+    this.push(code, x * this.scale);
+    this.push(code + 10, y * this.scale);
+    this.push(code + 20, 0);
+  }
+
+  entity(type, layer, color) {
+    this.push(0, type);
+    this.push(8, layer);
+    if (color !== undefined) this.push(62, color);
+  }
+
+  line(layer, color, {x: x1, y: y1}, {x: x2, y: y2}) {
+    this.entity('LINE', layer, color);
+    this.point(x1, y1, 10);
+    this.point(x2, y2, 11);
+  }
+
+  arc(layer, color, {x, y}, radius, startAngle, endAngle) {
+    this.entity('ARC', layer, color);
+    this.point(x, y, 10);
+    this.push(40, radius * this.scale);
+    this.push(50, startAngle);
+    this.push(51, endAngle);
+  }
+
+  polyline(layer, color, points, closed) {
+    this.entity('POLYLINE', layer, color);
+    this.push(66, 1);
+    this.point(0, 0, 10);
+    this.push(70, closed ? 1 : 0);
+    points.forEach(([x, y]) => {
+      this.push(0, 'VERTEX');
+      this.push(8, layer);
+      this.point(x, y, 10);
+    });
+    this.push(0, 'SEQEND');
+    this.push(8, layer);
+  }
+
+  //filled triangle or quadrilateral, the corners of a SOLID go in a zigzag order
+  solid(layer, color, points) {
+    let [a, b, c, d = c] = points;
+    this.entity('SOLID', layer, color);
+    [a, b, d, c].forEach(([x, y], index) => this.point(x, y, 10 + index));
+  }
+
+  text(layer, color, {x, y}, height, value, rotation = 0) {
+    this.entity('TEXT', layer, color);
+    this.point(x, y, 10);
+    this.push(40, height * this.scale);
+    this.push(1, String(value).replace(/[\r\n]+/g, ' '));
+    if (rotation) this.push(50, rotation);
+    this.push(72, 1);
+    this.point(x, y, 11);
+    this.push(73, 2);
+  }
+
+  toString() {
+    let lines = [];
+    for (let i = 0; i < this.codes.length; i += 2) {
+      lines.push(String(this.codes[i]), String(this.codes[i + 1]));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+const toDegrees = angle => angle * 180 / Math.PI;
+
+//a face of a wall between two distances along it, at a distance from its axis: a LINE, or an ARC on the arc walls
+function writeFace(writer, layerName, color, frame, start, end, across) {
+  if (!frame.arc) {
+    writer.line(layerName, color, frame.point(start, across), frame.point(end, across));
+    return;
+  }
+
+  let {x, y, radius, startAngle, angle} = frame.arc;
+  let from = startAngle + angle * start / frame.length;
+  let to = startAngle + angle * end / frame.length;
+
+  //the left side of a counterclockwise arc is towards its center, ARCs go counterclockwise
+  writer.arc(
+    layerName, color, {x, y}, radius - Math.sign(angle) * across,
+    toDegrees(angle > 0 ? from : to), toDegrees(angle > 0 ? to : from)
+  );
+}
+
+function writeWall(writer, layerName, layer, line, catalog) {
+  let frame = lineFrame(layer, line);
+  if (!frame.length) return;
+
+  let half = frame.thickness / 2;
+  let spans = line.holes
+    .map(holeID => layer.holes.get(holeID))
+    .filter(hole => hole)
+    .map(hole => holeSpan(frame, hole))
+    .toArray();
+
+  wallSegments(frame, spans).forEach(([start, end]) => {
+    writeFace(writer, layerName, COLORS.walls, frame, start, end, half);
+    writeFace(writer, layerName, COLORS.walls, frame, start, end, -half);
+  });
+
+  //end caps and jambs
+  let cuts = [0, frame.length];
+  spans.forEach(({start, end}) => cuts.push(start, end));
+  cuts.forEach(along => writer.line(layerName, COLORS.walls, frame.point(along, -half), frame.point(along, half)));
+
+  line.holes.forEach(holeID => {
+    let hole = layer.holes.get(holeID);
+    if (hole) writeHole(writer, layerName, frame, hole, catalog);
+  });
+}
+
+function writeHole(writer, layerName, frame, hole, catalog) {
+  let {start, end, width} = holeSpan(frame, hole);
+  let half = frame.thickness / 2;
+
+  switch (holeCategory(catalog, hole)) {
+    case 'door': {
+      let flip = hole.getIn(['properties', 'flip_orizzontal']);
+      let hinge = flip ? end : start;
+      let angle = toDegrees(frame.tangent(hinge));
+
+      writer.line(layerName, COLORS.holes, frame.point(hinge, 0), frame.point(hinge, width));
+      writer.arc(
+        layerName, COLORS.holes,
+        frame.point(hinge, 0), width,
+        flip ? angle + 90 : angle,
+        flip ? angle + 180 : angle + 90
+      );
+      break;
+    }
+    case 'window':
+      [half, 0, -half].forEach(across => writeFace(writer, layerName, COLORS.holes, frame, start, end, across));
+      break;
+  }
+}
+
+function writeArea(writer, layerName, layer, area, options, areaScale) {
+  writer.polyline(layerName, COLORS.areas, areaPolygon(layer, area), true);
+
+  if (!options.areaLabels) return;
+
+  let [x, y] = areaLabelPoint(layer, area);
+  let size = `${(areaSize(layer, area) * areaScale).toFixed(2)} m2`;
+
+  //name, number and size, stacked around the label point
+  let texts = [area.name, area.getIn(['properties', 'roomNumber']), size].filter(text => text);
+  let lineHeight = options.textHeight * 1.5;
+
+  texts.forEach((text, index) => {
+    let offset = ((texts.length - 1) / 2 - index) * lineHeight;
+    writer.text(layerName, COLORS.labels, {x, y: y + offset}, options.textHeight, text);
+  });
+}
+
+function writeItem(writer, layerName, layer, item, scene, catalog, options) {
+  let footprint = itemFootprint(catalog, layer, item, scene);
+
+  if (footprint) {
+    writer.polyline(layerName, COLORS.items, footprint, true);
+  }
+  else {
+    //a crossed square where the item is
+    let marker = itemMarker(item);
+    let [a, b, c, d] = marker.map(([x, y]) => ({x, y}));
+
+    writer.polyline(layerName, COLORS.items, marker, true);
+    writer.line(layerName, COLORS.items, a, c);
+    writer.line(layerName, COLORS.items, b, d);
+  }
+
+  writer.text(layerName, COLORS.items, {x: item.x, y: item.y}, options.textHeight * 0.6, item.name || item.type, item.rotation);
+}
+
+function writeDimension(writer, layerName, layer, dimension, scene) {
+  let geometry = DimensionUtils.dimensionGeometry(layer, dimension, scene.unit);
+  if (!geometry) return;
+
+  geometry.lines.forEach(([x1, y1, x2, y2]) => writer.line(layerName, COLORS.dimensions, {x: x1, y: y1}, {x: x2, y: y2}));
+  geometry.arcs.forEach(({x, y, radius, start, end}) => writer.arc(layerName, COLORS.dimensions, {x, y}, radius, start, end));
+  geometry.texts.forEach(({x, y, angle, size, value}) => writer.text(layerName, COLORS.dimensions, {x, y}, size, value, angle));
+}
+
+function writeAnnotation(writer, layerName, annotation, scene) {
+  let geometry = AnnotationUtils.annotationGeometry(annotation, scene.unit);
+  if (!geometry) return;
+
+  geometry.lines.forEach(([x1, y1, x2, y2]) => writer.line(layerName, COLORS.annotations, {x: x1, y: y1}, {x: x2, y: y2}));
+  geometry.arcs.forEach(({x, y, radius, start, end}) => writer.arc(layerName, COLORS.annotations, {x, y}, radius, start, end));
+  geometry.polygons.forEach(polygon => writer.solid(layerName, COLORS.annotations, polygon));
+  geometry.texts.forEach(({x, y, angle, size, value}) => writer.text(layerName, COLORS.annotations, {x, y}, size, value, angle));
+}
+
+/** @description Serialize the 2D plan of a scene as an ASCII DXF (R12) drawing, one DXF layer for each planner layer
+ *  @param {object} scene Scene to export
+ *  @param {object} catalog Catalog used to classify holes and to measure items
+ *  @param {object} options unit: output unit (defaults to scene.unit), textHeight: labels height in scene units, areaLabels: write areas labels
+ *  @return {string} DXF content
+ */
+export function sceneToDXF(scene, catalog, options = {}) {
+  options = {...DEFAULT_OPTIONS, ...options};
+
+  let unit = options.unit || scene.unit;
+  let scale = unit === scene.unit ? 1 : convert(1).from(scene.unit).to(unit);
+  let areaScale = Math.pow(convert(1).from(scene.unit).to(UNIT_METER), 2);
+
+  let layerNames = {};
+  let usedNames = {};
+  scene.layers.forEach(layer => {
+    let name = sanitizeLayerName(layer.name || layer.id);
+    let uniqueName = name;
+    for (let i = 1; usedNames[uniqueName.toUpperCase()]; i++) uniqueName = `${name}_${i}`;
+    usedNames[uniqueName.toUpperCase()] = true;
+    layerNames[layer.id] = uniqueName;
+  });
+
+  let writer = new DXFWriter(scale);
+
+  writer.push(0, 'SECTION');
+  writer.push(2, 'HEADER');
+  writer.push(9, '$ACADVER');
+  writer.push(1, 'AC1009');
+  writer.push(9, '$INSUNITS');
+  writer.push(70, DXF_UNITS[unit] || 0);
+  writer.push(0, 'ENDSEC');
+
+  writer.push(0, 'SECTION');
+  writer.push(2, 'TABLES');
+
+  writer.push(0, 'TABLE');
+  writer.push(2, 'LTYPE');
+  writer.push(70, 1);
+  writer.push(0, 'LTYPE');
+  writer.push(2, 'CONTINUOUS');
+  writer.push(70, 0);
+  writer.push(3, 'Solid line');
+  writer.push(72, 65);
+  writer.push(73, 0);
+  writer.push(40, 0);
+  writer.push(0, 'ENDTAB');
+
+  writer.push(0, 'TABLE');
+  writer.push(2, 'LAYER');
+  writer.push(70, scene.layers.size);
+  scene.layers.forEach(layer => {
+    writer.push(0, 'LAYER');
+    writer.push(2, layerNames[layer.id]);
+    writer.push(70, 0);
+    writer.push(62, layer.visible ? COLORS.layer : -COLORS.layer);
+    writer.push(6, 'CONTINUOUS');
+  });
+  writer.push(0, 'ENDTAB');
+
+  writer.push(0, 'ENDSEC');
+
+  writer.push(0, 'SECTION');
+  writer.push(2, 'ENTITIES');
+
+  scene.layers.forEach(layer => {
+    let layerName = layerNames[layer.id];
+
+    layer.areas.forEach(area => writeArea(writer, layerName, layer, area, options, areaScale));
+    layer.lines.forEach(line => writeWall(writer, layerName, layer, line, catalog));
+    layer.items.forEach(item => writeItem(writer, layerName, layer, item, scene, catalog, options));
+    layer.dimensions.forEach(dimension => writeDimension(writer, layerName, layer, dimension, scene));
+    layer.annotations.forEach(annotation => writeAnnotation(writer, layerName, annotation, scene));
+  });
+
+  writer.push(0, 'ENDSEC');
+  writer.push(0, 'EOF');
+
+  return writer.toString();
+}
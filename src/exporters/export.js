@@ -0,0 +1,24 @@
+import * as PlanGeometry from './plan-geometry';
+import * as DXFExporter from './dxf';
+import * as SVGExporter from './svg';
+import * as GLTFExporter from './gltf';
+import * as IFCExporter from './ifc';
+import * as ReportExporter from './report';
+
+export {
+  PlanGeometry,
+  DXFExporter,
+  SVGExporter,
+  GLTFExporter,
+  IFCExporter,
+  ReportExporter
+};
+
+export default {
+  PlanGeometry,
+  DXFExporter,
+  SVGExporter,
+  GLTFExporter,
+  IFCExporter,
+  ReportExporter
+};
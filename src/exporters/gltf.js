@@ -0,0 +1,149 @@
+import * as Three from 'three';
+import convert from 'convert-units';
+import { parseData } from '../components/viewer3d/scene-creator';
+import GLTFExporter from '../components/viewer3d/libs/gltf-exporter';
+import { RoofUtils } from '../utils/export';
+
+const PROTOTYPES = ['lines', 'holes', 'areas', 'items'];
+const TEXTURE_MAPS = ['map', 'emissiveMap', 'normalMap', 'bumpMap', 'metalnessMap', 'roughnessMap', 'aoMap'];
+
+//textures are loaded asynchronously by the catalog elements, give up when they take longer than this
+const TEXTURES_TIMEOUT = 10000;
+const TEXTURES_POLLING = 100;
+
+function elementExtras(element, layer) {
+  let extras = {
+    id: element.id,
+    prototype: element.prototype,
+    type: element.type,
+    name: element.name,
+    layer: layer.id,
+    properties: element.properties.toJS()
+  };
+
+  switch (element.prototype) {
+    case 'lines':
+      return { ...extras, vertices: element.vertices.toJS(), holes: element.holes.toJS() };
+    case 'holes':
+      return { ...extras, line: element.line, offset: element.offset };
+    case 'areas':
+      return { ...extras, vertices: element.vertices.toJS() };
+    case 'items':
+      return { ...extras, x: element.x, y: element.y, rotation: element.rotation };
+    default:
+      return extras;
+  }
+}
+
+function layerExtras(layer) {
+  return {
+    id: layer.id,
+    name: layer.name,
+    altitude: layer.altitude,
+    order: layer.order,
+    opacity: layer.opacity
+  };
+}
+
+function waitTextures(object) {
+  let textures = [];
+
+  object.traverse(child => {
+    if (!child.material) return;
+
+    [].concat(child.material.materials || child.material).forEach(material =>
+      TEXTURE_MAPS.forEach(key => material[key] && textures.push(material[key]))
+    );
+  });
+
+  let start = Date.now();
+  let isLoaded = texture => texture.image && texture.image.complete !== false;
+
+  return new Promise((resolve, reject) => {
+    let check = () => {
+      if (textures.every(isLoaded)) return resolve();
+      if (Date.now() - start > TEXTURES_TIMEOUT) return reject(new Error('Textures are taking too long to load'));
+      setTimeout(check, TEXTURES_POLLING);
+    };
+
+    check();
+  });
+}
+
+/** @description Build the 3D model of a scene, one node for each layer holding one node for each element and the
+ *  slab under the storey, the roof in the node of the top layer. The ids and the properties of layers and elements are stored in the userData of the nodes
+ *  @param {object} scene Scene to export
+ *  @param {object} catalog Catalog used to render the elements
+ *  @return {Promise} Resolved with a Three.Scene, in meters, when every element and texture has been loaded
+ */
+export function sceneToObject3D(scene, catalog) {
+  let planData = parseData(scene, {}, catalog);
+  let scale = convert(1).from(scene.unit).to('m');
+
+  return planData.loaded
+    .then(() => waitTextures(planData.plan))
+    .then(() => {
+      let root = new Three.Scene();
+      root.name = scene.meta.get('name') || 'plan';
+      root.userData = {
+        unit: scene.unit,
+        width: scene.width,
+        height: scene.height,
+        meta: scene.meta.toJS()
+      };
+
+      scene.layers
+        .sort((a, b) => a.order - b.order)
+        .forEach(layer => {
+          let layerGraph = planData.sceneGraph.layers[layer.id];
+          if (!layerGraph) return;
+
+          let layerNode = new Three.Object3D();
+          layerNode.name = layer.name;
+          layerNode.userData = layerExtras(layer);
+          layerNode.scale.set(scale, scale, scale);
+
+          PROTOTYPES.forEach(prototype => {
+            layer[prototype].forEach(element => {
+              let pivot = layerGraph[prototype][element.id];
+              if (!pivot) return;
+
+              //pivots are placed by scene-creator in plan coordinates, moving them keeps their transform
+              pivot.name = element.name || element.id;
+              pivot.userData = elementExtras(element, layer);
+              layerNode.add(pivot);
+            });
+          });
+
+          if (layerGraph.slab) layerNode.add(layerGraph.slab);
+
+          if (planData.sceneGraph.roof && layer.id === RoofUtils.topLayer(scene).id) {
+            layerNode.add(planData.sceneGraph.roof);
+          }
+
+          root.add(layerNode);
+        });
+
+      return root;
+    });
+}
+
+/** @description Serialize the 3D model of a scene as glTF 2.0, one node for each layer and for each element,
+ *  with the element ids and properties in the extras of the nodes
+ *  @param {object} scene Scene to export
+ *  @param {object} catalog Catalog used to render the elements
+ *  @param {object} options binary: produce a GLB ArrayBuffer instead of a glTF JSON object (defaults to true)
+ *  @return {Promise} Resolved with the glTF JSON object or the GLB ArrayBuffer
+ */
+export function sceneToGLTF(scene, catalog, options = {}) {
+  let { binary = true } = options;
+
+  return sceneToObject3D(scene, catalog).then(root => new Promise(resolve => {
+    new GLTFExporter().parse(root, resolve, {
+      binary,
+      trs: true,
+      onlyVisible: true,
+      embedImages: true
+    });
+  }));
+}
@@ -0,0 +1,452 @@
+import convert from 'convert-units';
+import {
+  lineFrame,
+  frameStations,
+  holeSpan,
+  holeCategory,
+  areaPolygon,
+  itemFootprint,
+  itemMarker
+} from './plan-geometry';
+import { UNIT_METER } from '../constants';
+
+const DEFAULT_OPTIONS = {
+  name: 'react-planner project',
+  author: '',
+  organization: '',
+  spaceHeight: 0,
+  itemHeight: 100
+};
+
+//distance, in meters, an opening exceeds its wall on each side so it always cuts through it
+const OPENING_CLEARANCE = 0.01;
+
+//thickness, in meters, of the panel used to represent doors and windows
+const FILL_THICKNESS = 0.05;
+
+const IFC_BASE64 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_$';
+
+const hash32 = (string, seed) => {
+  let hash = 0x811c9dc5 ^ seed;
+  for (let i = 0; i < string.length; i++) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 15;
+  hash = Math.imul(hash, 0x2c1b3c6d);
+  hash ^= hash >>> 12;
+  return hash >>> 0;
+};
+
+/** @description Return a compressed IFC GlobalId derived from a key, so exporting the same scene twice gives the same ids
+ *  @param {string} key Unique key of the entity
+ *  @return {string} 22 characters GlobalId
+ */
+export function ifcGuid(key) {
+  let bits = [0x9e3779b9, 0x85ebca6b, 0xc2b2ae35, 0x27d4eb2f]
+    .map(seed => ('0'.repeat(32) + hash32(key, seed).toString(2)).slice(-32))
+    .join('');
+
+  let guid = IFC_BASE64[parseInt(bits.slice(0, 2), 2)];
+  for (let i = 2; i < 128; i += 6) guid += IFC_BASE64[parseInt(bits.slice(i, i + 6), 2)];
+
+  return guid;
+}
+
+const formatReal = value => {
+  let fixed = (Math.abs(value) < 1e-9 ? 0 : value).toFixed(6).replace(/0+$/, '');
+  return fixed === '-0.' ? '0.' : fixed;
+};
+
+const formatString = value => `'${String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/'/g, '\'\'')
+  .replace(/[\r\n]+/g, ' ')
+  .replace(/[^\x20-\x7e]/g, char => `\\X2\\${('000' + char.charCodeAt(0).toString(16).toUpperCase()).slice(-4)}\\X0\\`)}'`;
+
+//values that are not plain strings, reals, booleans, lists or references
+const enumeration = value => ({enumeration: value});
+const integer = value => ({integer: value});
+const typed = (type, value) => ({type, value});
+const DERIVED = {derived: true};
+
+class IFCWriter {
+
+  constructor() {
+    this.entities = [];
+  }
+
+  format(value) {
+    if (value === null || value === undefined) return '$';
+    if (value === DERIVED) return '*';
+    if (Array.isArray(value)) return `(${value.map(v => this.format(v)).join(',')})`;
+    if (typeof value === 'string') return formatString(value);
+    if (typeof value === 'number') return formatReal(value);
+    if (typeof value === 'boolean') return value ? '.T.' : '.F.';
+    if (value.ref !== undefined) return `#${value.ref}`;
+    if (value.enumeration !== undefined) return `.${value.enumeration}.`;
+    if (value.integer !== undefined) return String(Math.round(value.integer));
+    if (value.type !== undefined) return `${value.type}(${this.format(value.value)})`;
+    throw new Error(`Unsupported IFC value ${value}`);
+  }
+
+  add(entity, ...attributes) {
+    let ref = this.entities.length + 1;
+    this.entities.push(`#${ref}=${entity}(${attributes.map(attribute => this.format(attribute)).join(',')});`);
+    return {ref};
+  }
+
+  point(x, y, z) {
+    return this.add('IFCCARTESIANPOINT', z === undefined ? [x, y] : [x, y, z]);
+  }
+
+  direction(x, y, z) {
+    return this.add('IFCDIRECTION', z === undefined ? [x, y] : [x, y, z]);
+  }
+
+  placement(relativeTo, x = 0, y = 0, z = 0, angle = 0) {
+    let axis = this.add('IFCAXIS2PLACEMENT3D',
+      this.point(x, y, z),
+      this.direction(0, 0, 1),
+      this.direction(Math.cos(angle), Math.sin(angle), 0)
+    );
+    return this.add('IFCLOCALPLACEMENT', relativeTo, axis);
+  }
+
+  polyline(points, closed) {
+    let refs = points.map(([x, y]) => this.point(x, y));
+    if (closed) refs.push(refs[0]);
+    return this.add('IFCPOLYLINE', refs);
+  }
+
+  extrusion(profile, depth, z = 0) {
+    let position = this.add('IFCAXIS2PLACEMENT3D', this.point(0, 0, z), null, null);
+    return this.add('IFCEXTRUDEDAREASOLID', profile, position, this.direction(0, 0, 1), depth);
+  }
+
+  box(cx, cy, width, depth, height, z = 0) {
+    let position = this.add('IFCAXIS2PLACEMENT2D', this.point(cx, cy), null);
+    let profile = this.add('IFCRECTANGLEPROFILEDEF', enumeration('AREA'), null, position, width, depth);
+    return this.extrusion(profile, height, z);
+  }
+
+  shape(context, body, axis) {
+    let representations = [this.add('IFCSHAPEREPRESENTATION', context.body, 'Body', 'SweptSolid', [body])];
+    if (axis) representations.unshift(this.add('IFCSHAPEREPRESENTATION', context.axis, 'Axis', 'Curve2D', [axis]));
+    return this.add('IFCPRODUCTDEFINITIONSHAPE', null, null, representations);
+  }
+
+  toString(header) {
+    return [
+      'ISO-10303-21;',
+      'HEADER;',
+      ...header,
+      'ENDSEC;',
+      'DATA;',
+      ...this.entities,
+      'ENDSEC;',
+      'END-ISO-10303-21;',
+      ''
+    ].join('\n');
+  }
+}
+
+function propertyValue(value, scale) {
+  if (value && typeof value.toJS === 'function') value = value.toJS();
+
+  if (value && typeof value === 'object' && typeof value.length === 'number') {
+    return typed('IFCLENGTHMEASURE', value.length * scale);
+  }
+
+  switch (typeof value) {
+    case 'number':
+      return typed('IFCREAL', value);
+    case 'boolean':
+      return typed('IFCBOOLEAN', value);
+    case 'string':
+      return typed('IFCLABEL', value);
+    default:
+      return typed('IFCLABEL', JSON.stringify(value));
+  }
+}
+
+function writeProperties(writer, history, element, product, scale) {
+  let properties = [
+    writer.add('IFCPROPERTYSINGLEVALUE', 'id', null, typed('IFCIDENTIFIER', element.id), null),
+    writer.add('IFCPROPERTYSINGLEVALUE', 'type', null, typed('IFCLABEL', element.type), null)
+  ];
+
+  element.properties.forEach((value, name) => {
+    properties.push(writer.add('IFCPROPERTYSINGLEVALUE', name, null, propertyValue(value, scale), null));
+  });
+
+  let propertySet = writer.add('IFCPROPERTYSET', ifcGuid(`${element.id}/pset`), history, 'Pset_ReactPlanner', null, properties);
+  writer.add('IFCRELDEFINESBYPROPERTIES', ifcGuid(`${element.id}/pset/rel`), history, null, null, [product], propertySet);
+}
+
+function writeWall(writer, context, history, storey, layer, line, catalog, scale, materials) {
+  let frame = lineFrame(layer, line);
+  let length = frame.length * scale;
+  let thickness = frame.thickness * scale;
+  let height = frame.height * scale;
+
+  let placement, axis, body;
+
+  if (frame.arc) {
+    //the arc walls are placed in the storey and their outline, in plan coordinates, follows the arc
+    let stations = frameStations(frame);
+    let toPoint = across => along => {
+      let {x, y} = frame.point(along, across);
+      return [x * scale, y * scale];
+    };
+    let outline = stations.map(toPoint(frame.thickness / 2)).concat(stations.slice().reverse().map(toPoint(-frame.thickness / 2)));
+
+    placement = writer.placement(storey.placement);
+    axis = writer.polyline(stations.map(toPoint(0)));
+    body = writer.extrusion(writer.add('IFCARBITRARYCLOSEDPROFILEDEF', enumeration('AREA'), null, writer.polyline(outline, true)), height);
+  } else {
+    placement = writer.placement(storey.placement, frame.x1 * scale, frame.y1 * scale, 0, frame.angle);
+    axis = writer.polyline([[0, 0], [length, 0]]);
+    body = writer.box(length / 2, 0, length, thickness, height);
+  }
+
+  //a standard case wall is straight
+  let wall = writer.add(frame.arc ? 'IFCWALL' : 'IFCWALLSTANDARDCASE',
+    ifcGuid(line.id), history, line.name || line.type, null, line.type, placement, writer.shape(context, body, axis), line.id
+  );
+
+  let materialKey = `${line.type}/${thickness}`;
+  if (!materials[materialKey]) {
+    materials[line.type] = materials[line.type] || writer.add('IFCMATERIAL', line.type);
+    let materialLayer = writer.add('IFCMATERIALLAYER', materials[line.type], thickness, null);
+    let layerSet = writer.add('IFCMATERIALLAYERSET', [materialLayer], `${line.type} ${formatReal(thickness)}`);
+    materials[materialKey] = writer.add('IFCMATERIALLAYERSETUSAGE',
+      layerSet, enumeration('AXIS2'), enumeration('POSITIVE'), -thickness / 2
+    );
+  }
+  writer.add('IFCRELASSOCIATESMATERIAL', ifcGuid(`${line.id}/material`), history, null, null, [wall], materials[materialKey]);
+
+  writeProperties(writer, history, line, wall, scale);
+  storey.elements.push(wall);
+
+  line.holes.forEach(holeID => {
+    let hole = layer.holes.get(holeID);
+    if (hole) writeHole(writer, context, history, storey, wall, placement, frame, hole, catalog, scale);
+  });
+}
+
+function writeHole(writer, context, history, storey, wall, wallPlacement, frame, hole, catalog, scale) {
+  let span = holeSpan(frame, hole);
+  let width = span.width * scale;
+  let height = (hole.getIn(['properties', 'height', 'length']) || 0) * scale;
+  let altitude = (hole.getIn(['properties', 'altitude', 'length']) || 0) * scale;
+  let thickness = frame.thickness * scale;
+
+  if (width <= 0 || height <= 0) return;
+
+  //openings and their fillings are placed at the center of the hole, at its altitude, along the wall there. On the
+  //arc walls the opening also goes through the sagitta of the arc it spans
+  let openingPlacement, depth = thickness + OPENING_CLEARANCE * 2;
+
+  if (frame.arc) {
+    let {x, y} = frame.point(span.center);
+    let radius = frame.arc.radius * scale;
+    openingPlacement = writer.placement(wallPlacement, x * scale, y * scale, altitude, frame.tangent(span.center));
+    depth += 2 * (radius - Math.sqrt(Math.max(radius * radius - width * width / 4, 0)));
+  } else {
+    openingPlacement = writer.placement(wallPlacement, span.center * scale, 0, altitude);
+  }
+
+  let openingBody = writer.box(0, 0, width, depth, height);
+
+  let opening = writer.add('IFCOPENINGELEMENT',
+    ifcGuid(`${hole.id}/opening`), history, hole.name || hole.type, null, 'Opening', openingPlacement,
+    writer.shape(context, openingBody), null
+  );
+  writer.add('IFCRELVOIDSELEMENT', ifcGuid(`${hole.id}/voids`), history, null, null, wall, opening);
+
+  let category = holeCategory(catalog, hole);
+  if (category === 'opening') return;
+
+  let fillPlacement = writer.placement(openingPlacement);
+  let fillBody = writer.box(0, 0, width, Math.min(FILL_THICKNESS, thickness), height);
+
+  let fill = writer.add(category === 'door' ? 'IFCDOOR' : 'IFCWINDOW',
+    ifcGuid(hole.id), history, hole.name || hole.type, null, hole.type, fillPlacement,
+    writer.shape(context, fillBody), hole.id, height, width
+  );
+  writer.add('IFCRELFILLSELEMENT', ifcGuid(`${hole.id}/fills`), history, null, null, opening, fill);
+
+  writeProperties(writer, history, hole, fill, scale);
+  storey.elements.push(fill);
+}
+
+function writeSpace(writer, context, history, storey, layer, area, height, scale) {
+  let toPoints = polygon => polygon.map(([x, y]) => [x * scale, y * scale]);
+
+  let outerCurve = writer.polyline(toPoints(areaPolygon(layer, area)), true);
+  let innerCurves = area.holes
+    .filter(holeID => layer.areas.has(holeID))
+    .map(holeID => writer.polyline(toPoints(areaPolygon(layer, layer.areas.get(holeID))), true))
+    .toArray();
+
+  let profile = innerCurves.length ?
+    writer.add('IFCARBITRARYPROFILEDEFWITHVOIDS', enumeration('AREA'), null, outerCurve, innerCurves) :
+    writer.add('IFCARBITRARYCLOSEDPROFILEDEF', enumeration('AREA'), null, outerCurve);
+
+  //the rooms are known by their number and described by their name, as they are tagged on the drawings
+  let number = area.getIn(['properties', 'roomNumber']);
+  let ceilingHeight = area.getIn(['properties', 'ceilingHeight', 'length']);
+  if (ceilingHeight) height = ceilingHeight * scale;
+
+  let space = writer.add('IFCSPACE',
+    ifcGuid(area.id), history, number || area.name || area.id, null, area.type, writer.placement(storey.placement),
+    writer.shape(context, writer.extrusion(profile, height)), area.name || null,
+    enumeration('ELEMENT'), enumeration('INTERNAL'), null
+  );
+
+  writeProperties(writer, history, area, space, scale);
+  storey.spaces.push(space);
+}
+
+function writeItem(writer, context, history, storey, scene, layer, item, catalog, options, scale) {
+  let rad = item.rotation * Math.PI / 180;
+  let placement = writer.placement(storey.placement, item.x * scale, item.y * scale, 0, rad);
+
+  //the footprint is in plan coordinates, bring it back in the item reference system. The items with no footprint
+  //get a marker box
+  let footprint = itemFootprint(catalog, layer, item, scene) || itemMarker(item);
+  let local = footprint.map(([x, y]) => {
+    let dx = x - item.x;
+    let dy = y - item.y;
+    return [
+      (dx * Math.cos(rad) + dy * Math.sin(rad)) * scale,
+      (-dx * Math.sin(rad) + dy * Math.cos(rad)) * scale
+    ];
+  });
+
+  let height = (item.getIn(['properties', 'height', 'length']) || options.itemHeight) * scale;
+  let altitude = (item.getIn(['properties', 'altitude', 'length']) || 0) * scale;
+  let profile = writer.add('IFCARBITRARYCLOSEDPROFILEDEF', enumeration('AREA'), null, writer.polyline(local, true));
+  let representation = writer.shape(context, writer.extrusion(profile, height, altitude));
+
+  let furnishing = writer.add('IFCFURNISHINGELEMENT',
+    ifcGuid(item.id), history, item.name || item.type, null, item.type, placement, representation, item.id
+  );
+
+  writeProperties(writer, history, item, furnishing, scale);
+  storey.elements.push(furnishing);
+}
+
+/** @description Serialize a scene as an IFC2X3 STEP physical file: one building storey for each layer, with its walls,
+ *  openings, doors, windows, spaces and furnishing elements
+ *  @param {object} scene Scene to export
+ *  @param {object} catalog Catalog used to classify holes and to measure items
+ *  @param {object} options name: project name, author, organization, spaceHeight: height of the spaces without a ceiling
+ *  height, in scene units (defaults to the highest wall of the layer), itemHeight: height of the items without a height property, in scene units
+ *  @return {string} IFC content
+ */
+export function sceneToIFC(scene, catalog, options = {}) {
+  options = {...DEFAULT_OPTIONS, ...options};
+
+  let scale = convert(1).from(scene.unit).to(UNIT_METER);
+  let now = new Date();
+  let writer = new IFCWriter();
+
+  let person = writer.add('IFCPERSON', null, options.author || null, null, null, null, null, null, null);
+  let organization = writer.add('IFCORGANIZATION', null, options.organization || 'react-planner', null, null, null);
+  let user = writer.add('IFCPERSONANDORGANIZATION', person, organization, null);
+  let application = writer.add('IFCAPPLICATION', organization, '1.0', 'react-planner', 'react-planner');
+  let history = writer.add('IFCOWNERHISTORY',
+    user, application, null, enumeration('ADDED'), null, null, null, integer(now.getTime() / 1000)
+  );
+
+  let units = writer.add('IFCUNITASSIGNMENT', [
+    writer.add('IFCSIUNIT', DERIVED, enumeration('LENGTHUNIT'), null, enumeration('METRE')),
+    writer.add('IFCSIUNIT', DERIVED, enumeration('AREAUNIT'), null, enumeration('SQUARE_METRE')),
+    writer.add('IFCSIUNIT', DERIVED, enumeration('VOLUMEUNIT'), null, enumeration('CUBIC_METRE')),
+    writer.add('IFCSIUNIT', DERIVED, enumeration('PLANEANGLEUNIT'), null, enumeration('RADIAN'))
+  ]);
+
+  let worldCoordinateSystem = writer.add('IFCAXIS2PLACEMENT3D', writer.point(0, 0, 0), null, null);
+  let modelContext = writer.add('IFCGEOMETRICREPRESENTATIONCONTEXT',
+    null, 'Model', integer(3), 1e-5, worldCoordinateSystem, writer.direction(0, 1)
+  );
+  let subContext = (identifier, view) => writer.add('IFCGEOMETRICREPRESENTATIONSUBCONTEXT',
+    identifier, 'Model', DERIVED, DERIVED, DERIVED, DERIVED, modelContext, null, enumeration(view), null
+  );
+  let context = {
+    axis: subContext('Axis', 'GRAPH_VIEW'),
+    body: subContext('Body', 'MODEL_VIEW')
+  };
+
+  let project = writer.add('IFCPROJECT',
+    ifcGuid('project'), history, options.name, null, null, null, null, [modelContext], units
+  );
+
+  let sitePlacement = writer.placement(null);
+  let site = writer.add('IFCSITE',
+    ifcGuid('site'), history, 'Site', null, null, sitePlacement, null, null, enumeration('ELEMENT'),
+    null, null, null, null, null
+  );
+
+  let buildingPlacement = writer.placement(sitePlacement);
+  let building = writer.add('IFCBUILDING',
+    ifcGuid('building'), history, 'Building', null, null, buildingPlacement, null, null, enumeration('ELEMENT'),
+    null, null, null
+  );
+
+  writer.add('IFCRELAGGREGATES', ifcGuid('project/site'), history, null, null, project, [site]);
+  writer.add('IFCRELAGGREGATES', ifcGuid('site/building'), history, null, null, site, [building]);
+
+  let materials = {};
+
+  let storeys = scene.layers
+    .sort((a, b) => a.altitude - b.altitude || a.order - b.order)
+    .toArray()
+    .map(layer => {
+      let elevation = layer.altitude * scale;
+      let placement = writer.placement(buildingPlacement, 0, 0, elevation);
+      let storey = {
+        placement,
+        elements: [],
+        spaces: [],
+        entity: writer.add('IFCBUILDINGSTOREY',
+          ifcGuid(layer.id), history, layer.name || layer.id, null, null, placement, null, null,
+          enumeration('ELEMENT'), elevation
+        )
+      };
+
+      let spaceHeight = options.spaceHeight ||
+        layer.lines.reduce((max, line) => Math.max(max, line.getIn(['properties', 'height', 'length']) || 0), 0) ||
+        convert(3).from(UNIT_METER).to(scene.unit);
+
+      layer.lines.forEach(line => writeWall(writer, context, history, storey, layer, line, catalog, scale, materials));
+      layer.areas.forEach(area => writeSpace(writer, context, history, storey, layer, area, spaceHeight * scale, scale));
+      layer.items.forEach(item => writeItem(writer, context, history, storey, scene, layer, item, catalog, options, scale));
+
+      if (storey.elements.length) {
+        writer.add('IFCRELCONTAINEDINSPATIALSTRUCTURE',
+          ifcGuid(`${layer.id}/elements`), history, null, null, storey.elements, storey.entity
+        );
+      }
+
+      if (storey.spaces.length) {
+        writer.add('IFCRELAGGREGATES', ifcGuid(`${layer.id}/spaces`), history, null, null, storey.entity, storey.spaces);
+      }
+
+      return storey.entity;
+    });
+
+  if (storeys.length) {
+    writer.add('IFCRELAGGREGATES', ifcGuid('building/storeys'), history, null, null, building, storeys);
+  }
+
+  let timestamp = now.toISOString().replace(/\.\d+Z$/, '');
+
+  return writer.toString([
+    `FILE_DESCRIPTION((${formatString('ViewDefinition [CoordinationView]')}),'2;1');`,
+    `FILE_NAME(${formatString(options.name)},'${timestamp}',(${formatString(options.author)}),(${formatString(options.organization)}),'react-planner','react-planner','');`,
+    'FILE_SCHEMA((\'IFC2X3\'));'
+  ]);
+}
@@ -0,0 +1,402 @@
+import polylabel from 'polylabel';
+import areapolygon from 'area-polygon';
+import {GeometryUtils} from '../utils/export';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+//side of the square marking the items with no footprint
+const ITEM_MARKER_SIZE = 50;
+
+const DOOR_TAGS = ['door', 'gate'];
+const WINDOW_TAGS = ['window', 'finestre'];
+
+/** @description Return the frame of a wall, oriented from its lower vertex like the 2D viewer does. Arc walls go
+ *  from their first vertex, as their hole offsets are measured, and their points follow the arc
+ *  @param {object} layer Layer containing the line
+ *  @param {object} line Line
+ *  @return {object} Start point, direction, normal, length, thickness, the circle of arc walls, a local-to-plan point
+ *  function and the direction of the wall along it
+ */
+export function lineFrame(layer, line) {
+  let v0 = layer.vertices.get(line.vertices.get(0));
+  let v1 = layer.vertices.get(line.vertices.get(1));
+  let arc = GeometryUtils.isArc(line.bulge);
+
+  let {x: x1, y: y1} = v0;
+  let {x: x2, y: y2} = v1;
+
+  if (x1 > x2 && !arc) {
+    ({x: x1, y: y1} = v1);
+    ({x: x2, y: y2} = v0);
+  }
+
+  let angle = GeometryUtils.angleBetweenTwoPoints(x1, y1, x2, y2);
+  let ux = Math.cos(angle);
+  let uy = Math.sin(angle);
+
+  let frame = {
+    x1, y1, x2, y2, angle,
+    length: GeometryUtils.pointsDistance(x1, y1, x2, y2),
+    ux, uy,
+    nx: -uy,
+    ny: ux,
+    arc: null,
+    thickness: line.getIn(['properties', 'thickness', 'length']) || 0,
+    height: line.getIn(['properties', 'height', 'length']) || 0,
+    point: (along, across = 0) => ({
+      x: x1 + ux * along - uy * across,
+      y: y1 + uy * along + ux * across
+    }),
+    tangent: along => angle
+  };
+
+  if (arc) {
+    let length = GeometryUtils.arcLength(x1, y1, x2, y2, line.bulge);
+    let onArc = along => GeometryUtils.pointOnArc(x1, y1, x2, y2, line.bulge, length ? along / length : 0);
+
+    frame = {
+      ...frame,
+      length,
+      arc: GeometryUtils.arcFromBulge(x1, y1, x2, y2, line.bulge),
+      point: (along, across = 0) => {
+        let {x, y, angle} = onArc(along);
+        return {x: x - Math.sin(angle) * across, y: y + Math.cos(angle) * across};
+      },
+      tangent: along => onArc(along).angle
+    };
+  }
+
+  return frame;
+}
+
+/** @description Return the distances along a wall where its faces bend, enough to draw the arc walls as polylines
+ *  @param {object} frame Frame of the line as returned by lineFrame
+ *  @param {number} start Distance of the first point
+ *  @param {number} end Distance of the last point
+ *  @param {number} maxAngle Widest angle covered by a segment, in radians
+ *  @return {Array} Distances from start to end
+ */
+export function frameStations(frame, start = 0, end = frame.length, maxAngle = Math.PI / 18) {
+  if (!frame.arc || end <= start) return [start, end];
+
+  let sweep = Math.abs(frame.arc.angle) * (end - start) / frame.length;
+  let segments = Math.max(Math.ceil(sweep / maxAngle), 1);
+  let stations = [];
+
+  for (let i = 0; i <= segments; i++) stations.push(start + (end - start) * i / segments);
+
+  return stations;
+}
+
+/** @description Return the span of a hole along its line, measured from the line frame start
+ *  @param {object} frame Frame of the line as returned by lineFrame
+ *  @param {object} hole Hole
+ *  @return {object} Start, end, center and width of the hole
+ */
+export function holeSpan(frame, hole) {
+  let width = hole.getIn(['properties', 'width', 'length']) || 0;
+  let center = frame.length * hole.offset;
+  let start = Math.max(center - width / 2, 0);
+  let end = Math.min(center + width / 2, frame.length);
+
+  return {start, end, center, width: end - start};
+}
+
+/** @description Return the solid parts of a wall, between its holes
+ *  @param {object} frame Frame of the line as returned by lineFrame
+ *  @param {Array} spans Hole spans as returned by holeSpan
+ *  @return {Array} List of [start, end] intervals
+ */
+export function wallSegments(frame, spans) {
+  let segments = [];
+  let cursor = 0;
+
+  spans
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .forEach(({start, end}) => {
+      if (start > cursor) segments.push([cursor, start]);
+      cursor = Math.max(cursor, end);
+    });
+
+  if (cursor < frame.length) segments.push([cursor, frame.length]);
+
+  return segments;
+}
+
+/** @description Classify a hole as door, window or generic opening looking at its catalog tags
+ *  @param {object} catalog Catalog
+ *  @param {object} hole Hole
+ *  @return {string} 'door', 'window' or 'opening'
+ */
+export function holeCategory(catalog, hole) {
+  let tags = [hole.type];
+
+  if (catalog && catalog.hasElement(hole.type)) {
+    let info = catalog.getElement(hole.type).info || {};
+    tags = tags.concat(info.tag || []);
+  }
+
+  tags = tags.map(tag => String(tag).toLowerCase());
+
+  if (tags.some(tag => DOOR_TAGS.some(doorTag => tag.indexOf(doorTag) !== -1))) return 'door';
+  if (tags.some(tag => WINDOW_TAGS.some(windowTag => tag.indexOf(windowTag) !== -1))) return 'window';
+  return 'opening';
+}
+
+/** @description Return the outline of an area as a list of [x, y] points, arc walls included
+ *  @param {object} layer Layer containing the area
+ *  @param {object} area Area
+ *  @return {Array}
+ */
+export function areaPolygon(layer, area) {
+  return GeometryUtils.verticesOutline(layer, area.vertices).map(({x, y}) => [x, y]);
+}
+
+/** @description Return the net size of an area, holes subtracted, in squared scene units
+ *  @param {object} layer Layer containing the area
+ *  @param {object} area Area
+ *  @return {number}
+ */
+export function areaSize(layer, area) {
+  let size = areapolygon(areaPolygon(layer, area), false);
+
+  area.holes.forEach(holeID => {
+    let hole = layer.areas.get(holeID);
+    if (hole) size -= areapolygon(areaPolygon(layer, hole), false);
+  });
+
+  return size;
+}
+
+/** @description Return the point where the label of an area should be placed
+ *  @param {object} layer Layer containing the area
+ *  @param {object} area Area
+ *  @return {Array} [x, y]
+ */
+export function areaLabelPoint(layer, area) {
+  let holes = area.holes
+    .map(holeID => layer.areas.get(holeID))
+    .filter(hole => hole)
+    .map(hole => areaPolygon(layer, hole))
+    .toArray();
+
+  return polylabel([areaPolygon(layer, area), ...holes], 1.0);
+}
+
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2,
+  b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2,
+  b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1,
+  b1 * e2 + d1 * f2 + f1
+];
+
+const applyMatrix = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f];
+
+const parseNumbers = value => (String(value || '').match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(parseFloat);
+
+const toNumber = value => parseFloat(value) || 0;
+
+function parseTransform(transform) {
+  let matrix = IDENTITY;
+  let regex = /(\w+)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = regex.exec(transform || '')) !== null) {
+    let args = parseNumbers(match[2]);
+
+    switch (match[1]) {
+      case 'translate':
+        matrix = multiply(matrix, [1, 0, 0, 1, args[0] || 0, args[1] || 0]);
+        break;
+      case 'scale': {
+        let sx = args.length ? args[0] : 1;
+        let sy = args.length > 1 ? args[1] : sx;
+        matrix = multiply(matrix, [sx, 0, 0, sy, 0, 0]);
+        break;
+      }
+      case 'rotate': {
+        let rad = (args[0] || 0) * Math.PI / 180;
+        let cx = args[1] || 0;
+        let cy = args[2] || 0;
+        matrix = multiply(matrix, [1, 0, 0, 1, cx, cy]);
+        matrix = multiply(matrix, [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0]);
+        matrix = multiply(matrix, [1, 0, 0, 1, -cx, -cy]);
+        break;
+      }
+      case 'matrix':
+        if (args.length === 6) matrix = multiply(matrix, args);
+        break;
+    }
+  }
+
+  return matrix;
+}
+
+function pathPoints(d) {
+  let points = [];
+  let current = [0, 0];
+  let start = [0, 0];
+  let regex = /([MLHVCSQTAZmlhvcsqtaz])([^MLHVCSQTAZmlhvcsqtaz]*)/g;
+  let match;
+
+  const STRIDE = {M: 2, L: 2, T: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, A: 7, Z: 0};
+
+  while ((match = regex.exec(d || '')) !== null) {
+    let command = match[1];
+    let upper = command.toUpperCase();
+    let relative = command !== upper;
+    let args = parseNumbers(match[2]);
+    let stride = STRIDE[upper];
+
+    if (upper === 'Z') {
+      current = start;
+      continue;
+    }
+
+    for (let i = 0; i + stride <= args.length; i += stride) {
+      let chunk = args.slice(i, i + stride);
+      let [ox, oy] = relative ? current : [0, 0];
+
+      switch (upper) {
+        case 'H':
+          current = [chunk[0] + (relative ? current[0] : 0), current[1]];
+          break;
+        case 'V':
+          current = [current[0], chunk[0] + (relative ? current[1] : 0)];
+          break;
+        case 'A':
+          current = [chunk[5] + ox, chunk[6] + oy];
+          break;
+        default:
+          for (let j = 0; j < chunk.length - 2; j += 2) points.push([chunk[j] + ox, chunk[j + 1] + oy]);
+          current = [chunk[chunk.length - 2] + ox, chunk[chunk.length - 1] + oy];
+      }
+
+      if (upper === 'M' && i === 0) start = current;
+      points.push(current);
+    }
+  }
+
+  return points;
+}
+
+function shapePoints(type, props) {
+  switch (type) {
+    case 'rect': {
+      let x = toNumber(props.x), y = toNumber(props.y);
+      let width = toNumber(props.width), height = toNumber(props.height);
+      return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+    }
+    case 'circle':
+    case 'ellipse': {
+      let cx = toNumber(props.cx), cy = toNumber(props.cy);
+      let rx = toNumber(type === 'circle' ? props.r : props.rx);
+      let ry = toNumber(type === 'circle' ? props.r : props.ry);
+      return [[cx - rx, cy - ry], [cx + rx, cy - ry], [cx + rx, cy + ry], [cx - rx, cy + ry]];
+    }
+    case 'line':
+      return [[toNumber(props.x1), toNumber(props.y1)], [toNumber(props.x2), toNumber(props.y2)]];
+    case 'polygon':
+    case 'polyline': {
+      let numbers = parseNumbers(props.points);
+      let points = [];
+      for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+      return points;
+    }
+    case 'path':
+      return pathPoints(props.d);
+    default:
+      return [];
+  }
+}
+
+/** @description Walk a tree of SVG React elements collecting the points of every drawn shape
+ *  @param {object} element React element, as returned by a catalog render2D
+ *  @param {Array} matrix Affine matrix to apply to the element
+ *  @param {function} callback Called with the plan points of every shape
+ *  @return {void}
+ */
+export function walkSVGElement(element, matrix, callback) {
+  if (element === null || element === undefined || typeof element !== 'object') return;
+
+  if (Array.isArray(element) || (typeof element[Symbol.iterator] === 'function' && !element.props)) {
+    for (let child of element) walkSVGElement(child, matrix, callback);
+    return;
+  }
+
+  let {type, props} = element;
+  if (!props) return;
+
+  if (typeof type === 'function') {
+    if (type.prototype && type.prototype.render) return;
+    walkSVGElement(type(props), matrix, callback);
+    return;
+  }
+
+  let elementMatrix = multiply(matrix, parseTransform(props.transform));
+  let points = shapePoints(type, props);
+
+  if (points.length) callback(points.map(point => applyMatrix(elementMatrix, point)), type);
+
+  walkSVGElement(props.children, elementMatrix, callback);
+}
+
+/** @description Return the footprint of an item as four plan points
+ *  @param {object} catalog Catalog
+ *  @param {object} layer Layer containing the item
+ *  @param {object} item Item
+ *  @param {object} scene Scene
+ *  @return {?Array} Corners of the footprint or null if it can't be determined
+ */
+export function itemFootprint(catalog, layer, item, scene) {
+  let width = item.getIn(['properties', 'width', 'length']);
+  let depth = item.getIn(['properties', 'depth', 'length']);
+  let minX, minY, maxX, maxY;
+
+  if (width && depth) {
+    [minX, minY, maxX, maxY] = [-width / 2, -depth / 2, width / 2, depth / 2];
+  }
+  else {
+    if (!catalog || !catalog.hasElement(item.type)) return null;
+
+    [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+
+    //a symbol that fails to render or to be walked, as a component using hooks, leaves the item with no footprint
+    try {
+      let rendered = catalog.getElement(item.type).render2D(item, layer, scene);
+
+      walkSVGElement(rendered, IDENTITY, points => points.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }));
+    }
+    catch (error) {
+      return null;
+    }
+
+    if (minX === Infinity) return null;
+  }
+
+  return itemCorners(item, minX, minY, maxX, maxY);
+}
+
+/** @description Return the square marking an item whose footprint can't be determined, so that it is not left out
+ *  @param {object} item Item
+ *  @return {Array} Corners of the marker
+ */
+export function itemMarker(item) {
+  let half = ITEM_MARKER_SIZE / 2;
+  return itemCorners(item, -half, -half, half, half);
+}
+
+function itemCorners(item, minX, minY, maxX, maxY) {
+  let rad = item.rotation * Math.PI / 180;
+  let matrix = [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), item.x, item.y];
+
+  return [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]].map(point => applyMatrix(matrix, point));
+}
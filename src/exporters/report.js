@@ -0,0 +1,301 @@
+import convert from 'convert-units';
+import {
+  lineFrame,
+  holeSpan,
+  holeCategory,
+  areaPolygon,
+  areaSize
+} from './plan-geometry';
+import { GeometryUtils } from '../utils/export';
+import { UNIT_METER } from '../constants';
+
+const SIDES = [['A', 'textureA'], ['B', 'textureB']];
+
+const formatNumber = value => value.toFixed(2);
+
+const catalogElement = (catalog, type) => catalog && catalog.hasElement(type) ? catalog.getElement(type) : null;
+
+const elementTitle = (catalog, type) => {
+  let element = catalogElement(catalog, type);
+  return element && element.info && element.info.title || type;
+};
+
+const groupBy = (rows, key, create) => {
+  let groups = {};
+  rows.forEach(row => {
+    let id = key(row);
+    groups[id] = groups[id] || create(row);
+    groups[id].count++;
+  });
+  return groups;
+};
+
+function polygonPerimeter(points) {
+  return points.reduce((perimeter, [x1, y1], index) => {
+    let [x2, y2] = points[(index + 1) % points.length];
+    return perimeter + GeometryUtils.pointsDistance(x1, y1, x2, y2);
+  }, 0);
+}
+
+function propertyLabel(catalog, type, name, value) {
+  let element = catalogElement(catalog, type);
+  let definition = element && element.properties && element.properties[name] || {};
+
+  if (value && typeof value.toJS === 'function') value = value.toJS();
+
+  let display;
+  if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.length === 'number') {
+    display = formatNumber(value.length);
+  } else if (definition.values && definition.values.hasOwnProperty(value)) {
+    display = definition.values[value];
+  } else {
+    display = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  return [definition.label || name, display];
+}
+
+//the room properties left unset are reported empty
+function roomProperty(catalog, area, name) {
+  let value = area.getIn(['properties', name]);
+  return value && value !== 'none' ? propertyLabel(catalog, area.type, name, value)[1] : '';
+}
+
+/** @description Walk a scene collecting its rooms, walls, doors, windows and furniture
+ *  @param {object} scene Scene to report
+ *  @param {object} catalog Catalog used to name and classify the elements
+ *  @return {object} unit, rooms, walls, finishes, floor finishes, openings and items. Lengths are in scene units, surfaces in squared meters
+ */
+export function sceneReport(scene, catalog) {
+  let areaScale = Math.pow(convert(1).from(scene.unit).to(UNIT_METER), 2);
+
+  let rooms = [];
+  let walls = [];
+  let finishes = [];
+  let holes = [];
+  let items = [];
+
+  scene.layers.forEach(layer => {
+    layer.areas.forEach(area => {
+      rooms.push({
+        layer: layer.name,
+        id: area.id,
+        number: area.getIn(['properties', 'roomNumber']) || '',
+        name: area.name || area.id,
+        function: roomProperty(catalog, area, 'roomFunction'),
+        floorFinish: roomProperty(catalog, area, 'floorFinish'),
+        ceilingHeight: area.getIn(['properties', 'ceilingHeight', 'length']) || 0,
+        area: areaSize(layer, area) * areaScale,
+        perimeter: polygonPerimeter(areaPolygon(layer, area))
+      });
+    });
+
+    layer.lines.forEach(line => {
+      let frame = lineFrame(layer, line);
+
+      //the openings are subtracted from both the sides of the wall
+      let openingsSurface = line.holes.reduce((surface, holeID) => {
+        let hole = layer.holes.get(holeID);
+        if (!hole) return surface;
+        return surface + holeSpan(frame, hole).width * (hole.getIn(['properties', 'height', 'length']) || 0);
+      }, 0);
+
+      let surface = Math.max(frame.length * frame.height - openingsSurface, 0) * areaScale;
+
+      walls.push({type: line.type, length: frame.length, surface});
+
+      SIDES.forEach(([side, property]) => {
+        if (!line.properties.has(property)) return;
+
+        let [, texture] = propertyLabel(catalog, line.type, property, line.properties.get(property));
+        finishes.push({side, texture, length: frame.length, surface});
+      });
+    });
+
+    layer.holes.forEach(hole => holes.push({category: holeCategory(catalog, hole), type: hole.type}));
+
+    layer.items.forEach(item => {
+      let properties = item.properties
+        .map((value, name) => propertyLabel(catalog, item.type, name, value))
+        .toList()
+        .toArray();
+
+      items.push({type: item.type, properties});
+    });
+  });
+
+  let sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+  let wallGroups = groupBy(walls, ({type}) => type, ({type}) => ({
+    type, name: elementTitle(catalog, type), count: 0, length: 0, surface: 0
+  }));
+  walls.forEach(({type, length, surface}) => {
+    wallGroups[type].length += length;
+    wallGroups[type].surface += surface;
+  });
+
+  let finishGroups = groupBy(finishes, ({side, texture}) => `${side}/${texture}`, ({side, texture}) => ({
+    side, texture, count: 0, length: 0, surface: 0
+  }));
+  finishes.forEach(({side, texture, length, surface}) => {
+    finishGroups[`${side}/${texture}`].length += length;
+    finishGroups[`${side}/${texture}`].surface += surface;
+  });
+
+  let floorRooms = rooms.filter(({floorFinish}) => floorFinish);
+  let floorGroups = groupBy(floorRooms, ({floorFinish}) => floorFinish, ({floorFinish}) => ({
+    finish: floorFinish, count: 0, surface: 0
+  }));
+  floorRooms.forEach(({floorFinish, area}) => floorGroups[floorFinish].surface += area);
+
+  let openingGroups = groupBy(holes, ({category, type}) => `${category}/${type}`, ({category, type}) => ({
+    category, type, name: elementTitle(catalog, type), count: 0
+  }));
+
+  let itemGroups = groupBy(items, ({type, properties}) => JSON.stringify([type, properties]), ({type, properties}) => ({
+    type, name: elementTitle(catalog, type), properties, count: 0
+  }));
+
+  let values = groups => Object.keys(groups).sort().map(key => groups[key]);
+
+  return {
+    unit: scene.unit,
+    rooms,
+    roomsTotal: {area: sum(rooms, 'area'), perimeter: sum(rooms, 'perimeter')},
+    walls: values(wallGroups),
+    wallsTotal: {count: walls.length, length: sum(walls, 'length'), surface: sum(walls, 'surface')},
+    finishes: values(finishGroups),
+    floorFinishes: values(floorGroups),
+    openings: values(openingGroups),
+    items: values(itemGroups)
+  };
+}
+
+//each table of the report is a title, a header and a list of rows, shared by the CSV and HTML outputs
+function reportTables(report, translator) {
+  let unit = report.unit;
+  let squareMeters = `m${String.fromCharCode(0xb2)}`;
+  let properties = list => list.map(([label, value]) => `${translator(label)}: ${value}`).join(', ');
+
+  return [
+    {
+      title: translator('Rooms'),
+      header: [
+        translator('Layer'), translator('Number'), translator('Name'), translator('Function'), translator('Floor finish'),
+        `${translator('Ceiling height')} (${unit})`, `${translator('Area')} (${squareMeters})`, `${translator('Perimeter')} (${unit})`
+      ],
+      rows: report.rooms.map(room => [
+        room.layer, room.number, room.name, room.function, room.floorFinish,
+        formatNumber(room.ceilingHeight), formatNumber(room.area), formatNumber(room.perimeter)
+      ]),
+      footer: [translator('Total'), '', '', '', '', '', formatNumber(report.roomsTotal.area), formatNumber(report.roomsTotal.perimeter)]
+    },
+    {
+      title: translator('Walls'),
+      header: [translator('Type'), translator('Count'), `${translator('Length')} (${unit})`, `${translator('Surface')} (${squareMeters})`],
+      rows: report.walls.map(wall => [wall.name, wall.count, formatNumber(wall.length), formatNumber(wall.surface)]),
+      footer: [translator('Total'), report.wallsTotal.count, formatNumber(report.wallsTotal.length), formatNumber(report.wallsTotal.surface)]
+    },
+    {
+      title: translator('Wall finishes'),
+      header: [translator('Side'), translator('Texture'), translator('Count'), `${translator('Length')} (${unit})`, `${translator('Surface')} (${squareMeters})`],
+      rows: report.finishes.map(finish => [finish.side, translator(finish.texture), finish.count, formatNumber(finish.length), formatNumber(finish.surface)])
+    },
+    {
+      title: translator('Floor finishes'),
+      header: [translator('Finish'), translator('Rooms'), `${translator('Surface')} (${squareMeters})`],
+      rows: report.floorFinishes.map(finish => [finish.finish, finish.count, formatNumber(finish.surface)])
+    },
+    {
+      title: translator('Doors and windows'),
+      header: [translator('Category'), translator('Type'), translator('Count')],
+      rows: report.openings.map(opening => [translator(opening.category), opening.name, opening.count])
+    },
+    {
+      title: translator('Furniture'),
+      header: [translator('Type'), translator('Properties'), translator('Count')],
+      rows: report.items.map(item => [item.name, properties(item.properties), item.count])
+    }
+  ];
+}
+
+const csvField = value => {
+  let string = String(value);
+  return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+};
+
+/** @description Serialize a report as CSV, one block of rows for each table
+ *  @param {object} report Report as returned by sceneReport
+ *  @param {object} options translator: function used to translate the labels
+ *  @return {string} CSV content
+ */
+export function reportToCSV(report, options = {}) {
+  let translator = options.translator || (phrase => phrase);
+  let lines = [];
+
+  reportTables(report, translator).forEach(({title, header, rows, footer}) => {
+    if (lines.length) lines.push('');
+    lines.push(csvField(title));
+    [header, ...rows, ...(footer ? [footer] : [])].forEach(row => lines.push(row.map(csvField).join(',')));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+const escapeHTML = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLE = `
+body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 2em; }
+h1 { font-size: 20px; }
+h2 { font-size: 15px; margin-top: 2em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #bbb; padding: 4px 8px; text-align: left; }
+th { background: #eee; }
+td.number { text-align: right; }
+tfoot td { font-weight: bold; }
+`;
+
+/** @description Render a report as a standalone HTML document
+ *  @param {object} report Report as returned by sceneReport
+ *  @param {object} options title: title of the document, translator: function used to translate the labels
+ *  @return {string} HTML content
+ */
+export function reportToHTML(report, options = {}) {
+  let translator = options.translator || (phrase => phrase);
+  let title = options.title || translator('Report');
+
+  let cell = (tag, value) => {
+    let numeric = typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(value);
+    return `<${tag}${numeric && tag === 'td' ? ' class="number"' : ''}>${escapeHTML(value)}</${tag}>`;
+  };
+  let row = (tag, values) => `<tr>${values.map(value => cell(tag, value)).join('')}</tr>`;
+
+  let tables = reportTables(report, translator).map(({title, header, rows, footer}) => [
+    `<h2>${escapeHTML(title)}</h2>`,
+    '<table>',
+    `<thead>${row('th', header)}</thead>`,
+    `<tbody>${rows.map(values => row('td', values)).join('\n')}</tbody>`,
+    footer ? `<tfoot>${row('td', footer)}</tfoot>` : '',
+    '</table>'
+  ].join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHTML(title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHTML(title)}</h1>`,
+    ...tables,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
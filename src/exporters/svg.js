@@ -0,0 +1,359 @@
+import React from 'react';
+import ReactDOMServer from 'react-dom/server';
+import convert from 'convert-units';
+import Layer from '../components/viewer2d/layer';
+import {
+  lineFrame,
+  walkSVGElement,
+  itemFootprint,
+  itemMarker
+} from './plan-geometry';
+import { AnnotationUtils } from '../utils/export';
+import { UNIT_MILLIMETER } from '../constants';
+
+//paper sizes in millimeters, landscape
+export const PAPER_SIZES = {
+  A4: [297, 210],
+  A3: [420, 297],
+  A2: [594, 420],
+  A1: [841, 594],
+  A0: [1189, 841],
+  Letter: [279.4, 215.9],
+  Tabloid: [431.8, 279.4]
+};
+
+export const ORIENTATION_LANDSCAPE = 'landscape';
+export const ORIENTATION_PORTRAIT = 'portrait';
+
+const DEFAULT_OPTIONS = {
+  paper: 'A3',
+  orientation: ORIENTATION_LANDSCAPE,
+  scale: 50,
+  margin: 10,
+  titleBlock: true,
+  legend: true,
+  dimensions: true
+};
+
+//sizes of the page furniture, in millimeters
+const FRAME_STROKE = 0.5;
+const THIN_STROKE = 0.2;
+const SIDE_COLUMN_WIDTH = 70;
+const TITLE_ROW_HEIGHT = 6;
+const LEGEND_ROW_HEIGHT = 12;
+const TEXT_SIZE = 3;
+const SMALL_TEXT_SIZE = 2.5;
+const DIMENSION_OFFSET = 6;
+const DIMENSION_TICK = 1.2;
+const DIMENSION_TEXT_SIZE = 2.2;
+
+const FONT_FAMILY = 'Arial, Helvetica, sans-serif';
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const emptyBox = () => ({minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity});
+
+const growBox = (box, [x, y]) => {
+  box.minX = Math.min(box.minX, x);
+  box.minY = Math.min(box.minY, y);
+  box.maxX = Math.max(box.maxX, x);
+  box.maxY = Math.max(box.maxY, y);
+  return box;
+};
+
+const isEmptyBox = box => box.minX === Infinity;
+
+const formatLength = (value, precision) => parseFloat(value.toFixed(precision)).toString();
+
+function planBoundingBox(scene, catalog, layers) {
+  let box = emptyBox();
+
+  layers.forEach(layer => {
+    layer.vertices.forEach(({x, y}) => growBox(box, [x, y]));
+    layer.items.forEach(item => {
+      let footprint = itemFootprint(catalog, layer, item, scene);
+      (footprint || itemMarker(item)).forEach(point => growBox(box, point));
+    });
+    layer.annotations.forEach(annotation =>
+      AnnotationUtils.annotationExtent(annotation, scene.unit).forEach(point => growBox(box, point)));
+  });
+
+  return isEmptyBox(box) ? {minX: 0, minY: 0, maxX: scene.width, maxY: scene.height} : box;
+}
+
+//the dimension of an arc wall follows the arc, out of its convex side, and measures its length
+function renderArcDimension(key, frame, across, tick, textSize, strokeWidth, precision) {
+  let {radius, angle} = frame.arc;
+
+  //the convex side is on the right of a counterclockwise arc
+  let side = angle > 0 ? -1 : 1;
+  let start = frame.point(0, side * across);
+  let end = frame.point(frame.length, side * across);
+  let dimensionRadius = radius + across;
+  let arcFlags = `${Math.abs(angle) > Math.PI ? 1 : 0} ${angle > 0 ? 1 : 0}`;
+
+  let tickLine = along => {
+    let from = frame.point(along, side * frame.thickness / 2);
+    let to = frame.point(along, side * (across + tick));
+    return <line key={along} x1={from.x} y1={from.y} x2={to.x} y2={to.y}/>;
+  };
+
+  let middle = frame.point(frame.length / 2, side * (across + tick));
+  let tangent = frame.tangent(frame.length / 2);
+  let textAngle = (Math.cos(tangent) < 0 ? tangent + Math.PI : tangent) * 180 / Math.PI;
+
+  return (
+    <g key={key} stroke="#000" strokeWidth={strokeWidth} fill="none">
+      {tickLine(0)}
+      {tickLine(frame.length)}
+      <path d={`M ${start.x} ${start.y} A ${dimensionRadius} ${dimensionRadius} 0 ${arcFlags} ${end.x} ${end.y}`}/>
+      <text
+        transform={`translate(${middle.x}, ${middle.y}) rotate(${textAngle}) scale(1, -1)`}
+        textAnchor="middle"
+        fontSize={textSize}
+        fontFamily={FONT_FAMILY}
+        stroke="none"
+        fill="#000"
+      >
+        {formatLength(frame.length, precision)}
+      </text>
+    </g>
+  );
+}
+
+function renderDimensions(scene, layer, paperScale) {
+  let offset = DIMENSION_OFFSET / paperScale;
+  let tick = DIMENSION_TICK / paperScale;
+  let textSize = DIMENSION_TEXT_SIZE / paperScale;
+  let strokeWidth = THIN_STROKE / paperScale;
+  let precision = scene.unit === UNIT_MILLIMETER ? 0 : 1;
+
+  return layer.lines.valueSeq().map(line => {
+    let frame = lineFrame(layer, line);
+    if (!frame.length) return null;
+
+    let across = frame.thickness / 2 + offset;
+    let angle = frame.angle * 180 / Math.PI;
+
+    if (frame.arc) return renderArcDimension(line.id, frame, across, tick, textSize, strokeWidth, precision);
+
+    return (
+      <g key={line.id} transform={`translate(${frame.x1}, ${frame.y1}) rotate(${angle})`} stroke="#000" strokeWidth={strokeWidth}>
+        <line x1={0} y1={frame.thickness / 2} x2={0} y2={across + tick}/>
+        <line x1={frame.length} y1={frame.thickness / 2} x2={frame.length} y2={across + tick}/>
+        <line x1={-tick} y1={across} x2={frame.length + tick} y2={across}/>
+        <line x1={-tick} y1={across - tick} x2={tick} y2={across + tick}/>
+        <line x1={frame.length - tick} y1={across - tick} x2={frame.length + tick} y2={across + tick}/>
+        <text
+          transform={`translate(${frame.length / 2}, ${across + tick}) scale(1, -1)`}
+          textAnchor="middle"
+          fontSize={textSize}
+          fontFamily={FONT_FAMILY}
+          stroke="none"
+          fill="#000"
+        >
+          {formatLength(frame.length, precision)}
+        </text>
+      </g>
+    );
+  });
+}
+
+function usedSymbols(scene, catalog, layers) {
+  let symbols = {};
+
+  layers.forEach(layer => {
+    layer.holes.forEach(hole => {
+      if (!symbols[hole.type]) symbols[hole.type] = {element: hole, layer, count: 0};
+      symbols[hole.type].count++;
+    });
+    layer.items.forEach(item => {
+      if (!symbols[item.type]) symbols[item.type] = {element: item.set('rotation', 0), layer, count: 0};
+      symbols[item.type].count++;
+    });
+  });
+
+  return Object.keys(symbols)
+    .filter(type => catalog.hasElement(type))
+    .map(type => {
+      let {element, layer, count} = symbols[type];
+      let catalogElement = catalog.getElement(type);
+      let rendered = null;
+      let box = emptyBox();
+
+      //the symbols that can't be walked to be fitted in their row are left out, the row keeps the title and the count
+      try {
+        rendered = catalogElement.render2D(element, layer, scene);
+        walkSVGElement(rendered, IDENTITY, points => points.forEach(point => growBox(box, point)));
+      }
+      catch (error) {
+        box = emptyBox();
+      }
+
+      return {type, title: catalogElement.info.title || type, count, rendered: isEmptyBox(box) ? null : rendered, box};
+    });
+}
+
+function renderLegend(symbols, x, y, width, translator) {
+  let rows = symbols.map(({type, title, count, rendered, box}, index) => {
+    let rowY = y + TITLE_ROW_HEIGHT + index * LEGEND_ROW_HEIGHT;
+    let cell = LEGEND_ROW_HEIGHT - 2;
+    let symbol = null;
+
+    if (rendered) {
+      let boxWidth = Math.max(box.maxX - box.minX, 1e-6);
+      let boxHeight = Math.max(box.maxY - box.minY, 1e-6);
+      let fit = Math.min(cell / boxWidth, cell / boxHeight);
+      let centerX = (box.minX + box.maxX) / 2;
+      let centerY = (box.minY + box.maxY) / 2;
+
+      symbol = (
+        <g transform={`translate(${x + 1 + cell / 2}, ${rowY + LEGEND_ROW_HEIGHT / 2}) scale(${fit}, ${-fit}) translate(${-centerX}, ${-centerY})`}>
+          {rendered}
+        </g>
+      );
+    }
+
+    return (
+      <g key={type}>
+        {symbol}
+        <text x={x + cell + 4} y={rowY + LEGEND_ROW_HEIGHT / 2 + SMALL_TEXT_SIZE / 3} fontSize={SMALL_TEXT_SIZE} fontFamily={FONT_FAMILY}>
+          {`${title} (${count})`}
+        </text>
+        <line x1={x} y1={rowY + LEGEND_ROW_HEIGHT} x2={x + width} y2={rowY + LEGEND_ROW_HEIGHT} stroke="#000" strokeWidth={THIN_STROKE}/>
+      </g>
+    );
+  });
+
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={TITLE_ROW_HEIGHT + symbols.length * LEGEND_ROW_HEIGHT} fill="#fff" stroke="#000" strokeWidth={FRAME_STROKE}/>
+      <text x={x + 2} y={y + TITLE_ROW_HEIGHT - 2} fontSize={TEXT_SIZE} fontWeight="bold" fontFamily={FONT_FAMILY}>{translator('Legend')}</text>
+      <line x1={x} y1={y + TITLE_ROW_HEIGHT} x2={x + width} y2={y + TITLE_ROW_HEIGHT} stroke="#000" strokeWidth={THIN_STROKE}/>
+      {rows}
+    </g>
+  );
+}
+
+function titleBlockRows(scene, options, translator) {
+  let rows = [];
+
+  scene.meta.forEach((value, key) => {
+    if (value === null || value === undefined || typeof value === 'object') return;
+    rows.push([key, String(value)]);
+  });
+
+  rows.push([translator('Scale'), `1:${options.scale}`]);
+  rows.push([translator('Paper'), `${options.paper} ${translator(options.orientation)}`]);
+  rows.push([translator('Unit'), scene.unit]);
+
+  return rows;
+}
+
+function renderTitleBlock(rows, x, y, width) {
+  let labelWidth = width * 0.35;
+
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={rows.length * TITLE_ROW_HEIGHT} fill="#fff" stroke="#000" strokeWidth={FRAME_STROKE}/>
+      <line x1={x + labelWidth} y1={y} x2={x + labelWidth} y2={y + rows.length * TITLE_ROW_HEIGHT} stroke="#000" strokeWidth={THIN_STROKE}/>
+      {
+        rows.map(([label, value], index) => {
+          let rowY = y + index * TITLE_ROW_HEIGHT;
+          return (
+            <g key={index}>
+              {index ? <line x1={x} y1={rowY} x2={x + width} y2={rowY} stroke="#000" strokeWidth={THIN_STROKE}/> : null}
+              <text x={x + 1.5} y={rowY + TITLE_ROW_HEIGHT - 2} fontSize={SMALL_TEXT_SIZE} fontFamily={FONT_FAMILY}>{label}</text>
+              <text x={x + labelWidth + 1.5} y={rowY + TITLE_ROW_HEIGHT - 2} fontSize={SMALL_TEXT_SIZE} fontWeight="bold" fontFamily={FONT_FAMILY}>{value}</text>
+            </g>
+          );
+        })
+      }
+    </g>
+  );
+}
+
+/** @description Return the size of the paper, in millimeters
+ *  @param {object} options paper: key of PAPER_SIZES, orientation: landscape or portrait
+ *  @return {Array} [width, height]
+ */
+export function paperSize(options) {
+  let [width, height] = PAPER_SIZES[options.paper] || PAPER_SIZES[DEFAULT_OPTIONS.paper];
+  return options.orientation === ORIENTATION_PORTRAIT ? [height, width] : [width, height];
+}
+
+/** @description Render the 2D plan of a scene on a sheet of paper as a standalone SVG document, sized in millimeters
+ *  @param {object} scene Scene to export
+ *  @param {object} catalog Catalog used to render the elements
+ *  @param {object} options paper, orientation, scale (the N of 1:N), margin (mm), titleBlock, legend, dimensions,
+ *  translator: function used to translate the labels
+ *  @return {string} SVG content
+ */
+export function sceneToSVG(scene, catalog, options = {}) {
+  options = {...DEFAULT_OPTIONS, ...options};
+
+  let translator = options.translator || (phrase => phrase);
+  let [width, height] = paperSize(options);
+  let margin = options.margin;
+  let layers = scene.layers.valueSeq().filter(layer => layer.visible || layer.id === scene.selectedLayer);
+
+  //millimeters on paper for each scene unit
+  let paperScale = convert(1).from(scene.unit).to(UNIT_MILLIMETER) / options.scale;
+
+  let symbols = options.legend ? usedSymbols(scene, catalog, layers) : [];
+  let titleRows = options.titleBlock ? titleBlockRows(scene, options, translator) : [];
+  let hasSideColumn = symbols.length > 0 || titleRows.length > 0;
+
+  let drawingArea = {
+    x: margin,
+    y: margin,
+    width: width - margin * 2 - (hasSideColumn ? SIDE_COLUMN_WIDTH + margin / 2 : 0),
+    height: height - margin * 2
+  };
+
+  let box = planBoundingBox(scene, catalog, layers);
+  let offsetX = drawingArea.x + (drawingArea.width - (box.maxX - box.minX) * paperScale) / 2;
+  let offsetY = drawingArea.y + (drawingArea.height - (box.maxY - box.minY) * paperScale) / 2;
+
+  let sideX = width - margin - SIDE_COLUMN_WIDTH;
+  let titleHeight = titleRows.length * TITLE_ROW_HEIGHT;
+
+  //the legend gets the room left above the title block
+  let legendRows = Math.floor((height - margin * 2 - titleHeight - margin / 2 - TITLE_ROW_HEIGHT) / LEGEND_ROW_HEIGHT);
+  symbols = symbols.slice(0, Math.max(legendRows, 0));
+
+  let svg = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      xmlnsXlink="http://www.w3.org/1999/xlink"
+      width={`${width}mm`}
+      height={`${height}mm`}
+      viewBox={`0 0 ${width} ${height}`}
+    >
+      <defs>
+        <clipPath id="drawing-area">
+          <rect x={drawingArea.x} y={drawingArea.y} width={drawingArea.width} height={drawingArea.height}/>
+        </clipPath>
+        <pattern id="diagonalFill" patternUnits="userSpaceOnUse" width="4" height="4" fill="#FFF">
+          <rect x="0" y="0" width="4" height="4" fill="#FFF"/>
+          <path d="M-1,1 l2,-2 M0,4 l4,-4 M3,5 l2,-2" style={{stroke: '#8E9BA2', strokeWidth: 1}}/>
+        </pattern>
+      </defs>
+
+      <rect x="0" y="0" width={width} height={height} fill="#fff"/>
+
+      <g clipPath="url(#drawing-area)">
+        <g transform={`translate(${offsetX}, ${offsetY}) scale(${paperScale}, ${-paperScale}) translate(${-box.minX}, ${-box.maxY})`}>
+          {layers.map(layer => <Layer key={layer.id} layer={layer} scene={scene} catalog={catalog}/>)}
+          {options.dimensions ? layers.map(layer => <g key={layer.id}>{renderDimensions(scene, layer, paperScale)}</g>) : null}
+        </g>
+      </g>
+
+      <rect x={margin / 2} y={margin / 2} width={width - margin} height={height - margin} fill="none" stroke="#000" strokeWidth={FRAME_STROKE}/>
+
+      {symbols.length ? renderLegend(symbols, sideX, margin, SIDE_COLUMN_WIDTH, translator) : null}
+      {titleRows.length ? renderTitleBlock(titleRows, sideX, height - margin - titleHeight, SIDE_COLUMN_WIDTH) : null}
+    </svg>
+  );
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' + ReactDOMServer.renderToStaticMarkup(svg);
+}
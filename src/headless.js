@@ -0,0 +1,23 @@
+import * as Models from './models';
+import * as ReactPlannerConstants from './constants';
+import ReactPlannerClasses, { PlanBuilder } from './class/export';
+import ReactPlannerUtils from './utils/export';
+import * as PlanGeometry from './exporters/plan-geometry';
+import * as DXFExporter from './exporters/dxf';
+import * as IFCExporter from './exporters/ifc';
+import * as ReportExporter from './exporters/report';
+import * as DXFImporter from './importers/dxf';
+
+//entry point for scripts and servers, nothing here requires React, three or the DOM
+export {
+  PlanBuilder,
+  Models,
+  ReactPlannerConstants,
+  ReactPlannerClasses,
+  ReactPlannerUtils,
+  PlanGeometry,
+  DXFExporter,
+  IFCExporter,
+  ReportExporter,
+  DXFImporter
+};
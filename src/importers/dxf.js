@@ -0,0 +1,318 @@
+import convert from 'convert-units';
+import {
+  UNIT_MILLIMETER,
+  UNIT_CENTIMETER,
+  UNIT_METER,
+  UNIT_INCH,
+  UNIT_FOOT,
+  UNIT_MILE
+} from '../constants';
+
+//DXF $INSUNITS codes
+const DXF_UNITS = {
+  1: UNIT_INCH,
+  2: UNIT_FOOT,
+  3: UNIT_MILE,
+  4: UNIT_MILLIMETER,
+  5: UNIT_CENTIMETER,
+  6: UNIT_METER
+};
+
+const DEFAULT_OPTIONS = {
+  layers: null,
+  unit: null,
+  sceneUnit: UNIT_CENTIMETER,
+  tolerance: 1,
+  arcSegmentAngle: 15,
+  origin: null
+};
+
+function readPairs(text) {
+  let lines = text.split(/\r\n|\r|\n/);
+  let pairs = [];
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    let code = parseInt(lines[i].trim(), 10);
+    if (isNaN(code)) throw new Error(`Invalid DXF group code at line ${i + 1}`);
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+
+  return pairs;
+}
+
+//split a flat list of group codes into records, each starting with a 0 code
+function readRecords(pairs) {
+  let records = [];
+  let current = null;
+
+  pairs.forEach(([code, value]) => {
+    if (code === 0) {
+      current = {type: value, codes: []};
+      records.push(current);
+    }
+    else if (current) {
+      current.codes.push([code, value]);
+    }
+  });
+
+  return records;
+}
+
+const codeValue = (record, code, defaultValue) => {
+  let pair = record.codes.find(([c]) => c === code);
+  return pair ? pair[1] : defaultValue;
+};
+
+const codeNumber = (record, code, defaultValue = 0) => {
+  let value = parseFloat(codeValue(record, code));
+  return isNaN(value) ? defaultValue : value;
+};
+
+function readLWPolyline(record) {
+  let vertices = [];
+
+  record.codes.forEach(([code, value]) => {
+    switch (code) {
+      case 10:
+        vertices.push({x: parseFloat(value), y: 0, bulge: 0});
+        break;
+      case 20:
+        if (vertices.length) vertices[vertices.length - 1].y = parseFloat(value);
+        break;
+      case 42:
+        if (vertices.length) vertices[vertices.length - 1].bulge = parseFloat(value);
+        break;
+    }
+  });
+
+  return vertices;
+}
+
+/** @description Parse the content of an ASCII DXF file
+ *  @param {string} text DXF content
+ *  @return {object} unit: drawing unit if declared, layers: [{name, count}], entities: supported entities
+ */
+export function parseDXF(text) {
+  let records = readRecords(readPairs(text));
+
+  let unit = null;
+  let section = null;
+  let layerNames = [];
+  let entities = [];
+  let polyline = null;
+
+  records.forEach(record => {
+    if (record.type === 'SECTION') {
+      section = codeValue(record, 2);
+
+      //header variables belong to the section record itself, each one introduced by a 9 code
+      if (section === 'HEADER') {
+        let index = record.codes.findIndex(([code, value]) => code === 9 && value === '$INSUNITS');
+        if (index !== -1 && record.codes[index + 1]) unit = DXF_UNITS[parseInt(record.codes[index + 1][1], 10)] || null;
+      }
+      return;
+    }
+
+    if (record.type === 'ENDSEC') {
+      section = null;
+      return;
+    }
+
+    switch (section) {
+      case 'TABLES':
+        if (record.type === 'LAYER' && codeValue(record, 2)) layerNames.push(codeValue(record, 2));
+        break;
+
+      case 'ENTITIES': {
+        let layer = codeValue(record, 8, '0');
+
+        switch (record.type) {
+          case 'LINE':
+            entities.push({
+              type: 'LINE',
+              layer,
+              vertices: [
+                {x: codeNumber(record, 10), y: codeNumber(record, 20), bulge: 0},
+                {x: codeNumber(record, 11), y: codeNumber(record, 21), bulge: 0}
+              ],
+              closed: false
+            });
+            break;
+
+          case 'LWPOLYLINE':
+            entities.push({
+              type: 'LWPOLYLINE',
+              layer,
+              vertices: readLWPolyline(record),
+              closed: (codeNumber(record, 70) & 1) === 1
+            });
+            break;
+
+          case 'POLYLINE':
+            polyline = {
+              type: 'POLYLINE',
+              layer,
+              vertices: [],
+              closed: (codeNumber(record, 70) & 1) === 1
+            };
+            entities.push(polyline);
+            break;
+
+          case 'VERTEX':
+            if (polyline) polyline.vertices.push({
+              x: codeNumber(record, 10),
+              y: codeNumber(record, 20),
+              bulge: codeNumber(record, 42)
+            });
+            break;
+
+          case 'SEQEND':
+            polyline = null;
+            break;
+
+          case 'ARC':
+            entities.push({
+              type: 'ARC',
+              layer,
+              x: codeNumber(record, 10),
+              y: codeNumber(record, 20),
+              radius: codeNumber(record, 40),
+              startAngle: codeNumber(record, 50),
+              endAngle: codeNumber(record, 51)
+            });
+            break;
+        }
+        break;
+      }
+    }
+  });
+
+  let counts = {};
+  layerNames.forEach(name => counts[name] = 0);
+  entities.forEach(({layer}) => counts[layer] = (counts[layer] || 0) + 1);
+
+  return {
+    unit,
+    layers: Object.keys(counts).map(name => ({name, count: counts[name]})),
+    entities
+  };
+}
+
+function tessellateArc(cx, cy, radius, startRad, sweepRad, maxStep) {
+  let steps = Math.max(1, Math.ceil(Math.abs(sweepRad) / maxStep));
+  let points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    let angle = startRad + sweepRad * i / steps;
+    points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+  }
+
+  return points;
+}
+
+function bulgePoints(v0, v1, maxStep) {
+  let dx = v1.x - v0.x;
+  let dy = v1.y - v0.y;
+  let chord = Math.sqrt(dx * dx + dy * dy);
+
+  if (!v0.bulge || !chord) return [[v0.x, v0.y], [v1.x, v1.y]];
+
+  //the bulge is the tangent of a quarter of the included angle, positive when counter-clockwise
+  let sweep = 4 * Math.atan(v0.bulge);
+  let distance = (chord / 2) / Math.tan(sweep / 2);
+  let cx = (v0.x + v1.x) / 2 - dy / chord * distance;
+  let cy = (v0.y + v1.y) / 2 + dx / chord * distance;
+  let radius = Math.sqrt((v0.x - cx) * (v0.x - cx) + (v0.y - cy) * (v0.y - cy));
+
+  return tessellateArc(cx, cy, radius, Math.atan2(v0.y - cy, v0.x - cx), sweep, maxStep);
+}
+
+function entityPaths(entity, maxStep) {
+  if (entity.type === 'ARC') {
+    let sweep = entity.endAngle - entity.startAngle;
+    while (sweep <= 0) sweep += 360;
+
+    return [tessellateArc(entity.x, entity.y, entity.radius, entity.startAngle * Math.PI / 180, sweep * Math.PI / 180, maxStep)];
+  }
+
+  let {vertices, closed} = entity;
+  let path = [];
+  let count = closed ? vertices.length : vertices.length - 1;
+
+  for (let i = 0; i < count; i++) {
+    let points = bulgePoints(vertices[i], vertices[(i + 1) % vertices.length], maxStep);
+    path = path.concat(path.length ? points.slice(1) : points);
+  }
+
+  return path.length > 1 ? [path] : [];
+}
+
+/** @description Convert the parsed entities of some DXF layers into wall segments in scene units
+ *  @param {object} dxf Parsed DXF as returned by parseDXF
+ *  @param {object} options layers: DXF layers to read (all if null), unit: DXF unit, sceneUnit: scene unit,
+ *  tolerance: distance under which endpoints are merged, arcSegmentAngle: max degrees spanned by an arc segment,
+ *  origin: point where the lower left corner of the drawing is moved, if any
+ *  @return {Array} List of [x0, y0, x1, y1] segments
+ */
+export function dxfToSegments(dxf, options = {}) {
+  options = {...DEFAULT_OPTIONS, ...options};
+
+  let unit = options.unit || dxf.unit || options.sceneUnit;
+  let scale = unit === options.sceneUnit ? 1 : convert(1).from(unit).to(options.sceneUnit);
+  let maxStep = options.arcSegmentAngle * Math.PI / 180;
+  let tolerance = options.tolerance;
+
+  let segments = [];
+
+  dxf.entities
+    .filter(entity => !options.layers || options.layers.indexOf(entity.layer) !== -1)
+    .forEach(entity => entityPaths(entity, maxStep).forEach(path => {
+      for (let i = 0; i + 1 < path.length; i++) {
+        segments.push([path[i][0] * scale, path[i][1] * scale, path[i + 1][0] * scale, path[i + 1][1] * scale]);
+      }
+    }));
+
+  if (options.origin && segments.length) {
+    let minX = segments.reduce((min, [x0, y0, x1]) => Math.min(min, x0, x1), Infinity);
+    let minY = segments.reduce((min, [x0, y0, x1, y1]) => Math.min(min, y0, y1), Infinity);
+    let dx = options.origin.x - minX;
+    let dy = options.origin.y - minY;
+
+    segments = segments.map(([x0, y0, x1, y1]) => [x0 + dx, y0 + dy, x1 + dx, y1 + dy]);
+  }
+
+  //endpoints closer than the tolerance collapse on the first one found, so walls drawn with small gaps get connected
+  let grid = {};
+  let snapPoint = (x, y) => {
+    let cellX = Math.floor(x / tolerance);
+    let cellY = Math.floor(y / tolerance);
+
+    for (let i = -1; i <= 1; i++) {
+      for (let j = -1; j <= 1; j++) {
+        let found = (grid[`${cellX + i},${cellY + j}`] || [])
+          .find(([px, py]) => (px - x) * (px - x) + (py - y) * (py - y) <= tolerance * tolerance);
+        if (found) return found;
+      }
+    }
+
+    let key = `${cellX},${cellY}`;
+    (grid[key] = grid[key] || []).push([x, y]);
+    return [x, y];
+  };
+
+  let unique = {};
+
+  return segments.reduce((result, [x0, y0, x1, y1]) => {
+    [x0, y0] = snapPoint(x0, y0);
+    [x1, y1] = snapPoint(x1, y1);
+
+    if (x0 === x1 && y0 === y1) return result;
+
+    let key = [`${x0},${y0}`, `${x1},${y1}`].sort().join(';');
+    if (unique[key]) return result;
+    unique[key] = true;
+
+    result.push([x0, y0, x1, y1]);
+    return result;
+  }, []);
+}
@@ -0,0 +1,9 @@
+import * as DXFImporter from './dxf';
+
+export {
+  DXFImporter
+};
+
+export default {
+  DXFImporter
+};
@@ -12,6 +12,8 @@ import ReactPlannerReducers from './reducers/export';
 import ReactPlannerClasses from './class/export';
 import ElementsFactories from './catalog/factories/export';
 import ReactPlannerUtils from './utils/export';
+import ReactPlannerExporters from './exporters/export';
+import ReactPlannerImporters from './importers/export';
 
 export {
   Catalog,
@@ -27,5 +29,7 @@ export {
   ReactPlannerReducers,
   ReactPlannerClasses,
   ElementsFactories,
-  ReactPlannerUtils
+  ReactPlannerUtils,
+  ReactPlannerExporters,
+  ReactPlannerImporters
 };
@@ -1,5 +1,5 @@
 import {Record, List, Map, fromJS} from 'immutable';
-import {MODE_IDLE} from './constants';
+import {MODE_IDLE, ROOF_NONE} from './constants';
 import {SNAP_MASK} from './utils/snap';
 
 let safeLoadMapList = (mapList, Model, defaultMap) => {
@@ -48,6 +48,8 @@ export class ElementsSet extends Record({
   holes: new List(),
   areas: new List(),
   items: new List(),
+  dimensions: new List(),
+  annotations: new List(),
 }, 'ElementsSet') {
   constructor(json = {}) {
     super({
@@ -55,7 +57,9 @@ export class ElementsSet extends Record({
       lines: new List(json.lines || []),
       holes: new List(json.holes || []),
       areas: new List(json.areas || []),
-      items: new List(json.items || [])
+      items: new List(json.items || []),
+      dimensions: new List(json.dimensions || []),
+      annotations: new List(json.annotations || [])
     });
   }
 }
@@ -93,7 +97,8 @@ export class Line extends Record({
   ...sharedAttributes,
   prototype: 'lines',
   vertices: new List(),
-  holes: new List()
+  holes: new List(),
+  bulge: 0
 }, 'Line') {
   constructor(json = {}) {
     super({
@@ -149,9 +154,60 @@ export class Item extends Record({
   }
 }
 
+export class BackgroundImage extends Record({
+  src: '',
+  name: '',
+  x: 0,
+  y: 0,
+  width: 0,
+  height: 0,
+  rotation: 0,
+  opacity: 0.5,
+  locked: false,
+  visible: true
+}, 'BackgroundImage') {
+  constructor(json = {}) {
+    super(json);
+  }
+}
+
+//the points of a dimension follow the vertex they were placed on, x and y are used when there is none
+export class Dimension extends Record({
+  ...sharedAttributes,
+  prototype: 'dimensions',
+  points: new List(),
+  offset: 0,
+  angle: 0
+}, 'Dimension') {
+  constructor(json = {}) {
+    super({
+      ...json,
+      properties: fromJS(json.properties || {}),
+      points: fromJS(json.points || [])
+    });
+  }
+}
+
+export class Annotation extends Record({
+  ...sharedAttributes,
+  prototype: 'annotations',
+  points: new List(),
+  rotation: 0
+}, 'Annotation') {
+  constructor(json = {}) {
+    super({
+      ...json,
+      properties: fromJS(json.properties || {}),
+      points: fromJS(json.points || [])
+    });
+  }
+}
+
 export class Layer extends Record({
   id: '',
-  altitude: 0,
+  altitude: 0,          //the altitude and the sizes of the storey are in centimetres, like the lengths of the elements
+  height: 300,          //floor to floor height of the storey, the height of the walls drawn on it
+  slabThickness: 20,    //the slab under the storey, over the storey below
   order: 0,
   opacity: 1,
   name: '',
@@ -161,7 +217,10 @@ export class Layer extends Record({
   holes: new Map(),
   areas: new Map(),
   items: new Map(),
+  dimensions: new Map(),
+  annotations: new Map(),
   selected: new ElementsSet(),
+  backgroundImage: null
 }, 'Layer') {
   constructor(json = {}) {
     super({
@@ -171,7 +230,10 @@ export class Layer extends Record({
       holes: safeLoadMapList(json.holes, Hole),
       areas: safeLoadMapList(json.areas, Area),
       items: safeLoadMapList(json.items, Item),
-      selected: new ElementsSet(json.selected)
+      dimensions: safeLoadMapList(json.dimensions, Dimension),
+      annotations: safeLoadMapList(json.annotations, Annotation),
+      selected: new ElementsSet(json.selected),
+      backgroundImage: json.backgroundImage ? new BackgroundImage(json.backgroundImage) : null
     });
   }
 }
@@ -199,6 +261,19 @@ export const DefaultLayers = new Map({
 });
 
 
+//the roof over the walls of the top layer, pitch in degrees, overhang and thickness in scene units
+export class Roof extends Record({
+  type: ROOF_NONE,
+  pitch: 30,
+  overhang: 50,
+  thickness: 20,
+  color: '#a0522d'
+}, 'Roof') {
+  constructor(json = {}) {
+    super(json);
+  }
+}
+
 export class Scene extends Record({
   unit: 'cm',
   layers: new Map(),
@@ -208,7 +283,8 @@ export class Scene extends Record({
   width: 3000,
   height: 2000,
   meta: new Map(),   //additional info
-  guides: new Map()
+  guides: new Map(),
+  roof: new Roof()
 }, 'Scene') {
   constructor(json = {}) {
     let layers = safeLoadMapList(json.layers, Layer, DefaultLayers);
@@ -219,7 +295,8 @@ export class Scene extends Record({
       selectedLayer: layers.first().id,
       groups: safeLoadMapList(json.groups || {}, Group),
       meta: json.meta ? fromJS(json.meta) : new Map(),
-      guides: json.guides ? fromJS(json.guides) : new Map({ horizontal: new Map(), vertical: new Map(), circular: new Map() })
+      guides: json.guides ? fromJS(json.guides) : new Map({ horizontal: new Map(), vertical: new Map(), circular: new Map() }),
+      roof: new Roof(json.roof)
     });
   }
 }
@@ -284,13 +361,15 @@ export class Catalog extends Record({
 export class HistoryStructure extends Record({
   list: new List(),
   first: null,
-  last: null
+  last: null,
+  redoList: new List()
 }, 'HistoryStructure' ){
   constructor( json = {} ){
     super({
       list: fromJS( json.list || [] ),
       first: new Scene( json.scene ),
-      last: new Scene( json.last || json.scene )
+      last: new Scene( json.last || json.scene ),
+      redoList: new List()
     });
   }
 }
@@ -301,10 +380,12 @@ export class State extends Record({
   sceneHistory: new HistoryStructure(),
   catalog: new Catalog(),
   viewer2D: new Map(),
+  viewer3D: new Map({ceilingsHidden: false, storeysShown: null}),   //the ceilings and the roof are hidden and the storeys above storeysShown cut away in the orbit view
   mouse: new Map({x: 0, y: 0}),
   zoom: 0,
   snapMask: SNAP_MASK,
   snapElements: new List(),
+  snapIndex: new Map(),   //the snaps of the scene indexed by layer, see updateStateSnapIndex
   activeSnapElement: null,
   drawingSupport: new Map(),
   draggingSupport: new Map(),
@@ -314,7 +395,8 @@ export class State extends Record({
   clipboardProperties: new Map(),
   selectedElementsHistory: new List(),
   misc: new Map(),   //additional info
-  alterate: false
+  alterate: false,
+  detectedGraphs: new Map()   //the vertices and the lines of each layer when its areas were last detected, cleared whenever the scene is replaced
 }, 'State') {
   constructor(json = {}) {
     super({
@@ -323,6 +405,7 @@ export class State extends Record({
       sceneHistory: new HistoryStructure(json),
       catalog: new Catalog(json.catalog || {}),
       viewer2D: new Map(json.viewer2D || {}),
+      viewer3D: new Map(json.viewer3D || {ceilingsHidden: false, storeysShown: null}),
       drawingSupport: new Map(json.drawingSupport || {}),
       draggingSupport: new Map(json.draggingSupport || {}),
       rotatingSupport: new Map(json.rotatingSupport || {}),
@@ -9,19 +9,28 @@ import {
 import {
   rollback,
   undo,
+  redo,
   remove,
   toggleSnap,
   copyProperties,
   pasteProperties,
+  pasteElements,
   setAlterateState
 } from '../actions/project-actions';
 
+import { ClipboardUtils } from '../utils/export';
+
+//keys typed in the sidebar fields, like the text of an annotation, are not shortcuts
+const isTextField = target => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
 export default function keyboard() {
 
   return (store, stateExtractor) => {
 
     window.addEventListener('keydown', event => {
 
+      if (isTextField(event.target)) return;
+
       let state = stateExtractor(store.getState());
       let mode = state.get('mode');
 
@@ -41,7 +50,13 @@ export default function keyboard() {
         case KEYBOARD_BUTTON_CODE.Z:
         {
           if (event.getModifierState('Control') || event.getModifierState('Meta'))
-            store.dispatch(undo());
+            store.dispatch(event.getModifierState('Shift') ? redo() : undo());
+          break;
+        }
+        case KEYBOARD_BUTTON_CODE.Y:
+        {
+          if (event.getModifierState('Control') || event.getModifierState('Meta'))
+            store.dispatch(redo());
           break;
         }
         case KEYBOARD_BUTTON_CODE.ALT:
@@ -53,12 +68,26 @@ export default function keyboard() {
               SNAP_SEGMENT: false,
               SNAP_GRID : false,
               SNAP_GUIDE : false,
+              SNAP_ANGLE : false,
               tempSnapConfiguartion: state.snapMask.toJS()
             })));
           break;
         }
+        case KEYBOARD_BUTTON_CODE.SHIFT:
+        {
+          //holding shift constrains the angles, releasing it restores the toggle
+          if (MODE_SNAPPING.includes(mode) && !event.repeat)
+            store.dispatch(toggleSnap(state.snapMask.merge({
+              SNAP_ANGLE: true,
+              tempSnapAngle: state.snapMask.get('SNAP_ANGLE')
+            })));
+          break;
+        }
         case KEYBOARD_BUTTON_CODE.C:
         {
+          //with ctrl the elements themselves are copied, by the copy event
+          if (event.getModifierState('Control') || event.getModifierState('Meta')) break;
+
           let selectedLayer = state.getIn(['scene', 'selectedLayer']);
           let selected = state.getIn(['scene', 'layers', selectedLayer, 'selected']);
 
@@ -84,6 +113,8 @@ export default function keyboard() {
         }
         case KEYBOARD_BUTTON_CODE.V:
         {
+          if (event.getModifierState('Control') || event.getModifierState('Meta')) break;
+
           store.dispatch(pasteProperties());
           break;
         }
@@ -96,6 +127,39 @@ export default function keyboard() {
 
     });
 
+    //the copied elements go to the system clipboard as JSON, so they can be pasted in another tab or project
+    let copyElements = (event, cut) => {
+      if (isTextField(event.target)) return;
+
+      let state = stateExtractor(store.getState());
+      if (![MODE_IDLE, MODE_3D_FIRST_PERSON, MODE_3D_VIEW].includes(state.get('mode'))) return;
+
+      let clipboard = ClipboardUtils.copyElements(state.scene, state.getIn(['scene', 'selectedLayer']));
+      if (!clipboard) return;
+
+      event.clipboardData.setData('text/plain', JSON.stringify(clipboard));
+      event.preventDefault();
+
+      if (cut) store.dispatch(remove());
+    };
+
+    window.addEventListener('copy', event => copyElements(event, false));
+    window.addEventListener('cut', event => copyElements(event, true));
+
+    //the pasted elements are centered on the cursor, in the selected layer
+    window.addEventListener('paste', event => {
+      if (isTextField(event.target)) return;
+
+      let state = stateExtractor(store.getState());
+      if (![MODE_IDLE, MODE_3D_FIRST_PERSON, MODE_3D_VIEW].includes(state.get('mode'))) return;
+
+      let clipboard = ClipboardUtils.parseClipboard(event.clipboardData.getData('text/plain'));
+      if (!clipboard) return;
+
+      event.preventDefault();
+      store.dispatch(pasteElements(state.getIn(['scene', 'selectedLayer']), clipboard, state.mouse.get('x'), state.mouse.get('y')));
+    });
+
     window.addEventListener('keyup', event => {
 
       let state = stateExtractor(store.getState());
@@ -108,6 +172,12 @@ export default function keyboard() {
             store.dispatch(toggleSnap(state.snapMask.merge(state.snapMask.get('tempSnapConfiguartion'))));
           break;
         }
+        case KEYBOARD_BUTTON_CODE.SHIFT:
+        {
+          if (state.snapMask.has('tempSnapAngle'))
+            store.dispatch(toggleSnap(state.snapMask.set('SNAP_ANGLE', state.snapMask.get('tempSnapAngle')).delete('tempSnapAngle')));
+          break;
+        }
         case KEYBOARD_BUTTON_CODE.CTRL:
         {
           store.dispatch(setAlterateState());
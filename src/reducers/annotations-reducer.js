@@ -0,0 +1,61 @@
+import { Annotation } from '../class/export';
+import { history } from '../utils/export';
+import {
+  SELECT_ANNOTATION,
+  SELECT_TOOL_DRAWING_ANNOTATION,
+  BEGIN_DRAWING_ANNOTATION,
+  UPDATE_DRAWING_ANNOTATION,
+  END_DRAWING_ANNOTATION,
+  BEGIN_DRAGGING_ANNOTATION,
+  UPDATE_DRAGGING_ANNOTATION,
+  END_DRAGGING_ANNOTATION,
+  SET_ANNOTATION_ATTRIBUTES,
+  SET_ANNOTATION_PROPERTIES,
+  REMOVE_ANNOTATION
+} from '../constants';
+
+export default function (state, action) {
+
+  switch (action.type) {
+    case SELECT_ANNOTATION:
+      return Annotation.select(state, action.layerID, action.annotationID).updatedState;
+
+    case SELECT_TOOL_DRAWING_ANNOTATION:
+      return Annotation.selectToolDrawingAnnotation(state, action.annotationType).updatedState;
+
+    case BEGIN_DRAWING_ANNOTATION:
+      return Annotation.beginDrawingAnnotation(state, action.layerID, action.x, action.y).updatedState;
+
+    case UPDATE_DRAWING_ANNOTATION:
+      return Annotation.updateDrawingAnnotation(state, action.x, action.y).updatedState;
+
+    case END_DRAWING_ANNOTATION:
+      state = Annotation.endDrawingAnnotation(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case BEGIN_DRAGGING_ANNOTATION:
+      return Annotation.beginDraggingAnnotation(state, action.layerID, action.annotationID, action.x, action.y).updatedState;
+
+    case UPDATE_DRAGGING_ANNOTATION:
+      return Annotation.updateDraggingAnnotation(state, action.x, action.y).updatedState;
+
+    case END_DRAGGING_ANNOTATION:
+      state = Annotation.endDraggingAnnotation(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SET_ANNOTATION_ATTRIBUTES:
+      state = Annotation.setAttributes(state, action.layerID, action.annotationID, action.annotationAttributes).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SET_ANNOTATION_PROPERTIES:
+      state = Annotation.setProperties(state, action.layerID, action.annotationID, action.properties).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case REMOVE_ANNOTATION:
+      state = Annotation.remove(state, action.layerID, action.annotationID).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    default:
+      return state;
+  }
+}
@@ -0,0 +1,48 @@
+import { Dimension } from '../class/export';
+import { history } from '../utils/export';
+import {
+  SELECT_DIMENSION,
+  SELECT_TOOL_DRAWING_DIMENSION,
+  BEGIN_DRAWING_DIMENSION,
+  UPDATE_DRAWING_DIMENSION,
+  END_DRAWING_DIMENSION,
+  SET_DIMENSION_ATTRIBUTES,
+  SET_DIMENSION_PROPERTIES,
+  REMOVE_DIMENSION
+} from '../constants';
+
+export default function (state, action) {
+
+  switch (action.type) {
+    case SELECT_DIMENSION:
+      return Dimension.select(state, action.layerID, action.dimensionID).updatedState;
+
+    case SELECT_TOOL_DRAWING_DIMENSION:
+      return Dimension.selectToolDrawingDimension(state, action.dimensionType).updatedState;
+
+    case BEGIN_DRAWING_DIMENSION:
+      return Dimension.beginDrawingDimension(state, action.layerID, action.x, action.y).updatedState;
+
+    case UPDATE_DRAWING_DIMENSION:
+      return Dimension.updateDrawingDimension(state, action.x, action.y).updatedState;
+
+    case END_DRAWING_DIMENSION:
+      state = Dimension.endDrawingDimension(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SET_DIMENSION_ATTRIBUTES:
+      state = Dimension.setAttributes(state, action.layerID, action.dimensionID, action.dimensionAttributes).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SET_DIMENSION_PROPERTIES:
+      state = Dimension.setProperties(state, action.layerID, action.dimensionID, action.properties).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case REMOVE_DIMENSION:
+      state = Dimension.remove(state, action.layerID, action.dimensionID).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    default:
+      return state;
+  }
+}
@@ -3,6 +3,9 @@ import ReactPlannerHolesReducer from './holes-reducer';
 import ReactPlannerItemsReducer from './items-reducer';
 import ReactPlannerLinesReducer from './lines-reducer';
 import ReactPlannerGroupsReducer from './groups-reducer';
+import ReactPlannerDimensionsReducer from './dimensions-reducer';
+import ReactPlannerAnnotationsReducer from './annotations-reducer';
+import ReactPlannerTransformReducer from './transform-reducer';
 import ReactPlannerProjectReducer from './project-reducer';
 import ReactPlannerSceneReducer from './scene-reducer';
 import ReactPlannerVerticesReducer from './vertices-reducer';
@@ -15,6 +18,9 @@ export {
   ReactPlannerItemsReducer,
   ReactPlannerLinesReducer,
   ReactPlannerGroupsReducer,
+  ReactPlannerDimensionsReducer,
+  ReactPlannerAnnotationsReducer,
+  ReactPlannerTransformReducer,
   ReactPlannerProjectReducer,
   ReactPlannerSceneReducer,
   ReactPlannerVerticesReducer,
@@ -28,6 +34,9 @@ export default {
   ReactPlannerItemsReducer,
   ReactPlannerLinesReducer,
   ReactPlannerGroupsReducer,
+  ReactPlannerDimensionsReducer,
+  ReactPlannerAnnotationsReducer,
+  ReactPlannerTransformReducer,
   ReactPlannerProjectReducer,
   ReactPlannerSceneReducer,
   ReactPlannerVerticesReducer,
@@ -13,26 +13,24 @@ import {
 export default function (state, action) {
   switch (action.type) {
     case SELECT_TOOL_DRAWING_HOLE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Hole.selectToolDrawingHole(state, action.sceneComponentType).updatedState;
 
     case UPDATE_DRAWING_HOLE:
       return Hole.updateDrawingHole(state, action.layerID, action.x, action.y).updatedState;
 
     case END_DRAWING_HOLE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Hole.endDrawingHole(state, action.layerID, action.x, action.y).updatedState;
+      state = Hole.endDrawingHole(state, action.layerID, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case BEGIN_DRAGGING_HOLE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Hole.beginDraggingHole(state, action.layerID, action.holeID, action.x, action.y).updatedState;
 
     case UPDATE_DRAGGING_HOLE:
       return Hole.updateDraggingHole(state, action.x, action.y).updatedState;
 
     case END_DRAGGING_HOLE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Hole.endDraggingHole(state, action.x, action.y).updatedState;
+      state = Hole.endDraggingHole(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case SELECT_HOLE:
       return Hole.select( state, action.layerID, action.holeID ).updatedState;
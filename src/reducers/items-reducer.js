@@ -10,7 +10,11 @@ import {
   BEGIN_ROTATING_ITEM,
   UPDATE_ROTATING_ITEM,
   END_ROTATING_ITEM,
-  SELECT_ITEM
+  SELECT_ITEM,
+  SELECT_TOOL_ITEMS_ARRAY,
+  UPDATE_ITEMS_ARRAY,
+  END_ITEMS_ARRAY,
+  CREATE_ITEMS_ARRAY
 } from '../constants';
 
 export default function (state, action) {
@@ -19,37 +23,48 @@ export default function (state, action) {
       return Item.select(state, action.layerID, action.itemID).updatedState;
 
     case SELECT_TOOL_DRAWING_ITEM:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Item.selectToolDrawingItem(state, action.sceneComponentType).updatedState;
 
     case UPDATE_DRAWING_ITEM:
       return Item.updateDrawingItem(state, action.layerID, action.x, action.y).updatedState;
 
     case END_DRAWING_ITEM:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Item.endDrawingItem(state, action.layerID, action.x, action.y).updatedState;
+      state = Item.endDrawingItem(state, action.layerID, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case BEGIN_DRAGGING_ITEM:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Item.beginDraggingItem(state, action.layerID, action.itemID, action.x, action.y).updatedState;
 
     case UPDATE_DRAGGING_ITEM:
       return Item.updateDraggingItem(state, action.x, action.y).updatedState;
 
     case END_DRAGGING_ITEM:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Item.endDraggingItem(state, action.x, action.y).updatedState;
+      state = Item.endDraggingItem(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case BEGIN_ROTATING_ITEM:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Item.beginRotatingItem(state, action.layerID, action.itemID, action.x, action.y).updatedState;
 
     case UPDATE_ROTATING_ITEM:
       return Item.updateRotatingItem(state, action.x, action.y).updatedState;
 
     case END_ROTATING_ITEM:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Item.endRotatingItem(state, action.x, action.y).updatedState;
+      state = Item.endRotatingItem(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SELECT_TOOL_ITEMS_ARRAY:
+      return Item.selectToolItemsArray(state, action.arrayType, action.parameters).updatedState;
+
+    case UPDATE_ITEMS_ARRAY:
+      return Item.updateItemsArray(state, action.x, action.y).updatedState;
+
+    case END_ITEMS_ARRAY:
+      state = Item.endItemsArray(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case CREATE_ITEMS_ARRAY:
+      state = Item.createArray(state, action.layerID, action.arrayType, action.parameters, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     default:
       return state;
@@ -5,10 +5,16 @@ import {
   BEGIN_DRAWING_LINE,
   UPDATE_DRAWING_LINE,
   END_DRAWING_LINE,
+  PLACE_DRAWING_LINE_VERTEX,
   BEGIN_DRAGGING_LINE,
   UPDATE_DRAGGING_LINE,
   END_DRAGGING_LINE,
-  SELECT_LINE
+  SELECT_LINE,
+  SELECT_TOOL_DRAWING_ROOM,
+  BEGIN_DRAWING_ROOM,
+  UPDATE_DRAWING_ROOM,
+  END_DRAWING_ROOM,
+  MODE_DRAWING_LINE
 } from '../constants';
 
 export default function (state, action) {
@@ -18,30 +24,49 @@ export default function (state, action) {
       return Line.selectToolDrawingLine(state, action.sceneComponentType).updatedState;
 
     case BEGIN_DRAWING_LINE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Line.beginDrawingLine(state, action.layerID, action.x, action.y).updatedState;
 
     case UPDATE_DRAWING_LINE:
       return Line.updateDrawingLine(state, action.x, action.y).updatedState;
 
     case END_DRAWING_LINE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Line.endDrawingLine(state, action.x, action.y).updatedState;
+      state = Line.endDrawingLine(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case PLACE_DRAWING_LINE_VERTEX:
+      //the typed vertex ends the line being drawn, that is recorded before the next one begins
+      if (state.mode === MODE_DRAWING_LINE) {
+        state = Line.endDrawingLine(state, action.x, action.y, false).updatedState;
+        state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, END_DRAWING_LINE) });
+      }
+      return Line.placeDrawingLineVertex(state, action.layerID, action.x, action.y).updatedState;
 
     case BEGIN_DRAGGING_LINE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Line.beginDraggingLine(state, action.layerID, action.lineID, action.x, action.y).updatedState;
 
     case UPDATE_DRAGGING_LINE:
       return Line.updateDraggingLine(state, action.x, action.y).updatedState;
 
     case END_DRAGGING_LINE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Line.endDraggingLine(state, action.x, action.y).updatedState;
+      state = Line.endDraggingLine(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case SELECT_LINE:
       return Line.select(state, action.layerID, action.lineID).updatedState;
 
+    case SELECT_TOOL_DRAWING_ROOM:
+      return Line.selectToolDrawingRoom(state, action.sceneComponentType, action.wallsPosition).updatedState;
+
+    case BEGIN_DRAWING_ROOM:
+      return Line.beginDrawingRoom(state, action.layerID, action.x, action.y).updatedState;
+
+    case UPDATE_DRAWING_ROOM:
+      return Line.updateDrawingRoom(state, action.x, action.y).updatedState;
+
+    case END_DRAWING_ROOM:
+      state = Line.endDrawingRoom(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
     default:
       return state;
   }
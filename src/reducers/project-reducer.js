@@ -10,11 +10,20 @@ import {
   SET_ITEMS_ATTRIBUTES,
   SET_LINES_ATTRIBUTES,
   SET_HOLES_ATTRIBUTES,
+  SET_AREAS_ATTRIBUTES,
   REMOVE,
   UNDO,
+  REDO,
+  JUMP_TO_HISTORY_ENTRY,
+  ADD_HISTORY_CHECKPOINT,
+  RENAME_HISTORY_CHECKPOINT,
+  BEGIN_IMPORTING_DXF,
+  END_IMPORTING_DXF,
   ROLLBACK,
   SET_PROJECT_PROPERTIES,
   OPEN_PROJECT_CONFIGURATOR,
+  OPEN_PLAN_EXPORTER,
+  OPEN_REPORT,
   INIT_CATALOG,
   UPDATE_MOUSE_COORDS,
   UPDATE_ZOOM_SCALE,
@@ -33,7 +42,12 @@ import {
   ADD_CIRCULAR_GUIDE,
   REMOVE_HORIZONTAL_GUIDE,
   REMOVE_VERTICAL_GUIDE,
-  REMOVE_CIRCULAR_GUIDE
+  REMOVE_CIRCULAR_GUIDE,
+  SELECT_ELEMENTS,
+  BEGIN_SELECTING_BOX,
+  UPDATE_SELECTING_BOX,
+  END_SELECTING_BOX,
+  PASTE_ELEMENTS
 } from '../constants';
 
 import { Project } from '../class/export';
@@ -63,39 +77,67 @@ export default function (state, action) {
       return Project.unselectAll(state).updatedState;
 
     case SET_PROPERTIES:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.setProperties(state, state.getIn(['scene', 'selectedLayer']), action.properties).updatedState;
+      state = Project.setProperties(state, state.getIn(['scene', 'selectedLayer']), action.properties).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case SET_ITEMS_ATTRIBUTES:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.setItemsAttributes(state, action.itemsAttributes).updatedState;
+      state = Project.setItemsAttributes(state, action.itemsAttributes).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case SET_LINES_ATTRIBUTES:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.setLinesAttributes(state, action.linesAttributes).updatedState;
+      state = Project.setLinesAttributes(state, action.linesAttributes).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case SET_HOLES_ATTRIBUTES:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.setHolesAttributes(state, action.holesAttributes).updatedState;
+      state = Project.setHolesAttributes(state, action.holesAttributes).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SET_AREAS_ATTRIBUTES:
+      state = Project.setAreasAttributes(state, action.areasAttributes).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case REMOVE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.remove(state).updatedState;
+      state = Project.remove(state).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case UNDO:
       return Project.undo(state).updatedState;
 
+    case REDO:
+      return Project.redo(state).updatedState;
+
+    case JUMP_TO_HISTORY_ENTRY:
+      return Project.jumpToHistoryEntry(state, action.index).updatedState;
+
+    case ADD_HISTORY_CHECKPOINT:
+      return Project.addHistoryCheckpoint(state, action.name).updatedState;
+
+    case RENAME_HISTORY_CHECKPOINT:
+      return Project.renameHistoryCheckpoint(state, action.index, action.name).updatedState;
+
     case ROLLBACK:
       return Project.rollback(state).updatedState;
 
+    case BEGIN_IMPORTING_DXF:
+      return Project.beginImportingDXF(state, action.dxf).updatedState;
+
+    case END_IMPORTING_DXF:
+      state = Project.endImportingDXF(state, action.dxfLayers, action.options).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
     case SET_PROJECT_PROPERTIES:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.setProjectProperties(state, action.properties).updatedState;
+      state = Project.setProjectProperties(state, action.properties).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case OPEN_PROJECT_CONFIGURATOR:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Project.openProjectConfigurator(state).updatedState;
 
+    case OPEN_PLAN_EXPORTER:
+      return Project.openPlanExporter(state).updatedState;
+
+    case OPEN_REPORT:
+      return Project.openReport(state).updatedState;
+
     case INIT_CATALOG:
       return Project.initCatalog(state, action.catalog).updatedState;
 
@@ -118,8 +160,8 @@ export default function (state, action) {
       return Project.copyProperties(state, action.properties).updatedState;
 
     case PASTE_PROPERTIES:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.pasteProperties(state).updatedState;
+      state = Project.pasteProperties(state).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY:
       return Project.pushLastSelectedCatalogElementToHistory(state, action.element).updatedState;
@@ -131,23 +173,44 @@ export default function (state, action) {
       return Project.setMode(state, action.mode).updatedState;
     
     case ADD_HORIZONTAL_GUIDE:
-      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.addHorizontalGuide(state, action.coordinate).updatedState;
+      state = Project.addHorizontalGuide(state, action.coordinate).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
     
     case ADD_VERTICAL_GUIDE:
-      return Project.addVerticalGuide(state, action.coordinate).updatedState;
+      state = Project.addVerticalGuide(state, action.coordinate).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
     
     case ADD_CIRCULAR_GUIDE:
-      return Project.addCircularGuide(state, action.x, action.y, action.radius).updatedState;
+      state = Project.addCircularGuide(state, action.x, action.y, action.radius).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case REMOVE_HORIZONTAL_GUIDE:
-      return Project.removeHorizontalGuide(state, action.guideID).updatedState;
+      state = Project.removeHorizontalGuide(state, action.guideID).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case REMOVE_VERTICAL_GUIDE:
-      return Project.removeVerticalGuide(state, action.guideID).updatedState;
+      state = Project.removeVerticalGuide(state, action.guideID).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case REMOVE_CIRCULAR_GUIDE:
-      return Project.removeCircularGuide(state, action.guideID).updatedState;
+      state = Project.removeCircularGuide(state, action.guideID).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SELECT_ELEMENTS:
+      return Project.selectElements(state, action.layerID, action.elements, action.selection).updatedState;
+
+    case BEGIN_SELECTING_BOX:
+      return Project.beginSelectingBox(state, action.layerID, action.x, action.y, action.selection, action.element).updatedState;
+
+    case UPDATE_SELECTING_BOX:
+      return Project.updateSelectingBox(state, action.x, action.y).updatedState;
+
+    case END_SELECTING_BOX:
+      return Project.endSelectingBox(state, action.x, action.y).updatedState;
+
+    case PASTE_ELEMENTS:
+      state = Project.pasteElements(state, action.layerID, action.clipboard, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     default:
       return state;
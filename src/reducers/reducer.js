@@ -3,6 +3,9 @@ import {
   VIEWER2D_ACTIONS,
   VIEWER3D_ACTIONS,
   GROUP_ACTIONS,
+  DIMENSION_ACTIONS,
+  ANNOTATION_ACTIONS,
+  TRANSFORM_ACTIONS,
   ITEMS_ACTIONS,
   HOLE_ACTIONS,
   LINE_ACTIONS,
@@ -17,6 +20,9 @@ import {
   ReactPlannerItemsReducer,
   ReactPlannerLinesReducer,
   ReactPlannerGroupsReducer,
+  ReactPlannerDimensionsReducer,
+  ReactPlannerAnnotationsReducer,
+  ReactPlannerTransformReducer,
   ReactPlannerProjectReducer,
   ReactPlannerSceneReducer,
   ReactPlannerVerticesReducer,
@@ -37,6 +43,9 @@ export default function appReducer(state, action) {
   if( LINE_ACTIONS[action.type] ) return ReactPlannerLinesReducer(...arguments);
   if( AREA_ACTIONS[action.type] ) return ReactPlannerAreasReducer(...arguments);
   if( GROUP_ACTIONS[action.type] ) return ReactPlannerGroupsReducer(...arguments);
+  if( DIMENSION_ACTIONS[action.type] ) return ReactPlannerDimensionsReducer(...arguments);
+  if( ANNOTATION_ACTIONS[action.type] ) return ReactPlannerAnnotationsReducer(...arguments);
+  if( TRANSFORM_ACTIONS[action.type] ) return ReactPlannerTransformReducer(...arguments);
   if( SCENE_ACTIONS[action.type] ) return ReactPlannerSceneReducer(...arguments);
   if( VERTEX_ACTIONS[action.type] ) return ReactPlannerVerticesReducer(...arguments);
 
@@ -1,28 +1,75 @@
-import { Layer } from '../class/export';
+import { Layer, BackgroundImage, Project } from '../class/export';
 import { history } from '../utils/export';
 import {
   ADD_LAYER,
+  ADD_STOREY,
   SELECT_LAYER,
   SET_LAYER_PROPERTIES,
-  REMOVE_LAYER
+  REMOVE_LAYER,
+  SELECT_TOOL_UPLOAD_IMAGE,
+  BEGIN_UPLOADING_IMAGE,
+  END_UPLOADING_IMAGE,
+  SELECT_TOOL_FIT_IMAGE,
+  BEGIN_FITTING_IMAGE,
+  END_FITTING_IMAGE,
+  SET_BACKGROUND_IMAGE_ATTRIBUTES,
+  REMOVE_BACKGROUND_IMAGE,
+  SET_ROOF_PROPERTIES
 } from '../constants';
 
 export default function (state, action) {
 
-  state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-
   switch (action.type) {
     case ADD_LAYER:
-      return Layer.create( state, action.name, action.altitude).updatedState;
+      state = Layer.create( state, action.name, action.altitude).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case ADD_STOREY:
+      state = Layer.createStorey( state, action.copyOuterWalls ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case SELECT_LAYER:
       return Layer.select( state, action.layerID ).updatedState;
 
     case SET_LAYER_PROPERTIES:
-      return Layer.setProperties( state, action.layerID, action.properties ).updatedState;
+      state = Layer.setProperties( state, action.layerID, action.properties ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     case REMOVE_LAYER:
-      return Layer.remove( state, action.layerID ).updatedState;
+      state = Layer.remove( state, action.layerID ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SELECT_TOOL_UPLOAD_IMAGE:
+      return BackgroundImage.selectToolUpload( state ).updatedState;
+
+    case BEGIN_UPLOADING_IMAGE:
+      return BackgroundImage.beginUploading( state ).updatedState;
+
+    case END_UPLOADING_IMAGE:
+      state = BackgroundImage.endUploading( state, action.src, action.width, action.height, action.name ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SELECT_TOOL_FIT_IMAGE:
+      return BackgroundImage.selectToolFit( state, action.layerID ).updatedState;
+
+    case BEGIN_FITTING_IMAGE:
+      return BackgroundImage.beginFitting( state, action.x, action.y ).updatedState;
+
+    case END_FITTING_IMAGE:
+      state = BackgroundImage.endFitting( state, action.x, action.y, action.distance ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SET_BACKGROUND_IMAGE_ATTRIBUTES:
+      state = BackgroundImage.setAttributes( state, action.layerID, action.attributes ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case REMOVE_BACKGROUND_IMAGE:
+      state = BackgroundImage.remove( state, action.layerID ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SET_ROOF_PROPERTIES:
+      state = Project.setRoofProperties( state, action.properties ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     default:
       return state;
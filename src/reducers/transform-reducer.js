@@ -0,0 +1,49 @@
+import { Transform } from '../class/export';
+import { history } from '../utils/export';
+import {
+  SELECT_TOOL_TRANSFORM,
+  BEGIN_TRANSFORM,
+  UPDATE_TRANSFORM,
+  END_TRANSFORM,
+  MOVE_SELECTION,
+  ROTATE_SELECTION,
+  MIRROR_SELECTION,
+  SCALE_SELECTION
+} from '../constants';
+
+export default function (state, action) {
+
+  switch (action.type) {
+    case SELECT_TOOL_TRANSFORM:
+      return Transform.selectToolTransform(state, action.transformType, action.parameters).updatedState;
+
+    case BEGIN_TRANSFORM:
+      return Transform.beginTransform(state, action.x, action.y).updatedState;
+
+    case UPDATE_TRANSFORM:
+      return Transform.updateTransform(state, action.x, action.y).updatedState;
+
+    case END_TRANSFORM:
+      state = Transform.endTransform(state, action.x, action.y).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case MOVE_SELECTION:
+      state = Transform.move(state, action.layerID, action.dx, action.dy).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case ROTATE_SELECTION:
+      state = Transform.rotate(state, action.layerID, action.x, action.y, action.angle).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case MIRROR_SELECTION:
+      state = Transform.mirror(state, action.layerID, action.x1, action.y1, action.x2, action.y2).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    case SCALE_SELECTION:
+      state = Transform.scale(state, action.layerID, action.x, action.y, action.factor).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
+
+    default:
+      return state;
+  }
+}
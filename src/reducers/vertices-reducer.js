@@ -4,6 +4,7 @@ import {
   END_DRAGGING_VERTEX
 } from '../constants';
 import { Vertex } from '../class/export';
+import { history } from '../utils/export';
 
 export default function (state, action) {
   switch (action.type) {
@@ -14,7 +15,8 @@ export default function (state, action) {
       return Vertex.updateDraggingVertex( state, action.x, action.y ).updatedState;
 
     case END_DRAGGING_VERTEX:
-      return Vertex.endDraggingVertex( state, action.x, action.y ).updatedState;
+      state = Vertex.endDraggingVertex( state, action.x, action.y ).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene, action.type) });
 
     default:
       return state;
@@ -2,15 +2,13 @@ import {
   MODE_3D_VIEW,
   MODE_3D_FIRST_PERSON,
   SELECT_TOOL_3D_VIEW,
-  SELECT_TOOL_3D_FIRST_PERSON
+  SELECT_TOOL_3D_FIRST_PERSON,
+  TOGGLE_3D_CEILINGS,
+  SHOW_3D_STOREYS
 } from '../constants';
 import { Project } from '../class/export';
-import { history } from '../utils/export';
 
 export default function (state, action) {
-
-  state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-
   switch (action.type) {
     case SELECT_TOOL_3D_VIEW:
       state = Project.rollback( state ).updatedState;
@@ -22,6 +20,12 @@ export default function (state, action) {
       state = Project.setMode( state, MODE_3D_FIRST_PERSON ).updatedState;
       return state;
 
+    case TOGGLE_3D_CEILINGS:
+      return state.updateIn(['viewer3D', 'ceilingsHidden'], hidden => !hidden);
+
+    case SHOW_3D_STOREYS:
+      return state.setIn(['viewer3D', 'storeysShown'], action.layerID || null);
+
     default:
       return state;
   }
@@ -52,6 +52,9 @@ export const AREA_MESH_COLOR = {
   unselected: '#F5F4F4'
 };
 
+export const CEILING_MESH_COLOR = '#FFFFFF';
+export const SLAB_MESH_COLOR = '#D3D3D3';
+
 export const LINE_MESH_COLOR = {
   selected: MESH_SELECTED,
   unselected: '#8E9BA2'
@@ -4,23 +4,128 @@ export default {
   "2D View": "2D View",
   "3D First Person": "3D First Person",
   "3D View": "3D View",
+  "Action": "Action",
+  "Add annotation": "Add annotation",
+  "Add dimension": "Add dimension",
+  "Add group": "Add group",
+  "Add guide": "Add guide",
+  "Add hole": "Add hole",
+  "Add item": "Add item",
+  "Add layer": "Add layer",
+  "Add reference image": "Add reference image",
+  "Add storey": "Add storey",
+  "Add to Group": "Add to Group",
+  "After loading, click two points of the image and type their real distance to set its scale": "After loading, click two points of the image and type their real distance to set its scale",
+  "Aligned": "Aligned",
+  "All the storeys": "All the storeys",
+  "Allow pop-ups to print the plan": "Allow pop-ups to print the plan",
   "altitude": "altitude",
   "Altitude": "Altitude",
+  "Angle": "Angle",
+  "Angle step in degrees": "Angle step in degrees",
+  "Angular": "Angular",
+  "Annotation": "Annotation",
+  "Annotation tool": "Annotation tool",
+  "Annotations": "Annotations",
+  "Arc height": "Arc height",
+  "Arc size": "Arc size",
+  "Area": "Area",
   "Areas":"Areas",
+  "Array": "Array",
+  "Array items": "Array items",
+  "Array of items": "Array of items",
+  "Array tool": "Array tool",
+  "Bathroom": "Bathroom",
+  "Bedroom": "Bedroom",
+  "Calibrate reference image": "Calibrate reference image",
+  "Calibrate scale": "Calibrate scale",
   "Cancel": "Cancel",
+  "Carpet": "Carpet",
   "Catalog" : "Catalog",
+  "Category": "Category",
+  "ceiling color": "ceiling color",
+  "ceiling height": "ceiling height",
+  "Ceiling height": "Ceiling height",
+  "ceiling texture": "ceiling texture",
+  "Centered on the outline": "Centered on the outline",
+  "Chain along a wall": "Chain along a wall",
   "Chain selected Elements to Group":"Chain selected Elements to Group",
   "Circular":"Circular",
+  "Click a wall, then on the side where its chain dimension goes": "Click a wall, then on the side where its chain dimension goes",
+  "Click on the side the array goes to": "Click on the side the array goes to",
+  "Click the base point of the scaling": "Click the base point of the scaling",
+  "Click the base point, then where it goes": "Click the base point, then where it goes",
+  "Click the center of the array": "Click the center of the array",
+  "Click the point to rotate about": "Click the point to rotate about",
+  "Click the point to show, then where the text goes": "Click the point to show, then where the text goes",
+  "Click two opposite corners of the cloud": "Click two opposite corners of the cloud",
+  "Click two points of the mirror axis": "Click two points of the mirror axis",
+  "Click two points, then where the dimension goes": "Click two points, then where the dimension goes",
+  "Click two points, then where the dimension goes. It is horizontal or vertical depending on that side": "Click two points, then where the dimension goes. It is horizontal or vertical depending on that side",
+  "Click two walls, then inside the angle to measure": "Click two walls, then inside the angle to measure",
+  "Click where the north arrow goes": "Click where the north arrow goes",
+  "Click where the scale bar starts": "Click where the scale bar starts",
+  "Click where the text goes": "Click where the text goes",
+  "Close": "Close",
   "color":"color",
+  "Color": "Color",
+  "Column spacing": "Column spacing",
+  "Columns": "Columns",
+  "Concrete": "Concrete",
   "Configure layer": "Configure layer",
   "Configure project": "Configure project",
   "Confirm": "Confirm",
   "Copy":"Copy",
+  "Corridor": "Corridor",
+  "Count": "Count",
   "Delete group and all Elements":"Delete group and all Elements",
   "Delete layer": "Delete layer",
   "Delete": "Delete",
+  "Delete selection": "Delete selection",
+  "Dimension": "Dimension",
+  "Dimension tool": "Dimension tool",
+  "Dimensions": "Dimensions",
+  "Dining room": "Dining room",
+  "Divisions": "Divisions",
+  "door": "door",
+  "Doors and windows": "Doors and windows",
+  "Download CSV": "Download CSV",
+  "Download HTML": "Download HTML",
+  "Download SVG": "Download SVG",
+  "Drag to draw a rectangle, or click the corners and close the room on the first one": "Drag to draw a rectangle, or click the corners and close the room on the first one",
+  "Draw dimension": "Draw dimension",
+  "Draw room": "Draw room",
+  "Draw wall": "Draw wall",
+  "Drawing unit": "Drawing unit",
+  "Edit annotation": "Edit annotation",
+  "Edit area": "Edit area",
+  "Edit dimension": "Edit dimension",
+  "Edit hole": "Edit hole",
+  "Edit item": "Edit item",
+  "Edit layer": "Edit layer",
+  "Edit project": "Edit project",
+  "Edit properties": "Edit properties",
+  "Edit reference image": "Edit reference image",
+  "Edit roof": "Edit roof",
+  "Edit wall": "Edit wall",
   "Elements on layer {0}": "Elements on layer {0}",
   "Elements":"Elements",
+  "entities": "entities",
+  "Export 3D model (glTF)": "Export 3D model (glTF)",
+  "Export to DXF": "Export to DXF",
+  "Export to IFC": "Export to IFC",
+  "Factor": "Factor",
+  "Finish": "Finish",
+  "Fixed end": "Fixed end",
+  "Flat": "Flat",
+  "floor finish": "floor finish",
+  "Floor finish": "Floor finish",
+  "Floor finishes": "Floor finishes",
+  "floor height": "floor height",
+  "function": "function",
+  "Function": "Function",
+  "Furniture": "Furniture",
+  "Gable": "Gable",
   "Get Screenshot" : "Get Screenshot",
   "Group [{0}]":"Group [{0}]",
   "Group's Barycenter":"Group's Barycenter",
@@ -28,52 +133,184 @@ export default {
   "Groups":"Groups",
   "Guides":"Guides",
   "height": "height",
+  "Hide ceilings and roof": "Hide ceilings and roof",
+  "Hip": "Hip",
+  "History": "History",
   "Holes":"Holes",
   "Horizontal":"Horizontal",
+  "Image or PDF file": "Image or PDF file",
+  "Image size must be positive": "Image size must be positive",
+  "Import": "Import",
+  "Import DXF": "Import DXF",
+  "Import from DXF": "Import from DXF",
+  "Inside the outline": "Inside the outline",
   "Items":"Items",
+  "Join tolerance": "Join tolerance",
+  "Jump to this point": "Jump to this point",
+  "Kitchen": "Kitchen",
+  "landscape": "landscape",
   "Last Selected":"Last Selected",
   "Layer config": "Layer config",
   "Layer":"Layer",
   "Layers": "Layers",
+  "Layers containing walls": "Layers containing walls",
+  "Leader": "Leader",
+  "Legend": "Legend",
   "Length":"Length",
+  "Linear": "Linear",
   "Lines":"Lines",
+  "Living room": "Living room",
+  "Load": "Load",
   "Load project": "Load project",
+  "Load reference image": "Load reference image",
+  "Loading...": "Loading...",
+  "Lock": "Lock",
+  "Make a group": "Make a group",
+  "Mirror": "Mirror",
+  "Mirror selection": "Mirror selection",
   "Mouse X Coordinate":"Mouse X Coordinate",
   "Mouse Y Coordinate":"Mouse Y Coordinate",
+  "Move": "Move",
+  "Move annotation": "Move annotation",
+  "Move hole": "Move hole",
+  "Move item": "Move item",
+  "Move selection": "Move selection",
+  "Move vertex": "Move vertex",
+  "Move wall": "Move wall",
+  "Multiselected": "Multiselected",
   "Name": "Name",
+  "New checkpoint": "New checkpoint",
   "New Empty Group":"New Empty Group",
   "New Group from selected":"New Group from selected",
   "New layer": "New layer",
   "New project": "New project",
+  "New storey": "New storey",
+  "No wall type available in the catalog": "No wall type available in the catalog",
+  "None": "None",
+  "North arrow": "North arrow",
+  "number": "number",
+  "Number": "Number",
+  "Office": "Office",
+  "Offset": "Offset",
   "opacity": "opacity",
   "Open catalog": "Open catalog",
+  "opening": "opening",
   "order": "order",
+  "Orientation": "Orientation",
+  "Outdoor": "Outdoor",
+  "Outside the outline": "Outside the outline",
+  "Overhang": "Overhang",
   "Pan": "Pan",
+  "Paper": "Paper",
+  "Paper size": "Paper size",
   "Paste":"Paste",
+  "Paste elements": "Paste elements",
+  "Paste properties": "Paste properties",
+  "PDF page": "PDF page",
+  "Perimeter": "Perimeter",
+  "Pitch": "Pitch",
+  "Polar": "Polar",
+  "portrait": "portrait",
+  "Precision": "Precision",
+  "Print / export plan": "Print / export plan",
+  "Print / PDF": "Print / PDF",
   "Project config": "Project config",
+  "Project start": "Project start",
+  "Properties": "Properties",
   "Properties: [{0}] {1}": "Properties: [{0}] {1}",
   "Prototype":"Prototype",
+  "Real distance between the two points": "Real distance between the two points",
+  "Rectangular": "Rectangular",
+  "Redo (CTRL-Y)": "Redo (CTRL-Y)",
+  "Reference image": "Reference image",
+  "Remove annotation": "Remove annotation",
+  "Remove dimension": "Remove dimension",
+  "Remove group": "Remove group",
+  "Remove guide": "Remove guide",
+  "Remove layer": "Remove layer",
+  "Remove reference image": "Remove reference image",
+  "Rename checkpoint": "Rename checkpoint",
+  "Report": "Report",
   "Reset": "Reset",
+  "Revision cloud": "Revision cloud",
+  "Roof": "Roof",
+  "Room tool": "Room tool",
+  "Rooms": "Rooms",
+  "Rotate": "Rotate",
+  "Rotate copies": "Rotate copies",
+  "Rotate item": "Rotate item",
+  "Rotate selection": "Rotate selection",
   "Rotation" : "Rotation",
+  "rotation": "rotation",
+  "Row spacing": "Row spacing",
+  "Rows": "Rows",
   "Save project": "Save project",
   "Save": "Save",
+  "Scale": "Scale",
+  "Scale bar": "Scale bar",
+  "Scale selection": "Scale selection",
   "Scene Zoom Level":"Scene Zoom Level",
   "Search Element":"Search Element",
+  "Select an image or a PDF file": "Select an image or a PDF file",
+  "Select at least one layer": "Select at least one layer",
+  "Show ceilings and roof": "Show ceilings and roof",
+  "Show up to": "Show up to",
+  "Show/hide": "Show/hide",
+  "Side": "Side",
+  "Size": "Size",
+  "slab thickness": "slab thickness",
+  "Snap to Angle (hold Shift)": "Snap to Angle (hold Shift)",
   "Snap to Grid":"Snap to Grid",
   "Snap to Guide":"Snap to Guide",
   "Snap to Line":"Snap to Line",
   "Snap to Point":"Snap to Point",
   "Snap to Segment":"Snap to Segment",
+  "Stone": "Stone",
+  "Storage": "Storage",
+  "Storeys": "Storeys",
+  "Surface": "Surface",
+  "Text": "Text",
+  "Text size": "Text size",
   "texture":"texture",
+  "Texture": "Texture",
+  "The roof covers the outer walls of the top layer": "The roof covers the outer walls of the top layer",
   "thickness":"thickness",
+  "Thickness": "Thickness",
+  "Tiles": "Tiles",
+  "Time": "Time",
+  "Title block": "Title block",
   "Toggle Group Visibility":"Toggle Group Visibility",
+  "Total": "Total",
+  "Transform": "Transform",
+  "Transform selection": "Transform selection",
+  "Transform tool": "Transform tool",
+  "Type": "Type",
+  "Type a length, length<angle, x,y or @dx,dy": "Type a length, length<angle, x,y or @dx,dy",
   "Un-chain all Group\'s Elements and remove Group":"Un-chain all Group\'s Elements and remove Group",
   "Un-chain Element from Group":"Un-chain Element from Group",
+  "Unable to export the 3D model": "Unable to export the 3D model",
+  "Unable to load the image": "Unable to load the image",
+  "Unable to read the DXF file": "Unable to read the DXF file",
   "Undo (CTRL-Z)": "Undo (CTRL-Z)",
+  "Unit": "Unit",
+  "Unlock": "Unlock",
   "Unselect": "Unselect",
+  "Utility room": "Utility room",
   "Vertical":"Vertical",
+  "Vinyl": "Vinyl",
+  "Wall": "Wall",
+  "Wall dimensions": "Wall dimensions",
+  "Wall finishes": "Wall finishes",
+  "Wall type": "Wall type",
+  "Walls": "Walls",
+  "Walls position": "Walls position",
   "width": "width",
+  "window": "window",
+  "with the outer walls of the storey below": "with the outer walls of the storey below",
+  "Wood": "Wood",
   "Would you want to start a new Project?": "Would you want to start a new Project?",
+  "x": "x",
+  "y": "y",
   "Zoom in": "Zoom in",
   "Zoom out": "Zoom out"
 };
@@ -4,23 +4,128 @@ export default {
   "2D View": "Vista 2D",
   "3D First Person": "3D Prima persona",
   "3D View": "Vista 3D",
+  "Action": "Azione",
+  "Add annotation": "Aggiungi annotazione",
+  "Add dimension": "Aggiungi quota",
+  "Add group": "Aggiungi gruppo",
+  "Add guide": "Aggiungi guida",
+  "Add hole": "Aggiungi apertura",
+  "Add item": "Aggiungi oggetto",
+  "Add layer": "Aggiungi livello",
+  "Add reference image": "Aggiungi immagine di riferimento",
+  "Add storey": "Aggiungi piano",
+  "Add to Group": "Aggiungi al gruppo",
+  "After loading, click two points of the image and type their real distance to set its scale": "Dopo il caricamento, clicca due punti dell'immagine e digita la loro distanza reale per impostarne la scala",
+  "Aligned": "Allineata",
+  "All the storeys": "Tutti i piani",
+  "Allow pop-ups to print the plan": "Consenti i pop-up per stampare la pianta",
   "Altitude": "Quota",
   "altitude": "Quota",
+  "Angle": "Angolo",
+  "Angle step in degrees": "Passo angolare in gradi",
+  "Angular": "Angolare",
+  "Annotation": "Annotazione",
+  "Annotation tool": "Strumento annotazioni",
+  "Annotations": "Annotazioni",
+  "Arc height": "Altezza arco",
+  "Arc size": "Dimensione archi",
+  "Area": "Area",
   "Areas":"Aree",
+  "Array": "Serie",
+  "Array items": "Serie di oggetti",
+  "Array of items": "Serie di oggetti",
+  "Array tool": "Strumento serie",
+  "Bathroom": "Bagno",
+  "Bedroom": "Camera da letto",
+  "Calibrate reference image": "Calibra immagine di riferimento",
+  "Calibrate scale": "Calibra scala",
   "Cancel": "Annulla",
+  "Carpet": "Moquette",
   "Catalog" : "Catalogo",
+  "Category": "Categoria",
+  "ceiling color": "colore soffitto",
+  "ceiling height": "altezza soffitto",
+  "Ceiling height": "Altezza soffitto",
+  "ceiling texture": "texture soffitto",
+  "Centered on the outline": "Centrati sul contorno",
+  "Chain along a wall": "In serie lungo un muro",
   "Chain selected Elements to Group":"Collega l'Elemento selzionato al Gruppo",
   "Circular":"Circolare",
+  "Click a wall, then on the side where its chain dimension goes": "Clicca un muro, poi sul lato dove mettere la quota in serie",
+  "Click on the side the array goes to": "Clicca dal lato verso cui va la serie",
+  "Click the base point of the scaling": "Clicca il punto base della scalatura",
+  "Click the base point, then where it goes": "Clicca il punto base, poi dove deve andare",
+  "Click the center of the array": "Clicca il centro della serie",
+  "Click the point to rotate about": "Clicca il punto attorno a cui ruotare",
+  "Click the point to show, then where the text goes": "Clicca il punto da indicare, poi dove mettere il testo",
+  "Click two opposite corners of the cloud": "Clicca due angoli opposti della nuvola",
+  "Click two points of the mirror axis": "Clicca due punti dell'asse di simmetria",
+  "Click two points, then where the dimension goes": "Clicca due punti, poi dove mettere la quota",
+  "Click two points, then where the dimension goes. It is horizontal or vertical depending on that side": "Clicca due punti, poi dove mettere la quota. Sarà orizzontale o verticale secondo quel lato",
+  "Click two walls, then inside the angle to measure": "Clicca due muri, poi dentro l'angolo da misurare",
+  "Click where the north arrow goes": "Clicca dove mettere la freccia del nord",
+  "Click where the scale bar starts": "Clicca dove inizia la barra di scala",
+  "Click where the text goes": "Clicca dove mettere il testo",
+  "Close": "Chiudi",
   "color":"colore",
+  "Color": "Colore",
+  "Column spacing": "Distanza tra le colonne",
+  "Columns": "Colonne",
+  "Concrete": "Cemento",
   "Configure layer": "Configura livello",
   "Configure project": "Configura progetto",
   "Confirm": "Conferma",
   "Copy":"Copia",
+  "Corridor": "Corridoio",
+  "Count": "Quantità",
   "Delete group and all Elements":"Elimina Gruppo e tutti i suoi Elementi",
   "Delete layer": "Elimina livello",
   "Delete": "Elimina",
+  "Delete selection": "Elimina selezione",
+  "Dimension": "Quota",
+  "Dimension tool": "Strumento quota",
+  "Dimensions": "Quote",
+  "Dining room": "Sala da pranzo",
+  "Divisions": "Suddivisioni",
+  "door": "porta",
+  "Doors and windows": "Porte e finestre",
+  "Download CSV": "Scarica CSV",
+  "Download HTML": "Scarica HTML",
+  "Download SVG": "Scarica SVG",
+  "Drag to draw a rectangle, or click the corners and close the room on the first one": "Trascina per disegnare un rettangolo, oppure clicca gli angoli e chiudi la stanza sul primo",
+  "Draw dimension": "Disegna quota",
+  "Draw room": "Disegna stanza",
+  "Draw wall": "Disegna muro",
+  "Drawing unit": "Unità del disegno",
+  "Edit annotation": "Modifica annotazione",
+  "Edit area": "Modifica area",
+  "Edit dimension": "Modifica quota",
+  "Edit hole": "Modifica apertura",
+  "Edit item": "Modifica oggetto",
+  "Edit layer": "Modifica livello",
+  "Edit project": "Modifica progetto",
+  "Edit properties": "Modifica proprietà",
+  "Edit reference image": "Modifica immagine di riferimento",
+  "Edit roof": "Modifica tetto",
+  "Edit wall": "Modifica muro",
   "Elements on layer {0}": "Elementi nel livello {0}",
   "Elements":"Elementi",
+  "entities": "entità",
+  "Export 3D model (glTF)": "Esporta modello 3D (glTF)",
+  "Export to DXF": "Esporta in DXF",
+  "Export to IFC": "Esporta in IFC",
+  "Factor": "Fattore",
+  "Finish": "Finitura",
+  "Fixed end": "Estremo fisso",
+  "Flat": "Piano",
+  "floor finish": "finitura pavimento",
+  "Floor finish": "Finitura pavimento",
+  "Floor finishes": "Finiture pavimenti",
+  "floor height": "altezza interpiano",
+  "function": "funzione",
+  "Function": "Funzione",
+  "Furniture": "Arredi",
+  "Gable": "A due falde",
   "Get Screenshot" : "Cattura uno screenshot",
   "Group [{0}]":"Gruppo [{0}]",
   "Group's Barycenter":"Baricentro del Gruppo",
@@ -28,52 +133,184 @@ export default {
   "Groups":"Gruppi",
   "Guides":"Guide",
   "height": "Altezza",
+  "Hide ceilings and roof": "Nascondi soffitti e tetto",
+  "Hip": "A padiglione",
+  "History": "Cronologia",
   "Holes":"Buchi",
   "Horizontal":"Orizzontale",
+  "Image or PDF file": "Immagine o file PDF",
+  "Image size must be positive": "La dimensione dell'immagine deve essere positiva",
+  "Import": "Importa",
+  "Import DXF": "Importa DXF",
+  "Import from DXF": "Importa da DXF",
+  "Inside the outline": "Dentro il contorno",
   "Items":"Oggetti",
+  "Join tolerance": "Tolleranza di unione",
+  "Jump to this point": "Torna a questo punto",
+  "Kitchen": "Cucina",
+  "landscape": "orizzontale",
   "Last Selected":"Ultimi Selezionati",
   "Layer config": "Configurazione livello",
   "Layer":"Livello",
   "Layers": "Livelli",
+  "Layers containing walls": "Livelli contenenti i muri",
+  "Leader": "Richiamo",
+  "Legend": "Legenda",
   "Length":"Lunghezza",
+  "Linear": "Lineare",
   "Lines":"Linee",
+  "Living room": "Soggiorno",
+  "Load": "Carica",
   "Load project": "Carica progetto",
+  "Load reference image": "Carica immagine di riferimento",
+  "Loading...": "Caricamento...",
+  "Lock": "Blocca",
+  "Make a group": "Crea un gruppo",
+  "Mirror": "Specchia",
+  "Mirror selection": "Specchia selezione",
   "Mouse X Coordinate":"Coordinata X del Mouse",
   "Mouse Y Coordinate":"Coordinata Y del Mouse",
+  "Move": "Sposta",
+  "Move annotation": "Sposta annotazione",
+  "Move hole": "Sposta apertura",
+  "Move item": "Sposta oggetto",
+  "Move selection": "Sposta selezione",
+  "Move vertex": "Sposta vertice",
+  "Move wall": "Sposta muro",
+  "Multiselected": "Selezione multipla",
   "Name" : "Nome",
+  "New checkpoint": "Nuovo checkpoint",
   "New Empty Group":"Crea Gruppo Vuoto",
   "New Group from selected":"Crea Gruppo dai selezionati",
   "New layer": "Nuovo livello",
   "New project": "Nuovo progetto",
+  "New storey": "Nuovo piano",
+  "No wall type available in the catalog": "Nessun tipo di muro disponibile nel catalogo",
+  "None": "Nessuno",
+  "North arrow": "Freccia del nord",
+  "number": "numero",
+  "Number": "Numero",
+  "Office": "Ufficio",
+  "Offset": "Distanza",
   "opacity": "Opacità",
   "Open catalog": "Apri catalogo",
+  "opening": "apertura",
   "order":"Ordine",
+  "Orientation": "Orientamento",
+  "Outdoor": "Esterno",
+  "Outside the outline": "Fuori dal contorno",
+  "Overhang": "Sporto",
   "Pan": "Muovi",
+  "Paper": "Carta",
+  "Paper size": "Formato carta",
   "Paste":"Incolla",
+  "Paste elements": "Incolla elementi",
+  "Paste properties": "Incolla proprietà",
+  "PDF page": "Pagina PDF",
+  "Perimeter": "Perimetro",
+  "Pitch": "Pendenza",
+  "Polar": "Polare",
+  "portrait": "verticale",
+  "Precision": "Precisione",
+  "Print / export plan": "Stampa / esporta pianta",
+  "Print / PDF": "Stampa / PDF",
   "Project config": "Configurazione progetto",
+  "Project start": "Inizio del progetto",
+  "Properties": "Proprietà",
   "Properties: [{0}] {1}": "Proprietà: [{0}] {1}",
   "Prototype":"Prototipo",
+  "Real distance between the two points": "Distanza reale tra i due punti",
+  "Rectangular": "Rettangolare",
+  "Redo (CTRL-Y)": "Ripeti (CTRL-Y)",
+  "Reference image": "Immagine di riferimento",
+  "Remove annotation": "Rimuovi annotazione",
+  "Remove dimension": "Rimuovi quota",
+  "Remove group": "Rimuovi gruppo",
+  "Remove guide": "Rimuovi guida",
+  "Remove layer": "Rimuovi livello",
+  "Remove reference image": "Rimuovi immagine di riferimento",
+  "Rename checkpoint": "Rinomina checkpoint",
+  "Report": "Report",
   "Reset": "Annulla",
+  "Revision cloud": "Nuvola di revisione",
+  "Roof": "Tetto",
+  "Room tool": "Strumento stanza",
+  "Rooms": "Locali",
+  "Rotate": "Ruota",
+  "Rotate copies": "Ruota le copie",
+  "Rotate item": "Ruota oggetto",
+  "Rotate selection": "Ruota selezione",
   "Rotation" : "Rotazione",
+  "rotation": "rotazione",
+  "Row spacing": "Distanza tra le righe",
+  "Rows": "Righe",
   "Save project": "Salva progetto",
   "Save" : "Salva",
+  "Scale": "Scala",
+  "Scale bar": "Barra di scala",
+  "Scale selection": "Scala selezione",
   "Scene Zoom Level":"Livello di Zoom della Scena",
   "Search Element":"Cerca Elemento",
+  "Select an image or a PDF file": "Seleziona un'immagine o un file PDF",
+  "Select at least one layer": "Seleziona almeno un livello",
+  "Show ceilings and roof": "Mostra soffitti e tetto",
+  "Show up to": "Mostra fino a",
+  "Show/hide": "Mostra/nascondi",
+  "Side": "Lato",
+  "Size": "Dimensione",
+  "slab thickness": "spessore solaio",
+  "Snap to Angle (hold Shift)": "Snap all'Angolo (tieni premuto Shift)",
   "Snap to Grid":"Snap alla Griglia",
   "Snap to Guide":"Snap alla Guida",
   "Snap to Line":"Snap alla Linea",
   "Snap to Point":"Snap al Punto",
   "Snap to Segment":"Snap al Segmento",
+  "Stone": "Pietra",
+  "Storage": "Ripostiglio",
+  "Storeys": "Piani",
+  "Surface": "Superficie",
+  "Text": "Testo",
+  "Text size": "Dimensione testo",
   "texture":"texture",
+  "Texture": "Texture",
+  "The roof covers the outer walls of the top layer": "Il tetto copre i muri esterni del livello più alto",
   "thickness":"spessore",
+  "Thickness": "Spessore",
+  "Tiles": "Piastrelle",
+  "Time": "Ora",
+  "Title block": "Cartiglio",
   "Toggle Group Visibility":"Varia la visibilità del Gruppo",
+  "Total": "Totale",
+  "Transform": "Trasformazione",
+  "Transform selection": "Trasforma selezione",
+  "Transform tool": "Strumento trasformazione",
+  "Type": "Tipo",
+  "Type a length, length<angle, x,y or @dx,dy": "Digita una lunghezza, lunghezza<angolo, x,y o @dx,dy",
   "Un-chain all Group\'s Elements and remove Group":"Elimina il Gruppo e scollega tutti gli Elementi appartenenti",
   "Un-chain Element from Group":"Scollega l'Elemento dal Gruppo",
+  "Unable to export the 3D model": "Impossibile esportare il modello 3D",
+  "Unable to load the image": "Impossibile caricare l'immagine",
+  "Unable to read the DXF file": "Impossibile leggere il file DXF",
   "Undo (CTRL-Z)": "Annulla (CTRL-Z)",
+  "Unit": "Unità",
+  "Unlock": "Sblocca",
   "Unselect": "Deseleziona",
+  "Utility room": "Locale tecnico",
   "Vertical":"Verticale",
+  "Vinyl": "Vinile",
+  "Wall": "Muro",
+  "Wall dimensions": "Quote dei muri",
+  "Wall finishes": "Finiture dei muri",
+  "Wall type": "Tipo di muro",
+  "Walls": "Muri",
+  "Walls position": "Posizione dei muri",
   "width": "Larghezza",
+  "window": "finestra",
+  "with the outer walls of the storey below": "con i muri esterni del piano sotto",
+  "Wood": "Legno",
   "Would you want to start a new Project?": "Vuoi iniziare un nuovo progetto?",
+  "x": "x",
+  "y": "y",
   "Zoom in": "Ingrandisci",
   "Zoom out": "Riduci"
 };
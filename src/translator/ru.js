@@ -4,23 +4,128 @@ export default {
   "2D View": "Плоский вид",
   "3D First Person": "3D от первого лица",
   "3D View": "Объёмный вид",
+  "Action": "Действие",
+  "Add annotation": "Добавить аннотацию",
+  "Add dimension": "Добавить размер",
+  "Add group": "Добавить группу",
+  "Add guide": "Добавить направляющую",
+  "Add hole": "Добавить проём",
+  "Add item": "Добавить объект",
+  "Add layer": "Добавить слой",
+  "Add reference image": "Добавить подложку",
+  "Add storey": "Добавить этаж",
+  "Add to Group": "Добавить в группу",
+  "After loading, click two points of the image and type their real distance to set its scale": "После загрузки щёлкните две точки изображения и введите реальное расстояние между ними, чтобы задать масштаб",
+  "Aligned": "Параллельный",
+  "All the storeys": "Все этажи",
+  "Allow pop-ups to print the plan": "Разрешите всплывающие окна, чтобы напечатать план",
   "altitude": "высота",
   "Altitude": "Высота",
+  "Angle": "Угол",
+  "Angle step in degrees": "Шаг угла в градусах",
+  "Angular": "Угловой",
+  "Annotation": "Аннотация",
+  "Annotation tool": "Инструмент аннотаций",
+  "Annotations": "Аннотации",
+  "Arc height": "Высота дуги",
+  "Arc size": "Размер дуг",
+  "Area": "Площадь",
   "Areas": "Поверхности",
+  "Array": "Массив",
+  "Array items": "Массив объектов",
+  "Array of items": "Массив объектов",
+  "Array tool": "Инструмент массива",
+  "Bathroom": "Ванная",
+  "Bedroom": "Спальня",
+  "Calibrate reference image": "Откалибровать подложку",
+  "Calibrate scale": "Калибровать масштаб",
   "Cancel": "Отмена",
+  "Carpet": "Ковролин",
   "Catalog": "Каталог",
+  "Category": "Категория",
+  "ceiling color": "цвет потолка",
+  "ceiling height": "высота потолка",
+  "Ceiling height": "Высота потолка",
+  "ceiling texture": "текстура потолка",
+  "Centered on the outline": "По центру контура",
+  "Chain along a wall": "Цепной вдоль стены",
   "Chain selected Elements to Group":"Цепочка выбранных элементов в группу",
   "Circular":"круговой",
+  "Click a wall, then on the side where its chain dimension goes": "Щёлкните стену, затем сторону для цепного размера",
+  "Click on the side the array goes to": "Щёлкните с той стороны, куда идёт массив",
+  "Click the base point of the scaling": "Щёлкните базовую точку масштабирования",
+  "Click the base point, then where it goes": "Щёлкните базовую точку, затем точку назначения",
+  "Click the center of the array": "Щёлкните центр массива",
+  "Click the point to rotate about": "Щёлкните центр поворота",
+  "Click the point to show, then where the text goes": "Щёлкните указываемую точку, затем место текста",
+  "Click two opposite corners of the cloud": "Щёлкните два противоположных угла облака",
+  "Click two points of the mirror axis": "Щёлкните две точки оси отражения",
+  "Click two points, then where the dimension goes": "Щёлкните две точки, затем место размера",
+  "Click two points, then where the dimension goes. It is horizontal or vertical depending on that side": "Щёлкните две точки, затем место размера. Он будет горизонтальным или вертикальным в зависимости от стороны",
+  "Click two walls, then inside the angle to measure": "Щёлкните две стены, затем внутри измеряемого угла",
+  "Click where the north arrow goes": "Щёлкните место стрелки севера",
+  "Click where the scale bar starts": "Щёлкните начало масштабной линейки",
+  "Click where the text goes": "Щёлкните место текста",
+  "Close": "Закрыть",
   "color":"цвет",
+  "Color": "Цвет",
+  "Column spacing": "Шаг столбцов",
+  "Columns": "Столбцы",
+  "Concrete": "Бетон",
   "Configure layer": "Настроить слой",
   "Configure project": "Настроить проект",
   "Confirm": "подтвердить",
   "Copy": "Копировать",
+  "Corridor": "Коридор",
+  "Count": "Количество",
   "Delete group and all Elements":"Удалить группу и все элементы",
   "Delete layer": "Удалить слой",
   "Delete": "Удалить",
+  "Delete selection": "Удалить выделение",
+  "Dimension": "Размер",
+  "Dimension tool": "Инструмент размеров",
+  "Dimensions": "Размеры",
+  "Dining room": "Столовая",
+  "Divisions": "Деления",
+  "door": "дверь",
+  "Doors and windows": "Двери и окна",
+  "Download CSV": "Скачать CSV",
+  "Download HTML": "Скачать HTML",
+  "Download SVG": "Скачать SVG",
+  "Drag to draw a rectangle, or click the corners and close the room on the first one": "Протяните, чтобы нарисовать прямоугольник, или щёлкайте по углам и замкните комнату на первом",
+  "Draw dimension": "Нарисовать размер",
+  "Draw room": "Нарисовать комнату",
+  "Draw wall": "Нарисовать стену",
+  "Drawing unit": "Единица чертежа",
+  "Edit annotation": "Изменить примечание",
+  "Edit area": "Изменить площадь",
+  "Edit dimension": "Изменить размер",
+  "Edit hole": "Изменить проём",
+  "Edit item": "Изменить объект",
+  "Edit layer": "Изменить слой",
+  "Edit project": "Изменить проект",
+  "Edit properties": "Изменить свойства",
+  "Edit reference image": "Изменить подложку",
+  "Edit roof": "Изменить крышу",
+  "Edit wall": "Изменить стену",
   "Elements on layer {0}": "Элементов на слое {0}",
   "Elements":"элементы",
+  "entities": "объектов",
+  "Export 3D model (glTF)": "Экспорт 3D-модели (glTF)",
+  "Export to DXF": "Экспорт в DXF",
+  "Export to IFC": "Экспорт в IFC",
+  "Factor": "Коэффициент",
+  "Finish": "Отделка",
+  "Fixed end": "Неподвижный конец",
+  "Flat": "Плоская",
+  "floor finish": "покрытие пола",
+  "Floor finish": "Покрытие пола",
+  "Floor finishes": "Покрытия полов",
+  "floor height": "высота этажа",
+  "function": "назначение",
+  "Function": "Назначение",
+  "Furniture": "Мебель",
+  "Gable": "Двускатная",
   "Get Screenshot": "Сделать снимок экрана",
   "Group [{0}]":"группа [{0}]",
   "Group's Barycenter":"Барицентр группы",
@@ -28,52 +133,184 @@ export default {
   "Groups":"группы",
   "Guides":"руководства",
   "height": "высота",
+  "Hide ceilings and roof": "Скрыть потолки и крышу",
+  "Hip": "Вальмовая",
+  "History": "История",
   "Holes": "Проёмы",
   "Horizontal":"горизонтальный",
+  "Image or PDF file": "Изображение или PDF-файл",
+  "Image size must be positive": "Размер изображения должен быть положительным",
+  "Import": "Импорт",
+  "Import DXF": "Импорт DXF",
+  "Import from DXF": "Импорт из DXF",
+  "Inside the outline": "Внутри контура",
   "Items": "Предметы",
+  "Join tolerance": "Допуск соединения",
+  "Jump to this point": "Вернуться к этому моменту",
+  "Kitchen": "Кухня",
+  "landscape": "альбомная",
   "Last Selected": "Последний выбраный",
   "Layer config": "Настройка слоя",
   "Layer":"Слой",
   "Layers": "Слои",
+  "Layers containing walls": "Слои со стенами",
+  "Leader": "Выноска",
+  "Legend": "Условные обозначения",
   "Length": "Длинна",
+  "Linear": "Линейный",
   "Lines": "Линии",
+  "Living room": "Гостиная",
+  "Load": "Загрузить",
   "Load project": "Загрузить проект",
+  "Load reference image": "Загрузить эталонное изображение",
+  "Loading...": "Загрузка...",
+  "Lock": "Заблокировать",
+  "Make a group": "Создать группу",
+  "Mirror": "Отразить",
+  "Mirror selection": "Отразить выделение",
   "Mouse X Coordinate": "X-координата курсора",
   "Mouse Y Coordinate": "Y-координата курсора",
+  "Move": "Переместить",
+  "Move annotation": "Переместить примечание",
+  "Move hole": "Переместить проём",
+  "Move item": "Переместить объект",
+  "Move selection": "Переместить выделение",
+  "Move vertex": "Переместить вершину",
+  "Move wall": "Переместить стену",
+  "Multiselected": "Множественный выбор",
   "Name": "Название",
+  "New checkpoint": "Новая контрольная точка",
   "New Empty Group":"Новая пустая группа",
   "New Group from selected":"Новая группа из выбранных",
   "New layer": "Новый слой",
   "New project": "Новый проект",
+  "New storey": "Новый этаж",
+  "No wall type available in the catalog": "В каталоге нет типов стен",
+  "None": "Нет",
+  "North arrow": "Стрелка севера",
+  "number": "номер",
+  "Number": "Номер",
+  "Office": "Кабинет",
+  "Offset": "Отступ",
   "opacity": "непрозрачность",
   "Open catalog": "Открыть каталог",
+  "opening": "проём",
   "order": "порядок",
+  "Orientation": "Ориентация",
+  "Outdoor": "Улица",
+  "Outside the outline": "Снаружи контура",
+  "Overhang": "Свес",
   "Pan": "Двигать",
+  "Paper": "Бумага",
+  "Paper size": "Размер бумаги",
   "Paste": "Вставить",
+  "Paste elements": "Вставить элементы",
+  "Paste properties": "Вставить свойства",
+  "PDF page": "Страница PDF",
+  "Perimeter": "Периметр",
+  "Pitch": "Уклон",
+  "Polar": "Круговой",
+  "portrait": "книжная",
+  "Precision": "Точность",
+  "Print / export plan": "Печать / экспорт плана",
+  "Print / PDF": "Печать / PDF",
   "Project config": "Настройка проекта",
+  "Project start": "Начало проекта",
+  "Properties": "Свойства",
   "Properties: [{0}] {1}": "Свойства: [{0}] {1}",
   "Prototype":"Опытный образец",
+  "Real distance between the two points": "Реальное расстояние между двумя точками",
+  "Rectangular": "Прямоугольный",
+  "Redo (CTRL-Y)": "Повторить действие (CTRL-Y)",
+  "Reference image": "Эталонное изображение",
+  "Remove annotation": "Удалить примечание",
+  "Remove dimension": "Удалить размер",
+  "Remove group": "Удалить группу",
+  "Remove guide": "Удалить направляющую",
+  "Remove layer": "Удалить слой",
+  "Remove reference image": "Удалить эталонное изображение",
+  "Rename checkpoint": "Переименовать контрольную точку",
+  "Report": "Отчёт",
   "Reset": "Сброс",
+  "Revision cloud": "Облако изменений",
+  "Roof": "Крыша",
+  "Room tool": "Инструмент комнаты",
+  "Rooms": "Помещения",
+  "Rotate": "Повернуть",
+  "Rotate copies": "Поворачивать копии",
+  "Rotate item": "Повернуть объект",
+  "Rotate selection": "Повернуть выделение",
   "Rotation": "Вращение",
+  "rotation": "поворот",
+  "Row spacing": "Шаг строк",
+  "Rows": "Строки",
   "Save project": "Сохранить проект",
   "Save": "Сохранить",
+  "Scale": "Масштаб",
+  "Scale bar": "Масштабная линейка",
+  "Scale selection": "Масштабировать выделение",
   "Scene Zoom Level": "Уровень приближениия сцены",
   "Search Element": "Поиск",
+  "Select an image or a PDF file": "Выберите изображение или PDF-файл",
+  "Select at least one layer": "Выберите хотя бы один слой",
+  "Show ceilings and roof": "Показать потолки и крышу",
+  "Show up to": "Показать до",
+  "Show/hide": "Показать/скрыть",
+  "Side": "Сторона",
+  "Size": "Размер",
+  "slab thickness": "толщина перекрытия",
+  "Snap to Angle (hold Shift)": "Привязка к углу (удерживайте Shift)",
   "Snap to Grid": "Привязка к сетке",
   "Snap to Guide": "Привязать к руководству",
   "Snap to Line": "Привязка к линии",
   "Snap to Point": "Привязка к точке",
   "Snap to Segment": "Привязка к сегменту",
+  "Stone": "Камень",
+  "Storage": "Кладовая",
+  "Storeys": "Этажи",
+  "Surface": "Поверхность",
+  "Text": "Текст",
+  "Text size": "Размер текста",
   "texture":"текстура",
+  "Texture": "Текстура",
+  "The roof covers the outer walls of the top layer": "Крыша накрывает наружные стены верхнего слоя",
   "thickness":"толщина",
+  "Thickness": "Толщина",
+  "Tiles": "Плитка",
+  "Time": "Время",
+  "Title block": "Штамп",
   "Toggle Group Visibility":"Переключить видимость группы",
+  "Total": "Итого",
+  "Transform": "Преобразование",
+  "Transform selection": "Преобразовать выделенное",
+  "Transform tool": "Инструмент преобразования",
+  "Type": "Тип",
+  "Type a length, length<angle, x,y or @dx,dy": "Введите длину, длина<угол, x,y или @dx,dy",
   "Un-chain all Group\'s Elements and remove Group":"Удалить цепочку элементов группы и удалить группу",
   "Un-chain Element from Group":"Unchain Element из группы",
+  "Unable to export the 3D model": "Не удалось экспортировать 3D-модель",
+  "Unable to load the image": "Не удалось загрузить изображение",
+  "Unable to read the DXF file": "Не удалось прочитать файл DXF",
   "Undo (CTRL-Z)": "Отменить действие (CTRL-Z)",
+  "Unit": "Единица",
+  "Unlock": "Разблокировать",
   "Unselect": "Снять выделене",
+  "Utility room": "Подсобное помещение",
   "Vertical":"вертикальный",
+  "Vinyl": "Винил",
+  "Wall": "Стена",
+  "Wall dimensions": "Размеры стен",
+  "Wall finishes": "Отделка стен",
+  "Wall type": "Тип стены",
+  "Walls": "Стены",
+  "Walls position": "Положение стен",
   "width": "ширина",
+  "window": "окно",
+  "with the outer walls of the storey below": "с наружными стенами нижнего этажа",
+  "Wood": "Дерево",
   "Would you want to start a new Project?": "Начать новый проект?",
+  "x": "x",
+  "y": "y",
   "Zoom in": "Приблизить",
   "Zoom out": "Отдалить"
 };
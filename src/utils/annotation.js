@@ -0,0 +1,245 @@
+import convert from 'convert-units';
+import {
+  UNIT_METER,
+  ANNOTATION_TEXT,
+  ANNOTATION_LEADER,
+  ANNOTATION_NORTH_ARROW,
+  ANNOTATION_SCALE_BAR,
+  ANNOTATION_CLOUD
+} from '../constants';
+
+export const DEFAULT_TEXT_SIZE = 14;
+
+//the annotation texts use a monospace font, so their width is known without measuring them
+const CHAR_WIDTH = 0.6;
+const LINE_SPACING = 1.25;
+
+const unitVector = (x, y) => {
+  let length = Math.sqrt(x * x + y * y);
+  return length ? {x: x / length, y: y / length} : null;
+};
+
+//maps coordinates of a frame with origin in a point and turned by an angle in degrees to scene coordinates
+const frame = ({x, y}, angle) => {
+  let cos = Math.cos(angle * Math.PI / 180);
+  let sin = Math.sin(angle * Math.PI / 180);
+  return (u, v) => ({x: x + u * cos - v * sin, y: y + u * sin + v * cos});
+};
+
+//the round length nearest to a value, with a single significant digit
+const roundLength = value => {
+  let magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  return Math.round(value / magnitude) * magnitude;
+};
+
+const formatLength = value => parseFloat(value.toFixed(3)).toString();
+
+/** @description Return the properties a new annotation starts with
+ *  @param {string} type Annotation type
+ *  @param {string} sceneUnit Scene unit, the scale bars are about a meter long
+ *  @return {object}
+ */
+export function annotationProperties(type, sceneUnit) {
+  switch (type) {
+    case ANNOTATION_TEXT:
+      return {text: 'Text', textSize: DEFAULT_TEXT_SIZE};
+    case ANNOTATION_LEADER:
+      return {text: 'Note', textSize: DEFAULT_TEXT_SIZE};
+    case ANNOTATION_NORTH_ARROW:
+      return {size: DEFAULT_TEXT_SIZE * 4, textSize: DEFAULT_TEXT_SIZE};
+    case ANNOTATION_SCALE_BAR:
+      return {length: roundLength(convert(1).from(UNIT_METER).to(sceneUnit)), divisions: 4, textSize: DEFAULT_TEXT_SIZE};
+    case ANNOTATION_CLOUD:
+      return {arcSize: DEFAULT_TEXT_SIZE * 2};
+    default:
+      return {};
+  }
+}
+
+/** @description Return how many points are clicked to draw an annotation
+ *  @param {string} type Annotation type
+ *  @return {number}
+ */
+export function annotationClicks(type) {
+  return type === ANNOTATION_LEADER || type === ANNOTATION_CLOUD ? 2 : 1;
+}
+
+/** @description Return the points of an annotation drawn from its clicked points. Clouds are drawn as rectangles
+ *  @param {string} type Annotation type
+ *  @param {Array} clicks Clicked points
+ *  @return {?Array} Points, null when the clicked points do not make an annotation
+ */
+export function annotationPoints(type, clicks) {
+  if (type !== ANNOTATION_CLOUD) return clicks;
+
+  let [{x: x0, y: y0}, {x: x1, y: y1}] = clicks;
+  if (x0 === x1 || y0 === y1) return null;
+
+  return [{x: x0, y: y0}, {x: x1, y: y0}, {x: x1, y: y1}, {x: x0, y: y1}];
+}
+
+/** @description Return what an annotation draws, in scene coordinates. Like the dimensions, the annotations are
+ *  only drawn on the 2D plan and in its exports
+ *  @param {object} annotation Annotation
+ *  @param {string} sceneUnit Scene unit
+ *  @return {?object} lines: [x1, y1, x2, y2] list, arcs: {x, y, radius, start, end} list with angles in degrees
+ *  going counterclockwise, polygons: filled [[x, y], ...] list, texts: {x, y, angle, size, value} list centered on
+ *  x, y. Null when the annotation has not enough points
+ */
+export function annotationGeometry(annotation, sceneUnit) {
+  let {properties, rotation} = annotation;
+  let size = properties.get('textSize') || DEFAULT_TEXT_SIZE;
+  let gap = size * 0.3;
+
+  let points = annotation.points.map(point => ({x: point.get('x'), y: point.get('y')})).toArray();
+  let lines = [];
+  let arcs = [];
+  let polygons = [];
+  let texts = [];
+
+  let segment = (a, b) => lines.push([a.x, a.y, b.x, b.y]);
+  let polygon = vertices => polygons.push(vertices.map(({x, y}) => [x, y]));
+
+  //text block centered on a point of a frame, one text for each line
+  let block = (place, u, v, angle, value) => {
+    let rows = String(value).split('\n');
+    rows.forEach((row, index) => {
+      if (row) texts.push({...place(u, v + ((rows.length - 1) / 2 - index) * size * LINE_SPACING), angle, size, value: row});
+    });
+    return rows;
+  };
+
+  switch (annotation.type) {
+    case ANNOTATION_TEXT: {
+      if (points.length < 1) return null;
+
+      block(frame(points[0], rotation), 0, 0, rotation, properties.get('text') || '');
+      break;
+    }
+
+    case ANNOTATION_LEADER: {
+      if (points.length < 2) return null;
+
+      let [tip, next] = points;
+      let u = unitVector(tip.x - next.x, tip.y - next.y);
+      if (!u) return null;
+
+      //the arrowhead points at the first point, the text stands after a short landing at the last one
+      let head = frame(tip, Math.atan2(u.y, u.x) * 180 / Math.PI);
+      polygon([tip, head(-size * 0.8, size * 0.25), head(-size * 0.8, -size * 0.25)]);
+      points.slice(1).forEach((point, index) => segment(points[index], point));
+
+      let last = points[points.length - 1];
+      let side = last.x >= points[points.length - 2].x ? 1 : -1;
+      let landing = {x: last.x + side * size * 0.5, y: last.y};
+      segment(last, landing);
+
+      let text = String(properties.get('text') || '');
+      let width = Math.max(...text.split('\n').map(row => row.length)) * size * CHAR_WIDTH;
+      block(frame(landing, 0), side * (gap + width / 2), 0, 0, text);
+      break;
+    }
+
+    case ANNOTATION_NORTH_ARROW: {
+      if (points.length < 1) return null;
+
+      let arrowSize = properties.get('size') || size * 4;
+      let local = (u, v) => frame(points[0], rotation)(u * arrowSize, v * arrowSize);
+      let center = points[0];
+
+      //a full circle is two arcs, an arc ending where it starts would not be drawn
+      arcs.push({...center, radius: arrowSize / 2, start: 0, end: 180});
+      arcs.push({...center, radius: arrowSize / 2, start: 180, end: 360});
+
+      let tip = local(0, 0.45);
+      let notch = local(0, -0.2);
+      polygon([tip, local(-0.2, -0.35), notch]);
+      segment(tip, local(0.2, -0.35));
+      segment(local(0.2, -0.35), notch);
+
+      texts.push({...frame(points[0], rotation)(0, arrowSize / 2 + gap + size / 2), angle: rotation, size, value: 'N'});
+      break;
+    }
+
+    case ANNOTATION_SCALE_BAR: {
+      if (points.length < 1) return null;
+
+      let length = properties.get('length') || 1;
+      let divisions = Math.max(1, Math.round(properties.get('divisions') || 1));
+      let height = size * 0.5;
+      let local = frame(points[0], rotation);
+      let step = length / divisions;
+
+      segment(local(0, 0), local(length, 0));
+      segment(local(0, height), local(length, height));
+      for (let i = 0; i <= divisions; i++) segment(local(i * step, 0), local(i * step, height));
+      for (let i = 0; i < divisions; i += 2) {
+        polygon([local(i * step, 0), local((i + 1) * step, 0), local((i + 1) * step, height), local(i * step, height)]);
+      }
+
+      let label = (along, value) => texts.push({...local(along, height + gap + size / 2), angle: rotation, size, value});
+      label(0, '0');
+      if (divisions % 2 === 0 && divisions > 2) label(length / 2, formatLength(length / 2));
+      label(length, `${formatLength(length)} ${sceneUnit}`);
+      break;
+    }
+
+    case ANNOTATION_CLOUD: {
+      if (points.length < 3) return null;
+
+      let arcSize = properties.get('arcSize') || size * 2;
+      let area = points.reduce((sum, point, index) => {
+        let next = points[(index + 1) % points.length];
+        return sum + point.x * next.y - next.x * point.y;
+      }, 0);
+
+      //every edge is split in half circles bulging out of the polygon
+      points.forEach((point, index) => {
+        let next = points[(index + 1) % points.length];
+        let length = Math.sqrt(Math.pow(next.x - point.x, 2) + Math.pow(next.y - point.y, 2));
+        if (!length) return;
+
+        let count = Math.max(1, Math.round(length / arcSize));
+        let direction = Math.atan2(next.y - point.y, next.x - point.x) * 180 / Math.PI;
+        let start = area > 0 ? direction + 180 : direction;
+
+        for (let i = 0; i < count; i++) {
+          arcs.push({
+            x: point.x + (next.x - point.x) * (i + 0.5) / count,
+            y: point.y + (next.y - point.y) * (i + 0.5) / count,
+            radius: length / count / 2,
+            start,
+            end: start + 180
+          });
+        }
+      });
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  return {lines, arcs, polygons, texts};
+}
+
+/** @description Return the points an annotation reaches, to fit it in a drawing
+ *  @param {object} annotation Annotation
+ *  @param {string} sceneUnit Scene unit
+ *  @return {Array} [x, y] list
+ */
+export function annotationExtent(annotation, sceneUnit) {
+  let geometry = annotationGeometry(annotation, sceneUnit);
+  if (!geometry) return [];
+
+  let extent = [];
+  geometry.lines.forEach(([x1, y1, x2, y2]) => extent.push([x1, y1], [x2, y2]));
+  geometry.polygons.forEach(polygon => extent.push(...polygon));
+  geometry.arcs.forEach(({x, y, radius}) => extent.push([x - radius, y - radius], [x + radius, y + radius]));
+  geometry.texts.forEach(({x, y, size, value}) => {
+    let half = value.length * size * CHAR_WIDTH / 2;
+    extent.push([x - half, y - size / 2], [x + half, y + size / 2]);
+  });
+
+  return extent;
+}
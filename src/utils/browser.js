@@ -1,12 +1,15 @@
 export function browserDownload(json) {
+  browserDownloadFile(JSON.stringify(json), 'json');
+}
+
+export function browserDownloadFile(output, extension, type = 'text/plain') {
   let fileOutputLink = document.createElement('a');
 
-  let filename = 'output' + Date.now() + '.json';
+  let filename = 'output' + Date.now() + '.' + extension;
   filename = window.prompt('Insert output filename', filename);
   if (!filename) return;
 
-  let output = JSON.stringify(json);
-  let data = new Blob([output], {type: 'text/plain'});
+  let data = output instanceof Blob ? output : new Blob([output], {type});
   let url = window.URL.createObjectURL(data);
   fileOutputLink.setAttribute('download', filename);
   fileOutputLink.href = url;
@@ -35,3 +38,70 @@ export function browserUpload() {
     fileInput.click();
   });
 }
+
+const PDF_RENDER_SCALE = 2;
+
+function readFile(file, asDataURL) {
+  return new Promise(function (resolve, reject) {
+    let reader = new FileReader();
+    reader.addEventListener('load', (fileEvent) => resolve(fileEvent.target.result));
+    reader.addEventListener('error', () => reject(reader.error));
+    if (asDataURL) reader.readAsDataURL(file);
+    else reader.readAsArrayBuffer(file);
+  });
+}
+
+function imageSize(src) {
+  return new Promise(function (resolve, reject) {
+    let image = new Image();
+    image.addEventListener('load', () => resolve({ src, width: image.naturalWidth, height: image.naturalHeight }));
+    image.addEventListener('error', () => reject(new Error('Unable to decode the image')));
+    image.src = src;
+  });
+}
+
+//pdf pages are rasterized through pdf.js, it is required when the first pdf is opened since it starts its own worker
+function renderPDFPage(data, pageNumber) {
+  let pdfjs = require('pdfjs-dist/webpack');
+
+  return pdfjs.getDocument({ data }).promise
+    .then(pdf => pdf.getPage(Math.min(Math.max(pageNumber, 1), pdf.numPages)))
+    .then(page => {
+      let viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+      let canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      return page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise
+        .then(() => ({ src: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height }));
+    });
+}
+
+export function browserReadImage(file, pageNumber = 1) {
+  if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name)) {
+    return readFile(file, false).then(data => renderPDFPage(new Uint8Array(data), pageNumber));
+  }
+
+  return readFile(file, true).then(imageSize);
+}
+
+//the browser print dialog is what turns the vector page into a pdf
+export function browserPrintSVG(svg, width, height) {
+  let printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  let markup = svg.replace(/^<\?xml[^>]*>\s*/, '');
+
+  printWindow.document.open();
+  printWindow.document.write(
+    '<!DOCTYPE html><html><head><title>' + document.title + '</title><style>' +
+    `@page { size: ${width}mm ${height}mm; margin: 0; }` +
+    'html, body { margin: 0; padding: 0; } svg { display: block; }' +
+    '</style></head><body>' + markup + '</body></html>'
+  );
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.addEventListener('load', () => printWindow.print());
+
+  return true;
+}
@@ -0,0 +1,122 @@
+import { Set } from 'immutable';
+import * as GeometryUtils from './geometry';
+
+//marks the clipboard texts holding planner elements, any other text pasted is ignored
+export const CLIPBOARD_FORMAT = 'react-planner/elements';
+export const CLIPBOARD_VERSION = 1;
+
+const point = ({x, y}, origin) => ({x: x - origin.x, y: y - origin.y});
+
+/** @description Copy the selected elements of a layer as plain data, ready to be written to the system clipboard
+ *  as JSON. The lines come with their holes and the areas with the lines around them, since the areas are found from
+ *  the lines. Coordinates are relative to the center of the copied elements, so that they can be pasted anywhere
+ *  @param {object} scene Scene
+ *  @param {string} layerID Layer holding the selection
+ *  @return {?object} Null when nothing that can be pasted is selected
+ */
+export function copyElements(scene, layerID) {
+  let layer = scene.getIn(['layers', layerID]);
+  if (!layer) return null;
+
+  let {selected} = layer;
+  let areas = selected.areas.map(areaID => layer.areas.get(areaID)).filter(area => area);
+
+  let lineIDs = new Set(selected.lines).union(areas.flatMap(area =>
+    area.vertices.flatMap(vertexID => layer.vertices.get(vertexID).lines).filter(lineID =>
+      layer.lines.has(lineID) && layer.lines.get(lineID).vertices.every(vertexID => area.vertices.includes(vertexID))
+    )
+  )).filter(lineID => layer.lines.has(lineID));
+
+  let lines = lineIDs.map(lineID => layer.lines.get(lineID)).toList();
+  let holes = new Set(selected.holes).union(lines.flatMap(line => line.holes))
+    .map(holeID => layer.holes.get(holeID)).filter(hole => hole).toList();
+  let items = selected.items.map(itemID => layer.items.get(itemID)).filter(item => item);
+  let dimensions = selected.dimensions.map(dimensionID => layer.dimensions.get(dimensionID)).filter(dimension => dimension);
+  let annotations = selected.annotations.map(annotationID => layer.annotations.get(annotationID)).filter(annotation => annotation);
+
+  if (!lines.size && !holes.size && !items.size && !dimensions.size && !annotations.size) return null;
+
+  let vertices = new Set(lines.flatMap(line => line.vertices)).map(vertexID => layer.vertices.get(vertexID)).toList();
+
+  //the lone holes are pasted on the wall found under their center
+  let holeCenter = hole => {
+    let line = layer.lines.get(hole.line);
+    let v0 = layer.vertices.get(line.vertices.get(0));
+    let v1 = layer.vertices.get(line.vertices.get(1));
+    if (!GeometryUtils.isArc(line.bulge)) [v0, v1] = [GeometryUtils.minVertex(v0, v1), GeometryUtils.maxVertex(v0, v1)];
+
+    return GeometryUtils.pointOnArc(v0.x, v0.y, v1.x, v1.y, line.bulge, hole.offset);
+  };
+
+  let positions = [
+    ...vertices.toArray(),
+    ...holes.filter(hole => !lineIDs.has(hole.line)).map(holeCenter).toArray(),
+    ...items.map(({x, y}) => ({x, y})).toArray(),
+    ...dimensions.flatMap(dimension => dimension.points).map(p => ({x: p.get('x'), y: p.get('y')})).toArray(),
+    ...annotations.flatMap(annotation => annotation.points).map(p => ({x: p.get('x'), y: p.get('y')})).toArray()
+  ];
+
+  let xs = positions.map(({x}) => x);
+  let ys = positions.map(({y}) => y);
+  let origin = {x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2};
+
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    unit: scene.unit,
+    vertices: vertices.toArray().map(vertex => ({id: vertex.id, ...point(vertex, origin)})),
+    lines: lines.toArray().map(line => ({
+      id: line.id,
+      type: line.type,
+      vertices: line.vertices.toArray(),
+      bulge: line.bulge,
+      properties: line.properties.toJS()
+    })),
+    holes: holes.toArray().map(hole => lineIDs.has(hole.line) ?
+      {type: hole.type, line: hole.line, offset: hole.offset, properties: hole.properties.toJS()} :
+      {type: hole.type, line: null, ...point(holeCenter(hole), origin), properties: hole.properties.toJS()}
+    ),
+    //the whole area goes, name and room included, but its ID and its holes: the pasted areas are found again
+    areas: areas.toArray().map(area => {
+      let {id, holes, selected, ...record} = area.toJS();
+      return record;
+    }),
+    items: items.toArray().map(item => ({
+      type: item.type,
+      ...point(item, origin),
+      width: item.width,
+      height: item.height,
+      rotation: item.rotation,
+      properties: item.properties.toJS()
+    })),
+    dimensions: dimensions.toArray().map(dimension => ({
+      type: dimension.type,
+      points: dimension.points.toArray().map(p => point({x: p.get('x'), y: p.get('y')}, origin)),
+      offset: dimension.offset,
+      angle: dimension.angle,
+      properties: dimension.properties.toJS()
+    })),
+    annotations: annotations.toArray().map(annotation => ({
+      type: annotation.type,
+      points: annotation.points.toArray().map(p => point({x: p.get('x'), y: p.get('y')}, origin)),
+      rotation: annotation.rotation,
+      properties: annotation.properties.toJS()
+    }))
+  };
+}
+
+/** @description Read the elements copied by copyElements from a clipboard text
+ *  @param {string} text Clipboard text
+ *  @return {?object} Null when the text does not hold planner elements
+ */
+export function parseClipboard(text) {
+  let clipboard;
+  try {
+    clipboard = JSON.parse(text);
+  }
+  catch (error) {
+    return null;
+  }
+
+  return clipboard && clipboard.format === CLIPBOARD_FORMAT && clipboard.version <= CLIPBOARD_VERSION ? clipboard : null;
+}
@@ -0,0 +1,67 @@
+import convert from 'convert-units';
+import { toFixedFloat } from './math';
+import { UNITS_LENGTH } from '../constants';
+
+const NUMBER = '[-+]?(?:\\d+(?:\\.\\d*)?|\\.\\d+)';
+const LENGTH = `(${NUMBER})\\s*(${UNITS_LENGTH.join('|')})?`;
+
+const POLAR = new RegExp(`^(@)?\\s*${LENGTH}\\s*<\\s*(${NUMBER})$`);
+const CARTESIAN = new RegExp(`^(@)?\\s*${LENGTH}\\s*[,;]\\s*${LENGTH}$`);
+const DISTANCE = new RegExp(`^${LENGTH}$`);
+
+const toUnit = (value, from, unit) => {
+  let length = parseFloat(value);
+  return from && from !== unit ? convert(length).from(from).to(unit) : length;
+};
+
+/** @description Parse the coordinates typed while drawing. Accepted forms are
+ *  `350` (length along the pointer direction), `350<90` (length and angle in degrees),
+ *  `x,y` (absolute point) and `@dx,dy` (point relative to the last vertex).
+ *  Each length can be followed by a unit, otherwise it is in the scene unit
+ *  @param {string} text Typed text
+ *  @param {string} unit Scene unit
+ *  @return {?object} relative, and length and angle, or x and y. Null when the text is not valid
+ */
+export function parseCoordinatesInput(text, unit) {
+  let value = String(text).trim().toLowerCase();
+  let match;
+
+  if ((match = POLAR.exec(value))) {
+    let [, , length, lengthUnit, angle] = match;
+    return {relative: true, length: toUnit(length, lengthUnit, unit), angle: parseFloat(angle)};
+  }
+
+  if ((match = CARTESIAN.exec(value))) {
+    let [, relative, x, xUnit, y, yUnit] = match;
+    return {relative: !!relative, x: toUnit(x, xUnit, unit), y: toUnit(y, yUnit, unit)};
+  }
+
+  if ((match = DISTANCE.exec(value))) {
+    let [, length, lengthUnit] = match;
+    return {relative: true, length: toUnit(length, lengthUnit, unit), angle: null};
+  }
+
+  return null;
+}
+
+/** @description Find the point described by parsed coordinates
+ *  @param {object} input Coordinates as returned by parseCoordinatesInput
+ *  @param {?object} from Last vertex, the relative coordinates start from it
+ *  @param {?object} towards Pointer position, gives the direction when only the length is known
+ *  @return {?object} x, y. Null when relative coordinates have no vertex to start from
+ */
+export function coordinatesInputPoint(input, from, towards) {
+  if (!input) return null;
+  if (!input.relative) return {x: input.x, y: input.y};
+  if (!from) return null;
+
+  if (input.hasOwnProperty('x')) return {x: from.x + input.x, y: from.y + input.y};
+
+  let angle = input.angle !== null ? input.angle * Math.PI / 180 :
+    towards && (towards.x !== from.x || towards.y !== from.y) ? Math.atan2(towards.y - from.y, towards.x - from.x) : 0;
+
+  return {
+    x: toFixedFloat(from.x + input.length * Math.cos(angle)),
+    y: toFixedFloat(from.y + input.length * Math.sin(angle))
+  };
+}
@@ -0,0 +1,368 @@
+import convert from 'convert-units';
+import * as Geometry from './geometry';
+import {
+  EPSILON,
+  DIMENSION_LINEAR,
+  DIMENSION_ALIGNED,
+  DIMENSION_ANGULAR,
+  DIMENSION_CHAIN
+} from '../constants';
+
+export const DEFAULT_TEXT_SIZE = 14;
+export const DEFAULT_PRECISION = 2;
+
+//distance from the run below which a vertex or a wall is part of a chain dimension
+const RUN_TOLERANCE = 0.5;
+
+const unitVector = (x, y) => {
+  let length = Math.sqrt(x * x + y * y);
+  return length ? {x: x / length, y: y / length} : null;
+};
+
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+
+const at = (origin, u, along, n, across) => ({
+  x: origin.x + u.x * along + n.x * across,
+  y: origin.y + u.y * along + n.y * across
+});
+
+//texts are never upside down, the direction is turned by half a turn when needed
+const readable = ({x, y}) => x < -EPSILON || (Math.abs(x) <= EPSILON && y < 0) ? {x: -x, y: -y} : {x, y};
+
+/** @description Return the position of a dimension point, the one of its vertex when it still exists
+ *  @param {object} layer Layer containing the dimension
+ *  @param {object} point Dimension point
+ *  @return {object} x, y
+ */
+export function dimensionPoint(layer, point) {
+  let vertex = point.get('vertex') ? layer.vertices.get(point.get('vertex')) : null;
+  return vertex ? {x: vertex.x, y: vertex.y} : {x: point.get('x'), y: point.get('y')};
+}
+
+/** @description Format a length with the unit and the precision of a dimension
+ *  @param {number} length Length in the scene unit
+ *  @param {string} sceneUnit Scene unit
+ *  @param {object} properties Dimension properties
+ *  @return {string}
+ */
+export function formatDimensionLength(length, sceneUnit, properties) {
+  let unit = properties.get('unit') || sceneUnit;
+  let precision = properties.has('precision') ? properties.get('precision') : DEFAULT_PRECISION;
+  let value = unit === sceneUnit ? length : convert(length).from(sceneUnit).to(unit);
+
+  return `${value.toFixed(precision)} ${unit}`;
+}
+
+/** @description Format an angle with the precision of a dimension
+ *  @param {number} angle Angle in radians
+ *  @param {object} properties Dimension properties
+ *  @return {string}
+ */
+export function formatDimensionAngle(angle, properties) {
+  let precision = properties.has('precision') ? properties.get('precision') : DEFAULT_PRECISION;
+  return `${(angle * 180 / Math.PI).toFixed(precision)}°`;
+}
+
+/** @description Return the direction measured by a linear dimension placed at a point, horizontal when the
+ *  point is above or below the measured points, vertical when it is on their side
+ *  @param {object} p0 First point
+ *  @param {object} p1 Second point
+ *  @param {number} x Placement x
+ *  @param {number} y Placement y
+ *  @return {number} 0 or 90 degrees
+ */
+export function linearDimensionAngle(p0, p1, x, y) {
+  let outsideX = Math.max(Math.min(p0.x, p1.x) - x, x - Math.max(p0.x, p1.x), 0);
+  let outsideY = Math.max(Math.min(p0.y, p1.y) - y, y - Math.max(p0.y, p1.y), 0);
+
+  return outsideX > outsideY ? 90 : 0;
+}
+
+//direction measured by a linear or aligned dimension
+function measureDirection(dimension, p0, p1) {
+  if (dimension.type === DIMENSION_LINEAR) {
+    let angle = dimension.angle * Math.PI / 180;
+    return {x: Math.cos(angle), y: Math.sin(angle)};
+  }
+
+  return unitVector(p1.x - p0.x, p1.y - p0.y);
+}
+
+/** @description Return the walls laying along the segment between two points, and the points where a chain
+ *  dimension is cut: the ends, the wall junctions and the edges of the openings
+ *  @param {object} layer Layer containing the walls
+ *  @param {object} p0 Start of the run
+ *  @param {object} p1 End of the run
+ *  @return {object} lines, cuts: distances from p0 in increasing order
+ */
+export function chainCuts(layer, p0, p1) {
+  let length = Geometry.pointsDistance(p0.x, p0.y, p1.x, p1.y);
+  let u = unitVector(p1.x - p0.x, p1.y - p0.y);
+  if (!u) return {lines: [], cuts: []};
+
+  let n = {x: -u.y, y: u.x};
+  let along = point => dot({x: point.x - p0.x, y: point.y - p0.y}, u);
+  let onRun = point => {
+    let position = along(point);
+    let distance = Math.abs(dot({x: point.x - p0.x, y: point.y - p0.y}, n));
+    return distance <= RUN_TOLERANCE && position >= -RUN_TOLERANCE && position <= length + RUN_TOLERANCE;
+  };
+
+  let cuts = [0, length];
+  let lines = [];
+
+  layer.lines.forEach(line => {
+    if (Geometry.isArc(line.bulge)) return;
+
+    let v0 = layer.vertices.get(line.vertices.get(0));
+    let v1 = layer.vertices.get(line.vertices.get(1));
+    if (!v0 || !v1 || !onRun(v0) || !onRun(v1)) return;
+
+    lines.push(line);
+    cuts.push(along(v0), along(v1));
+
+    //hole offsets are measured from the lower vertex of their line
+    let min = Geometry.minVertex(v0, v1);
+    let max = Geometry.maxVertex(v0, v1);
+    let start = along(min);
+    let direction = along(max) >= start ? 1 : -1;
+    let lineLength = Geometry.verticesDistance(v0, v1);
+
+    line.holes.forEach(holeID => {
+      let hole = layer.holes.get(holeID);
+      if (!hole) return;
+
+      let center = start + direction * lineLength * hole.offset;
+      let half = (hole.getIn(['properties', 'width', 'length']) || 0) / 2;
+      cuts.push(center - half, center + half);
+    });
+  });
+
+  cuts = cuts
+    .map(cut => Math.min(Math.max(cut, 0), length))
+    .sort((a, b) => a - b)
+    .filter((cut, index, sorted) => index === 0 || cut - sorted[index - 1] > RUN_TOLERANCE);
+
+  return {lines, cuts};
+}
+
+/** @description Return the ends of the run of aligned walls containing a wall, following the junctions where
+ *  a single wall goes on in the same direction
+ *  @param {object} layer Layer containing the wall
+ *  @param {string} lineID Wall ID
+ *  @return {?Array} IDs of the two end vertices, null for arc walls
+ */
+export function wallRun(layer, lineID) {
+  let line = layer.lines.get(lineID);
+  if (!line || Geometry.isArc(line.bulge)) return null;
+
+  let v0 = layer.vertices.get(line.vertices.get(0));
+  let v1 = layer.vertices.get(line.vertices.get(1));
+  let u = unitVector(v1.x - v0.x, v1.y - v0.y);
+  if (!u) return null;
+
+  let visited = {[lineID]: true};
+
+  let follow = (vertex, sign) => {
+    for (;;) {
+      let next = vertex.lines
+        .map(id => layer.lines.get(id))
+        .filter(other => other && !visited[other.id] && !Geometry.isArc(other.bulge))
+        .map(other => ({line: other, end: layer.vertices.get(other.vertices.find(id => id !== vertex.id))}))
+        .find(({end}) => {
+          let w = end && unitVector(end.x - vertex.x, end.y - vertex.y);
+          return w && dot(w, u) * sign > 1 - 1e-6;
+        });
+
+      if (!next) return vertex;
+
+      visited[next.line.id] = true;
+      vertex = next.end;
+    }
+  };
+
+  return [follow(v0, -1).id, follow(v1, 1).id];
+}
+
+/** @description Return the offset that places a dimension line through a point
+ *  @param {object} layer Layer containing the dimension
+ *  @param {object} dimension Dimension
+ *  @param {number} x Point x
+ *  @param {number} y Point y
+ *  @return {number}
+ */
+export function dimensionOffsetAt(layer, dimension, x, y) {
+  let points = dimension.points.map(point => dimensionPoint(layer, point)).toArray();
+
+  if (dimension.type === DIMENSION_ANGULAR) {
+    return Geometry.pointsDistance(points[0].x, points[0].y, x, y);
+  }
+
+  let u = dimension.type === DIMENSION_CHAIN ?
+    unitVector(points[1].x - points[0].x, points[1].y - points[0].y) :
+    measureDirection(dimension, points[0], points[1]);
+  if (!u) return 0;
+
+  return dot({x: x - points[0].x, y: y - points[0].y}, {x: -u.y, y: u.x});
+}
+
+/** @description Place a dimension so that its dimension line goes through a point. Linear dimensions measure
+ *  the direction the point is on, angular ones the angle the point is in
+ *  @param {object} layer Layer containing the dimension
+ *  @param {object} dimension Dimension with all its points
+ *  @param {number} x Point x
+ *  @param {number} y Point y
+ *  @return {object} Placed dimension
+ */
+export function placeDimension(layer, dimension, x, y) {
+  let points = dimension.points.map(point => dimensionPoint(layer, point)).toArray();
+
+  if (dimension.type === DIMENSION_LINEAR) {
+    dimension = dimension.set('angle', linearDimensionAngle(points[0], points[1], x, y));
+  }
+
+  if (dimension.type === DIMENSION_ANGULAR) {
+    let [center, a, b] = points;
+    let start = Math.atan2(a.y - center.y, a.x - center.x);
+    let sweep = Math.atan2(b.y - center.y, b.x - center.x) - start;
+    let pointer = Math.atan2(y - center.y, x - center.x) - start;
+    while (sweep <= 0) sweep += 2 * Math.PI;
+    while (pointer < 0) pointer += 2 * Math.PI;
+
+    //the angle goes counterclockwise from the first arm to the second one
+    if (pointer > sweep) {
+      dimension = dimension.update('points', points => points.set(1, points.get(2)).set(2, points.get(1)));
+    }
+  }
+
+  return dimension.set('offset', dimensionOffsetAt(layer, dimension, x, y));
+}
+
+/** @description Return what a dimension draws, in scene coordinates: the segments of the dimension and
+ *  extension lines and of the ticks, the arcs of the angular dimensions and the texts
+ *  @param {object} layer Layer containing the dimension
+ *  @param {object} dimension Dimension
+ *  @param {string} sceneUnit Scene unit
+ *  @return {?object} lines: [x1, y1, x2, y2] list, arcs: {x, y, radius, start, end} list with angles in degrees
+ *  going counterclockwise, texts: {x, y, angle, size, value} list centered on x, y. Null when nothing can be measured
+ */
+export function dimensionGeometry(layer, dimension, sceneUnit) {
+  let {properties, offset} = dimension;
+  let size = properties.get('textSize') || DEFAULT_TEXT_SIZE;
+  let tick = size * 0.4;
+  let gap = size * 0.3;
+
+  let points = dimension.points.map(point => dimensionPoint(layer, point)).toArray();
+  let lines = [];
+  let arcs = [];
+  let texts = [];
+
+  let segment = (a, b) => lines.push([a.x, a.y, b.x, b.y]);
+  let slash = (point, u, n) => segment(at(point, u, -tick / 2, n, -tick / 2), at(point, u, tick / 2, n, tick / 2));
+  let extension = (from, to, n) => {
+    let side = dot({x: to.x - from.x, y: to.y - from.y}, n) >= 0 ? 1 : -1;
+    if (!Geometry.samePoints(from, to)) segment(from, at(to, n, side * tick, n, 0));
+  };
+  let label = (point, direction, value) => {
+    direction = readable(direction);
+    let up = {x: -direction.y, y: direction.x};
+    texts.push({
+      ...at(point, up, gap + size / 2, up, 0),
+      angle: Math.atan2(direction.y, direction.x) * 180 / Math.PI,
+      size,
+      value
+    });
+  };
+
+  switch (dimension.type) {
+    case DIMENSION_LINEAR:
+    case DIMENSION_ALIGNED: {
+      if (points.length < 2) return null;
+
+      let [p0, p1] = points;
+      let u = measureDirection(dimension, p0, p1);
+      if (!u) return null;
+
+      let n = {x: -u.y, y: u.x};
+      let measured = dot({x: p1.x - p0.x, y: p1.y - p0.y}, u);
+      let d0 = at(p0, u, 0, n, offset);
+      let d1 = at(p0, u, measured, n, offset);
+
+      extension(p0, d0, n);
+      extension(p1, d1, n);
+      segment(d0, d1);
+      slash(d0, u, n);
+      slash(d1, u, n);
+
+      if (Math.abs(measured) > EPSILON) {
+        label(at(d0, u, measured / 2, n, 0), u, formatDimensionLength(Math.abs(measured), sceneUnit, properties));
+      }
+      break;
+    }
+
+    case DIMENSION_ANGULAR: {
+      if (points.length < 3) return null;
+
+      let [center, a, b] = points;
+      let start = Math.atan2(a.y - center.y, a.x - center.x);
+      let end = Math.atan2(b.y - center.y, b.x - center.x);
+      let sweep = end - start;
+      while (sweep <= 0) sweep += 2 * Math.PI;
+
+      let radius = Math.abs(offset);
+      if (!radius) return null;
+
+      let radial = angle => ({x: Math.cos(angle), y: Math.sin(angle)});
+      let onArc = angle => at(center, radial(angle), radius, radial(angle), 0);
+
+      [[a, start], [b, end]].forEach(([arm, angle]) => {
+        if (Geometry.pointsDistance(center.x, center.y, arm.x, arm.y) < radius) extension(arm, onArc(angle), radial(angle));
+        let r = radial(angle);
+        slash(onArc(angle), {x: -r.y, y: r.x}, r);
+      });
+
+      arcs.push({
+        x: center.x, y: center.y, radius,
+        start: start * 180 / Math.PI,
+        end: (start + sweep) * 180 / Math.PI
+      });
+
+      //the text stands on the tangent in the middle of the arc
+      let middle = start + sweep / 2;
+      let r = radial(middle);
+      label(onArc(middle), {x: -r.y, y: r.x}, formatDimensionAngle(sweep, properties));
+      break;
+    }
+
+    case DIMENSION_CHAIN: {
+      if (points.length < 2) return null;
+
+      let [p0, p1] = points;
+      let u = unitVector(p1.x - p0.x, p1.y - p0.y);
+      if (!u) return null;
+
+      let n = {x: -u.y, y: u.x};
+      let {lines: walls, cuts} = chainCuts(layer, p0, p1);
+
+      //extension lines start from the face of the walls
+      let face = walls.reduce((max, line) => Math.max(max, (line.getIn(['properties', 'thickness', 'length']) || 0) / 2), 0);
+      face = Math.min(face, Math.abs(offset)) * (offset < 0 ? -1 : 1);
+
+      cuts.forEach(cut => {
+        extension(at(p0, u, cut, n, face), at(p0, u, cut, n, offset), n);
+        slash(at(p0, u, cut, n, offset), u, n);
+      });
+
+      cuts.slice(1).forEach((cut, index) => {
+        segment(at(p0, u, cuts[index], n, offset), at(p0, u, cut, n, offset));
+        label(at(p0, u, (cuts[index] + cut) / 2, n, offset), u, formatDimensionLength(cut - cuts[index], sceneUnit, properties));
+      });
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  return {lines, arcs, texts};
+}
@@ -5,6 +5,15 @@ import * as SnapUtils from './snap';
 import * as SnapSceneUtils from './snap-scene';
 import * as history from './history';
 import * as ObjectUtils from './objects-utils';
+import * as CoordinatesInputUtils from './coordinates-input';
+import * as DimensionUtils from './dimension';
+import * as AnnotationUtils from './annotation';
+import * as SelectionUtils from './selection';
+import * as ClipboardUtils from './clipboard';
+import * as TransformUtils from './transform';
+import * as SpatialIndexUtils from './spatial-index';
+import * as RoofUtils from './roof';
+import * as StoreyUtils from './storeys';
 import IDBroker from './id-broker';
 import NameGenerator from './name-generator';
 
@@ -17,7 +26,16 @@ export {
   history,
   IDBroker,
   NameGenerator,
-  ObjectUtils
+  ObjectUtils,
+  CoordinatesInputUtils,
+  DimensionUtils,
+  AnnotationUtils,
+  SelectionUtils,
+  ClipboardUtils,
+  TransformUtils,
+  SpatialIndexUtils,
+  RoofUtils,
+  StoreyUtils
 };
 
 export default {
@@ -29,5 +47,14 @@ export default {
   history,
   IDBroker,
   NameGenerator,
-  ObjectUtils
+  ObjectUtils,
+  CoordinatesInputUtils,
+  DimensionUtils,
+  AnnotationUtils,
+  SelectionUtils,
+  ClipboardUtils,
+  TransformUtils,
+  SpatialIndexUtils,
+  RoofUtils,
+  StoreyUtils
 };
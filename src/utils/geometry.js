@@ -335,3 +335,240 @@ export function rotatePointAroundPoint( px, py, ox, oy, theta ) {
   };
 
 }
+
+/** @description Tell if a bulge describes an arc rather than a straight segment
+ *  @param {number} bulge Tangent of a quarter of the arc angle
+ *  @return {boolean}
+ */
+export function isArc(bulge) {
+  return !!bulge && Math.abs(bulge) > EPSILON;
+}
+
+/** @description Determine the circle of the arc going from the first point to the second one.
+ *  The bulge is the tangent of a quarter of the arc angle, positive when the arc turns counterclockwise
+ *  @param {number} x1 Start x
+ *  @param {number} y1 Start y
+ *  @param {number} x2 End x
+ *  @param {number} y2 End y
+ *  @param {number} bulge Arc bulge
+ *  @return {object} x, y: center, radius, startAngle, angle: signed arc angle in radians
+ */
+export function arcFromBulge(x1, y1, x2, y2, bulge) {
+  let chord = pointsDistance(x1, y1, x2, y2);
+  let angle = 4 * Math.atan(bulge);
+
+  //signed distance of the center from the chord midpoint, on the left of the chord
+  let distance = chord / (2 * Math.tan(angle / 2));
+  let x = (x1 + x2) / 2 - (y2 - y1) / chord * distance;
+  let y = (y1 + y2) / 2 + (x2 - x1) / chord * distance;
+
+  return {
+    x, y,
+    radius: chord / (2 * Math.abs(Math.sin(angle / 2))),
+    startAngle: Math.atan2(y1 - y, x1 - x),
+    angle
+  };
+}
+
+/** @description Determine the length of a line, following the arc when it has a bulge
+ *  @param {number} x1 Start x
+ *  @param {number} y1 Start y
+ *  @param {number} x2 End x
+ *  @param {number} y2 End y
+ *  @param {number} bulge Arc bulge
+ *  @return {number}
+ */
+export function arcLength(x1, y1, x2, y2, bulge) {
+  if (!isArc(bulge)) return pointsDistance(x1, y1, x2, y2);
+
+  let {radius, angle} = arcFromBulge(x1, y1, x2, y2, bulge);
+  return radius * Math.abs(angle);
+}
+
+/** @description Find the point at a fraction of the length of a line, following the arc when it has a bulge
+ *  @param {number} x1 Start x
+ *  @param {number} y1 Start y
+ *  @param {number} x2 End x
+ *  @param {number} y2 End y
+ *  @param {number} bulge Arc bulge
+ *  @param {number} t Fraction of the length, from the start
+ *  @return {object} x, y, angle: direction of the tangent in radians
+ */
+export function pointOnArc(x1, y1, x2, y2, bulge, t) {
+  if (!isArc(bulge)) {
+    return {x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t, angle: Math.atan2(y2 - y1, x2 - x1)};
+  }
+
+  let {x, y, radius, startAngle, angle} = arcFromBulge(x1, y1, x2, y2, bulge);
+  let pointAngle = startAngle + angle * t;
+
+  return {
+    x: x + radius * Math.cos(pointAngle),
+    y: y + radius * Math.sin(pointAngle),
+    angle: pointAngle + Math.sign(angle) * Math.PI / 2
+  };
+}
+
+/** @description Split a line in points, the arc is approximated by segments
+ *  @param {number} x1 Start x
+ *  @param {number} y1 Start y
+ *  @param {number} x2 End x
+ *  @param {number} y2 End y
+ *  @param {number} bulge Arc bulge
+ *  @param {number} maxAngle Widest angle covered by a segment, in radians
+ *  @return {Array} List of {x, y} points, the first and last ones are the given points
+ */
+export function arcPoints(x1, y1, x2, y2, bulge, maxAngle = Math.PI / 18) {
+  let segments = isArc(bulge) ? Math.max(Math.ceil(Math.abs(4 * Math.atan(bulge)) / maxAngle), 1) : 1;
+  let points = [{x: x1, y: y1}];
+
+  for (let i = 1; i < segments; i++) {
+    let {x, y} = pointOnArc(x1, y1, x2, y2, bulge, i / segments);
+    points.push({x, y});
+  }
+
+  points.push({x: x2, y: y2});
+
+  return points;
+}
+
+/** @description Find the point of an arc closest to a given point
+ *  @param {number} x1 Start x
+ *  @param {number} y1 Start y
+ *  @param {number} x2 End x
+ *  @param {number} y2 End y
+ *  @param {number} bulge Arc bulge
+ *  @param {number} xp Point x
+ *  @param {number} yp Point y
+ *  @return {object} x, y, t: fraction of the arc length from the start
+ */
+export function closestPointFromArc(x1, y1, x2, y2, bulge, xp, yp) {
+  let {x, y, radius, startAngle, angle} = arcFromBulge(x1, y1, x2, y2, bulge);
+
+  //angle swept from the start to the point, walking in the arc direction
+  let swept = (Math.atan2(yp - y, xp - x) - startAngle) * Math.sign(angle);
+  swept = ((swept % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+  let t = swept / Math.abs(angle);
+  if (t > 1) {
+    //outside the arc, the nearest end wins
+    let outside = (swept - Math.abs(angle)) / (2 * Math.PI - Math.abs(angle));
+    t = outside < 0.5 ? 1 : 0;
+  }
+
+  let point = pointOnArc(x1, y1, x2, y2, bulge, t);
+
+  return {x: point.x, y: point.y, t};
+}
+
+/** @description Determine the distance between a point and an arc
+ *  @param {number} x1 Start x
+ *  @param {number} y1 Start y
+ *  @param {number} x2 End x
+ *  @param {number} y2 End y
+ *  @param {number} bulge Arc bulge
+ *  @param {number} xp Point x
+ *  @param {number} yp Point y
+ *  @return {number}
+ */
+export function distancePointFromArc(x1, y1, x2, y2, bulge, xp, yp) {
+  if (!isArc(bulge)) return distancePointFromLineSegment(x1, y1, x2, y2, xp, yp);
+
+  let {x, y} = closestPointFromArc(x1, y1, x2, y2, bulge, xp, yp);
+  return pointsDistance(x, y, xp, yp);
+}
+
+/** @description Find where a point projects on a line, measured like the hole offsets: along the arc from the
+ *  first vertex, or from the lower vertex on straight lines
+ *  @param {object} v0 First vertex
+ *  @param {object} v1 Second vertex
+ *  @param {number} bulge Arc bulge
+ *  @param {number} x Point x
+ *  @param {number} y Point y
+ *  @return {number} Fraction of the line length, between 0 and 1
+ */
+export function lineOffset(v0, v1, bulge, x, y) {
+  if (isArc(bulge)) return closestPointFromArc(v0.x, v0.y, v1.x, v1.y, bulge, x, y).t;
+
+  let min = minVertex(v0, v1);
+  let max = maxVertex(v0, v1);
+  let lengthSquared = Math.pow(max.x - min.x, 2) + Math.pow(max.y - min.y, 2);
+  let offset = ((x - min.x) * (max.x - min.x) + (y - min.y) * (max.y - min.y)) / lengthSquared;
+
+  return Math.min(Math.max(offset, 0), 1);
+}
+
+/** @description Return the outline of a closed chain of vertices, following the arc lines joining them
+ *  @param {object} layer Layer containing the vertices and the lines
+ *  @param {object} vertexIDs List of vertex IDs
+ *  @return {Array} List of {x, y} points
+ */
+export function verticesOutline(layer, vertexIDs) {
+  let ids = vertexIDs.toArray ? vertexIDs.toArray() : vertexIDs;
+  let used = {};
+  let points = [];
+
+  ids.forEach((vertexID, index) => {
+    let nextID = ids[(index + 1) % ids.length];
+    let vertex = layer.vertices.get(vertexID);
+    points.push({x: vertex.x, y: vertex.y});
+
+    //two lines may join the same vertices, as a wall and the arc closing a bay
+    let lineID = vertex.lines.find(lineID => !used[lineID] && layer.lines.has(lineID) &&
+      layer.lines.get(lineID).vertices.includes(nextID));
+    if (!lineID) return;
+    used[lineID] = true;
+
+    let line = layer.lines.get(lineID);
+    if (!isArc(line.bulge)) return;
+
+    let v0 = layer.vertices.get(line.vertices.get(0));
+    let v1 = layer.vertices.get(line.vertices.get(1));
+    let inner = arcPoints(v0.x, v0.y, v1.x, v1.y, line.bulge).slice(1, -1);
+
+    points.push(...(line.vertices.get(0) === vertexID ? inner : inner.reverse()));
+  });
+
+  return points;
+}
+
+/** @description Determine the signed area of a polygon, positive when its points turn counterclockwise
+ *  @param {Array} points List of {x, y} points
+ *  @return {number}
+ */
+export function polygonSignedArea(points) {
+  return points.reduce((area, {x: x1, y: y1}, index) => {
+    let {x: x2, y: y2} = points[(index + 1) % points.length];
+    return area + (x1 * y2 - x2 * y1) / 2;
+  }, 0);
+}
+
+/** @description Move every side of a polygon along its normal, the corners are mitered
+ *  @param {Array} points List of {x, y} points
+ *  @param {number} distance Distance to move the sides, positive outwards and negative inwards
+ *  @return {Array} List of {x, y} points
+ */
+export function offsetPolygon(points, distance) {
+  if (!distance) return points.map(({x, y}) => ({x, y}));
+
+  //with the points turning counterclockwise the right side of each edge is outside
+  let side = polygonSignedArea(points) > 0 ? distance : -distance;
+
+  let normals = points.map(({x: x1, y: y1}, index) => {
+    let {x: x2, y: y2} = points[(index + 1) % points.length];
+    let length = pointsDistance(x1, y1, x2, y2);
+    return {x: (y2 - y1) / length, y: (x1 - x2) / length};
+  });
+
+  return points.map(({x, y}, index) => {
+    let previous = normals[(index + points.length - 1) % points.length];
+    let next = normals[index];
+
+    //the corner moves along the bisector, far enough to keep both the sides at the given distance
+    let bisector = {x: previous.x + next.x, y: previous.y + next.y};
+    let cos = (bisector.x * next.x + bisector.y * next.y);
+    if (Math.abs(cos) < EPSILON) return {x: x + next.x * side, y: y + next.y * side};
+
+    return {x: x + bisector.x / cos * side, y: y + bisector.y / cos * side};
+  });
+}
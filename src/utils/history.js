@@ -1,18 +1,23 @@
-import { Map } from 'immutable';
+import { Map, List } from 'immutable';
 import diff from 'immutablediff';
 import patch from 'immutablepatch';
 
-export const historyPush = (historyStructure, item) => {
+//an entry is recorded once an edit is finished, with the action that finished it
+export const historyPush = (historyStructure, item, action = null) => {
   if (historyStructure.last) {
     if (historyStructure.last.hashCode() !== item.hashCode()) {
       let toPush = new Map({
         time: Date.now(),
-        diff: diff(historyStructure.last, item)
+        diff: diff(historyStructure.last, item),
+        action,
+        name: null
       });
 
+      //only a recorded edit invalidates the redo stack
       historyStructure = historyStructure
         .set('last', item)
-        .set('list', historyStructure.list.push(toPush));
+        .set('list', historyStructure.list.push(toPush))
+        .set('redoList', new List());
     }
   }
   else {
@@ -36,3 +41,47 @@ export const historyPop = (historyStructure) => {
   }
   return historyStructure;
 };
+
+export const historyScene = (historyStructure, size) => {
+  let scene = historyStructure.first;
+  for (let x = 0; x < Math.min(size, historyStructure.list.size); x++) {
+    scene = patch(scene, historyStructure.list.get(x).get('diff'));
+  }
+  return scene;
+};
+
+export const historyNameEntry = (historyStructure, index, name) => {
+  if (index < 0) return historyStructure;
+
+  if (historyStructure.list.has(index)) {
+    return historyStructure.setIn(['list', index, 'name'], name || null);
+  }
+
+  //indexes past the end of the list address the undone entries, nearest first
+  let redoIndex = historyStructure.redoList.size - 1 - (index - historyStructure.list.size);
+  if (redoIndex >= 0 && historyStructure.redoList.has(redoIndex)) {
+    historyStructure = historyStructure.setIn(['redoList', redoIndex, 'entry', 'name'], name || null);
+  }
+  return historyStructure;
+};
+
+export const historyPushRedo = (historyStructure, item, entry) => {
+  return historyStructure.set('redoList', historyStructure.redoList.push(new Map({ scene: item, entry })));
+};
+
+export const historyRedo = (historyStructure, item) => {
+  if (historyStructure.redoList.size) {
+    let entry = historyStructure.redoList.last().get('entry');
+    let redoList = historyStructure.redoList.pop();
+    let listSize = historyStructure.list.size;
+
+    historyStructure = historyPush(historyStructure, item).set('redoList', redoList);
+
+    //the re-pushed entry keeps the time, action and name it had before being undone
+    if (historyStructure.list.size > listSize) {
+      historyStructure = historyStructure.updateIn(['list', listSize], pushed => entry.set('diff', pushed.get('diff')));
+    }
+  }
+  return historyStructure;
+};
+
@@ -0,0 +1,207 @@
+import { ROOF_FLAT, ROOF_GABLE, ROOF_HIP } from '../constants';
+import { verticesOutline, polygonSignedArea, offsetPolygon, pointsDistance, ContainsPoint } from './geometry';
+
+const FUNCTION_OUTDOOR = 'outdoor';
+
+const edgeKey = (v0, v1) => `${v0},${v1}`;
+
+/** @description Return the layer the roof is built on, the highest one and the last one among those as high
+ *  @param {object} scene Scene
+ *  @return {?object} Layer
+ */
+export function topLayer(scene) {
+  return scene.layers
+    .sortBy(layer => -layer.order)
+    .maxBy(layer => layer.altitude);
+}
+
+//the sides of the rooms that are not shared by two of them, by the ids of their vertices
+function outlineEdges(layer) {
+  let edges = {};
+
+  //the areas go counterclockwise and their holes the other way, the sides met both ways cancel out
+  let addEdges = (vertexIDs, reverse) => {
+    let ids = vertexIDs.toArray();
+    if (reverse) ids.reverse();
+
+    ids.forEach((v0, index) => {
+      let v1 = ids[(index + 1) % ids.length];
+      if (edges[edgeKey(v1, v0)]) delete edges[edgeKey(v1, v0)];
+      else edges[edgeKey(v0, v1)] = [v0, v1];
+    });
+  };
+
+  layer.areas
+    .filter(area => area.getIn(['properties', 'roomFunction']) !== FUNCTION_OUTDOOR)
+    .forEach(area => {
+      addEdges(area.vertices, false);
+      area.holes.forEach(holeID => layer.areas.has(holeID) && addEdges(layer.areas.getIn([holeID, 'vertices']), true));
+    });
+
+  return edges;
+}
+
+/** @description Return the outer outlines of the rooms of a layer, along the axes of the walls. The sides shared by two
+ *  rooms are inside the building, the others are chained in outlines. The outdoor areas are left out, so that their
+ *  outline is a hole of the building around them
+ *  @param {object} layer Layer
+ *  @return {Array} List of outlines: points, counterclockwise list of {x, y}, and holes, clockwise lists of {x, y}
+ */
+export function roofOutlines(layer) {
+  let edges = outlineEdges(layer);
+
+  let next = {};
+  Object.keys(edges).forEach(key => {
+    let [v0, v1] = edges[key];
+    (next[v0] = next[v0] || []).push(v1);
+  });
+
+  let loops = [];
+  Object.keys(next).forEach(start => {
+    while (next[start].length) {
+      let loop = [];
+      let vertexID = start;
+
+      while (next[vertexID] && next[vertexID].length) {
+        loop.push(vertexID);
+        vertexID = next[vertexID].pop();
+      }
+
+      if (loop.length > 2) loops.push(verticesOutline(layer, loop));
+    }
+  });
+
+  let outlines = loops.filter(points => polygonSignedArea(points) > 0);
+  let holes = loops.filter(points => polygonSignedArea(points) < 0);
+
+  return outlines.map(points => {
+    let polygon = [].concat(...points.map(({x, y}) => [x, y]));
+    return {
+      points,
+      holes: holes.filter(hole => ContainsPoint(polygon, hole[0].x, hole[0].y))
+    };
+  });
+}
+
+/** @description Return the walls along the outer outlines of the rooms of a layer
+ *  @param {object} layer Layer
+ *  @return {List} Lines
+ */
+export function outerLines(layer) {
+  let edges = outlineEdges(layer);
+
+  return layer.lines.toList().filter(({vertices}) =>
+    edges[edgeKey(vertices.get(0), vertices.get(1))] || edges[edgeKey(vertices.get(1), vertices.get(0))]);
+}
+
+//the rectangle around the outline, turned along its longest side, as an origin, the axis of its length and the axis
+//of its width
+function outlineRectangle(points) {
+  let longest = points
+    .map((point, index) => ({point, next: points[(index + 1) % points.length]}))
+    .reduce((longest, side) =>
+      pointsDistance(side.point.x, side.point.y, side.next.x, side.next.y) >
+      pointsDistance(longest.point.x, longest.point.y, longest.next.x, longest.next.y) ? side : longest);
+
+  let angle = Math.atan2(longest.next.y - longest.point.y, longest.next.x - longest.point.x);
+  let u = {x: Math.cos(angle), y: Math.sin(angle)};
+  let v = {x: -u.y, y: u.x};
+
+  let project = axis => points.map(({x, y}) => x * axis.x + y * axis.y);
+  let us = project(u), vs = project(v);
+  let minU = Math.min(...us), maxU = Math.max(...us);
+  let minV = Math.min(...vs), maxV = Math.max(...vs);
+
+  //the ridge goes along the longer side
+  if (maxV - minV > maxU - minU) {
+    return {
+      origin: {x: u.x * maxU + v.x * minV, y: u.y * maxU + v.y * minV},
+      u: v, v: {x: -u.x, y: -u.y},
+      length: maxV - minV, width: maxU - minU
+    };
+  }
+
+  return {
+    origin: {x: u.x * minU + v.x * minV, y: u.y * minU + v.y * minV},
+    u, v,
+    length: maxU - minU, width: maxV - minV
+  };
+}
+
+//the faces of a gable or a hip roof over a rectangle, the eaves are at 0 and lowered by the overhang
+function pitchedFaces(type, {origin, u, v, length, width}, pitch, overhang) {
+  let slope = Math.tan(pitch * Math.PI / 180);
+  let rise = width / 2 * slope;
+  let drop = overhang * slope;
+
+  length += overhang * 2;
+  width += overhang * 2;
+
+  let point = (along, across, z) => ({
+    x: origin.x + u.x * (along - overhang) + v.x * (across - overhang),
+    y: origin.y + u.y * (along - overhang) + v.y * (across - overhang),
+    z: z - drop
+  });
+
+  let half = width / 2;
+
+  if (type === ROOF_GABLE) {
+    return [
+      [point(0, 0, 0), point(length, 0, 0), point(length, half, rise + drop), point(0, half, rise + drop)],
+      [point(length, width, 0), point(0, width, 0), point(0, half, rise + drop), point(length, half, rise + drop)],
+      [point(0, width, 0), point(0, 0, 0), point(0, half, rise + drop)],
+      [point(length, 0, 0), point(length, width, 0), point(length, half, rise + drop)]
+    ];
+  }
+
+  //the hips go at 45 degrees in plan, the ends slope like the sides
+  let inset = Math.min(half, length / 2);
+  let top = inset * slope;
+
+  return [
+    [point(0, 0, 0), point(length, 0, 0), point(length - inset, half, top), point(inset, half, top)],
+    [point(length, width, 0), point(0, width, 0), point(inset, half, top), point(length - inset, half, top)],
+    [point(0, width, 0), point(0, 0, 0), point(inset, half, top)],
+    [point(length, 0, 0), point(length, width, 0), point(length - inset, half, top)]
+  ];
+}
+
+/** @description Return the shape of the roof over a layer. The flat roofs follow the outlines of the building, the
+ *  gable and hip roofs cover the rectangle around each outline, turned along its longest side. The eaves start at the
+ *  outer face of the walls, at the top of the highest one, and go out by the overhang
+ *  @param {object} layer Layer the roof is built on
+ *  @param {object} roof Roof
+ *  @return {object} altitude: height of the top of the walls, slabs: flat roof outlines with their holes, faces:
+ *  pitched roof faces as lists of {x, y, z}, z from the top of the walls
+ */
+export function roofGeometry(layer, roof) {
+  let wallsHeight = layer.lines.reduce((max, line) => Math.max(max, line.getIn(['properties', 'height', 'length']) || 0), 0);
+  let wallsThickness = layer.lines.reduce((max, line) => Math.max(max, line.getIn(['properties', 'thickness', 'length']) || 0), 0);
+
+  let geometry = {altitude: layer.altitude + wallsHeight, slabs: [], faces: []};
+  let outlines = roofOutlines(layer);
+
+  switch (roof.type) {
+    case ROOF_FLAT: {
+      let distance = wallsThickness / 2 + roof.overhang;
+
+      geometry.slabs = outlines.map(({points, holes}) => ({
+        points: offsetPolygon(points, distance),
+        holes: holes
+          .map(hole => offsetPolygon(hole, -distance))
+          .filter(hole => polygonSignedArea(hole) < 0)
+      }));
+      break;
+    }
+
+    case ROOF_GABLE:
+    case ROOF_HIP:
+      outlines.forEach(({points}) => {
+        let rectangle = outlineRectangle(offsetPolygon(points, wallsThickness / 2));
+        geometry.faces.push(...pitchedFaces(roof.type, rectangle, roof.pitch, roof.overhang));
+      });
+      break;
+  }
+
+  return geometry;
+}
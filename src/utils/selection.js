@@ -0,0 +1,201 @@
+import * as GeometryUtils from './geometry';
+import { dimensionGeometry } from './dimension';
+import { annotationGeometry } from './annotation';
+
+//the prototypes picked by a selection box, in the order they are selected
+export const SELECTABLE_PROTOTYPES = ['lines', 'holes', 'items', 'areas', 'dimensions', 'annotations'];
+
+const inBox = ({x, y}, {x1, y1, x2, y2}) => x >= x1 && x <= x2 && y >= y1 && y <= y2;
+
+//Liang-Barsky clipping: the segment touches the box when a part of it is left after clipping
+function segmentTouchesBox(a, b, box) {
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+
+  let clip = (p, q) => {
+    if (p === 0) return q >= 0;
+
+    let t = q / p;
+    if (p < 0) {
+      if (t > t1) return false;
+      t0 = Math.max(t0, t);
+    }
+    else {
+      if (t < t0) return false;
+      t1 = Math.min(t1, t);
+    }
+    return true;
+  };
+
+  return clip(-dx, a.x - box.x1) && clip(dx, box.x2 - a.x) && clip(-dy, a.y - box.y1) && clip(dy, box.y2 - a.y);
+}
+
+//an element drawn as open or closed polylines and loose points
+const shape = () => ({polylines: [], points: []});
+
+const arcShape = ({x, y, radius, start, end}) => {
+  let steps = Math.max(1, Math.ceil((end - start) / 10));
+  let points = [];
+  for (let i = 0; i <= steps; i++) {
+    let angle = (start + (end - start) * i / steps) * Math.PI / 180;
+    points.push({x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle)});
+  }
+  return points;
+};
+
+function drawingShape(geometry) {
+  let result = shape();
+  if (!geometry) return result;
+
+  geometry.lines.forEach(([x1, y1, x2, y2]) => result.polylines.push([{x: x1, y: y1}, {x: x2, y: y2}]));
+  geometry.arcs.forEach(arc => result.polylines.push(arcShape(arc)));
+  (geometry.polygons || []).forEach(polygon => {
+    let points = polygon.map(([x, y]) => ({x, y}));
+    result.polylines.push([...points, points[0]]);
+  });
+  geometry.texts.forEach(({x, y}) => result.points.push({x, y}));
+
+  return result;
+}
+
+function lineShape(layer, line) {
+  let v0 = layer.vertices.get(line.vertices.get(0));
+  let v1 = layer.vertices.get(line.vertices.get(1));
+  let result = shape();
+
+  result.polylines.push(GeometryUtils.arcPoints(v0.x, v0.y, v1.x, v1.y, line.bulge));
+  return result;
+}
+
+//the span of the wall covered by the hole, the offsets on arcs start from the first vertex
+function holeShape(layer, hole) {
+  let line = layer.lines.get(hole.line);
+  let result = shape();
+  if (!line) return result;
+
+  let v0 = layer.vertices.get(line.vertices.get(0));
+  let v1 = layer.vertices.get(line.vertices.get(1));
+  if (!GeometryUtils.isArc(line.bulge)) [v0, v1] = [GeometryUtils.minVertex(v0, v1), GeometryUtils.maxVertex(v0, v1)];
+
+  let length = GeometryUtils.arcLength(v0.x, v0.y, v1.x, v1.y, line.bulge);
+  let half = length ? (hole.properties.getIn(['width', 'length']) || 0) / 2 / length : 0;
+
+  result.polylines.push([hole.offset - half, hole.offset, hole.offset + half].map(t => {
+    let {x, y} = GeometryUtils.pointOnArc(v0.x, v0.y, v1.x, v1.y, line.bulge, t);
+    return {x, y};
+  }));
+  return result;
+}
+
+//the items with a width and a depth are their rotated rectangle, the other ones their position
+function itemShape(item) {
+  let width = item.getIn(['properties', 'width', 'length']);
+  let depth = item.getIn(['properties', 'depth', 'length']);
+  let result = shape();
+
+  if (!width || !depth) {
+    result.points.push({x: item.x, y: item.y});
+    return result;
+  }
+
+  let rad = item.rotation * Math.PI / 180;
+  let corner = (u, v) => ({
+    x: item.x + u * Math.cos(rad) - v * Math.sin(rad),
+    y: item.y + u * Math.sin(rad) + v * Math.cos(rad)
+  });
+  let corners = [corner(-width / 2, -depth / 2), corner(width / 2, -depth / 2), corner(width / 2, depth / 2), corner(-width / 2, depth / 2)];
+
+  result.polylines.push([...corners, corners[0]]);
+  return result;
+}
+
+function areaShape(layer, area) {
+  let points = GeometryUtils.verticesOutline(layer, area.vertices);
+  let result = shape();
+
+  result.polylines.push([...points, points[0]]);
+  return result;
+}
+
+/** @description Return the outline of an element, as picked by the selection boxes
+ *  @param {object} layer Layer containing the element
+ *  @param {string} prototype Element prototype
+ *  @param {object} element Element
+ *  @param {string} sceneUnit Scene unit
+ *  @return {object} polylines: lists of {x, y} points, points: {x, y} points standing alone
+ */
+export function elementOutline(layer, prototype, element, sceneUnit) {
+  switch (prototype) {
+    case 'lines': return lineShape(layer, element);
+    case 'holes': return holeShape(layer, element);
+    case 'items': return itemShape(element);
+    case 'areas': return areaShape(layer, element);
+    case 'dimensions': return drawingShape(dimensionGeometry(layer, element, sceneUnit));
+    case 'annotations': return drawingShape(annotationGeometry(element, sceneUnit));
+    default: return shape();
+  }
+}
+
+/** @description Normalize the corners of a selection box
+ *  @param {number} x1 First corner x
+ *  @param {number} y1 First corner y
+ *  @param {number} x2 Opposite corner x
+ *  @param {number} y2 Opposite corner y
+ *  @return {object} x1, y1: lower left corner, x2, y2: upper right corner
+ */
+export function selectionBox(x1, y1, x2, y2) {
+  return {x1: Math.min(x1, x2), y1: Math.min(y1, y2), x2: Math.max(x1, x2), y2: Math.max(y1, y2)};
+}
+
+/** @description Tell whether a box dragged between two points is a crossing box. Like in most CAD programs, a box
+ *  dragged to the right is a window and picks only what it encloses, a box dragged to the left also picks what it crosses
+ *  @param {number} startX Start x
+ *  @param {number} endX End x
+ *  @return {boolean}
+ */
+export function isCrossingBox(startX, endX) {
+  return endX < startX;
+}
+
+/** @description Tell whether an element is picked by a selection box
+ *  @param {object} layer Layer containing the element
+ *  @param {string} prototype Element prototype
+ *  @param {object} element Element
+ *  @param {object} box Normalized selection box
+ *  @param {boolean} crossing Also pick the element when the box only crosses it
+ *  @param {string} sceneUnit Scene unit, the dimensions and annotations texts depend on it
+ *  @return {boolean}
+ */
+export function elementInBox(layer, prototype, element, box, crossing, sceneUnit) {
+  let {polylines, points} = elementOutline(layer, prototype, element, sceneUnit);
+  if (!polylines.length && !points.length) return false;
+
+  if (!crossing) {
+    return points.every(point => inBox(point, box)) && polylines.every(polyline => polyline.every(point => inBox(point, box)));
+  }
+
+  return points.some(point => inBox(point, box)) ||
+    polylines.some(polyline => polyline.some((point, index) => index > 0 && segmentTouchesBox(polyline[index - 1], point, box)));
+}
+
+/** @description Find the elements of a layer picked by a selection box
+ *  @param {object} layer Layer
+ *  @param {object} box Normalized selection box
+ *  @param {boolean} crossing Also pick the elements the box only crosses
+ *  @param {string} sceneUnit Scene unit
+ *  @return {object} IDs of the picked elements, by prototype
+ */
+export function elementsInBox(layer, box, crossing, sceneUnit) {
+  let elements = {};
+
+  SELECTABLE_PROTOTYPES.forEach(prototype => {
+    elements[prototype] = layer.get(prototype)
+      .filter(element => elementInBox(layer, prototype, element, box, crossing, sceneUnit))
+      .keySeq()
+      .toArray();
+  });
+
+  return elements;
+}
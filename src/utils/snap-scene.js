@@ -5,68 +5,32 @@ import {
   SNAP_GRID,
   SNAP_GUIDE,
   addPointSnap,
-  addLineSnap,
   addLineSegmentSnap,
-  addGridSnap
+  addIndexSnap,
+  createSnapIndex,
+  updateSnapIndex
 } from './snap';
-import { GeometryUtils } from './export';
 import { Map, List } from 'immutable';
 
-export function sceneSnapElements(scene, snapElements = new List(), snapMask = new Map()) {
-
-  let { width, height } = scene;
-
-  let a, b, c;
-  return snapElements.withMutations(snapElements => {
-    scene.layers.forEach(layer => {
-
-      let { lines, vertices } = layer;
-
-      vertices.forEach(({ id: vertexID, x, y }) => {
-
-        if (snapMask.get(SNAP_POINT)) {
-          addPointSnap(snapElements, x, y, 10, 10, vertexID);
-        }
-
-        if (snapMask.get(SNAP_LINE)) {
-          ({ a, b, c } = GeometryUtils.horizontalLine(y));
-          addLineSnap(snapElements, a, b, c, 10, 1, vertexID);
-          ({ a, b, c } = GeometryUtils.verticalLine(x));
-          addLineSnap(snapElements, a, b, c, 10, 1, vertexID);
-        }
-
-      });
-
-      if (snapMask.get(SNAP_SEGMENT)) {
-        lines.forEach(({ id: lineID, vertices: [v0, v1] }) => {
-          let { x: x1, y: y1 } = vertices.get(v0);
-          let { x: x2, y: y2 } = vertices.get(v1);
-
-          addLineSegmentSnap(snapElements, x1, y1, x2, y2, 20, 1, lineID);
-        });
-      }
-
-    });
+/** @description Bring the snap index of a state up to date with its scene. The index is kept in the state so that
+ *  the next snaps only index again what changed since
+ *  @param {object} state State
+ *  @return {object} State
+ */
+export function updateStateSnapIndex(state) {
+  return state.set('snapIndex', updateSnapIndex(state.snapIndex, state.scene));
+}
 
-    if (snapMask.get(SNAP_GRID)) {
-      let divider = 5;
-      let gridCellSize = 100 / divider;
-      let xCycle = width / gridCellSize;
-      let yCycle = height / gridCellSize;
+export function sceneSnapElements(scene, snapElements = new List(), snapMask = new Map(), snapIndex = createSnapIndex()) {
 
-      for (let x = 0; x < xCycle; x++) {
-        let xMul = x * gridCellSize;
+  let { width, height } = scene;
 
-        for (let y = 0; y < yCycle; y++) {
-          let yMul = y * gridCellSize;
+  let indexed = [SNAP_POINT, SNAP_LINE, SNAP_SEGMENT, SNAP_GRID].some(snap => snapMask.get(snap));
+  if (indexed) snapIndex = updateSnapIndex(snapIndex, scene);
 
-          let onXCross = !(x % divider) ? true : false;
-          let onYCross = !(y % divider) ? true : false;
+  return snapElements.withMutations(snapElements => {
 
-          addGridSnap(snapElements, xMul, yMul, 10, onXCross && onYCross ? 15 : 10, null);
-        }
-      }
-    }
+    if (indexed) addIndexSnap(snapElements, snapIndex, snapMask, width, height);
 
     if (snapMask.get(SNAP_GUIDE)) {
 
@@ -89,3 +53,18 @@ export function sceneSnapElements(scene, snapElements = new List(), snapMask = n
 
   })
 }
+
+/** @description Snap on the lines of one layer only, like the holes do
+ *  @param {object} scene Scene
+ *  @param {string} layerID Layer ID
+ *  @param {List} snapElements Snap elements to add to
+ *  @param {object} snapMask Snaps of the layer that are used
+ *  @param {object} snapIndex Snap index of the scene, see updateStateSnapIndex
+ *  @return {List} Snap elements
+ */
+export function layerSnapElements(scene, layerID, snapElements = new List(), snapMask = new Map(), snapIndex = createSnapIndex()) {
+  snapIndex = updateSnapIndex(snapIndex, scene);
+
+  let layerIndex = snapIndex.filter((index, id) => id === layerID);
+  return addIndexSnap(snapElements, layerIndex, snapMask, scene.width, scene.height);
+}
@@ -1,18 +1,33 @@
 import {Map, List, Record} from 'immutable';
 import * as Geometry from './geometry';
+import {createSpatialIndex, insertElement, removeElement, queryBox} from './spatial-index';
 
 export const SNAP_POINT = 'SNAP_POINT';
 export const SNAP_LINE = 'SNAP_LINE';
 export const SNAP_SEGMENT = 'SNAP_SEGMENT';
 export const SNAP_GRID = 'SNAP_GRID';
 export const SNAP_GUIDE = 'SNAP_GUIDE';
+export const SNAP_ANGLE = 'SNAP_ANGLE';
+export const SNAP_ANGLE_STEP = 'SNAP_ANGLE_STEP';
+
+//the alignment lines snap where they cross, the crossings win over the other snaps
+const CROSSING_RADIUS = 20;
+const CROSSING_PRIORITY = 40;
+
+//the widest radius of the snaps of the scene, the queries of the index look that far from the cursor
+const INDEX_QUERY_RADIUS = 20;
+
+const GRID_DIVIDER = 5;
+const GRID_CELL_SIZE = 100 / GRID_DIVIDER;
 
 export const SNAP_MASK = new Map({
   SNAP_POINT : true,
   SNAP_LINE : true,
   SNAP_SEGMENT : true,
   SNAP_GRID : false,
-  SNAP_GUIDE : true
+  SNAP_GUIDE : true,
+  SNAP_ANGLE : false,
+  SNAP_ANGLE_STEP : 45
 });
 
 class PointSnap extends Record({
@@ -61,6 +76,23 @@ class LineSegmentSnap extends Record({
   isNear(x,y,distance){ return true; }
 }
 
+class ArcSnap extends Record({
+  type: 'arc',
+  x1: -1, y1: -1, x2: -1, y2: -1, bulge: 0,
+  radius: 1, priority: 1,
+  related: new List()
+}) {
+  nearestPoint(x, y) {
+    let point = Geometry.closestPointFromArc(this.x1, this.y1, this.x2, this.y2, this.bulge, x, y);
+    return {
+      x: point.x,
+      y: point.y,
+      distance: Geometry.pointsDistance(point.x, point.y, x, y)
+    };
+  }
+  isNear(x,y,distance){ return true; }
+}
+
 class GridSnap extends Record({
   type: 'grid',
   x: -1, y: -1,
@@ -77,19 +109,92 @@ class GridSnap extends Record({
   isNear(x,y,distance){ return ~(this.x - x) + 1 < distance && ~(this.y - y) + 1 < distance; }
 }
 
+//the snaps of the scene, kept in spatial indexes: only the ones around the cursor are looked at. The grid points are
+//worked out around the cursor too, instead of being listed
+class IndexSnap extends Record({
+  type: 'index',
+  layers: new Map(),
+  snapMask: new Map(),
+  width: 0, height: 0,
+  radius: INDEX_QUERY_RADIUS, priority: 1,
+  related: new List()
+}) {
+  nearElements(x, y) {
+    let {layers, snapMask, radius} = this;
+    let query = (name, x1, y1, x2, y2) =>
+      layers.valueSeq().flatMap(layerIndex => queryBox(layerIndex.get(name), x1, y1, x2, y2)).toArray();
+    let near = name => query(name, x - radius, y - radius, x + radius, y + radius);
+    let elements = [];
+
+    if (snapMask.get(SNAP_POINT)) elements.push(...near('points'));
+    if (snapMask.get(SNAP_POINT) && snapMask.get(SNAP_SEGMENT)) elements.push(...near('midpoints'));
+    if (snapMask.get(SNAP_SEGMENT)) elements.push(...near('segments'));
+
+    if (snapMask.get(SNAP_LINE)) {
+      //the vertices lined up share the same line
+      let lines = {};
+      //the horizontal lines are indexed on their y only, the vertical ones on their x
+      query('horizontals', 0, y - radius, 0, y + radius)
+        .concat(query('verticals', x - radius, 0, x + radius, 0))
+        .forEach(line => lines[`${line.a},${line.b},${line.c}`] = line);
+      elements.push(...Object.keys(lines).map(key => lines[key]));
+    }
+
+    if (snapMask.get(SNAP_GRID)) {
+      let gridRadius = 10;
+      let columns = this.width / GRID_CELL_SIZE;
+      let rows = this.height / GRID_CELL_SIZE;
+
+      for (let column = Math.max(Math.ceil((x - gridRadius) / GRID_CELL_SIZE), 0); column <= (x + gridRadius) / GRID_CELL_SIZE && column < columns; column++) {
+        for (let row = Math.max(Math.ceil((y - gridRadius) / GRID_CELL_SIZE), 0); row <= (y + gridRadius) / GRID_CELL_SIZE && row < rows; row++) {
+          let onCross = !(column % GRID_DIVIDER) && !(row % GRID_DIVIDER);
+          elements.push(new GridSnap({x: column * GRID_CELL_SIZE, y: row * GRID_CELL_SIZE, radius: gridRadius, priority: onCross ? 15 : 10}));
+        }
+      }
+    }
+
+    return elements;
+  }
+  nearestPoint(x, y) { return {x, y, distance: Infinity}; }
+  isNear(x,y,distance){ return false; }
+}
+
 export function nearestSnap(snapElements, x, y, snapMask) {
 
   let filter = {
     'point': snapMask.get(SNAP_POINT),
     'line': snapMask.get(SNAP_LINE),
     'line-segment': snapMask.get(SNAP_SEGMENT),
+    'arc': snapMask.get(SNAP_SEGMENT),
     'grid': snapMask.get(SNAP_GRID)
   };
 
-  return snapElements
+  let near = snapElements
   .valueSeq()
+  .flatMap( el => el.type === 'index' ? el.nearElements(x, y) : [el] )
   .filter( ( el ) => filter[el.type] && el.isNear(x,y, el.radius) )
   .map(snap => { return {snap, point: snap.nearestPoint(x, y)} })
+  .cacheResult();
+
+  //the crossings of the lines around the cursor
+  let lines = near
+    .filter(({snap: {type}, point: {distance}}) => type === 'line' && distance < CROSSING_RADIUS)
+    .map(({snap}) => snap)
+    .toArray();
+
+  let crossings = [];
+  if (filter.point) {
+    lines.forEach((line, i) => lines.slice(i + 1).forEach(other => {
+      let crossing = Geometry.twoLinesIntersection(line.a, line.b, line.c, other.a, other.b, other.c);
+      if (!crossing || Geometry.pointsDistance(crossing.x, crossing.y, x, y) >= CROSSING_RADIUS) return;
+
+      let snap = new PointSnap({x: crossing.x, y: crossing.y, radius: CROSSING_RADIUS, priority: CROSSING_PRIORITY});
+      crossings.push({snap, point: snap.nearestPoint(x, y)});
+    }));
+  }
+
+  return near
+  .concat(crossings)
   .filter(({snap: {radius}, point: {distance}}) => distance < radius)
   .min(
     (
@@ -121,7 +226,7 @@ export function addLineSnap(snapElements, a, b, c, radius, priority, related) {
       .filter(snap => snap.type === 'line')
       .map(snap => Geometry.twoLinesIntersection(snap.a, snap.b, snap.c, a, b, c))
       .filter(intersection => intersection !== undefined)
-      .forEach(({x, y}) => addPointSnap(snapElements, x, y, 20, 40));
+      .forEach(({x, y}) => addPointSnap(snapElements, x, y, CROSSING_RADIUS, CROSSING_PRIORITY));
 
     snapElements.push(new LineSnap({a, b, c, radius, priority, related}));
   })
@@ -132,7 +237,217 @@ export function addLineSegmentSnap(snapElements, x1, y1, x2, y2, radius, priorit
   return snapElements.push(new LineSegmentSnap({x1, y1, x2, y2, radius, priority, related}));
 }
 
+export function addArcSnap(snapElements, x1, y1, x2, y2, bulge, radius, priority, related) {
+  related = new List([related]);
+  return snapElements.push(new ArcSnap({x1, y1, x2, y2, bulge, radius, priority, related}));
+}
+
 export function addGridSnap(snapElements, x, y, radius, priority, related) {
   related = new List([related]);
   return snapElements.push(new GridSnap({x, y, radius, priority, related}));
 }
+
+/** @description Add the snaps of a snap index, see updateSnapIndex. They are looked up around the cursor only
+ *  @param {List} snapElements Snap elements
+ *  @param {object} snapIndex Snap index, or a part of it with the layers to snap on
+ *  @param {object} snapMask Snaps of the index that are used
+ *  @param {number} width Scene width, where the grid ends
+ *  @param {number} height Scene height
+ *  @return {List} Snap elements
+ */
+export function addIndexSnap(snapElements, snapIndex, snapMask, width, height) {
+  return snapElements.push(new IndexSnap({layers: snapIndex, snapMask, width, height}));
+}
+
+/** @description Create an empty snap index
+ *  @return {object} Snap index, the indexes of each layer by layer ID
+ */
+export function createSnapIndex() {
+  return new Map();
+}
+
+function createLayerIndex() {
+  return new Map({
+    vertices: new Map(),
+    lines: new Map(),
+    points: createSpatialIndex(),
+    midpoints: createSpatialIndex(),
+    segments: createSpatialIndex(),
+    horizontals: createSpatialIndex(),
+    verticals: createSpatialIndex()
+  });
+}
+
+function lineBoxes(x1, y1, x2, y2, bulge, cellSize) {
+  let points;
+  let pad = 0;
+
+  if (Geometry.isArc(bulge)) {
+    let maxAngle = Math.PI / 18;
+    points = Geometry.arcPoints(x1, y1, x2, y2, bulge, maxAngle);
+    //the arc bulges out of the segments by the sagitta
+    pad = Geometry.arcFromBulge(x1, y1, x2, y2, bulge).radius * (1 - Math.cos(maxAngle / 2));
+  } else {
+    //one box per cell along the segment, so that the diagonal walls do not fill a square of cells
+    let parts = Math.max(Math.ceil(Geometry.pointsDistance(x1, y1, x2, y2) / cellSize), 1);
+    points = [];
+    for (let i = 0; i <= parts; i++) points.push({x: x1 + (x2 - x1) * i / parts, y: y1 + (y2 - y1) * i / parts});
+  }
+
+  return points.slice(1).map((point, i) => ({
+    x1: Math.min(points[i].x, point.x) - pad, y1: Math.min(points[i].y, point.y) - pad,
+    x2: Math.max(points[i].x, point.x) + pad, y2: Math.max(points[i].y, point.y) + pad
+  }));
+}
+
+function indexVertex(layerIndex, {id, x, y}) {
+  let related = new List([id]);
+  let horizontal = Geometry.horizontalLine(y);
+  let vertical = Geometry.verticalLine(x);
+
+  layerIndex.set('points', insertElement(layerIndex.get('points'), id, {x1: x, y1: y, x2: x, y2: y},
+    new PointSnap({x, y, radius: 10, priority: 10, related})));
+  layerIndex.set('horizontals', insertElement(layerIndex.get('horizontals'), id, {x1: 0, y1: y, x2: 0, y2: y},
+    new LineSnap({...horizontal, radius: 10, priority: 1, related})));
+  layerIndex.set('verticals', insertElement(layerIndex.get('verticals'), id, {x1: x, y1: 0, x2: x, y2: 0},
+    new LineSnap({...vertical, radius: 10, priority: 1, related})));
+}
+
+function indexLine(layerIndex, {id, bulge}, v0, v1) {
+  let related = new List([id]);
+  let {x: x1, y: y1} = v0;
+  let {x: x2, y: y2} = v1;
+  let segments = layerIndex.get('segments');
+  let boxes = lineBoxes(x1, y1, x2, y2, bulge, segments.get('cellSize'));
+
+  if (Geometry.isArc(bulge)) {
+    layerIndex.set('segments', insertElement(segments, id, boxes, new ArcSnap({x1, y1, x2, y2, bulge, radius: 20, priority: 1, related})));
+
+    //the middle of the arc can be snapped too
+    let {x, y} = Geometry.pointOnArc(x1, y1, x2, y2, bulge, 0.5);
+    layerIndex.set('midpoints', insertElement(layerIndex.get('midpoints'), id, {x1: x, y1: y, x2: x, y2: y},
+      new PointSnap({x, y, radius: 10, priority: 10, related})));
+  } else {
+    layerIndex.set('segments', insertElement(segments, id, boxes, new LineSegmentSnap({x1, y1, x2, y2, radius: 20, priority: 1, related})));
+    layerIndex.set('midpoints', removeElement(layerIndex.get('midpoints'), id));
+  }
+}
+
+function unindex(layerIndex, names, id) {
+  names.forEach(name => layerIndex.set(name, removeElement(layerIndex.get(name), id)));
+}
+
+function updateLayerIndex(layerIndex, {vertices, lines}) {
+  let indexedVertices = layerIndex.get('vertices');
+  let indexedLines = layerIndex.get('lines');
+  if (indexedVertices === vertices && indexedLines === lines) return layerIndex;
+
+  return layerIndex.withMutations(layerIndex => {
+
+    //the lines follow their vertices
+    let changedLines = {};
+    let changeLines = vertex => vertex.lines.forEach(lineID => changedLines[lineID] = true);
+
+    indexedVertices.forEach((vertex, vertexID) => {
+      if (vertices.get(vertexID) === vertex) return;
+
+      changeLines(vertex);
+      if (!vertices.has(vertexID)) unindex(layerIndex, ['points', 'horizontals', 'verticals'], vertexID);
+    });
+
+    vertices.forEach((vertex, vertexID) => {
+      if (indexedVertices.get(vertexID) === vertex) return;
+
+      changeLines(vertex);
+      indexVertex(layerIndex, vertex);
+    });
+
+    indexedLines.forEach((line, lineID) => { if (lines.get(lineID) !== line) changedLines[lineID] = true; });
+    lines.forEach((line, lineID) => { if (indexedLines.get(lineID) !== line) changedLines[lineID] = true; });
+
+    Object.keys(changedLines).forEach(lineID => {
+      let line = lines.get(lineID);
+      let v0 = line && vertices.get(line.vertices.get(0));
+      let v1 = line && vertices.get(line.vertices.get(1));
+
+      if (v0 && v1) indexLine(layerIndex, line, v0, v1);
+      else unindex(layerIndex, ['segments', 'midpoints'], lineID);
+    });
+
+    layerIndex.merge({vertices, lines});
+  });
+}
+
+/** @description Bring a snap index up to date with a scene. Only the vertices and the lines that changed since the
+ *  last update are indexed again, the layers left as they were are skipped
+ *  @param {object} snapIndex Snap index
+ *  @param {object} scene Scene
+ *  @return {object} Snap index
+ */
+export function updateSnapIndex(snapIndex, scene) {
+  return snapIndex.withMutations(snapIndex => {
+    snapIndex.keySeq().toArray().forEach(layerID => { if (!scene.layers.has(layerID)) snapIndex.delete(layerID); });
+    scene.layers.forEach(layer => snapIndex.set(layer.id, updateLayerIndex(snapIndex.get(layer.id) || createLayerIndex(), layer)));
+  });
+}
+
+/** @description Step of the angle constraint, in degrees
+ *  @param {object} snapMask Snap mask
+ *  @return {?number} Null when the angles are free
+ */
+export function angleSnapStep(snapMask) {
+  let step = snapMask ? parseFloat(snapMask.get(SNAP_ANGLE_STEP)) : NaN;
+  return snapMask && snapMask.get(SNAP_ANGLE) && step > 0 ? step : null;
+}
+
+/** @description Round an angle to the step of the angle constraint
+ *  @param {number} angle Angle in degrees
+ *  @param {object} snapMask Snap mask
+ *  @return {number} Angle in degrees
+ */
+export function snapAngle(angle, snapMask) {
+  let step = angleSnapStep(snapMask);
+  return step ? Math.round(angle / step) * step : angle;
+}
+
+/** @description Find where a point snaps when the segment from an origin keeps an angle multiple of the step.
+ *  The other snaps still work along the constrained direction, a line snap stops it where the lines cross,
+ *  any other snap is projected on it
+ *  @param {object} snapElements Snap elements
+ *  @param {number} x0 Origin x
+ *  @param {number} y0 Origin y
+ *  @param {number} x Point x
+ *  @param {number} y Point y
+ *  @param {object} snapMask Snap mask
+ *  @return {?object} snap: snap element or null, point: x, y. Null when the angle is free
+ */
+export function nearestAngleSnap(snapElements, x0, y0, x, y, snapMask) {
+  if (!angleSnapStep(snapMask) || (x === x0 && y === y0)) return null;
+
+  let angle = snapAngle(Math.atan2(y - y0, x - x0) * 180 / Math.PI, snapMask) * Math.PI / 180;
+  let dx = Math.cos(angle);
+  let dy = Math.sin(angle);
+
+  let project = ({x, y}) => {
+    let t = Math.max((x - x0) * dx + (y - y0) * dy, 0);
+    return {x: x0 + dx * t, y: y0 + dy * t};
+  };
+
+  let point = project({x, y});
+  let snap = nearestSnap(snapElements, point.x, point.y, snapMask);
+
+  if (snap) {
+    let crossing;
+
+    if (snap.snap.type === 'line') {
+      crossing = Geometry.twoLinesIntersection(-dy, dx, dy * x0 - dx * y0, snap.snap.a, snap.snap.b, snap.snap.c);
+
+      //lines almost parallel to the direction cross it too far away
+      if (crossing && Geometry.pointsDistance(crossing.x, crossing.y, point.x, point.y) > snap.snap.radius) crossing = null;
+    }
+
+    point = crossing ? project(crossing) : project(snap.point);
+  }
+
+  return {snap: snap ? snap.snap : null, point};
+}
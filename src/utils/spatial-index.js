@@ -0,0 +1,105 @@
+import { Map, Set, List } from 'immutable';
+
+//a uniform grid: every element is listed in the cells its bounding boxes touch, the queries only look at the cells
+//around them. Like the rest of the state it is immutable, the updates return a new index sharing the unchanged cells.
+//The long diagonal elements are better split in several boxes, one box would cover a whole square of cells
+
+export const DEFAULT_CELL_SIZE = 100;
+
+const cellKey = (column, row) => `${column},${row}`;
+
+function forEachCell(index, {x1, y1, x2, y2}, callback) {
+  let cellSize = index.get('cellSize');
+  let firstColumn = Math.floor(Math.min(x1, x2) / cellSize);
+  let lastColumn = Math.floor(Math.max(x1, x2) / cellSize);
+  let firstRow = Math.floor(Math.min(y1, y2) / cellSize);
+  let lastRow = Math.floor(Math.max(y1, y2) / cellSize);
+
+  for (let column = firstColumn; column <= lastColumn; column++) {
+    for (let row = firstRow; row <= lastRow; row++) {
+      callback(cellKey(column, row));
+    }
+  }
+}
+
+const overlaps = (a, b) =>
+  Math.min(a.x1, a.x2) <= Math.max(b.x1, b.x2) && Math.max(a.x1, a.x2) >= Math.min(b.x1, b.x2) &&
+  Math.min(a.y1, a.y2) <= Math.max(b.y1, b.y2) && Math.max(a.y1, a.y2) >= Math.min(b.y1, b.y2);
+
+/** @description Create an empty spatial index
+ *  @param {number} cellSize Side of the grid cells, about the size of the elements works best
+ *  @return {object} Index
+ */
+export function createSpatialIndex(cellSize = DEFAULT_CELL_SIZE) {
+  return new Map({cellSize, cells: new Map(), entries: new Map()});
+}
+
+/** @description Remove an element from a spatial index
+ *  @param {object} index Index
+ *  @param {string} key Element key
+ *  @return {object} Index, the same one when the element is not there
+ */
+export function removeElement(index, key) {
+  let entry = index.getIn(['entries', key]);
+  if (!entry) return index;
+
+  return index.withMutations(index => {
+    entry.boxes.forEach(box => forEachCell(index, box, cell => {
+      let keys = index.getIn(['cells', cell]);
+      if (!keys) return;
+
+      keys = keys.delete(key);
+      index.set('cells', keys.isEmpty() ? index.get('cells').delete(cell) : index.get('cells').set(cell, keys));
+    }));
+    index.deleteIn(['entries', key]);
+  });
+}
+
+/** @description Add an element to a spatial index, an element already there with the same key is replaced
+ *  @param {object} index Index
+ *  @param {string} key Element key
+ *  @param {object|Array} boxes Bounding box of the element: x1, y1, x2, y2, or the boxes of its parts
+ *  @param {*} value Element
+ *  @return {object} Index
+ */
+export function insertElement(index, key, boxes, value) {
+  boxes = Array.isArray(boxes) ? boxes : [boxes];
+
+  return removeElement(index, key).withMutations(index => {
+    boxes.forEach(box => forEachCell(index, box, cell => index.updateIn(['cells', cell], keys => (keys || new Set()).add(key))));
+    index.setIn(['entries', key], {boxes, value});
+  });
+}
+
+/** @description Find the elements whose bounding box meets a box
+ *  @param {object} index Index
+ *  @param {number} x1 Box first corner x
+ *  @param {number} y1 Box first corner y
+ *  @param {number} x2 Box second corner x
+ *  @param {number} y2 Box second corner y
+ *  @return {List} Elements
+ */
+export function queryBox(index, x1, y1, x2, y2) {
+  let box = {x1, y1, x2, y2};
+  let cells = index.get('cells');
+  let entries = index.get('entries');
+  let found = {};
+
+  forEachCell(index, box, cell => {
+    let keys = cells.get(cell);
+    if (keys) keys.forEach(key => found[key] = true);
+  });
+
+  return new List(Object.keys(found))
+    .map(key => entries.get(key))
+    .filter(entry => entry.boxes.some(entryBox => overlaps(entryBox, box)))
+    .map(entry => entry.value);
+}
+
+/** @description Tell how many elements a spatial index holds
+ *  @param {object} index Index
+ *  @return {number}
+ */
+export function indexSize(index) {
+  return index.get('entries').size;
+}
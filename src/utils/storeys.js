@@ -0,0 +1,61 @@
+import { roofOutlines } from './roof';
+import { offsetPolygon, polygonSignedArea } from './geometry';
+
+/** @description Return the layers of a scene as storeys, from the lowest to the highest. The layers at the same
+ *  altitude are overlays of the same storey, they follow their order
+ *  @param {object} scene Scene
+ *  @return {List} Layers
+ */
+export function storeys(scene) {
+  return scene.layers
+    .toList()
+    .sort((a, b) => a.altitude !== b.altitude ? a.altitude - b.altitude : a.order - b.order);
+}
+
+/** @description Return the storey under a layer, the highest layer lower than it
+ *  @param {object} scene Scene
+ *  @param {string} layerID Layer id
+ *  @return {?object} Layer, undefined on the lowest storey
+ */
+export function storeyBelow(scene, layerID) {
+  let altitude = scene.layers.getIn([layerID, 'altitude']);
+
+  return storeys(scene).filter(layer => layer.altitude < altitude).last();
+}
+
+/** @description Return the layers cut away when the storeys are shown up to a layer, the ones higher than it
+ *  @param {object} scene Scene
+ *  @param {?string} layerID Highest layer shown, all the storeys are shown when it is null or no longer in the scene
+ *  @return {List} Layer ids
+ */
+export function storeysAbove(scene, layerID) {
+  let layer = scene.layers.get(layerID);
+  if (!layer) return storeys(scene).clear();
+
+  return storeys(scene).filter(({altitude}) => altitude > layer.altitude).map(({id}) => id);
+}
+
+/** @description Return the slab under a storey, over the storey below. It covers the rooms of the storey up to the
+ *  outer face of its walls
+ *  @param {object} scene Scene
+ *  @param {object} layer Layer
+ *  @return {?object} altitude: top of the slab, at the floor of the storey, thickness and slabs: outlines with their
+ *  holes. Null on the lowest storey
+ */
+export function slabGeometry(scene, layer) {
+  if (!storeyBelow(scene, layer.id)) return null;
+
+  let wallsThickness = layer.lines.reduce((max, line) => Math.max(max, line.getIn(['properties', 'thickness', 'length']) || 0), 0);
+  let distance = wallsThickness / 2;
+
+  return {
+    altitude: layer.altitude,
+    thickness: layer.slabThickness,
+    slabs: roofOutlines(layer).map(({points, holes}) => ({
+      points: offsetPolygon(points, distance),
+      holes: holes
+        .map(hole => offsetPolygon(hole, -distance))
+        .filter(hole => polygonSignedArea(hole) < 0)
+    }))
+  };
+}
@@ -0,0 +1,189 @@
+import {
+  TRANSFORM_MOVE,
+  TRANSFORM_ROTATE,
+  TRANSFORM_MIRROR,
+  TRANSFORM_SCALE,
+  ARRAY_RECTANGULAR,
+  ARRAY_POLAR
+} from '../constants';
+
+//the transforms are affine maps written like the svg matrices: x' = a x + c y + e, y' = b x + d y + f
+
+/** @description Return the transform moving by a vector
+ *  @param {number} dx Vector x
+ *  @param {number} dy Vector y
+ *  @return {object}
+ */
+export function translation(dx, dy) {
+  return {a: 1, b: 0, c: 0, d: 1, e: dx, f: dy};
+}
+
+/** @description Return the transform rotating about a point
+ *  @param {number} x Center x
+ *  @param {number} y Center y
+ *  @param {number} angle Angle in degrees, counterclockwise
+ *  @return {object}
+ */
+export function rotation(x, y, angle) {
+  let cos = Math.cos(angle * Math.PI / 180);
+  let sin = Math.sin(angle * Math.PI / 180);
+
+  return {a: cos, b: sin, c: -sin, d: cos, e: x - cos * x + sin * y, f: y - sin * x - cos * y};
+}
+
+/** @description Return the transform mirroring across the axis through two points
+ *  @param {number} x1 First point x
+ *  @param {number} y1 First point y
+ *  @param {number} x2 Second point x
+ *  @param {number} y2 Second point y
+ *  @return {?object} Null when the points are the same
+ */
+export function mirroring(x1, y1, x2, y2) {
+  let length = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+  if (!length) return null;
+
+  let ux = (x2 - x1) / length;
+  let uy = (y2 - y1) / length;
+  let a = 2 * ux * ux - 1;
+  let b = 2 * ux * uy;
+  let d = 2 * uy * uy - 1;
+
+  return {a, b, c: b, d, e: x1 - a * x1 - b * y1, f: y1 - b * x1 - d * y1};
+}
+
+/** @description Return the transform scaling from a base point
+ *  @param {number} x Base point x
+ *  @param {number} y Base point y
+ *  @param {number} factor Scale factor, greater than 0
+ *  @return {?object} Null when the factor is not greater than 0
+ */
+export function scaling(x, y, factor) {
+  if (!(factor > 0)) return null;
+
+  return {a: factor, b: 0, c: 0, d: factor, e: x - factor * x, f: y - factor * y};
+}
+
+/** @description Apply a transform to a point
+ *  @param {object} transform Transform
+ *  @param {number} x Point x
+ *  @param {number} y Point y
+ *  @return {object} x, y
+ */
+export function transformPoint({a, b, c, d, e, f}, x, y) {
+  return {x: a * x + c * y + e, y: b * x + d * y + f};
+}
+
+/** @description Return the direction a transform turns a direction to
+ *  @param {object} transform Transform
+ *  @param {number} angle Direction in degrees
+ *  @return {number} Direction in degrees
+ */
+export function transformAngle({a, b, c, d}, angle) {
+  let x = Math.cos(angle * Math.PI / 180);
+  let y = Math.sin(angle * Math.PI / 180);
+
+  return Math.atan2(b * x + d * y, a * x + c * y) * 180 / Math.PI;
+}
+
+/** @description Return the rotation an item takes once transformed. The items keep facing the same way, so their
+ *  rotation is given by where their front, the local y axis, is turned to
+ *  @param {object} transform Transform
+ *  @param {number} rotation Item rotation in degrees
+ *  @return {number} Rotation in degrees
+ */
+export function transformRotation(transform, rotation) {
+  return transformAngle(transform, rotation + 90) - 90;
+}
+
+/** @description Tell whether a transform mirrors, turning the counterclockwise outlines clockwise
+ *  @param {object} transform Transform
+ *  @return {boolean}
+ */
+export function isMirroring({a, b, c, d}) {
+  return a * d - b * c < 0;
+}
+
+/** @description Return how much a transform scales the lengths
+ *  @param {object} transform Transform
+ *  @return {number}
+ */
+export function transformScale({a, b, c, d}) {
+  return Math.sqrt(Math.abs(a * d - b * c));
+}
+
+/** @description Return the transform set by the transform tool. Moves go from the base point to the cursor and
+ *  mirrors across the axis from the base point to the cursor, rotations and scalings are about the base point by the
+ *  angle and the factor of the tool
+ *  @param {string} type Transform type
+ *  @param {object} base Base point
+ *  @param {?object} cursor Second point, for the moves and the mirrors
+ *  @param {object} parameters angle: rotation angle in degrees, factor: scale factor
+ *  @return {?object} Null when the points do not make a transform
+ */
+export function toolTransform(type, base, cursor, {angle, factor}) {
+  switch (type) {
+    case TRANSFORM_MOVE:
+      return cursor ? translation(cursor.x - base.x, cursor.y - base.y) : null;
+    case TRANSFORM_ROTATE:
+      return rotation(base.x, base.y, angle);
+    case TRANSFORM_MIRROR:
+      return cursor ? mirroring(base.x, base.y, cursor.x, cursor.y) : null;
+    case TRANSFORM_SCALE:
+      return scaling(base.x, base.y, factor);
+    default:
+      return null;
+  }
+}
+
+/** @description Tell how many points are clicked to apply a transform with the transform tool
+ *  @param {string} type Transform type
+ *  @return {number}
+ */
+export function transformClicks(type) {
+  return type === TRANSFORM_MOVE || type === TRANSFORM_MIRROR ? 2 : 1;
+}
+
+/** @description Return the transforms placing the copies of an array, the original elements are not in the list.
+ *  Rectangular arrays go from the copied elements towards the side of the cursor, polar arrays go counterclockwise
+ *  around the cursor. The polar copies are turned with the array, unless told otherwise: then they are only moved
+ *  @param {string} type Array type
+ *  @param {object} parameters rows, columns, rowSpacing, columnSpacing: the rectangular arrays, count, angle in
+ *  degrees, rotate: the polar arrays
+ *  @param {object} center Center of the copied elements
+ *  @param {object} cursor Cursor
+ *  @return {Array} Transforms
+ */
+export function arrayTransforms(type, {rows, columns, rowSpacing, columnSpacing, count, angle, rotate}, center, cursor) {
+  let transforms = [];
+
+  switch (type) {
+    case ARRAY_RECTANGULAR: {
+      let signX = cursor.x < center.x ? -1 : 1;
+      let signY = cursor.y < center.y ? -1 : 1;
+
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          if (row || column) transforms.push(translation(signX * column * Math.abs(columnSpacing), signY * row * Math.abs(rowSpacing)));
+        }
+      }
+      break;
+    }
+
+    case ARRAY_POLAR: {
+      //a full turn does not end on the originals, the other angles are split between the first and the last copy
+      let step = Math.abs(angle) >= 360 ? angle / count : angle / Math.max(count - 1, 1);
+
+      for (let index = 1; index < count; index++) {
+        let transform = rotation(cursor.x, cursor.y, step * index);
+        if (!rotate) {
+          let {x, y} = transformPoint(transform, center.x, center.y);
+          transform = translation(x - center.x, y - center.y);
+        }
+        transforms.push(transform);
+      }
+      break;
+    }
+  }
+
+  return transforms;
+}